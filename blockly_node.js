@@ -0,0 +1,249 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Node entry point.  Loads Blockly's core, the vertical blocks
+ * and the code generators without a browser, then loads saved projects onto
+ * headless workspaces to validate them and generate their code:
+ *
+ *   var blockly = require('scratch-blocks/blockly_node.js');
+ *   var xmldom = require('@xmldom/xmldom');
+ *   blockly.setParser(xmldom.DOMParser, xmldom.XMLSerializer);
+ *   var result = blockly.generateCode(projectXml, 'JavaScript');
+ *   // result.errors lists what is wrong with the project, result.code is the
+ *   // generated code, or null if the project could not be loaded.
+ */
+/* eslint-env node */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+// Defines goog in the global scope.
+require('google-closure-library');
+
+/**
+ * Directories whose files make up the headless build.  Generators live in
+ * generators/<language>.js and generators/<language>/.
+ * @type {!Array.<string>}
+ */
+var SOURCE_DIRS = ['core', 'blocks_common', 'blocks_vertical'];
+
+/**
+ * Files that are not needed, or cannot be loaded, alongside the vertical
+ * blocks.
+ * @type {!Array.<string>}
+ */
+var EXCLUDED_FILES = ['core/block_render_svg_horizontal.js'];
+
+/**
+ * Find the JavaScript files in a directory, recursively.
+ * @param {string} dir Absolute path of the directory.
+ * @param {!Array.<string>} files Array to add the files' paths to.
+ * @return {!Array.<string>} The array of files.
+ */
+function listFiles(dir, files) {
+  fs.readdirSync(dir).forEach(function(name) {
+    var file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      listFiles(file, files);
+    } else if (/\.js$/.test(name)) {
+      files.push(file);
+    }
+  });
+  return files;
+}
+
+/**
+ * Find the source files of the headless build: core, the blocks, the English
+ * messages and every generator that has block definitions.
+ * @return {!Array.<string>} Absolute paths of the files.
+ */
+function sourceFiles() {
+  var files = [path.join(__dirname, 'msg', 'messages.js')];
+  SOURCE_DIRS.forEach(function(dir) {
+    listFiles(path.join(__dirname, dir), files);
+  });
+  var generators = path.join(__dirname, 'generators');
+  fs.readdirSync(generators).forEach(function(name) {
+    var dir = path.join(generators, name);
+    if (fs.statSync(dir).isDirectory()) {
+      files.push(dir + '.js');
+      listFiles(dir, files);
+    }
+  });
+  return files.filter(function(file) {
+    return EXCLUDED_FILES.indexOf(path.relative(__dirname, file)) == -1;
+  });
+}
+
+/**
+ * Load Blockly into the global scope, each file after the files it requires.
+ * Closure Library namespaces are loaded by Closure's own loader.
+ * @return {!Object} The Blockly namespace.
+ */
+function loadBlockly() {
+  if (global.Blockly) {
+    return global.Blockly;
+  }
+  var files = sourceFiles();
+  var requires = {};
+  var providers = {};
+  var pattern = /^goog\.(provide|require)\('([\w.$]+)'\);/mg;
+  files.forEach(function(file) {
+    var source = fs.readFileSync(file, 'utf8');
+    requires[file] = [];
+    var match;
+    while ((match = pattern.exec(source))) {
+      if (match[1] == 'provide') {
+        providers[match[2]] = file;
+      } else {
+        requires[file].push(match[2]);
+      }
+    }
+  });
+  var loaded = {};
+  var load = function(file) {
+    if (loaded[file]) {
+      return;
+    }
+    loaded[file] = true;
+    requires[file].forEach(function(namespace) {
+      if (providers[namespace]) {
+        load(providers[namespace]);
+      } else {
+        goog.require(namespace);
+      }
+    });
+    goog.nodeGlobalRequire(file);
+  };
+  files.forEach(load);
+  return global.Blockly;
+}
+
+var Blockly = loadBlockly();
+
+/**
+ * Describe an error for the list of validation errors.
+ * @param {*} e The error that was thrown.
+ * @param {Element=} opt_xmlBlock The top-level block being loaded, if any.
+ * @return {!Object} The error's message, and the id and type of the block.
+ */
+function describeError(e, opt_xmlBlock) {
+  var error = {message: String(e && e.message || e)};
+  if (opt_xmlBlock) {
+    error.blockId = opt_xmlBlock.getAttribute('id');
+    error.blockType = opt_xmlBlock.getAttribute('type');
+  }
+  return error;
+}
+
+/**
+ * Load a project onto a headless workspace.  Top-level blocks that fail to
+ * load are left out, so that one bad script doesn't hide errors in others.
+ * @param {string} xmlText The project's XML text.
+ * @param {!Array.<!Object>} errors Array to add validation errors to.
+ * @return {Blockly.Workspace} The workspace, or null if the XML is invalid.
+ */
+function loadProject(xmlText, errors) {
+  try {
+    var xml = Blockly.Xml.textToDom(xmlText);
+  } catch (e) {
+    errors.push(describeError(e));
+    return null;
+  }
+  var workspace = new Blockly.Workspace();
+  // Some blocks look up the media path on the main workspace.
+  Blockly.mainWorkspace = workspace;
+  for (var i = 0, xmlChild; xmlChild = xml.childNodes[i]; i++) {
+    var name = xmlChild.nodeName.toLowerCase();
+    if (name == 'variables') {
+      Blockly.Xml.domToVariables(xmlChild, workspace);
+    } else if (name == 'comment') {
+      Blockly.Xml.domToWorkspaceComment(xmlChild, workspace);
+    } else if (name == 'block') {
+      var topBlocks = workspace.getTopBlocks(false);
+      try {
+        Blockly.Xml.domToBlock(xmlChild, workspace);
+      } catch (e) {
+        errors.push(describeError(e, xmlChild));
+        // Remove whatever was built before the error.
+        workspace.getTopBlocks(false).forEach(function(block) {
+          if (topBlocks.indexOf(block) == -1) {
+            block.dispose(false);
+          }
+        });
+      }
+    }
+  }
+  workspace.updateVariableList(false);
+  return workspace;
+}
+
+/**
+ * Load a saved project and check it for errors.
+ * @param {string} xmlText The project's XML text.
+ * @return {!Array.<!Object>} Validation errors, each with a message and, if
+ *     the error is in a script, the id and type of the script's top block.
+ */
+function validate(xmlText) {
+  var errors = [];
+  var workspace = loadProject(xmlText, errors);
+  if (workspace) {
+    workspace.dispose();
+  }
+  return errors;
+}
+
+/**
+ * Load a saved project and generate its code.
+ * @param {string} xmlText The project's XML text.
+ * @param {string} language Name of the generator, e.g. 'JavaScript' or
+ *     'Python'.
+ * @return {{code: ?string, errors: !Array.<!Object>}} The generated code, or
+ *     null if the project could not be loaded or generated, and the
+ *     validation errors.
+ */
+function generateCode(xmlText, language) {
+  var generator = Blockly[language];
+  if (!(generator instanceof Blockly.Generator)) {
+    throw 'Unknown language "' + language + '".';
+  }
+  var errors = [];
+  var workspace = loadProject(xmlText, errors);
+  if (!workspace) {
+    return {code: null, errors: errors};
+  }
+  var code = null;
+  try {
+    code = generator.workspaceToCode(workspace);
+  } catch (e) {
+    errors.push(describeError(e));
+  }
+  workspace.dispose();
+  return {code: code, errors: errors};
+}
+
+module.exports = {
+  Blockly: Blockly,
+  setParser: Blockly.Xml.setParser,
+  validate: validate,
+  generateCode: generateCode
+};
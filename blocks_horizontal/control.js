@@ -205,3 +205,83 @@ Blockly.Blocks['control_wait'] = {
     });
   }
 };
+
+Blockly.Blocks['control_if'] = {
+  /**
+   * Block for if-then.
+   * @this Blockly.Block
+   */
+  init: function() {
+    this.jsonInit({
+      "id": "control_if",
+      "message0": "%1 %2 %3",
+      "args0": [
+        {
+          "type": "input_statement",
+          "name": "SUBSTACK"
+        },
+        {
+          "type": "field_image",
+          "src": Blockly.mainWorkspace.options.pathToMedia + "icons/control_if.svg",
+          "width": 40,
+          "height": 40,
+          "alt": "If"
+        },
+        {
+          "type": "input_value",
+          "name": "CONDITION",
+          "check": "Boolean"
+        }
+      ],
+      "inputsInline": true,
+      "previousStatement": null,
+      "nextStatement": null,
+      "category": Blockly.Categories.control,
+      "colour": Blockly.Colours.control.primary,
+      "colourSecondary": Blockly.Colours.control.secondary,
+      "colourTertiary": Blockly.Colours.control.tertiary
+    });
+  }
+};
+
+Blockly.Blocks['control_if_else'] = {
+  /**
+   * Block for if-then-else.
+   * @this Blockly.Block
+   */
+  init: function() {
+    this.jsonInit({
+      "id": "control_if_else",
+      "message0": "%1 %2 %3 %4",
+      "args0": [
+        {
+          "type": "input_statement",
+          "name": "SUBSTACK"
+        },
+        {
+          "type": "input_statement",
+          "name": "SUBSTACK2"
+        },
+        {
+          "type": "field_image",
+          "src": Blockly.mainWorkspace.options.pathToMedia + "icons/control_if_else.svg",
+          "width": 40,
+          "height": 40,
+          "alt": "If else"
+        },
+        {
+          "type": "input_value",
+          "name": "CONDITION",
+          "check": "Boolean"
+        }
+      ],
+      "inputsInline": true,
+      "previousStatement": null,
+      "nextStatement": null,
+      "category": Blockly.Categories.control,
+      "colour": Blockly.Colours.control.primary,
+      "colourSecondary": Blockly.Colours.control.secondary,
+      "colourTertiary": Blockly.Colours.control.tertiary
+    });
+  }
+};
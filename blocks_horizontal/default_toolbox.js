@@ -27,6 +27,7 @@ goog.require('Blockly.Blocks');
 goog.require('Blockly.Blocks.event');
 goog.require('Blockly.Blocks.control');
 goog.require('Blockly.Blocks.math');
+goog.require('Blockly.Blocks.operators');
 
 /**
  * @fileoverview Provide a default toolbox XML.
@@ -68,4 +69,30 @@ Blockly.Blocks.defaultToolboxSimple = '<xml id="toolbox-simple" style="display:
         '</shadow>' +
         '</value>' +
         '</block>' +
+        '<block type="control_if"></block>' +
+        '<block type="control_if_else"></block>' +
+        '<block type="operator_add">' +
+        '<value name="NUM1">' +
+        '<shadow type="math_number">' +
+        '<field name="NUM"></field>' +
+        '</shadow>' +
+        '</value>' +
+        '<value name="NUM2">' +
+        '<shadow type="math_number">' +
+        '<field name="NUM"></field>' +
+        '</shadow>' +
+        '</value>' +
+        '</block>' +
+        '<block type="operator_lt">' +
+        '<value name="OPERAND1">' +
+        '<shadow type="math_number">' +
+        '<field name="NUM"></field>' +
+        '</shadow>' +
+        '</value>' +
+        '<value name="OPERAND2">' +
+        '<shadow type="math_number">' +
+        '<field name="NUM">50</field>' +
+        '</shadow>' +
+        '</value>' +
+        '</block>' +
     '</xml>';
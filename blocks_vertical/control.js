@@ -24,6 +24,7 @@ goog.provide('Blockly.Blocks.control');
 
 goog.require('Blockly.Blocks');
 goog.require('Blockly.Colours');
+goog.require('Blockly.constants');
 
 
 Blockly.Blocks['control_forever'] = {
@@ -222,7 +223,7 @@ Blockly.Blocks['control_stop'] = {
     this.setPreviousStatement(true);
   },
   mutationToDom: function() {
-    var container = document.createElement('mutation');
+    var container = Blockly.Xml.createElement('mutation');
     var hasNext = (this.getFieldValue('STOP_OPTION') == 'other scripts in sprite');
     container.setAttribute('hasnext', hasNext);
     return container;
@@ -363,9 +364,9 @@ Blockly.Blocks['control_create_clone_of_menu'] = {
           {
             "type": "field_dropdown",
             "name": "CLONE_OPTION",
-            "options": [
+            "options": Blockly.FieldDropdown.hostMenu(Blockly.MENU_SPRITES, [], [
               ['myself', '_myself_']
-            ]
+            ])
           }
         ],
         "inputsInline": true,
@@ -196,7 +196,8 @@ Blockly.Blocks['data_listcontents'] = {
         {
           "type": "field_variable_getter",
           "text": "",
-          "name": "LIST"
+          "name": "LIST",
+          "variableType": Blockly.LIST_VARIABLE_TYPE
         }
       ],
       "category": Blockly.Categories.data,
@@ -285,7 +286,8 @@ Blockly.Blocks['data_addtolist'] = {
         },
         {
           "type": "field_variable",
-          "name": "LIST"
+          "name": "LIST",
+          "variableType": Blockly.LIST_VARIABLE_TYPE
         }
       ],
       "previousStatement": null,
@@ -313,7 +315,8 @@ Blockly.Blocks['data_deleteoflist'] = {
         },
         {
           "type": "field_variable",
-          "name": "LIST"
+          "name": "LIST",
+          "variableType": Blockly.LIST_VARIABLE_TYPE
         }
       ],
       "previousStatement": null,
@@ -345,7 +348,8 @@ Blockly.Blocks['data_insertatlist'] = {
         },
         {
           "type": "field_variable",
-          "name": "LIST"
+          "name": "LIST",
+          "variableType": Blockly.LIST_VARIABLE_TYPE
         }
       ],
       "previousStatement": null,
@@ -373,7 +377,8 @@ Blockly.Blocks['data_replaceitemoflist'] = {
         },
         {
           "type": "field_variable",
-          "name": "LIST"
+          "name": "LIST",
+          "variableType": Blockly.LIST_VARIABLE_TYPE
         },
         {
           "type": "input_value",
@@ -405,7 +410,8 @@ Blockly.Blocks['data_itemoflist'] = {
         },
         {
           "type": "field_variable",
-          "name": "LIST"
+          "name": "LIST",
+          "variableType": Blockly.LIST_VARIABLE_TYPE
         }
       ],
       "output": null,
@@ -429,7 +435,8 @@ Blockly.Blocks['data_lengthoflist'] = {
       "args0": [
         {
           "type": "field_variable",
-          "name": "LIST"
+          "name": "LIST",
+          "variableType": Blockly.LIST_VARIABLE_TYPE
         }
       ],
       "output": "Number",
@@ -453,7 +460,8 @@ Blockly.Blocks['data_listcontainsitem'] = {
       "args0": [
         {
           "type": "field_variable",
-          "name": "LIST"
+          "name": "LIST",
+          "variableType": Blockly.LIST_VARIABLE_TYPE
         },
         {
           "type": "input_value",
@@ -481,7 +489,8 @@ Blockly.Blocks['data_showlist'] = {
       "args0": [
         {
           "type": "field_variable",
-          "name": "LIST"
+          "name": "LIST",
+          "variableType": Blockly.LIST_VARIABLE_TYPE
         }
       ],
       "previousStatement": null,
@@ -505,7 +514,8 @@ Blockly.Blocks['data_hidelist'] = {
       "args0": [
         {
           "type": "field_variable",
-          "name": "LIST"
+          "name": "LIST",
+          "variableType": Blockly.LIST_VARIABLE_TYPE
         }
       ],
       "previousStatement": null,
@@ -535,7 +545,8 @@ Blockly.Constants.Data.CUSTOM_CONTEXT_MENU_GET_VARIABLE_MIXIN = {
    */
   customContextMenu: function(options) {
     if (!this.isCollapsed()) {
-      var variablesList = this.workspace.variableList;
+      var variablesList =
+          this.workspace.getVariablesOfType(Blockly.SCALAR_VARIABLE_TYPE);
       for (var i = 0; i < variablesList.length; i++) {
         var option = {enabled: true};
         option.text = variablesList[i];
@@ -605,4 +605,10 @@ Blockly.Blocks.defaultToolbox = '<xml id="toolbox-categories" style="display: no
       '</value>'+
     '</block>'+
   '</category>'+
+  '<category name="Data" colour="#FF8C1A" secondaryColour="#DB6E00" ' +
+    'custom="VARIABLE">'+
+  '</category>'+
+  '<category name="More Blocks" colour="#FF6680" secondaryColour="#FF4D6A" ' +
+    'custom="PROCEDURE">'+
+  '</category>'+
   '</xml>';
@@ -85,13 +85,8 @@ Blockly.Blocks['event_whenbroadcastreceived'] = {
       "message0": "when I receive %1",
       "args0": [
         {
-          "type": "field_dropdown",
-          "name": "BROADCAST_OPTION",
-          "options": [
-            ['message1', 'message1'],
-            ['message2', 'message2'],
-            ['new message', 'new message']
-          ]
+          "type": "field_broadcast",
+          "name": "BROADCAST_OPTION"
         }
       ],
       "inputsInline": true,
@@ -116,9 +111,9 @@ Blockly.Blocks['event_whenbackdropswitchesto'] = {
         {
           "type": "field_dropdown",
           "name": "BACKDROP",
-          "options": [
+          "options": Blockly.FieldDropdown.hostMenu(Blockly.MENU_BACKDROPS, [
               ['backdrop1', 'BACKDROP1']
-          ]
+          ])
         }
       ],
       "inputsInline": true,
@@ -173,13 +168,8 @@ Blockly.Blocks['event_broadcast_menu'] = {
         "message0": "%1",
         "args0": [
           {
-            "type": "field_dropdown",
-            "name": "BROADCAST_OPTION",
-            "options": [
-              ['message1', 'message1'],
-              ['message2', 'message2'],
-              ['new message', 'new message']
-            ]
+            "type": "field_broadcast",
+            "name": "BROADCAST_OPTION"
           }
         ],
         "inputsInline": true,
@@ -337,10 +337,10 @@ Blockly.Blocks['looks_costume'] = {
           {
             "type": "field_dropdown",
             "name": "COSTUME",
-            "options": [
+            "options": Blockly.FieldDropdown.hostMenu(Blockly.MENU_COSTUMES, [
               ['costume1', 'COSTUME1'],
               ['costume2', 'COSTUME2']
-            ]
+            ])
           }
         ],
         "inputsInline": true,
@@ -435,9 +435,9 @@ Blockly.Blocks['looks_backdrops'] = {
         {
           "type": "field_dropdown",
           "name": "BACKDROP",
-          "options": [
+          "options": Blockly.FieldDropdown.hostMenu(Blockly.MENU_BACKDROPS, [
               ['backdrop1', 'BACKDROP1']
-          ]
+          ])
         }
       ],
       "inputsInline": true,
@@ -152,9 +152,9 @@ Blockly.Blocks['motion_pointtowards_menu'] = {
           {
             "type": "field_dropdown",
             "name": "TOWARDS",
-            "options": [
+            "options": Blockly.FieldDropdown.hostMenu(Blockly.MENU_SPRITES, [], [
               ['mouse-pointer', '_mouse_']
-            ]
+            ])
           }
         ],
         "inputsInline": true,
@@ -205,10 +205,10 @@ Blockly.Blocks['motion_goto_menu'] = {
           {
             "type": "field_dropdown",
             "name": "TO",
-            "options": [
+            "options": Blockly.FieldDropdown.hostMenu(Blockly.MENU_SPRITES, [], [
               ['mouse-pointer', '_mouse_'],
               ['random position', '_random_']
-            ]
+            ])
           }
         ],
         "inputsInline": true,
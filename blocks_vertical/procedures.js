@@ -34,14 +34,6 @@ Blockly.Blocks['procedures_defnoreturn'] = {
    * @this Blockly.Block
    */
   init: function() {
-    this.appendDummyInput()
-        .appendField(new Blockly.FieldLabel(), 'procCode');
-    this.appendDummyInput()
-        .appendField(new Blockly.FieldLabel(), 'argumentNames');
-    this.appendDummyInput()
-        .appendField(new Blockly.FieldLabel(), 'argumentDefaults');
-    this.appendDummyInput()
-        .appendField(new Blockly.FieldLabel(), 'warp');
     this.setCategory(Blockly.Categories.more);
     this.setColour(Blockly.Colours.more.primary,
       Blockly.Colours.more.secondary,
@@ -50,38 +42,96 @@ Blockly.Blocks['procedures_defnoreturn'] = {
 
     /* Data known about the procedure. */
     this._procCode = '';
+    this._argumentIds = [];
     this._argumentNames = [];
     this._argumentDefaults = [];
     this._warp = false;
+    this._updateDisplay();
   },
+  /**
+   * Create XML to represent the procedure's code, arguments and warp mode.
+   * @return {!Element} XML storage element.
+   * @this Blockly.Block
+   */
   mutationToDom: function() {
-    var container = document.createElement('mutation');
-    var procCode = document.createElement('proccode');
-    procCode.setAttribute('value', this._procCode);
-    container.appendChild(procCode);
-    var argumentNames = document.createElement('argumentnames');
-    argumentNames.setAttribute('value', JSON.stringify(this._argumentNames));
-    container.appendChild(argumentNames);
-    var argumentDefaults = document.createElement('argumentdefaults');
-    argumentDefaults.setAttribute('value', JSON.stringify(this._argumentDefaults));
-    container.appendChild(argumentDefaults);
-    var warp = document.createElement('warp');
-    warp.setAttribute('value', this._warp);
-    container.appendChild(warp);
-    return container;
+    return Blockly.Procedures.createMutation({
+      procCode: this._procCode,
+      argumentIds: this._argumentIds,
+      argumentNames: this._argumentNames,
+      argumentDefaults: this._argumentDefaults,
+      warp: this._warp
+    });
   },
+  /**
+   * Parse XML to restore the procedure's code, arguments and warp mode.
+   * Mutations saved in older formats are accepted too.
+   * @param {!Element} xmlElement XML storage element.
+   * @this Blockly.Block
+   */
   domToMutation: function(xmlElement) {
-    this._procCode = xmlElement.getAttribute('proccode');
-    this._argumentNames =  JSON.parse(xmlElement.getAttribute('argumentnames'));
-    this._argumentValues =  JSON.parse(xmlElement.getAttribute('argumentvalues'));
-    this._warp = xmlElement.getAttribute('warp');
+    var data = Blockly.Procedures.parseMutation(xmlElement);
+    this._procCode = data.procCode || '';
+    this._argumentIds = data.argumentIds || [];
+    this._argumentNames = data.argumentNames || [];
+    this._argumentDefaults = data.argumentDefaults || [];
+    this._warp = !!data.warp;
     this._updateDisplay();
   },
+  /**
+   * Return the signature of this procedure definition.
+   * @return {!Array} Tuple containing three elements:
+   *     - the procedure code, which is also the procedure's name
+   *     - a list of all its arguments
+   *     - that it does NOT have a return value.
+   * @this Blockly.Block
+   */
+  getProcedureDef: function() {
+    return [this._procCode, this._argumentNames, false];
+  },
+  /**
+   * Add an option to edit the procedure.
+   * @param {!Array} options List of menu options to add to.
+   * @this Blockly.Block
+   */
+  customContextMenu: function(options) {
+    var block = this;
+    options.push({
+      text: Blockly.Msg.PROCEDURES_EDIT,
+      enabled: true,
+      callback: function() {
+        Blockly.Procedures.editDefinition(block);
+      }
+    });
+  },
+  /**
+   * Show 'define' followed by the procedure's labels and argument names.
+   * @private
+   * @this Blockly.Block
+   */
   _updateDisplay: function() {
-    this.setFieldValue(this._procCode, 'procCode');
-    this.setFieldValue(this._argumentNames, 'argumentNames');
-    this.setFieldValue(this._argumentDefaults, 'argumentDefaults');
-    this.setFieldValue(this._warp, 'warp');
+    var wasRendered = this.rendered;
+    this.rendered = false;
+    if (this.getInput('DEFINE')) {
+      this.removeInput('DEFINE');
+    }
+    var input = this.appendDummyInput('DEFINE').appendField('define');
+    var components = Blockly.Procedures.parseProcCode(this._procCode);
+    var argumentCount = 0;
+    for (var i = 0; i < components.length; i++) {
+      var component = components[i];
+      if (component == '%b') {
+        component = '<' + this._argumentNames[argumentCount++] + '>';
+      } else if (component == '%n' || component == '%s') {
+        component = '(' + this._argumentNames[argumentCount++] + ')';
+      } else {
+        component = component.replace(/\\%/g, '%');
+      }
+      input.appendField(component);
+    }
+    this.rendered = wasRendered;
+    if (wasRendered) {
+      this.render();
+    }
   }
 };
 
@@ -99,64 +149,153 @@ Blockly.Blocks['procedures_callnoreturn'] = {
       Blockly.Colours.more.secondary,
       Blockly.Colours.more.tertiary);
     this._procCode = '';
+    this._argumentIds = [];
+    this._argumentDefaults = [];
+    this._warp = false;
   },
   /**
-   * Create XML to represent the (non-editable) name and arguments.
+   * Create XML to represent the (non-editable) name, arguments and defaults.
    * @return {!Element} XML storage element.
    * @this Blockly.Block
    */
   mutationToDom: function() {
-    var container = document.createElement('mutation');
-    container.setAttribute('proccode', this._procCode);
-    return container;
+    return Blockly.Procedures.createMutation({
+      procCode: this._procCode,
+      argumentIds: this._argumentIds,
+      argumentDefaults: this._argumentDefaults,
+      warp: this._warp
+    });
   },
   /**
    * Parse XML to restore the (non-editable) name and parameters.
+   * The definition's mutation is also accepted, which is how callers are
+   * kept in step with their definition, as are older formats.
    * @param {!Element} xmlElement XML storage element.
    * @this Blockly.Block
    */
   domToMutation: function(xmlElement) {
-    this._procCode = xmlElement.getAttribute('proccode');
+    var data = Blockly.Procedures.parseMutation(xmlElement);
+    this._procCode = data.procCode || '';
+    this._argumentIds = data.argumentIds || [];
+    this._argumentDefaults = data.argumentDefaults || [];
+    this._warp = !!data.warp;
     this._updateDisplay();
   },
-  _updateDisplay: function() {
-    // Split the proc into components, by %n, %b, and %s (ignoring escaped).
-    var procComponents = this._procCode.split(/(?=[^\\]\%[nbs])/);
-    procComponents = procComponents.map(function(c) {
-      return c.trim(); // Strip whitespace.
+  /**
+   * Return the name of the procedure this block calls.
+   * @return {string} Procedure code.
+   * @this Blockly.Block
+   */
+  getProcedureCall: function() {
+    return this._procCode;
+  },
+  /**
+   * Add an option to edit the called procedure.
+   * @param {!Array} options List of menu options to add to.
+   * @this Blockly.Block
+   */
+  customContextMenu: function(options) {
+    var definition =
+        Blockly.Procedures.getDefinition(this._procCode, this.workspace);
+    options.push({
+      text: Blockly.Msg.PROCEDURES_EDIT,
+      enabled: !!definition,
+      callback: function() {
+        Blockly.Procedures.editDefinition(definition);
+      }
     });
-    // Create inputs and shadow blocks as appropriate.
-    var inputPrefix = 'input';
-    var inputCount = 0;
-    for (var i = 0, component; component = procComponents[i]; i++) {
-      var newLabel;
-      if (component.substring(0, 1) == '%') {
-        var inputType = component.substring(1, 2);
-        newLabel = component.substring(2).trim();
-        var inputName = inputPrefix + (inputCount++);
-        switch (inputType) {
-          case 'n':
-            var input = this.appendValueInput(inputName);
-            var num = this.workspace.newBlock('math_number');
-            num.setShadow(true);
-            num.outputConnection.connect(input.connection);
-            break;
-          case 'b':
-            var input = this.appendValueInput(inputName);
+  },
+  /**
+   * Rebuild the block's labels and inputs from the procedure code.  Inputs
+   * are named after their arguments' IDs, so blocks plugged into an argument
+   * stay with it when other arguments are added, removed or relabelled.
+   * @private
+   * @this Blockly.Block
+   */
+  _updateDisplay: function() {
+    var wasRendered = this.rendered;
+    this.rendered = false;
+    // The inputs are rebuilt from the mutation, so rebuilding them doesn't
+    // fire events of its own.
+    Blockly.Events.disable();
+    try {
+      // Detach the blocks in the current inputs, remembering them by argument.
+      var connectionMap = Object.create(null);
+      for (var i = this.inputList.length - 1; i >= 0; i--) {
+        var input = this.inputList[i];
+        if (input.connection) {
+          var target = input.connection.targetBlock();
+          if (target) {
+            input.connection.setShadowDom(null);
+            input.connection.disconnect();
+            connectionMap[input.name] = target;
+          }
+        }
+        this.removeInput(input.name);
+      }
+      // Create the new labels and inputs.
+      var components = Blockly.Procedures.parseProcCode(this._procCode);
+      var argumentCount = 0;
+      for (var i = 0; i < components.length; i++) {
+        var component = components[i];
+        if (component == '%n' || component == '%b' || component == '%s') {
+          var id = this._argumentIds[argumentCount];
+          var input = this.appendValueInput(id);
+          if (component == '%b') {
             input.setCheck('Boolean');
-            break;
-          case 's':
-            var input = this.appendValueInput(inputName);
-            var text = this.workspace.newBlock('text');
-            text.setShadow(true);
-            text.outputConnection.connect(input.connection);
-            break;
+          }
+          this._populateArgument(input, component, connectionMap[id],
+              this._argumentDefaults[argumentCount]);
+          delete connectionMap[id];
+          argumentCount++;
+        } else {
+          this.appendDummyInput().appendField(component.replace(/\\%/g, '%'));
         }
-      } else {
-        newLabel = component.trim();
       }
-      this.appendDummyInput().appendField(newLabel.replace(/\\%/, '%'));
+      // Anything left belonged to an argument that no longer exists.
+      for (var id in connectionMap) {
+        if (connectionMap[id].isShadow()) {
+          connectionMap[id].dispose();
+        }
+      }
+    } finally {
+      Blockly.Events.enable();
+      this.rendered = wasRendered;
+    }
+    if (wasRendered) {
+      this.initSvg();
+      this.render();
+    }
+  },
+  /**
+   * Plug a block into an argument's input: the block that was there before,
+   * or else a shadow block of the argument's type.
+   * @param {!Blockly.Input} input The argument's input.
+   * @param {string} type The argument's type: '%n', '%b' or '%s'.
+   * @param {Blockly.Block} oldBlock The block that was in the input, if any.
+   * @param {string=} defaultValue Initial value of a new shadow block.
+   * @private
+   * @this Blockly.Block
+   */
+  _populateArgument: function(input, type, oldBlock, defaultValue) {
+    if (oldBlock) {
+      input.connection.connect(oldBlock.outputConnection);
+      return;
     }
+    if (type == '%b') {
+      // Boolean inputs are left empty.
+      return;
+    }
+    var shadow = this.workspace.newBlock(type == '%n' ? 'math_number' : 'text');
+    shadow.setShadow(true);
+    if (defaultValue) {
+      shadow.setFieldValue(defaultValue, type == '%n' ? 'NUM' : 'TEXT');
+    }
+    if (this.workspace.rendered) {
+      shadow.initSvg();
+      shadow.render(false);
+    }
+    shadow.outputConnection.connect(input.connection);
   }
 };
 
@@ -186,10 +325,10 @@ Blockly.Blocks['procedures_param'] = {
    * @this Blockly.Block
    */
   mutationToDom: function() {
-    var container = document.createElement('mutation');
-    container.setAttribute('paramname', this._paramName);
-    container.setAttribute('shape', this._shape);
-    return container;
+    return Blockly.Procedures.createMutation({
+      paramName: this._paramName,
+      shape: this._shape
+    });
   },
   /**
    * Parse XML to restore the (non-editable) name and parameters.
@@ -197,8 +336,9 @@ Blockly.Blocks['procedures_param'] = {
    * @this Blockly.Block
    */
   domToMutation: function(xmlElement) {
-    this._paramName = xmlElement.getAttribute('paramname');
-    this._shape = xmlElement.getAttribute('shape');
+    var data = Blockly.Procedures.parseMutation(xmlElement);
+    this._paramName = data.paramName || '';
+    this._shape = data.shape || 's';
     this._updateDisplay();
   },
   _updateDisplay: function() {
@@ -65,10 +65,10 @@ Blockly.Blocks['sensing_touchingobjectmenu'] = {
           {
             "type": "field_dropdown",
             "name": "TOUCHINGOBJECTMENU",
-            "options": [
+            "options": Blockly.FieldDropdown.hostMenu(Blockly.MENU_SPRITES, [], [
               ['mouse-pointer', '_mouse_'],
               ['edge', '_edge_']
-            ]
+            ])
           }
         ],
         "inputsInline": true,
@@ -172,9 +172,9 @@ Blockly.Blocks['sensing_distancetomenu'] = {
           {
             "type": "field_dropdown",
             "name": "DISTANCETOMENU",
-            "options": [
+            "options": Blockly.FieldDropdown.hostMenu(Blockly.MENU_SPRITES, [], [
               ['mouse-pointer', '_mouse_']
-            ]
+            ])
           }
         ],
         "inputsInline": true,
@@ -648,10 +648,11 @@ Blockly.Blocks['sensing_of_object_menu'] = {
           {
             "type": "field_dropdown",
             "name": "OBJECT",
-            "options": [
-              ['Sprite1', 'Sprite1'],
+            "options": Blockly.FieldDropdown.hostMenu(Blockly.MENU_SPRITES, [
+              ['Sprite1', 'Sprite1']
+            ], null, [
               ['Stage', '_stage_']
-            ]
+            ])
           }
         ],
         "inputsInline": true,
@@ -39,7 +39,7 @@ Blockly.Blocks['sound_sounds_menu'] = {
           {
             "type": "field_dropdown",
             "name": "SOUND_MENU",
-            "options": [
+            "options": Blockly.FieldDropdown.hostMenu(Blockly.MENU_SOUNDS, [
               ['1', '0'],
               ['2', '1'],
               ['3', '2'],
@@ -50,7 +50,7 @@ Blockly.Blocks['sound_sounds_menu'] = {
               ['8', '7'],
               ['9', '8'],
               ['10', '9']
-            ]
+            ])
           }
         ],
         "inputsInline": true,
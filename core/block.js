@@ -32,6 +32,7 @@ goog.require('Blockly.Comment');
 goog.require('Blockly.Connection');
 goog.require('Blockly.Extensions');
 goog.require('Blockly.FieldAngle');
+goog.require('Blockly.FieldBroadcast');
 goog.require('Blockly.FieldCheckbox');
 goog.require('Blockly.FieldColour');
 goog.require('Blockly.FieldImage');
@@ -860,6 +861,24 @@ Blockly.Block.prototype.getVars = function() {
   return vars;
 };
 
+/**
+ * Return the types of all variables referenced by this block, in the same
+ * order as getVars.
+ * @return {!Array.<string>} List of variable types.
+ */
+Blockly.Block.prototype.getVarTypes = function() {
+  var types = [];
+  for (var i = 0, input; input = this.inputList[i]; i++) {
+    for (var j = 0, field; field = input.fieldRow[j]; j++) {
+      if (field instanceof Blockly.FieldVariable ||
+          field instanceof Blockly.FieldVariableGetter) {
+        types.push(field.getVariableType());
+      }
+    }
+  }
+  return types;
+};
+
 /**
  * Notification that a variable is renaming.
  * If the name matches one of this block's variables, rename it.
@@ -1361,6 +1380,9 @@ Blockly.Block.prototype.interpolate_ = function(message, args, lastDummyAlign) {
             case 'field_variable':
               field = Blockly.Block.newFieldVariableFromJson_(element);
               break;
+            case 'field_broadcast':
+              field = new Blockly.FieldBroadcast(element['message']);
+              break;
             case 'field_dropdown':
               field = new Blockly.FieldDropdown(element['options']);
               break;
@@ -1459,25 +1481,29 @@ Blockly.Block.newFieldTextInputFromJson_ = function(options) {
 /**
  * Helper function to construct a FieldVariable from a JSON arg object,
  * dereferencing any string table references.
- * @param {!Object} options A JSON object with options (variable).
+ * @param {!Object} options A JSON object with options (variable,
+ *     variableType).
  * @returns {!Blockly.FieldVariable} The new variable.
  * @private
  */
 Blockly.Block.newFieldVariableFromJson_ = function(options) {
   var varname = Blockly.utils.replaceMessageReferences(options['variable']);
-  return new Blockly.FieldVariable(String(varname));
+  return new Blockly.FieldVariable(String(varname), null,
+      options['variableType']);
 };
 
 /**
  * Helper function to construct a FieldVariableGetter from a JSON arg object,
  * dereferencing any string table references.
- * @param {!Object} options A JSON object with options (variable).
+ * @param {!Object} options A JSON object with options (text, name,
+ *     variableType).
  * @returns {!Blockly.FieldVariableGetter} The new field variable getter.
  * @private
  */
 Blockly.Block.newFieldVariableGetterFromJson_ = function(options) {
   var varname = Blockly.utils.replaceMessageReferences(options['text']);
-  return new Blockly.FieldVariableGetter(String(varname), options['name']);
+  return new Blockly.FieldVariableGetter(String(varname), options['name'],
+      options['variableType']);
 };
 
 /**
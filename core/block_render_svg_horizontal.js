@@ -31,6 +31,13 @@ goog.require('Blockly.FieldIconMenu');
 
 
 // UI constants for rendering blocks.
+/**
+ * True if stacks of blocks run from left to right, false if they run from top
+ * to bottom.  In this renderer they run from left to right.
+ * @const
+ */
+Blockly.BlockSvg.HORIZONTAL_LAYOUT = true;
+
 /**
 * Grid unit to pixels conversion
 * @const
@@ -218,6 +225,61 @@ Blockly.BlockSvg.IMAGE_FIELD_HEIGHT = 10 * Blockly.BlockSvg.GRID_UNIT;
 */
 Blockly.BlockSvg.FIELD_Y_OFFSET = -2 * Blockly.BlockSvg.GRID_UNIT;
 
+/**
+ * Horizontal space between the value inputs below a block, and between the
+ * fields and inputs of a reporter.
+ * @const
+ */
+Blockly.BlockSvg.INPUT_SEP_X = 2 * Blockly.BlockSvg.GRID_UNIT;
+
+/**
+ * Vertical space between a reporter's edge and its tallest input.
+ * @const
+ */
+Blockly.BlockSvg.REPORTER_PADDING_Y = 1 * Blockly.BlockSvg.GRID_UNIT;
+
+/**
+ * SVG path for an empty hexagonal (boolean) input shape.
+ * @const
+ */
+Blockly.BlockSvg.INPUT_SHAPE_HEXAGONAL =
+    'M ' + 4 * Blockly.BlockSvg.GRID_UNIT + ',0 ' +
+    ' h ' + 4 * Blockly.BlockSvg.GRID_UNIT +
+    ' l ' + 4 * Blockly.BlockSvg.GRID_UNIT + ',' + 4 * Blockly.BlockSvg.GRID_UNIT +
+    ' l ' + -4 * Blockly.BlockSvg.GRID_UNIT + ',' + 4 * Blockly.BlockSvg.GRID_UNIT +
+    ' h ' + -4 * Blockly.BlockSvg.GRID_UNIT +
+    ' l ' + -4 * Blockly.BlockSvg.GRID_UNIT + ',' + -4 * Blockly.BlockSvg.GRID_UNIT +
+    ' l ' + 4 * Blockly.BlockSvg.GRID_UNIT + ',' + -4 * Blockly.BlockSvg.GRID_UNIT +
+    ' z';
+
+/**
+ * SVG path for an empty round input shape.
+ * @const
+ */
+Blockly.BlockSvg.INPUT_SHAPE_ROUND =
+    'M ' + (4 * Blockly.BlockSvg.GRID_UNIT) + ',0' +
+    ' h ' + (4 * Blockly.BlockSvg.GRID_UNIT) +
+    ' a ' + (4 * Blockly.BlockSvg.GRID_UNIT) + ' ' +
+        (4 * Blockly.BlockSvg.GRID_UNIT) + ' 0 0 1 0 ' +
+        (8 * Blockly.BlockSvg.GRID_UNIT) +
+    ' h ' + (-4 * Blockly.BlockSvg.GRID_UNIT) +
+    ' a ' + (4 * Blockly.BlockSvg.GRID_UNIT) + ' ' +
+        (4 * Blockly.BlockSvg.GRID_UNIT) + ' 0 0 1 0 -' +
+        (8 * Blockly.BlockSvg.GRID_UNIT) +
+    ' z';
+
+/**
+ * Width of an empty input shape.
+ * @const
+ */
+Blockly.BlockSvg.INPUT_SHAPE_WIDTH = 12 * Blockly.BlockSvg.GRID_UNIT;
+
+/**
+ * Height of an empty input shape.
+ * @const
+ */
+Blockly.BlockSvg.INPUT_SHAPE_HEIGHT = 8 * Blockly.BlockSvg.GRID_UNIT;
+
 /**
  * SVG start point for drawing the top-left corner.
  * @const
@@ -306,7 +368,8 @@ Blockly.BlockSvg.metricsAreEquivalent_ = function(first, second) {
       (first.bayHeight != second.bayHeight) ||
       (first.bayWidth != second.bayWidth) ||
       (first.fieldRadius != second.fieldRadius) ||
-      (first.startHat != second.startHat)) {
+      (first.startHat != second.startHat) ||
+      (first.inputLayout != second.inputLayout)) {
     return false;
   }
   return true;
@@ -329,6 +392,11 @@ Blockly.BlockSvg.prototype.updateColour = function() {
   // Render opacity
   this.svgPath_.setAttribute('fill-opacity', this.getOpacity());
 
+  // Update colours of input shapes.
+  for (var shape in this.inputShapes_) {
+    this.inputShapes_[shape].setAttribute('fill', this.getColourTertiary());
+  }
+
   // Bump every dropdown to change its colour.
   for (var x = 0, input; input = this.inputList[x]; x++) {
     for (var y = 0, field; field = input.fieldRow[y]; y++) {
@@ -354,6 +422,32 @@ Blockly.BlockSvg.prototype.highlightForReplacement = function(add) {
   }
 };
 
+/**
+ * Visual effect to show that if the dragging block is dropped it will connect
+ * to this input.
+ * @param {Blockly.Connection} conn The connection on the input to highlight.
+ * @param {boolean} add True if highlighting should be added.
+ */
+Blockly.BlockSvg.prototype.highlightShapeForInput = function(conn, add) {
+  var input = this.getInputWithConnection(conn);
+  if (!input) {
+    throw 'No input found for the connection';
+  }
+  var inputShape = this.inputShapes_[input.name];
+  if (!inputShape) {
+    return;
+  }
+  if (add) {
+    inputShape.setAttribute('filter', 'url(#blocklyReplacementGlowFilter)');
+    Blockly.utils.addClass(/** @type {!Element} */ (this.svgGroup),
+        'blocklyReplaceable');
+  } else {
+    inputShape.removeAttribute('filter');
+    Blockly.utils.removeClass(/** @type {!Element} */ (this.svgGroup),
+        'blocklyReplaceable');
+  }
+};
+
 /**
  * Returns a bounding box describing the dimensions of this block
  * and any blocks stacked below it.
@@ -364,10 +458,11 @@ Blockly.BlockSvg.prototype.highlightForReplacement = function(add) {
 Blockly.BlockSvg.prototype.getHeightWidth = function(opt_ignoreFields) {
   var height = this.height;
   var width = this.width;
-  // Add the size of the field shadow block.
-  if (!opt_ignoreFields && this.getFieldShadowBlock_()) {
+  // Add the size of the value inputs below the block.
+  var inputsHeight = this.getValueInputsHeight_();
+  if (!opt_ignoreFields && inputsHeight) {
     height += Blockly.BlockSvg.FIELD_Y_OFFSET;
-    height += Blockly.BlockSvg.FIELD_HEIGHT;
+    height += inputsHeight;
   }
   // Recursively add size of subsequent blocks.
   var nextBlock = this.getNextBlock();
@@ -398,9 +493,10 @@ Blockly.BlockSvg.prototype.render = function(opt_bubble) {
       Blockly.BlockSvg.metricsAreEquivalent_(oldMetrics, metrics)) {
     // Skipping the redraw is fine, but we may still have to tighten up our
     // connections with child blocks.
-    if (metrics.statement && metrics.statement.connection &&
-        metrics.statement.targetConnection) {
-      metrics.statement.connection.tighten_();
+    for (var i = 0, input; input = this.inputList[i]; i++) {
+      if (input.connection && input.connection.isConnected()) {
+        input.connection.tighten_();
+      }
     }
     if (this.nextConnection && this.nextConnection.targetConnection) {
       this.nextConnection.tighten_();
@@ -435,42 +531,61 @@ Blockly.BlockSvg.prototype.render = function(opt_bubble) {
 Blockly.BlockSvg.prototype.renderCompute_ = function() {
   var metrics = {
     statement: null,
+    bays: [],
+    valueInputs: [],
+    fields: [],
     imageField: null,
     iconMenu: null,
     width: 0,
     height: 0,
     bayHeight: 0,
     bayWidth: 0,
-    bayNotchAtRight: true,
     fieldRadius: 0,
     startHat: false,
-    endCap: false
+    endCap: false,
+    reporter: !!this.outputConnection && !this.isShadow(),
+    inputLayout: ''
   };
+  // Fields and value inputs of a reporter, in the order they are drawn.
+  var reporterRow = [];
 
-  // Does block have a statement?
   for (var i = 0, input; input = this.inputList[i]; i++) {
+    // Does block have statements?
     if (input.type == Blockly.NEXT_STATEMENT) {
-      metrics.statement = input;
-      // Compute minimum input size.
-      metrics.bayHeight = Blockly.BlockSvg.MIN_BLOCK_Y;
-      metrics.bayWidth = Blockly.BlockSvg.MIN_BLOCK_X;
-      // Expand input size if there is a connection.
-      if (input.connection && input.connection.targetConnection) {
-        var linkedBlock = input.connection.targetBlock();
+      metrics.statement = metrics.statement || input;
+      // Compute minimum bay size.
+      var bay = {
+        input: input,
+        width: Blockly.BlockSvg.MIN_BLOCK_X,
+        notchAtRight: true
+      };
+      var bayHeight = Blockly.BlockSvg.MIN_BLOCK_Y;
+      // Expand bay size if there is a connection.
+      var linkedBlock = input.connection.targetBlock();
+      if (linkedBlock) {
         var bBox = linkedBlock.getHeightWidth(true);
-        metrics.bayHeight = Math.max(metrics.bayHeight, bBox.height);
-        metrics.bayWidth = Math.max(metrics.bayWidth, bBox.width);
+        bayHeight = Math.max(bayHeight, bBox.height);
+        bay.width = Math.max(bay.width, bBox.width);
       }
-      var linkedBlock = input.connection.targetBlock();
       if (linkedBlock && !linkedBlock.lastConnectionInStack()) {
-        metrics.bayNotchAtRight = false;
+        bay.notchAtRight = false;
       } else {
-        metrics.bayWidth -= Blockly.BlockSvg.NOTCH_WIDTH;
+        bay.width -= Blockly.BlockSvg.NOTCH_WIDTH;
       }
+      metrics.bays.push(bay);
+      // All bays are as tall as the tallest one.
+      metrics.bayHeight = Math.max(metrics.bayHeight, bayHeight);
+      metrics.bayWidth += bay.width + 4 * Blockly.BlockSvg.CORNER_RADIUS +
+          2 * Blockly.BlockSvg.GRID_UNIT;
     }
 
     // Find image field, input fields
     for (var j = 0, field; field = input.fieldRow[j]; j++) {
+      if (metrics.reporter) {
+        // Reporters lay out all of their fields in a row.
+        reporterRow.push({field: field});
+        continue;
+      }
       if (field instanceof Blockly.FieldImage) {
         metrics.imageField = field;
       }
@@ -483,6 +598,13 @@ Blockly.BlockSvg.prototype.renderCompute_ = function() {
         metrics.fieldRadius = Blockly.BlockSvg.FIELD_DEFAULT_CORNER_RADIUS;
       }
     }
+    if (input.type == Blockly.INPUT_VALUE) {
+      if (metrics.reporter) {
+        reporterRow.push({input: input});
+      } else {
+        metrics.valueInputs.push({input: input});
+      }
+    }
   }
 
   // Determine whether a block is a start hat or end cap by checking connections.
@@ -506,6 +628,11 @@ Blockly.BlockSvg.prototype.renderCompute_ = function() {
     }
   }
 
+  if (metrics.reporter) {
+    this.renderComputeReporter_(metrics, reporterRow);
+    return metrics;
+  }
+
   // Always render image field at 40x40 px
   // Normal block sizing
   metrics.width = Blockly.BlockSvg.SEP_SPACE_X * 2 + Blockly.BlockSvg.IMAGE_FIELD_WIDTH;
@@ -517,8 +644,8 @@ Blockly.BlockSvg.prototype.renderCompute_ = function() {
     metrics.width = Blockly.BlockSvg.FIELD_WIDTH;
   }
   if (metrics.statement) {
-    // Block with statement (e.g., repeat, forever)
-    metrics.width += metrics.bayWidth + 4 * Blockly.BlockSvg.CORNER_RADIUS + 2 * Blockly.BlockSvg.GRID_UNIT;
+    // Block with statements (e.g., repeat, forever, if-else)
+    metrics.width += metrics.bayWidth;
     metrics.height = metrics.bayHeight + Blockly.BlockSvg.STATEMENT_BLOCK_SPACE;
   }
   if (metrics.startHat) {
@@ -529,9 +656,138 @@ Blockly.BlockSvg.prototype.renderCompute_ = function() {
     // End caps are 1 unit wider to account for optical effect of no notch.
     metrics.width += 1 * Blockly.BlockSvg.GRID_UNIT;
   }
+
+  // Value inputs sit in a row along the bottom of the block, after the bays.
+  var cursorX = Blockly.BlockSvg.NOTCH_WIDTH + metrics.bayWidth;
+  if (metrics.startHat) {
+    // Start hats add some left margin to field for visual balance
+    cursorX += Blockly.BlockSvg.GRID_UNIT * 2;
+  }
+  for (var i = 0, item; item = metrics.valueInputs[i]; i++) {
+    var size = this.getInputSize_(item.input);
+    item.x = cursorX;
+    item.y = metrics.height + Blockly.BlockSvg.FIELD_Y_OFFSET;
+    item.width = size.width;
+    item.height = size.height;
+    cursorX += size.width + Blockly.BlockSvg.INPUT_SEP_X;
+  }
+  if (metrics.valueInputs.length) {
+    // Widen the block if the inputs don't fit below it.
+    cursorX += Blockly.BlockSvg.CORNER_RADIUS - Blockly.BlockSvg.INPUT_SEP_X;
+    metrics.width = Math.max(metrics.width, cursorX);
+  }
+  metrics.inputLayout = this.renderComputeLayout_(metrics);
   return metrics;
 };
 
+/**
+ * Computes the size of a reporter and the positions of its fields and value
+ * inputs, which are laid out in a single row inside it.
+ * @param {!Object} metrics An object containing computed measurements of the
+ *    block.
+ * @param {!Array.<!Object>} row The reporter's fields and value inputs, as
+ *    objects with either a field or an input property.
+ * @private
+ */
+Blockly.BlockSvg.prototype.renderComputeReporter_ = function(metrics, row) {
+  metrics.height = Blockly.BlockSvg.FIELD_HEIGHT;
+  for (var i = 0, item; item = row[i]; i++) {
+    if (item.field) {
+      var size = item.field.getSize();
+      item.width = size.width;
+      metrics.height = Math.max(metrics.height, size.height);
+    } else {
+      var size = this.getInputSize_(item.input);
+      item.width = size.width;
+      item.height = size.height;
+      metrics.height = Math.max(metrics.height,
+          size.height + 2 * Blockly.BlockSvg.REPORTER_PADDING_Y);
+    }
+  }
+
+  // Leave room for the pointed ends of boolean reporters.
+  var padding = Blockly.BlockSvg.SEP_SPACE_X;
+  if (this.getOutputShape() == Blockly.OUTPUT_SHAPE_HEXAGONAL) {
+    padding = metrics.height / 2;
+  }
+  var cursorX = padding;
+  for (var i = 0, item; item = row[i]; i++) {
+    if (!item.width) {
+      // Skip invisible fields.
+      continue;
+    }
+    item.x = cursorX;
+    if (item.field) {
+      metrics.fields.push(item);
+    } else {
+      item.y = (metrics.height - item.height) / 2;
+      metrics.valueInputs.push(item);
+    }
+    cursorX += item.width + Blockly.BlockSvg.INPUT_SEP_X;
+  }
+  cursorX += padding - Blockly.BlockSvg.INPUT_SEP_X;
+  metrics.width = Math.max(Blockly.BlockSvg.FIELD_WIDTH, cursorX);
+  metrics.inputLayout = this.renderComputeLayout_(metrics);
+};
+
+/**
+ * Describe where the fields and value inputs of a block go, so that a change
+ * to any of them forces a redraw.
+ * @param {!Object} metrics An object containing computed measurements of the
+ *    block.
+ * @return {string} Description of the layout.
+ * @private
+ */
+Blockly.BlockSvg.prototype.renderComputeLayout_ = function(metrics) {
+  var layout = [];
+  for (var i = 0, item; item = metrics.fields[i]; i++) {
+    layout.push(item.x);
+  }
+  for (var i = 0, item; item = metrics.valueInputs[i]; i++) {
+    layout.push([item.input.name, item.x, item.y, item.width, item.height,
+        item.input.connection.isConnected()].join(','));
+  }
+  return layout.join(' ');
+};
+
+/**
+ * Get the space taken by a value input: the size of the block connected to
+ * it, or of the empty input shape.
+ * @param {!Blockly.Input} input The value input.
+ * @return {!{height: number, width: number}} Object with height and width
+ *     properties.
+ * @private
+ */
+Blockly.BlockSvg.prototype.getInputSize_ = function(input) {
+  var target = input.connection.targetBlock();
+  if (target) {
+    return target.getHeightWidth();
+  }
+  return {
+    height: Blockly.BlockSvg.INPUT_SHAPE_HEIGHT,
+    width: Blockly.BlockSvg.INPUT_SHAPE_WIDTH
+  };
+};
+
+/**
+ * Get the height of the tallest value input in the row below this block.
+ * Reporters hold their value inputs inside them, so this is 0 for them.
+ * @return {number} Height of the tallest value input, or 0 if there are none.
+ * @private
+ */
+Blockly.BlockSvg.prototype.getValueInputsHeight_ = function() {
+  if (this.outputConnection) {
+    return 0;
+  }
+  var height = 0;
+  for (var i = 0, input; input = this.inputList[i]; i++) {
+    if (input.type == Blockly.INPUT_VALUE) {
+      height = Math.max(height, this.getInputSize_(input).height);
+    }
+  }
+  return height;
+};
+
 
 /**
  * Draw the path of the block.
@@ -547,10 +803,19 @@ Blockly.BlockSvg.prototype.renderDraw_ = function(metrics) {
   // Assemble the block's path.
   var steps = [];
 
-  this.renderDrawLeft_(steps, connectionsXY, metrics);
-  this.renderDrawBottom_(steps, connectionsXY, metrics);
-  this.renderDrawRight_(steps, connectionsXY, metrics);
-  this.renderDrawTop_(steps, connectionsXY, metrics);
+  if (this.outputConnection) {
+    // Create output connection.
+    this.outputConnection.moveTo(connectionsXY.x, connectionsXY.y);
+    // This connection will be tightened when the parent renders.
+  }
+  if (metrics.reporter) {
+    this.renderDrawReporter_(steps, metrics);
+  } else {
+    this.renderDrawLeft_(steps, connectionsXY, metrics);
+    this.renderDrawBottom_(steps, connectionsXY, metrics);
+    this.renderDrawRight_(steps, connectionsXY, metrics);
+    this.renderDrawTop_(steps, connectionsXY, metrics);
+  }
 
   var pathString = steps.join(' ');
   this.svgPath_.setAttribute('d', pathString);
@@ -598,23 +863,8 @@ Blockly.BlockSvg.prototype.renderDraw_ = function(metrics) {
     }
   }
 
-  // Position value input
-  if (this.getFieldShadowBlock_()) {
-    var input = this.getFieldShadowBlock_().getSvgRoot();
-    var valueX = (Blockly.BlockSvg.NOTCH_WIDTH +
-      (metrics.bayWidth ? 2 * Blockly.BlockSvg.GRID_UNIT +
-        Blockly.BlockSvg.NOTCH_WIDTH * 2 : 0) + metrics.bayWidth);
-    if (metrics.startHat) {
-      // Start hats add some left margin to field for visual balance
-      valueX += Blockly.BlockSvg.GRID_UNIT * 2;
-    }
-    if (this.RTL) {
-      valueX = -valueX;
-    }
-    var valueY = (metrics.height + Blockly.BlockSvg.FIELD_Y_OFFSET);
-    var transformation = 'translate(' + valueX + ',' + valueY + ')';
-    input.setAttribute('transform', transformation);
-  }
+  this.renderFields_(metrics);
+  this.renderDrawValueInputs_(connectionsXY, metrics);
 };
 
 /**
@@ -629,9 +879,17 @@ Blockly.BlockSvg.prototype.renderClassify_ = function(metrics) {
 
   if (this.isShadowBlock) {
     shapes.push('argument');
+  } else if (metrics.reporter) {
+    shapes.push('reporter');
+    if (this.getOutputShape() == Blockly.OUTPUT_SHAPE_HEXAGONAL) {
+      shapes.push('boolean');
+    } else {
+      shapes.push('round');
+    }
   } else {
     if(metrics.statement) {
       shapes.push('c-block');
+      shapes.push('c-' + metrics.bays.length);
     }
     if (metrics.startHat) {
       shapes.push('hat'); // c-block+hats are possible (e.x. reprter procedures)
@@ -724,8 +982,9 @@ Blockly.BlockSvg.prototype.renderDrawBottom_ = function(steps,
       '0', '0,0', metrics.fieldRadius + ',' + metrics.fieldRadius);
   }
 
-  // Has statement
-  if (metrics.statement) {
+  // Has statements
+  var bayX = 0;
+  for (var i = 0, bay; bay = metrics.bays[i]; i++) {
     steps.push('h', String(4 * Blockly.BlockSvg.GRID_UNIT));
     steps.push('a', Blockly.BlockSvg.CORNER_RADIUS + ',' +
                Blockly.BlockSvg.CORNER_RADIUS + ' 0 0,0 ' +
@@ -740,12 +999,12 @@ Blockly.BlockSvg.prototype.renderDrawBottom_ = function(steps,
                Blockly.BlockSvg.CORNER_RADIUS + ' 0 0,1 ' +
                Blockly.BlockSvg.CORNER_RADIUS + ',-' +
                Blockly.BlockSvg.CORNER_RADIUS);
-    steps.push('h', String(metrics.bayWidth - (Blockly.BlockSvg.CORNER_RADIUS * 2)));
+    steps.push('h', String(bay.width - (Blockly.BlockSvg.CORNER_RADIUS * 2)));
     steps.push('a', Blockly.BlockSvg.CORNER_RADIUS + ',' +
                Blockly.BlockSvg.CORNER_RADIUS + ' 0 0,1 ' +
                Blockly.BlockSvg.CORNER_RADIUS + ',' +
                Blockly.BlockSvg.CORNER_RADIUS);
-    if (metrics.bayNotchAtRight) {
+    if (bay.notchAtRight) {
       steps.push('v', String(metrics.bayHeight - (Blockly.BlockSvg.CORNER_RADIUS * 3) -
         Blockly.BlockSvg.NOTCH_HEIGHT - 2 * Blockly.BlockSvg.GRID_UNIT));
       steps.push(Blockly.BlockSvg.NOTCH_PATH_DOWN);
@@ -758,17 +1017,20 @@ Blockly.BlockSvg.prototype.renderDrawBottom_ = function(steps,
 
     // Create statement connection.
     var connectionX = connectionsXY.x + Blockly.BlockSvg.CORNER_RADIUS * 2 +
-        4 * Blockly.BlockSvg.GRID_UNIT;
+        4 * Blockly.BlockSvg.GRID_UNIT + bayX;
     if (this.RTL) {
       connectionX = connectionsXY.x - Blockly.BlockSvg.CORNER_RADIUS * 2 -
-          4 * Blockly.BlockSvg.GRID_UNIT;
+          4 * Blockly.BlockSvg.GRID_UNIT - bayX;
     }
     var connectionY = connectionsXY.y + metrics.height -
         Blockly.BlockSvg.CORNER_RADIUS * 2;
-    metrics.statement.connection.moveTo(connectionX, connectionY);
-    if (metrics.statement.connection.targetConnection) {
-      metrics.statement.connection.tighten_();
+    bay.input.connection.moveTo(connectionX, connectionY);
+    if (bay.input.connection.isConnected()) {
+      bay.input.connection.tighten_();
     }
+    // The next bay starts after this one's right edge.
+    bayX += bay.width + 4 * Blockly.BlockSvg.CORNER_RADIUS +
+        2 * Blockly.BlockSvg.GRID_UNIT;
   }
 
   if (!this.isShadow()) {
@@ -850,20 +1112,114 @@ Blockly.BlockSvg.prototype.renderDrawTop_ = function(steps, connectionsXY, metri
 };
 
 /**
- * Get the field shadow block, if this block has one.
- * <p>This is horizontal Scratch-specific, as "fields" are implemented as inputs
- * with shadow blocks, and there is only one per block.
- * @return {Blockly.BlockSvg} The field shadow block, or null if not found.
+ * Render the outline of a reporter: round, or hexagonal for booleans.
+ * @param {!Array.<string>} steps Path of block outline.
+ * @param {!Object} metrics An object containing computed measurements of the
+ *    block.
  * @private
  */
-Blockly.BlockSvg.prototype.getFieldShadowBlock_ = function() {
-  for (var i = 0, child; child = this.childBlocks[i]; i++) {
-    if (child.isShadow()) {
-      return /** @type {Blockly.BlockSvg} */ (child);
+Blockly.BlockSvg.prototype.renderDrawReporter_ = function(steps, metrics) {
+  var edge = metrics.height / 2;
+  steps.push('m', edge + ',0');
+  steps.push('H', String(metrics.width - edge));
+  if (this.getOutputShape() == Blockly.OUTPUT_SHAPE_HEXAGONAL) {
+    steps.push('l', edge + ',' + edge, -edge + ',' + edge);
+    steps.push('H', String(edge));
+    steps.push('l', -edge + ',' + -edge, edge + ',' + -edge);
+  } else {
+    steps.push('a', edge + ',' + edge, '0', '0,1', '0,' + metrics.height);
+    steps.push('H', String(edge));
+    steps.push('a', edge + ',' + edge, '0', '0,1', '0,' + -metrics.height);
+  }
+  steps.push('z');
+};
+
+/**
+ * Move the fields of a reporter to their places in its row, centred
+ * vertically.
+ * @param {!Object} metrics An object containing computed measurements of the
+ *    block.
+ * @private
+ */
+Blockly.BlockSvg.prototype.renderFields_ = function(metrics) {
+  for (var i = 0, item; item = metrics.fields[i]; i++) {
+    var root = item.field.getSvgRoot();
+    if (!root) {
+      continue;
+    }
+    var fieldSize = item.field.getSize();
+    var fieldX = item.x;
+    if (this.RTL) {
+      fieldX = -item.x - fieldSize.width;
+    }
+    var fieldY = (metrics.height - fieldSize.height) / 2;
+    root.setAttribute('transform',
+        'translate(' + fieldX + ',' + fieldY + ')');
+    // Fields are invisible on insertion marker.
+    if (this.isInsertionMarker()) {
+      root.setAttribute('display', 'none');
     }
   }
+};
 
-  return null;
+/**
+ * Move the connections of the value inputs to their places, and the blocks
+ * connected to them along with them.  Draw the empty inputs.
+ * @param {!Object} connectionsXY Location of block.
+ * @param {!Object} metrics An object containing computed measurements of the
+ *    block.
+ * @private
+ */
+Blockly.BlockSvg.prototype.renderDrawValueInputs_ = function(connectionsXY,
+    metrics) {
+  for (var i = 0, item; item = metrics.valueInputs[i]; i++) {
+    var connection = item.input.connection;
+    var connectionX = connectionsXY.x + item.x;
+    if (this.RTL) {
+      connectionX = connectionsXY.x - item.x;
+    }
+    connection.moveTo(connectionX, connectionsXY.y + item.y);
+    if (connection.isConnected()) {
+      connection.tighten_();
+    }
+    this.renderInputShape_(item.input, item.x, item.y);
+  }
+};
+
+/**
+ * Draw the outline of a value input with no block connected to it, in the
+ * shape of the blocks it accepts.
+ * @param {!Blockly.Input} input The value input.
+ * @param {number} x X offset of the input.
+ * @param {number} y Y offset of the input.
+ * @private
+ */
+Blockly.BlockSvg.prototype.renderInputShape_ = function(input, x, y) {
+  var inputShape = this.inputShapes_[input.name];
+  if (!inputShape) {
+    // No input shape for this input - e.g., the block is an insertion marker.
+    return;
+  }
+  // Input shapes are only visibly rendered on non-connected slots.
+  if (input.connection.isConnected()) {
+    inputShape.setAttribute('style', 'visibility: hidden');
+    return;
+  }
+  var inputShapePath = Blockly.BlockSvg.INPUT_SHAPE_ROUND;
+  var inputShapeArgType = 'round';
+  if (input.connection.getOutputShape() == Blockly.OUTPUT_SHAPE_HEXAGONAL) {
+    inputShapePath = Blockly.BlockSvg.INPUT_SHAPE_HEXAGONAL;
+    inputShapeArgType = 'boolean';
+  }
+  var inputShapeX = x;
+  if (this.RTL) {
+    inputShapeX = -x - Blockly.BlockSvg.INPUT_SHAPE_WIDTH;
+  }
+  inputShape.setAttribute('d', inputShapePath);
+  inputShape.setAttribute('transform',
+      'translate(' + inputShapeX + ',' + y + ')');
+  inputShape.setAttribute('data-argument-type', inputShapeArgType);
+  inputShape.setAttribute('style', 'visibility: visible');
 };
 
 /**
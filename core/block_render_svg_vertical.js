@@ -30,6 +30,13 @@ goog.require('Blockly.BlockSvg');
 
 
 // UI constants for rendering blocks.
+/**
+ * True if stacks of blocks run from left to right, false if they run from top
+ * to bottom.  In this renderer they run from top to bottom.
+ * @const
+ */
+Blockly.BlockSvg.HORIZONTAL_LAYOUT = false;
+
 /**
 * Grid unit to pixels conversion
 * @const
@@ -477,7 +484,7 @@ Blockly.BlockSvg.prototype.updateColour = function() {
   this.svgPath_.setAttribute('stroke', strokeColour);
 
   // Render block fill
-  var fillColour = (this.isGlowingBlock_) ? this.getColourSecondary() : this.getColour();
+  var fillColour = (this.isGlowingBlock) ? this.getColourSecondary() : this.getColour();
   this.svgPath_.setAttribute('fill', fillColour);
 
   // Render opacity
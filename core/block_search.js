@@ -0,0 +1,354 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A search bar for finding blocks in a workspace.  The matches
+ * glow, and the user steps through them, scrolling the workspace to each.
+ * See Blockly.Workspace.findBlocks for the queries it takes.
+ */
+'use strict';
+
+goog.provide('Blockly.BlockSearch');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Workspace');
+
+goog.require('goog.dom');
+
+
+/**
+ * Class for a workspace's block search.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to search.
+ * @constructor
+ */
+Blockly.BlockSearch = function(workspace) {
+  /**
+   * The workspace to search.
+   * @type {!Blockly.WorkspaceSvg}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * The current query, or null if there is none.
+   * @type {Object}
+   * @private
+   */
+  this.query_ = null;
+
+  /**
+   * The blocks matching the current query, in reading order.
+   * @type {!Array.<!Blockly.BlockSvg>}
+   * @private
+   */
+  this.results_ = [];
+
+  /**
+   * Index in results_ of the block the user is at, or -1 before the first
+   * step.
+   * @type {number}
+   * @private
+   */
+  this.index_ = -1;
+
+  /**
+   * The search bar's outermost element.  Null when the bar isn't showing.
+   * @type {Element}
+   * @private
+   */
+  this.div_ = null;
+
+  /**
+   * The search bar's text box.
+   * @type {Element}
+   * @private
+   */
+  this.input_ = null;
+
+  /**
+   * The element showing where the user is in the results.
+   * @type {Element}
+   * @private
+   */
+  this.countDiv_ = null;
+
+  this.changeWrapper_ = workspace.addChangeListener(this.onChange_.bind(this));
+};
+
+/**
+ * Get the query that finds all uses of what a block stands for: the procedure
+ * it defines or calls, the variable or broadcast message it uses, or else its
+ * type.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Object} The query, for Blockly.Workspace.findBlocks.
+ */
+Blockly.BlockSearch.queryForBlock = function(block) {
+  var procedure = Blockly.Workspace.getProcedureName_(block);
+  if (procedure) {
+    return {procedure: procedure};
+  }
+  var parts = Blockly.Workspace.getBlockAndShadows_(block);
+  for (var i = 0, part; part = parts[i]; i++) {
+    var variables = part.getVars();
+    if (variables && variables.length && variables[0]) {
+      return {variable: variables[0]};
+    }
+  }
+  for (var i = 0, part; part = parts[i]; i++) {
+    var fieldName = Blockly.Workspace.BROADCAST_FIELDS_[part.type];
+    if (fieldName && part.getFieldValue(fieldName)) {
+      return {broadcast: part.getFieldValue(fieldName)};
+    }
+  }
+  return {type: block.type};
+};
+
+/**
+ * Show the search bar.  If a query is given, search for it and go to the
+ * first match; otherwise let the user type what to find.
+ * @param {Object=} opt_query The query, as for Blockly.Workspace.findBlocks.
+ */
+Blockly.BlockSearch.prototype.show = function(opt_query) {
+  if (!this.div_) {
+    this.createDom_();
+  }
+  if (opt_query) {
+    this.input_.value = opt_query.text || '';
+    this.search(opt_query);
+    this.next();
+  } else {
+    this.input_.focus();
+    this.input_.select();
+  }
+};
+
+/**
+ * Is the search bar showing?
+ * @return {boolean} True if visible.
+ */
+Blockly.BlockSearch.prototype.isVisible = function() {
+  return !!this.div_;
+};
+
+/**
+ * Find the blocks matching a query and make them glow.  Call next to go to
+ * the first match.
+ * @param {Object} query The query, as for Blockly.Workspace.findBlocks, or
+ *     null to clear the results.
+ * @return {number} The number of matches.
+ */
+Blockly.BlockSearch.prototype.search = function(query) {
+  this.setGlow_(false);
+  this.query_ = query;
+  this.results_ = query ? this.findRenderedBlocks_(query) : [];
+  this.index_ = -1;
+  this.setGlow_(true);
+  this.updateCount_();
+  return this.results_.length;
+};
+
+/**
+ * Get the blocks matching the current query.
+ * @return {!Array.<!Blockly.BlockSvg>} The matches, in reading order.
+ */
+Blockly.BlockSearch.prototype.getResults = function() {
+  return this.results_.slice();
+};
+
+/**
+ * Get the block the user is at.
+ * @return {Blockly.BlockSvg} The block, or null before the first step.
+ */
+Blockly.BlockSearch.prototype.getCurrent = function() {
+  return this.results_[this.index_] || null;
+};
+
+/**
+ * Go to the next match, after the last one back to the first.
+ * @return {Blockly.BlockSvg} The match, or null if there are none.
+ */
+Blockly.BlockSearch.prototype.next = function() {
+  return this.step_(1);
+};
+
+/**
+ * Go to the previous match, before the first one back to the last.
+ * @return {Blockly.BlockSvg} The match, or null if there are none.
+ */
+Blockly.BlockSearch.prototype.previous = function() {
+  return this.step_(-1);
+};
+
+/**
+ * Close the search bar and stop the matches glowing.
+ */
+Blockly.BlockSearch.prototype.hide = function() {
+  this.search(null);
+  if (this.div_) {
+    goog.dom.removeNode(this.div_);
+  }
+  this.div_ = null;
+  this.input_ = null;
+  this.countDiv_ = null;
+};
+
+/**
+ * Close the search bar and stop listening to the workspace.
+ */
+Blockly.BlockSearch.prototype.dispose = function() {
+  this.hide();
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+};
+
+/**
+ * Create the search bar in the workspace's injection div.
+ * @private
+ */
+Blockly.BlockSearch.prototype.createDom_ = function() {
+  var search = this;
+  this.div_ = goog.dom.createDom('div', 'blocklySearch');
+  this.input_ = goog.dom.createDom('input',
+      {'type': 'text', 'class': 'blocklySearchInput',
+       'placeholder': Blockly.Msg.SEARCH_PLACEHOLDER});
+  Blockly.bindEvent(this.input_, 'input', null, function() {
+    var text = search.input_.value;
+    search.search(text ? {text: text} : null);
+    search.next();
+  });
+  Blockly.bindEvent(this.input_, 'keydown', null, function(e) {
+    if (e.keyCode == 13) {
+      // Enter
+      if (e.shiftKey) {
+        search.previous();
+      } else {
+        search.next();
+      }
+    } else if (e.keyCode == 27) {
+      // Escape
+      search.hide();
+    }
+  });
+  this.div_.appendChild(this.input_);
+  this.countDiv_ = goog.dom.createDom('span', 'blocklySearchCount');
+  this.div_.appendChild(this.countDiv_);
+  this.div_.appendChild(this.createButton_('\u25B2', this.previous));
+  this.div_.appendChild(this.createButton_('\u25BC', this.next));
+  this.div_.appendChild(this.createButton_('\u00D7', this.hide));
+  this.workspace_.getParentSvg().parentNode.appendChild(this.div_);
+};
+
+/**
+ * Create a button for the search bar.
+ * @param {string} text The button's text.
+ * @param {!Function} func Method to call when the button is clicked.
+ * @return {!Element} The button.
+ * @private
+ */
+Blockly.BlockSearch.prototype.createButton_ = function(text, func) {
+  var button = goog.dom.createDom('button', 'blocklySearchButton', text);
+  Blockly.bindEvent(button, 'click', this, func);
+  return button;
+};
+
+/**
+ * Find the rendered blocks matching a query.  The search ignores flyouts and
+ * blocks that haven't been drawn yet.
+ * @param {!Object} query The query, as for Blockly.Workspace.findBlocks.
+ * @return {!Array.<!Blockly.BlockSvg>} The matches, in reading order.
+ * @private
+ */
+Blockly.BlockSearch.prototype.findRenderedBlocks_ = function(query) {
+  return this.workspace_.findBlocks(query).filter(function(block) {
+    return block.rendered;
+  });
+};
+
+/**
+ * Go forward or back through the matches, scrolling the workspace to the
+ * new match and selecting it.
+ * @param {number} delta 1 to go forward, -1 to go back.
+ * @return {Blockly.BlockSvg} The match, or null if there are none.
+ * @private
+ */
+Blockly.BlockSearch.prototype.step_ = function(delta) {
+  var count = this.results_.length;
+  if (!count) {
+    return null;
+  }
+  if (this.index_ == -1 && delta < 0) {
+    this.index_ = count - 1;
+  } else {
+    this.index_ = (this.index_ + delta + count) % count;
+  }
+  var block = this.results_[this.index_];
+  this.workspace_.centerOnBlock(block.id);
+  block.select();
+  this.updateCount_();
+  return block;
+};
+
+/**
+ * Make the matches glow, or stop them glowing.
+ * @param {boolean} glow True to glow.
+ * @private
+ */
+Blockly.BlockSearch.prototype.setGlow_ = function(glow) {
+  for (var i = 0, block; block = this.results_[i]; i++) {
+    // Deleted blocks have no workspace.
+    if (block.workspace) {
+      block.setGlowBlock(glow);
+    }
+  }
+};
+
+/**
+ * Show where the user is in the results.
+ * @private
+ */
+Blockly.BlockSearch.prototype.updateCount_ = function() {
+  if (!this.countDiv_) {
+    return;
+  }
+  var text = '';
+  if (this.query_ && !this.results_.length) {
+    text = Blockly.Msg.SEARCH_NO_RESULTS;
+  } else if (this.query_) {
+    text = Blockly.Msg.SEARCH_RESULTS
+        .replace('%1', String(this.index_ + 1))
+        .replace('%2', String(this.results_.length));
+  }
+  this.countDiv_.textContent = text;
+};
+
+/**
+ * Search again when the workspace changes, so that new blocks glow and
+ * deleted ones leave the results.  The user stays at the same match.
+ * @param {!Blockly.Events.Abstract} event Change event.
+ * @private
+ */
+Blockly.BlockSearch.prototype.onChange_ = function(event) {
+  if (!this.query_ || event.type == Blockly.Events.UI) {
+    return;
+  }
+  var current = this.getCurrent();
+  this.search(this.query_);
+  this.index_ = current ? this.results_.indexOf(current) : -1;
+  this.updateCount_();
+};
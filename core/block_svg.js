@@ -27,9 +27,13 @@
 goog.provide('Blockly.BlockSvg');
 
 goog.require('Blockly.Block');
+goog.require('Blockly.BlockSearch');
 goog.require('Blockly.ContextMenu');
 goog.require('Blockly.Icon');
+goog.require('Blockly.ImageExport');
+goog.require('Blockly.Tooltip');
 goog.require('Blockly.Touch');
+goog.require('Blockly.Types');
 goog.require('Blockly.RenderedConnection');
 goog.require('Blockly.Warning');
 goog.require('goog.asserts');
@@ -308,6 +312,14 @@ Blockly.BlockSvg.onMouseUpWrapper_ = null;
  */
 Blockly.BlockSvg.onMouseMoveWrapper_ = null;
 
+/**
+ * The inputs marked during a drag because the dragged block doesn't fit into
+ * them, with the elements that carry the marks.
+ * @type {!Array.<{connection: !Blockly.Connection, element: !Element}>}
+ * @private
+ */
+Blockly.BlockSvg.incompatibleInputs_ = [];
+
 /**
  * Stop binding to the global mouseup and mousemove events.
  * @package
@@ -324,6 +336,8 @@ Blockly.BlockSvg.terminateDrag = function() {
   var selected = Blockly.selected;
   if (Blockly.dragMode == Blockly.DRAG_FREE) {
     // Terminate a drag operation.
+    Blockly.BlockSvg.unmarkIncompatibleInputs_();
+    Blockly.Tooltip.hide();
     if (selected) {
       if (Blockly.replacementMarker) {
         Blockly.BlockSvg.removeReplacementMarker();
@@ -565,6 +579,41 @@ Blockly.BlockSvg.prototype.getBoundingRectangle = function() {
   return {topLeft: topLeft, bottomRight: bottomRight};
 };
 
+/**
+ * Draw this block and the blocks stacked below it as a standalone SVG image.
+ * @param {function(string)} callback Called with the SVG's text.
+ */
+Blockly.BlockSvg.prototype.toSvg = function(callback) {
+  Blockly.ImageExport.toSvg([this], this.getBoundingBox_(), callback);
+};
+
+/**
+ * Draw this block and the blocks stacked below it as a PNG image.
+ * @param {function(?string)} callback Called with a data URI of the PNG, or
+ *     null if the browser can't draw it.
+ * @param {number=} opt_scale Pixels per workspace unit.  Defaults to 1.
+ */
+Blockly.BlockSvg.prototype.toPng = function(callback, opt_scale) {
+  Blockly.ImageExport.toPng([this], this.getBoundingBox_(), callback,
+      opt_scale);
+};
+
+/**
+ * Get the area covered by this block and the blocks stacked below it, in the
+ * form of getBlocksBoundingBox.
+ * @return {!{x: number, y: number, width: number, height: number}} The area.
+ * @private
+ */
+Blockly.BlockSvg.prototype.getBoundingBox_ = function() {
+  var rect = this.getBoundingRectangle();
+  return {
+    x: rect.topLeft.x,
+    y: rect.topLeft.y,
+    width: rect.bottomRight.x - rect.topLeft.x,
+    height: rect.bottomRight.y - rect.topLeft.y
+  };
+};
+
 /**
  * Set block opacity for SVG rendering.
  * @param {number} opacity Intended opacity, betweeen 0 and 1
@@ -877,6 +926,52 @@ Blockly.BlockSvg.prototype.showContextMenu = function(e) {
     menuOptions.push(deleteOption);
   }
 
+  if (this.workspace.options.breakpoints && !block.isInFlyout &&
+      !this.isShadow()) {
+    // Option to set/remove a breakpoint for the debugger.
+    var blockDebugger = this.workspace.getDebugger();
+    var hasBreakpoint = blockDebugger.hasBreakpoint(this.id);
+    var breakpointOption = {
+      text: hasBreakpoint ? Blockly.Msg.REMOVE_BREAKPOINT :
+          Blockly.Msg.ADD_BREAKPOINT,
+      enabled: true,
+      callback: function() {
+        blockDebugger.setBreakpoint(block.id, !hasBreakpoint);
+      }
+    };
+    menuOptions.push(breakpointOption);
+  }
+
+  if (this.workspace.scrollbar && !block.isInFlyout && !this.isShadow()) {
+    // Option to find the blocks using the same procedure, variable, broadcast
+    // message or type as this block.
+    var findOption = {
+      text: Blockly.Msg.FIND_ALL_USES,
+      enabled: true,
+      callback: function() {
+        block.workspace.getBlockSearch().show(
+            Blockly.BlockSearch.queryForBlock(block));
+      }
+    };
+    menuOptions.push(findOption);
+  }
+
+  if (!block.isInFlyout && !this.isShadow()) {
+    // Option to save a picture of the whole script, e.g. for a worksheet.
+    var pictureOption = {
+      text: Blockly.Msg.SAVE_PICTURE_OF_SCRIPT,
+      enabled: true,
+      callback: function() {
+        block.getRootBlock().toPng(function(uri) {
+          if (uri) {
+            Blockly.ImageExport.download(uri, 'script.png');
+          }
+        }, 2);
+      }
+    };
+    menuOptions.push(pictureOption);
+  }
+
   // Option to get help.
   var url = goog.isFunction(this.helpUrl) ? this.helpUrl() : this.helpUrl;
   var helpOption = {enabled: !!url};
@@ -1003,6 +1098,7 @@ Blockly.BlockSvg.prototype.onMouseMove_ = function(e) {
       }
       this.setDragging_(true);
       this.moveToDragSurface_();
+      this.markIncompatibleInputs_();
     }
   }
   if (Blockly.dragMode == Blockly.DRAG_FREE) {
@@ -1091,6 +1187,87 @@ Blockly.BlockSvg.prototype.handleDragFree_ = function(oldXY, newXY, e) {
         e, newXY.x - this.dragStartXY_.x, newXY.y - this.dragStartXY_.y,
         candidateIsLast);
   }
+  this.updateMismatchTooltip_(closestConnection ? null : dxy, e);
+};
+
+/**
+ * Mark the value inputs of the other blocks on the workspace that this
+ * block's output doesn't fit into, for the length of the drag.
+ * @private
+ */
+Blockly.BlockSvg.prototype.markIncompatibleInputs_ = function() {
+  var output = this.outputConnection;
+  if (!output || !output.getCheck()) {
+    // Fits everywhere.
+    return;
+  }
+  var blocks = this.workspace.getAllBlocks();
+  for (var i = 0, block; block = blocks[i]; i++) {
+    if (block.isInsertionMarker() || block.getRootBlock() == this) {
+      continue;
+    }
+    for (var j = 0, input; input = block.inputList[j]; j++) {
+      var connection = input.connection;
+      if (!connection || connection.type != Blockly.INPUT_VALUE ||
+          connection.hidden || output.checkType(connection)) {
+        continue;
+      }
+      // Mark the block in the input, since it covers the input's shape.
+      var target = connection.targetBlock();
+      var element = target ? target.svgPath_ : block.inputShapes_[input.name];
+      if (element) {
+        Blockly.utils.addClass(element, 'blocklyIncompatibleInput');
+        Blockly.BlockSvg.incompatibleInputs_.push(
+            {connection: connection, element: element});
+      }
+    }
+  }
+};
+
+/**
+ * Remove the marks from the inputs that the dragged block doesn't fit into.
+ * @private
+ */
+Blockly.BlockSvg.unmarkIncompatibleInputs_ = function() {
+  var inputs = Blockly.BlockSvg.incompatibleInputs_;
+  for (var i = 0; i < inputs.length; i++) {
+    Blockly.utils.removeClass(inputs[i].element, 'blocklyIncompatibleInput');
+  }
+  Blockly.BlockSvg.incompatibleInputs_ = [];
+};
+
+/**
+ * Explain in a tooltip why this block doesn't fit if it is near an input that
+ * it doesn't fit into, or hide the explanation otherwise.
+ * @param {goog.math.Coordinate} dxy How far the block has moved since the
+ *     start of the drag, or null if it is about to connect somewhere.
+ * @param {!Event} e Mouse move event.
+ * @private
+ */
+Blockly.BlockSvg.prototype.updateMismatchTooltip_ = function(dxy, e) {
+  var output = this.outputConnection;
+  var closest = null;
+  var radius = Blockly.SNAP_RADIUS;
+  if (dxy && output) {
+    var inputs = Blockly.BlockSvg.incompatibleInputs_;
+    for (var i = 0; i < inputs.length; i++) {
+      var connection = inputs[i].connection;
+      var dx = output.x + dxy.x - connection.x;
+      var dy = output.y + dxy.y - connection.y;
+      var distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance <= radius) {
+        closest = connection;
+        radius = distance;
+      }
+    }
+  }
+  if (closest) {
+    Blockly.Tooltip.showText(
+        Blockly.Types.getMismatchText(output.getCheck(), closest.getCheck()),
+        e.clientX + window.scrollX, e.clientY + window.scrollY, this.RTL);
+  } else if (Blockly.Tooltip.visible) {
+    Blockly.Tooltip.hide();
+  }
 };
 
 /**
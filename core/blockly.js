@@ -30,8 +30,16 @@
  */
 goog.provide('Blockly');
 
+goog.require('Blockly.Collaboration');
 goog.require('Blockly.DropDownDiv');
 goog.require('Blockly.Events');
+goog.require('Blockly.ExtensionRegistry');
+goog.require('Blockly.GrammarConverter');
+goog.require('Blockly.Hardware');
+goog.require('Blockly.HardwareWeDo');
+goog.require('Blockly.MemoryTransport');
+goog.require('Blockly.MockHardwareAdapter');
+goog.require('Blockly.Navigation');
 // Date picker commented out since it increases footprint by 60%.
 // Add it only if you need it.
 //goog.require('Blockly.FieldDate');
@@ -206,6 +214,11 @@ Blockly.onKeyDown = function(e) {
     // When focused on an HTML text input widget, don't trap any keys.
     return;
   }
+  if (Blockly.Navigation.onKeyDown(e)) {
+    // Arrow keys, enter and friends move the keyboard cursor.
+    e.preventDefault();
+    return;
+  }
   if (e.keyCode == 27) {
     // Pressing esc closes the context menu and any drop-down
     Blockly.hideChaff();
@@ -214,6 +227,14 @@ Blockly.onKeyDown = function(e) {
     // Delete or backspace.
     // Stop the browser from going back to the previous page.
     e.preventDefault();
+    // Only keyboard navigation deletes the selected block, so that a stray
+    // key doesn't delete blocks on workspaces that haven't opted in.
+    if (Blockly.selected && Blockly.selected.workspace.options.keyboardNav &&
+        Blockly.selected.isDeletable() &&
+        Blockly.dragMode == Blockly.DRAG_NONE) {
+      Blockly.hideChaff();
+      Blockly.Navigation.deleteBlock(Blockly.selected);
+    }
   } else if (e.altKey || e.ctrlKey || e.metaKey) {
     if (Blockly.selected &&
         Blockly.selected.isDeletable() && Blockly.selected.isMovable()) {
@@ -357,12 +378,18 @@ Blockly.confirm = function(message, callback) {
  * alternatives to the modal browser window. Built-in browser prompts are
  * often used for better text input experience on mobile device. We strongly
  * recommend testing mobile when overriding this.
+ * Overrides are passed a fourth argument, an optional options object.  When
+ * its showVariableOptions property is set they should offer a "for this sprite
+ * only" / "for all sprites" choice, and pass true to the callback's second
+ * argument for "this sprite only".  window.prompt() cannot, so its variables
+ * are always global.
  * @param {string} message The message to display to the user.
  * @param {string} defaultValue The value to initialize the prompt with.
- * @param {!function(?string)} callback The callback for handling user response.
+ * @param {!function(?string, boolean=)} callback The callback for handling
+ *     user response.
  */
 Blockly.prompt = function(message, defaultValue, callback) {
-  callback(window.prompt(message, defaultValue));
+  callback(window.prompt(message, defaultValue), false);
 };
 
 /**
@@ -0,0 +1,375 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Real-time collaboration on a workspace.  The workspace's
+ * events are sent to the other users through a transport, and their events
+ * are run on the workspace.  All users must start from the same project.
+ */
+'use strict';
+
+goog.provide('Blockly.Collaboration');
+
+goog.require('Blockly.CollaborationTransport');
+goog.require('Blockly.Events');
+goog.require('Blockly.utils');
+
+
+/**
+ * Class for the collaboration of one user on a workspace.
+ * @param {!Blockly.Workspace} workspace The user's workspace.
+ * @param {!Blockly.CollaborationTransport} transport Transport to the other
+ *     users.
+ * @param {Object=} opt_options Dictionary of options: 'clientId' to identify
+ *     this user's messages, 'name' and 'colour' to show this user's selection
+ *     to the others.
+ * @constructor
+ */
+Blockly.Collaboration = function(workspace, transport, opt_options) {
+  if (!transport) {
+    throw 'Collaboration needs a transport.';
+  }
+  var options = opt_options || {};
+
+  /**
+   * The user's workspace.
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * Transport to the other users.
+   * @type {!Blockly.CollaborationTransport}
+   * @private
+   */
+  this.transport_ = transport;
+
+  /**
+   * ID of this user's messages.
+   * @type {string}
+   */
+  this.clientId = options['clientId'] || Blockly.utils.genUid();
+
+  /**
+   * Name shown to the other users.
+   * @type {string}
+   */
+  this.name = options['name'] || '';
+
+  /**
+   * Colour of this user's selection for the other users.
+   * @type {string}
+   */
+  this.colour = options['colour'] || Blockly.Collaboration.COLOURS[
+      Math.floor(Math.random() * Blockly.Collaboration.COLOURS.length)];
+
+  /**
+   * The other users who have selected a block, keyed by client ID.
+   * @type {!Object.<string, {name: string, colour: string, blockId: string}>}
+   * @private
+   */
+  this.remoteUsers_ = Object.create(null);
+
+  /**
+   * Remote events waiting for the local drag to end, oldest first.
+   * @type {!Array.<!Blockly.Events.Abstract>}
+   * @private
+   */
+  this.heldEvents_ = [];
+
+  this.changeWrapper_ = workspace.addChangeListener(this.onChange_.bind(this));
+  this.messageWrapper_ =
+      transport.addMessageListener(this.onMessage_.bind(this));
+};
+
+/**
+ * Colours picked for users who don't choose one.
+ * @type {!Array.<string>}
+ */
+Blockly.Collaboration.COLOURS =
+    ['#FF6680', '#4C97FF', '#59C059', '#FFAB19', '#9966FF', '#5CB1D6'];
+
+/**
+ * Types of the messages between users.
+ * @enum {string}
+ */
+Blockly.Collaboration.MessageType = {
+  EVENT: 'event',
+  SELECT: 'select',
+  LEAVE: 'leave'
+};
+
+/**
+ * Stop collaborating.  The other users stop showing this user's selection.
+ */
+Blockly.Collaboration.prototype.dispose = function() {
+  this.send_(Blockly.Collaboration.MessageType.LEAVE, {});
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+  this.transport_.removeMessageListener(this.messageWrapper_);
+  for (var clientId in this.remoteUsers_) {
+    this.showSelection_(this.remoteUsers_[clientId], false);
+  }
+  this.remoteUsers_ = Object.create(null);
+  this.heldEvents_.length = 0;
+};
+
+/**
+ * List the other users who have selected a block.
+ * @return {!Array.<{clientId: string, name: string, colour: string,
+ *     blockId: string}>} The users and the IDs of their selected blocks.
+ */
+Blockly.Collaboration.prototype.getRemoteSelections = function() {
+  var selections = [];
+  for (var clientId in this.remoteUsers_) {
+    var user = this.remoteUsers_[clientId];
+    selections.push({
+      clientId: clientId,
+      name: user.name,
+      colour: user.colour,
+      blockId: user.blockId
+    });
+  }
+  return selections;
+};
+
+/**
+ * Send a message to the other users.
+ * @param {string} type One of Blockly.Collaboration.MessageType.
+ * @param {!Object} message The message's content.
+ * @private
+ */
+Blockly.Collaboration.prototype.send_ = function(type, message) {
+  message['type'] = type;
+  message['clientId'] = this.clientId;
+  this.transport_.send(message);
+};
+
+/**
+ * Send a local event to the other users.
+ * @param {!Blockly.Events.Abstract} event The event.
+ * @private
+ */
+Blockly.Collaboration.prototype.onChange_ = function(event) {
+  if (event.remote) {
+    // Another user's change, which they already have.
+    return;
+  }
+  if (event.type == Blockly.Events.UI) {
+    if (event.element == 'selected') {
+      this.send_(Blockly.Collaboration.MessageType.SELECT, {
+        'name': this.name,
+        'colour': this.colour,
+        'blockId': event.newValue || null
+      });
+    }
+  } else {
+    this.send_(Blockly.Collaboration.MessageType.EVENT,
+        {'event': event.toJson()});
+  }
+  this.runHeldEvents_();
+};
+
+/**
+ * Handle a message from another user.
+ * @param {!Object} message The message.
+ * @private
+ */
+Blockly.Collaboration.prototype.onMessage_ = function(message) {
+  var clientId = message['clientId'];
+  if (clientId == this.clientId) {
+    return;
+  }
+  switch (message['type']) {
+    case Blockly.Collaboration.MessageType.EVENT:
+      var event = Blockly.Events.fromJson(message['event'], this.workspace_);
+      this.runHeldEvents_();
+      if (this.heldEvents_.length || this.isDragged_(event)) {
+        // Don't pull a block from under the user's mouse.  Keep the order of
+        // the events by holding all of them until the drag ends.
+        this.heldEvents_.push(event);
+      } else {
+        this.runRemoteEvent_(event);
+      }
+      break;
+    case Blockly.Collaboration.MessageType.SELECT:
+      this.setRemoteSelection_(clientId, message['blockId'] ? {
+        name: message['name'],
+        colour: message['colour'],
+        blockId: message['blockId']
+      } : null);
+      break;
+    case Blockly.Collaboration.MessageType.LEAVE:
+      this.setRemoteSelection_(clientId, null);
+      break;
+    default:
+      console.warn('Unknown collaboration message: ' + message['type']);
+  }
+};
+
+/**
+ * Run an event from another user on the workspace, unless it conflicts with
+ * the workspace, e.g. it changes a block that was deleted meanwhile.  The
+ * local events that it fires reach the workspace's other listeners, but they
+ * are marked as remote so they aren't sent back, and they aren't undoable.
+ * @param {!Blockly.Events.Abstract} event The event.
+ * @private
+ */
+Blockly.Collaboration.prototype.runRemoteEvent_ = function(event) {
+  if (!this.canRun_(event)) {
+    return;
+  }
+  var recordUndo = Blockly.Events.recordUndo;
+  Blockly.Events.recordUndo = false;
+  Blockly.Events.remote = true;
+  try {
+    event.run(true);
+  } finally {
+    Blockly.Events.recordUndo = recordUndo;
+    Blockly.Events.remote = false;
+  }
+  // Running the event may have redrawn selected blocks.
+  for (var clientId in this.remoteUsers_) {
+    this.showSelection_(this.remoteUsers_[clientId], true);
+  }
+};
+
+/**
+ * Run the held remote events, if the local drag has ended.
+ * @private
+ */
+Blockly.Collaboration.prototype.runHeldEvents_ = function() {
+  if (!this.heldEvents_.length || this.getDraggedBlock_()) {
+    return;
+  }
+  var events = this.heldEvents_;
+  this.heldEvents_ = [];
+  for (var i = 0; i < events.length; i++) {
+    this.runRemoteEvent_(events[i]);
+  }
+};
+
+/**
+ * Whether a remote event can run on the workspace as it is now.  Events from
+ * users who edited the same blocks at the same time may not.
+ * @param {!Blockly.Events.Abstract} event The event.
+ * @return {boolean} True if the event can run.
+ * @private
+ */
+Blockly.Collaboration.prototype.canRun_ = function(event) {
+  var workspace = this.workspace_;
+  switch (event.type) {
+    case Blockly.Events.CREATE:
+      return !workspace.getBlockById(event.blockId);
+    case Blockly.Events.DELETE:
+    case Blockly.Events.CHANGE:
+      return !!workspace.getBlockById(event.blockId);
+    case Blockly.Events.MOVE:
+      return !!workspace.getBlockById(event.blockId) &&
+          (!event.newParentId || !!workspace.getBlockById(event.newParentId));
+    case Blockly.Events.COMMENT_CREATE:
+      return !workspace.getCommentById(event.commentId);
+    case Blockly.Events.COMMENT_DELETE:
+    case Blockly.Events.COMMENT_CHANGE:
+    case Blockly.Events.COMMENT_MOVE:
+      return !!workspace.getCommentById(event.commentId);
+  }
+  return true;
+};
+
+/**
+ * Get the block that the local user is dragging.
+ * @return {Blockly.Block} The dragged block, or null.
+ * @private
+ */
+Blockly.Collaboration.prototype.getDraggedBlock_ = function() {
+  var block = Blockly.selected;
+  if (Blockly.dragMode != Blockly.DRAG_FREE || !block ||
+      block.workspace != this.workspace_) {
+    return null;
+  }
+  return block;
+};
+
+/**
+ * Whether a remote event affects the blocks that the local user is dragging.
+ * @param {!Blockly.Events.Abstract} event The event.
+ * @return {boolean} True if the event affects them.
+ * @private
+ */
+Blockly.Collaboration.prototype.isDragged_ = function(event) {
+  var dragged = this.getDraggedBlock_();
+  if (!dragged) {
+    return false;
+  }
+  var ids = [event.blockId, event.newParentId].concat(event.ids || []);
+  var descendants = dragged.getDescendants();
+  for (var i = 0; i < descendants.length; i++) {
+    if (ids.indexOf(descendants[i].id) != -1) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Show another user's new selection instead of their previous one.
+ * @param {string} clientId The user's client ID.
+ * @param {?{name: string, colour: string, blockId: string}} user The user and
+ *     the ID of their selected block, or null if they selected nothing.
+ * @private
+ */
+Blockly.Collaboration.prototype.setRemoteSelection_ = function(clientId,
+    user) {
+  var oldUser = this.remoteUsers_[clientId];
+  delete this.remoteUsers_[clientId];
+  if (oldUser) {
+    this.showSelection_(oldUser, false);
+    // Other users may have selected the same block.
+    for (var id in this.remoteUsers_) {
+      this.showSelection_(this.remoteUsers_[id], true);
+    }
+  }
+  if (user) {
+    this.remoteUsers_[clientId] = user;
+    this.showSelection_(user, true);
+  }
+};
+
+/**
+ * Outline another user's selected block in their colour, or remove the
+ * outline.
+ * @param {{colour: string, blockId: string}} user The user.
+ * @param {boolean} show True to outline the block, false to stop.
+ * @private
+ */
+Blockly.Collaboration.prototype.showSelection_ = function(user, show) {
+  var block = this.workspace_.getBlockById(user.blockId);
+  if (!block || !block.rendered) {
+    return;
+  }
+  if (show) {
+    Blockly.utils.addClass(block.getSvgRoot(), 'blocklyRemoteSelected');
+    block.svgPath_.setAttribute('stroke', user.colour);
+  } else {
+    Blockly.utils.removeClass(block.getSvgRoot(), 'blocklyRemoteSelected');
+    block.updateColour();
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Base class for the transports that carry a collaboration's
+ * messages between users.  Hosts subclass it for their server, e.g. over a
+ * WebSocket; see Blockly.MemoryTransport for a transport within one page.
+ */
+'use strict';
+
+goog.provide('Blockly.CollaborationTransport');
+
+
+/**
+ * Class for a collaboration transport.  Subclasses implement send, and call
+ * receive with each message from the other users.  Messages are objects that
+ * can be encoded as JSON.
+ * @constructor
+ */
+Blockly.CollaborationTransport = function() {
+  /**
+   * Functions to call when a message arrives.
+   * @type {!Array.<function(!Object)>}
+   * @private
+   */
+  this.messageListeners_ = [];
+};
+
+/**
+ * Send a message to the other users.
+ * @param {!Object} message The message.
+ */
+Blockly.CollaborationTransport.prototype.send = goog.abstractMethod;
+
+/**
+ * Pass a message from another user to the listeners.
+ * @param {!Object} message The message.
+ * @protected
+ */
+Blockly.CollaborationTransport.prototype.receive = function(message) {
+  // Copy the listeners, in case one of them removes itself.
+  var listeners = this.messageListeners_.slice();
+  for (var i = 0; i < listeners.length; i++) {
+    listeners[i](message);
+  }
+};
+
+/**
+ * Add a function to call when a message arrives.
+ * @param {function(!Object)} func The function, called with the message.
+ * @return {function(!Object)} The function, for removeMessageListener.
+ */
+Blockly.CollaborationTransport.prototype.addMessageListener = function(func) {
+  this.messageListeners_.push(func);
+  return func;
+};
+
+/**
+ * Stop calling a function when a message arrives.
+ * @param {function(!Object)} func The function to remove.
+ */
+Blockly.CollaborationTransport.prototype.removeMessageListener = function(
+    func) {
+  var i = this.messageListeners_.indexOf(func);
+  if (i != -1) {
+    this.messageListeners_.splice(i, 1);
+  }
+};
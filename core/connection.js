@@ -26,6 +26,7 @@
 
 goog.provide('Blockly.Connection');
 
+goog.require('Blockly.Types');
 goog.require('goog.asserts');
 goog.require('goog.dom');
 
@@ -592,7 +593,9 @@ Blockly.Connection.prototype.targetBlock = function() {
 
 /**
  * Is this connection compatible with another connection with respect to the
- * value type system.  E.g. square_root("Hello") is not compatible.
+ * value type system.  E.g. square_root("Hello") is not compatible.  A value
+ * fits into an input that accepts its type or any of its supertypes, e.g. a
+ * number fits into an input that accepts text.
  * @param {Blockly.Connection} otherConnection Connection to compare against.
  * @return {boolean} True if the connections share a type.
  */
@@ -601,6 +604,12 @@ Blockly.Connection.prototype.checkType = function(otherConnection) {
     // One or both sides are promiscuous enough that anything will fit.
     return true;
   }
+  if (this.type == Blockly.OUTPUT_VALUE) {
+    return Blockly.Types.isCompatible(this.check_, otherConnection.check_);
+  }
+  if (this.type == Blockly.INPUT_VALUE) {
+    return Blockly.Types.isCompatible(otherConnection.check_, this.check_);
+  }
   // Find any intersection in the check lists.
   for (var i = 0; i < this.check_.length; i++) {
     if (otherConnection.check_.indexOf(this.check_[i]) != -1) {
@@ -623,6 +632,15 @@ Blockly.Connection.prototype.onCheckChanged = function() {
   }
 };
 
+/**
+ * Get a connection's compatibility.
+ * @return {Array.<string>} List of compatible value types.
+ *     Null if all types are compatible.
+ */
+Blockly.Connection.prototype.getCheck = function() {
+  return this.check_;
+};
+
 /**
  * Change a connection's compatibility.
  * @param {*} check Compatible value type or list of value types.
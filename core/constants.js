@@ -283,6 +283,18 @@ Blockly.DELETE_AREA_TOOLBOX = 2;
  */
 Blockly.VARIABLE_CATEGORY_NAME = 'VARIABLE';
 
+/**
+ * The type of a variable that holds a single value.
+ * @const {string}
+ */
+Blockly.SCALAR_VARIABLE_TYPE = '';
+
+/**
+ * The type of a variable that holds a list of values.
+ * @const {string}
+ */
+Blockly.LIST_VARIABLE_TYPE = 'list';
+
 /**
  * String for use in the "custom" attribute of a category in toolbox xml.
  * This string indicates that the category should be dynamically populated with
@@ -290,3 +302,28 @@ Blockly.VARIABLE_CATEGORY_NAME = 'VARIABLE';
  * @const {string}
  */
 Blockly.PROCEDURE_CATEGORY_NAME = 'PROCEDURE';
+
+/**
+ * Menu type of dropdowns that list the project's sprites.  The host supplies
+ * the options of these menus; see Blockly.Workspace.registerMenuCallback.
+ * @const {string}
+ */
+Blockly.MENU_SPRITES = 'sprites';
+
+/**
+ * Menu type of dropdowns that list the current sprite's costumes.
+ * @const {string}
+ */
+Blockly.MENU_COSTUMES = 'costumes';
+
+/**
+ * Menu type of dropdowns that list the stage's backdrops.
+ * @const {string}
+ */
+Blockly.MENU_BACKDROPS = 'backdrops';
+
+/**
+ * Menu type of dropdowns that list the current sprite's sounds.
+ * @const {string}
+ */
+Blockly.MENU_SOUNDS = 'sounds';
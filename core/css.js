@@ -59,6 +59,13 @@ Blockly.Css.currentCursor_ = '';
  */
 Blockly.Css.styleSheet_ = null;
 
+/**
+ * Text of the stylesheet added by Blockly.Css.inject.
+ * @type {string}
+ * @private
+ */
+Blockly.Css.text_ = '';
+
 /**
  * Path to media directory, with any trailing slash removed.
  * @type {string}
@@ -108,12 +115,22 @@ Blockly.Css.inject = function(hasCss, pathToMedia) {
   var cssNode = document.createElement('style');
   document.head.insertBefore(cssNode, document.head.firstChild);
 
+  Blockly.Css.text_ = text;
   var cssTextNode = document.createTextNode(text);
   cssNode.appendChild(cssTextNode);
   Blockly.Css.styleSheet_ = cssNode.sheet;
   Blockly.Css.setCursor(Blockly.Css.Cursor.OPEN);
 };
 
+/**
+ * Get the CSS added by Blockly.Css.inject, e.g. to style pictures of blocks
+ * outside the page.
+ * @return {string} The CSS, or an empty string if none was added.
+ */
+Blockly.Css.getText = function() {
+  return Blockly.Css.text_;
+};
+
 /**
  * Set the cursor to be displayed when over something draggable.
  * @param {Blockly.Css.Cursor} cursor Enum.
@@ -389,6 +406,22 @@ Blockly.Css.CONTENT = [
     'stroke-width: 4px;',
   '}',
 
+  '.blocklyKeyboardCursor,',
+  '.blocklyKeyboardMark {',
+    'fill: none;',
+    'pointer-events: none;',
+    'stroke-width: 3px;',
+  '}',
+
+  '.blocklyKeyboardCursor {',
+    'stroke: #fc3;',
+  '}',
+
+  '.blocklyKeyboardMark {',
+    'stroke: #4c97ff;',
+    'stroke-dasharray: 4 2;',
+  '}',
+
   '.blocklyPath {',
     'stroke-width: 1px;',
   '}',
@@ -401,6 +434,79 @@ Blockly.Css.CONTENT = [
   '.blocklyDragging>.blocklyPath {',
   '}',
 
+  '.blocklyRemoteSelected>.blocklyPath {',
+    'stroke-width: 3px;',
+  '}',
+
+  '.blocklyExecuting>.blocklyPath {',
+    'stroke-width: 3px;',
+  '}',
+
+  '.blocklyPaused>.blocklyPath {',
+    'stroke-dasharray: 6 3;',
+  '}',
+
+  '.blocklyPath.blocklyIncompatibleInput {',
+    'fill-opacity: .4;',
+    'stroke: #c4302b;',
+    'stroke-dasharray: 3 2;',
+    'stroke-width: 2px;',
+  '}',
+
+  '.blocklyBreakpoint {',
+    'fill: #FF4D6A;',
+    'stroke: #fff;',
+    'stroke-width: 1px;',
+  '}',
+
+  '.blocklyBadge>rect {',
+    'fill: #575E75;',
+  '}',
+
+  '.blocklyBadgeText {',
+    'fill: #fff;',
+    'font-family: "Helvetica Neue", Helvetica, sans-serif;',
+    'font-size: 10pt;',
+  '}',
+
+  '.blocklySearch {',
+    'position: absolute;',
+    'top: 8px;',
+    'right: 8px;',
+    'z-index: 50;',
+    'display: flex;',
+    'align-items: center;',
+    'padding: 4px;',
+    'border-radius: 4px;',
+    'background-color: $colour_workspace;',
+    'box-shadow: 0px 0px 8px 1px ' + Blockly.Colours.dropDownShadow + ';',
+    'color: $colour_text;',
+    'font-family: "Helvetica Neue", Helvetica, sans-serif;',
+    'font-size: 10pt;',
+  '}',
+
+  '.blocklySearchInput {',
+    'width: 160px;',
+    'padding: 4px 8px;',
+    'border: 1px solid ' + Blockly.Colours.more.tertiary + ';',
+    'border-radius: 4px;',
+    'font-size: 10pt;',
+    'outline: none;',
+  '}',
+
+  '.blocklySearchCount {',
+    'min-width: 64px;',
+    'margin: 0 8px;',
+    'text-align: center;',
+  '}',
+
+  '.blocklySearchButton {',
+    'border: none;',
+    'background: none;',
+    'color: $colour_text;',
+    'cursor: pointer;',
+  '}',
+
   '.blocklyDisabled>.blocklyPath {',
     'fill-opacity: .5;',
     'stroke-opacity: .5;',
@@ -466,6 +572,101 @@ Blockly.Css.CONTENT = [
     'fill: #000;',
   '}',
 
+  '.blocklyProcedureEditor {',
+    'position: fixed;',
+    'left: 0;',
+    'top: 0;',
+    'right: 0;',
+    'bottom: 0;',
+    'z-index: 1000;',
+    'background-color: rgba(0, 0, 0, .3);',
+  '}',
+
+  '.blocklyProcedureEditorDialog {',
+    'position: absolute;',
+    'left: 50%;',
+    'top: 20%;',
+    'transform: translateX(-50%);',
+    'min-width: 400px;',
+    'padding: 16px;',
+    'border-radius: 4px;',
+    'background-color: $colour_workspace;',
+    'box-shadow: 0px 0px 8px 1px ' + Blockly.Colours.dropDownShadow + ';',
+    'color: $colour_text;',
+    'font-family: "Helvetica Neue", Helvetica, sans-serif;',
+    'font-size: 12pt;',
+  '}',
+
+  '.blocklyProcedureEditorTitle {',
+    'font-weight: bold;',
+    'margin-bottom: 12px;',
+  '}',
+
+  '.blocklyProcedureEditorParts {',
+    'display: inline-block;',
+    'min-height: 32px;',
+    'padding: 8px;',
+    'border-radius: 4px;',
+    'background-color: ' + Blockly.Colours.more.primary + ';',
+  '}',
+
+  '.blocklyProcedureEditorPart {',
+    'display: inline-block;',
+    'margin: 2px;',
+    'white-space: nowrap;',
+  '}',
+
+  '.blocklyProcedureEditorPart input {',
+    'width: 80px;',
+    'padding: 4px 8px;',
+    'border: 1px solid ' + Blockly.Colours.more.tertiary + ';',
+    'font-size: 10pt;',
+    'outline: none;',
+  '}',
+
+  '.blocklyProcedureEditorLabel input {',
+    'border-color: transparent;',
+    'background-color: transparent;',
+    'color: #fff;',
+  '}',
+
+  '.blocklyProcedureEditorNumber input,',
+  '.blocklyProcedureEditorText input {',
+    'border-radius: 16px;',
+  '}',
+
+  '.blocklyProcedureEditorBoolean input {',
+    'border-radius: 4px;',
+  '}',
+
+  '.blocklyProcedureEditorRemove {',
+    'border: none;',
+    'background: none;',
+    'color: #fff;',
+    'cursor: pointer;',
+  '}',
+
+  '.blocklyProcedureEditorAdd,',
+  '.blocklyProcedureEditorWarp,',
+  '.blocklyProcedureEditorFooter {',
+    'display: block;',
+    'margin-top: 12px;',
+  '}',
+
+  '.blocklyProcedureEditorFooter {',
+    'text-align: right;',
+  '}',
+
+  '.blocklyProcedureEditorButton {',
+    'margin: 0 4px 4px 0;',
+    'padding: 4px 8px;',
+    'border: 1px solid ' + Blockly.Colours.scrollbar + ';',
+    'border-radius: 4px;',
+    'background-color: $colour_toolbox;',
+    'color: $colour_text;',
+    'cursor: pointer;',
+  '}',
+
   /*
     Don't allow users to select text.  It gets annoying when trying to
     drag a block and selected text moves instead.
@@ -517,6 +718,32 @@ Blockly.Css.CONTENT = [
     'resize: none;',
   '}',
 
+  '.blocklyWorkspaceCommentRect {',
+    'fill: #ffc;',
+    'stroke: #bca903;',
+    'stroke-width: 1px;',
+  '}',
+
+  '.blocklyWorkspaceCommentTopBar {',
+    'fill: #fef49c;',
+  '}',
+
+  '.blocklyWorkspaceCommentLabel,',
+  '.blocklyWorkspaceCommentButton {',
+    'fill: #575e75;',
+    'font-family: "Helvetica Neue", Helvetica, sans-serif;',
+    'font-size: 12pt;',
+    'user-select: none;',
+  '}',
+
+  '.blocklyWorkspaceCommentLabel {',
+    'cursor: move;',
+  '}',
+
+  '.blocklyWorkspaceCommentButton {',
+    'cursor: pointer;',
+  '}',
+
   '.blocklyHtmlInput {',
     'border: none;',
     'font-family: "Helvetica Neue", Helvetica, sans-serif;',
@@ -1044,6 +1271,18 @@ Blockly.Css.CONTENT = [
     'fill: blue;',
   '}',
 
+  '.scratchToolboxSearch {',
+    'display: block;',
+    'box-sizing: border-box;',
+    'width: 234px;',
+    'margin: 8px;',
+    'padding: 4px 8px;',
+    'border: 1px solid ' + Blockly.Colours.more.tertiary + ';',
+    'border-radius: 4px;',
+    'font-size: .9em;',
+    'outline: none;',
+  '}',
+
   '.scratchCategoryMenu {',
     'width: 250px;',
     'background: $colour_toolbox;',
@@ -1088,6 +1327,35 @@ Blockly.Css.CONTENT = [
     'margin-left: 8px;',
   '}',
 
+  '.scratchCategoryItemIcon {',
+    'background-color: transparent !important;',
+    'background-position: center;',
+    'background-repeat: no-repeat;',
+    'background-size: 100%;',
+    'border: none;',
+  '}',
+
+  '.scratchCategoryStatus {',
+    'display: inline-block;',
+    'width: 8px;',
+    'height: 8px;',
+    'border-radius: 4px;',
+    'margin: 0 4px;',
+    'background-color: #CF63CF;',
+  '}',
+
+  '.scratchCategoryStatus-connected {',
+    'background-color: #0FBD8C;',
+  '}',
+
+  '.scratchCategoryStatus-connecting {',
+    'background-color: #FFAB19;',
+  '}',
+
+  '.scratchCategoryStatus-disconnected {',
+    'background-color: #FF661A;',
+  '}',
+
   '.scratchCategoryMenuItem:hover {',
     'color: $colour_toolboxHover !important;',
   '}',
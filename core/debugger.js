@@ -0,0 +1,447 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Feedback for a debugger running a workspace's blocks: the
+ * breakpoints set by the user, the block each thread is running, and the
+ * number of times each block ran, its time, or its last value.
+ * The VM running the blocks drives it; see Blockly.Workspace.getDebugger.
+ */
+'use strict';
+
+goog.provide('Blockly.Debugger');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.utils');
+
+goog.require('goog.dom');
+
+
+/**
+ * Class for a workspace's debugger feedback.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @constructor
+ */
+Blockly.Debugger = function(workspace) {
+  /**
+   * The workspace.
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * IDs of the blocks with a breakpoint.
+   * @type {!Array.<string>}
+   * @private
+   */
+  this.breakpoints_ = [];
+
+  /**
+   * The block each thread is running, keyed by thread ID.
+   * @type {!Object.<string, {blockId: string, paused: boolean}>}
+   * @private
+   */
+  this.threads_ = Object.create(null);
+
+  /**
+   * Colours of the threads, keyed by thread ID.  A thread keeps its colour
+   * until clear is called.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.threadColours_ = Object.create(null);
+
+  /**
+   * Number of threads given a colour so far.
+   * @type {number}
+   * @private
+   */
+  this.threadCount_ = 0;
+
+  /**
+   * How often each block ran and for how long, keyed by block ID.
+   * @type {!Object.<string, {hits: number, time: number}>}
+   * @private
+   */
+  this.stats_ = Object.create(null);
+
+  /**
+   * Text of the badges, keyed by block ID.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.badges_ = Object.create(null);
+
+  /**
+   * SVG elements of the breakpoint markers, keyed by block ID.
+   * @type {!Object.<string, !Element>}
+   * @private
+   */
+  this.markers_ = Object.create(null);
+
+  /**
+   * SVG groups of the badges, keyed by block ID.
+   * @type {!Object.<string, !Element>}
+   * @private
+   */
+  this.badgeGroups_ = Object.create(null);
+
+  this.changeWrapper_ = workspace.addChangeListener(this.onChange_.bind(this));
+};
+
+/**
+ * Colours of the running blocks of the threads, used in turn.
+ * @type {!Array.<string>}
+ */
+Blockly.Debugger.THREAD_COLOURS =
+    ['#FFBF00', '#0FBD8C', '#FF4D6A', '#4C97FF', '#9966FF', '#5CB1D6'];
+
+/**
+ * Radius of the breakpoint marker.
+ * @type {number}
+ * @const
+ */
+Blockly.Debugger.BREAKPOINT_RADIUS = 5;
+
+/**
+ * Height of a badge.
+ * @type {number}
+ * @const
+ */
+Blockly.Debugger.BADGE_HEIGHT = 16;
+
+/**
+ * Space between the text of a badge and its edges, and between the badge and
+ * its block.
+ * @type {number}
+ * @const
+ */
+Blockly.Debugger.BADGE_PADDING = 4;
+
+/**
+ * Remove all highlights and badges.
+ */
+Blockly.Debugger.prototype.dispose = function() {
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+  this.clear();
+  for (var i = 0; i < this.breakpoints_.length; i++) {
+    this.showBreakpoint_(this.breakpoints_[i], false);
+  }
+  this.breakpoints_.length = 0;
+};
+
+/**
+ * Set or remove a breakpoint on a block.  Fires a UI event with the element
+ * 'breakpoint', so that the VM can follow the user's breakpoints.
+ * @param {string} id ID of the block.
+ * @param {boolean} enabled True to set the breakpoint, false to remove it.
+ */
+Blockly.Debugger.prototype.setBreakpoint = function(id, enabled) {
+  var block = this.workspace_.getBlockById(id);
+  if (!block) {
+    throw 'Tried to set a breakpoint on a block that does not exist.';
+  }
+  if (this.hasBreakpoint(id) == enabled) {
+    return;
+  }
+  if (enabled) {
+    this.breakpoints_.push(id);
+  } else {
+    this.breakpoints_.splice(this.breakpoints_.indexOf(id), 1);
+  }
+  this.showBreakpoint_(id, enabled);
+  Blockly.Events.fire(
+      new Blockly.Events.Ui(block, 'breakpoint', !enabled, enabled));
+};
+
+/**
+ * Whether a block has a breakpoint.  The VM pauses a thread before running a
+ * block with a breakpoint.
+ * @param {string} id ID of the block.
+ * @return {boolean} True if the block has a breakpoint.
+ */
+Blockly.Debugger.prototype.hasBreakpoint = function(id) {
+  return this.breakpoints_.indexOf(id) != -1;
+};
+
+/**
+ * List the blocks with a breakpoint.
+ * @return {!Array.<string>} IDs of the blocks, in the order the breakpoints
+ *     were set.  Deleted blocks are left out.
+ */
+Blockly.Debugger.prototype.getBreakpoints = function() {
+  var workspace = this.workspace_;
+  return this.breakpoints_.filter(function(id) {
+    return !!workspace.getBlockById(id);
+  });
+};
+
+/**
+ * Highlight the block a thread is running, in the thread's colour.  Each
+ * thread highlights one block at a time.
+ * @param {string} threadId ID of the thread.
+ * @param {?string} blockId ID of the block, or null if the thread stopped.
+ * @param {boolean=} opt_paused True if the thread is paused before the block,
+ *     e.g. at a breakpoint.
+ */
+Blockly.Debugger.prototype.setThreadBlock = function(threadId, blockId,
+    opt_paused) {
+  var old = this.threads_[threadId];
+  delete this.threads_[threadId];
+  if (old) {
+    this.showThread_(old.blockId, null, false);
+  }
+  if (blockId) {
+    if (!this.threadColours_[threadId]) {
+      var colours = Blockly.Debugger.THREAD_COLOURS;
+      this.threadColours_[threadId] = colours[this.threadCount_++ %
+          colours.length];
+    }
+    this.threads_[threadId] = {blockId: blockId, paused: !!opt_paused};
+  }
+  // Redraw all the threads, as several may run the same block.
+  for (var id in this.threads_) {
+    var thread = this.threads_[id];
+    this.showThread_(thread.blockId, this.threadColours_[id], thread.paused);
+  }
+};
+
+/**
+ * Get the colour of a thread's highlight.
+ * @param {string} threadId ID of the thread.
+ * @return {?string} The colour, or null if the thread has run no block.
+ */
+Blockly.Debugger.prototype.getThreadColour = function(threadId) {
+  return this.threadColours_[threadId] || null;
+};
+
+/**
+ * Record that a block ran, and show the number of times it ran in its badge.
+ * @param {string} id ID of the block.
+ * @param {number=} opt_time Milliseconds the block took to run.
+ */
+Blockly.Debugger.prototype.countHit = function(id, opt_time) {
+  var stats = this.stats_[id];
+  if (!stats) {
+    stats = this.stats_[id] = {hits: 0, time: 0};
+  }
+  stats.hits++;
+  stats.time += opt_time || 0;
+  this.setBadge(id, String(stats.hits));
+};
+
+/**
+ * Get the number of times a block ran and the time it took in total.
+ * @param {string} id ID of the block.
+ * @return {!{hits: number, time: number}} Number of runs and milliseconds.
+ */
+Blockly.Debugger.prototype.getStats = function(id) {
+  var stats = this.stats_[id];
+  return {hits: stats ? stats.hits : 0, time: stats ? stats.time : 0};
+};
+
+/**
+ * Show a block's last value in its badge.
+ * @param {string} id ID of the block.
+ * @param {*} value The value.
+ */
+Blockly.Debugger.prototype.setLastValue = function(id, value) {
+  this.setBadge(id, String(value));
+};
+
+/**
+ * Show text in a badge next to a block, or remove the badge.
+ * @param {string} id ID of the block.
+ * @param {?string} text The badge's text, or null to remove the badge.
+ */
+Blockly.Debugger.prototype.setBadge = function(id, text) {
+  if (text === null) {
+    delete this.badges_[id];
+  } else {
+    this.badges_[id] = text;
+  }
+  this.showBadge_(id, text);
+};
+
+/**
+ * Get the text of a block's badge.
+ * @param {string} id ID of the block.
+ * @return {?string} The text, or null if the block has no badge.
+ */
+Blockly.Debugger.prototype.getBadge = function(id) {
+  return id in this.badges_ ? this.badges_[id] : null;
+};
+
+/**
+ * Remove the highlights of the threads, the badges and the statistics, e.g.
+ * when the project stops.  Breakpoints are kept.
+ */
+Blockly.Debugger.prototype.clear = function() {
+  for (var threadId in this.threads_) {
+    this.showThread_(this.threads_[threadId].blockId, null, false);
+  }
+  for (var id in this.badges_) {
+    this.showBadge_(id, null);
+  }
+  this.threads_ = Object.create(null);
+  this.threadColours_ = Object.create(null);
+  this.threadCount_ = 0;
+  this.stats_ = Object.create(null);
+  this.badges_ = Object.create(null);
+};
+
+/**
+ * Redraw the markers, highlights and badges after the blocks change.  Blocks
+ * are redrawn from scratch when undoing a deletion, and badges move with the
+ * edge of their block.
+ * @param {!Blockly.Events.Abstract} event Change event.
+ * @private
+ */
+Blockly.Debugger.prototype.onChange_ = function(event) {
+  if (event.type == Blockly.Events.UI) {
+    return;
+  }
+  for (var i = 0; i < this.breakpoints_.length; i++) {
+    this.showBreakpoint_(this.breakpoints_[i], true);
+  }
+  for (var threadId in this.threads_) {
+    var thread = this.threads_[threadId];
+    this.showThread_(thread.blockId, this.threadColours_[threadId],
+        thread.paused);
+  }
+  for (var id in this.badges_) {
+    this.showBadge_(id, this.badges_[id]);
+  }
+};
+
+/**
+ * Get a rendered block of the workspace.
+ * @param {string} id ID of the block.
+ * @return {Blockly.BlockSvg} The block, or null if it doesn't exist or isn't
+ *     rendered.
+ * @private
+ */
+Blockly.Debugger.prototype.getRenderedBlock_ = function(id) {
+  var block = this.workspace_.getBlockById(id);
+  return block && block.rendered ?
+      /** @type {!Blockly.BlockSvg} */ (block) : null;
+};
+
+/**
+ * Add or remove the marker of a breakpoint.
+ * @param {string} id ID of the block.
+ * @param {boolean} show True to add the marker, false to remove it.
+ * @private
+ */
+Blockly.Debugger.prototype.showBreakpoint_ = function(id, show) {
+  var block = this.getRenderedBlock_(id);
+  if (!block) {
+    return;
+  }
+  var svgRoot = block.getSvgRoot();
+  var marker = this.markers_[id];
+  if (marker && marker.parentNode != svgRoot) {
+    // The block was redrawn without the marker.
+    marker = null;
+  }
+  if (show && !marker) {
+    this.markers_[id] = Blockly.utils.createSvgElement('circle',
+        {'class': 'blocklyBreakpoint', 'cx': 0, 'cy': 0,
+          'r': Blockly.Debugger.BREAKPOINT_RADIUS}, svgRoot);
+  } else if (!show) {
+    goog.dom.removeNode(marker);
+    delete this.markers_[id];
+  }
+};
+
+/**
+ * Outline a block in a thread's colour, or remove the outline.
+ * @param {string} id ID of the block.
+ * @param {?string} colour The thread's colour, or null to remove the outline.
+ * @param {boolean} paused True if the thread is paused at the block.
+ * @private
+ */
+Blockly.Debugger.prototype.showThread_ = function(id, colour, paused) {
+  var block = this.getRenderedBlock_(id);
+  if (!block) {
+    return;
+  }
+  var svgRoot = block.getSvgRoot();
+  if (colour) {
+    Blockly.utils.addClass(svgRoot, 'blocklyExecuting');
+    if (paused) {
+      Blockly.utils.addClass(svgRoot, 'blocklyPaused');
+    } else {
+      Blockly.utils.removeClass(svgRoot, 'blocklyPaused');
+    }
+    block.svgPath_.setAttribute('stroke', colour);
+  } else {
+    Blockly.utils.removeClass(svgRoot, 'blocklyExecuting');
+    Blockly.utils.removeClass(svgRoot, 'blocklyPaused');
+    block.updateColour();
+  }
+};
+
+/**
+ * Draw a block's badge, or remove it.
+ * @param {string} id ID of the block.
+ * @param {?string} text The badge's text, or null to remove the badge.
+ * @private
+ */
+Blockly.Debugger.prototype.showBadge_ = function(id, text) {
+  var block = this.getRenderedBlock_(id);
+  if (!block) {
+    return;
+  }
+  var svgRoot = block.getSvgRoot();
+  var badge = this.badgeGroups_[id];
+  if (badge && badge.parentNode != svgRoot) {
+    // The block was redrawn without the badge.
+    badge = null;
+  }
+  if (text === null) {
+    goog.dom.removeNode(badge);
+    delete this.badgeGroups_[id];
+    return;
+  }
+  if (!badge) {
+    badge = this.badgeGroups_[id] = Blockly.utils.createSvgElement('g',
+        {'class': 'blocklyBadge'}, svgRoot);
+    Blockly.utils.createSvgElement('rect',
+        {'rx': Blockly.Debugger.BADGE_HEIGHT / 2,
+          'ry': Blockly.Debugger.BADGE_HEIGHT / 2,
+          'height': Blockly.Debugger.BADGE_HEIGHT}, badge);
+    Blockly.utils.createSvgElement('text',
+        {'class': 'blocklyBadgeText', 'y': Blockly.Debugger.BADGE_HEIGHT / 2,
+          'dominant-baseline': 'central'}, badge);
+  }
+  var rect = badge.firstChild;
+  var textElement = badge.lastChild;
+  textElement.textContent = text;
+  var padding = Blockly.Debugger.BADGE_PADDING;
+  var width = textElement.getComputedTextLength() + 2 * padding;
+  rect.setAttribute('width', width);
+  textElement.setAttribute('x', padding);
+  // Next to the block's right edge, or its left edge in RTL.
+  var blockWidth = block.getHeightWidth().width;
+  var x = block.RTL ? -blockWidth - padding - width : blockWidth + padding;
+  badge.setAttribute('transform', 'translate(' + x + ', 0)');
+};
@@ -47,6 +47,13 @@ Blockly.Events.group_ = '';
  */
 Blockly.Events.recordUndo = true;
 
+/**
+ * Sets whether events come from running another user's changes, so that
+ * collaboration doesn't send them back.
+ * @type {boolean}
+ */
+Blockly.Events.remote = false;
+
 /**
  * Allow change events to be created and fired.
  * @type {number}
@@ -84,6 +91,30 @@ Blockly.Events.MOVE = 'move';
  */
 Blockly.Events.UI = 'ui';
 
+/**
+ * Name of event that creates a workspace comment.
+ * @const
+ */
+Blockly.Events.COMMENT_CREATE = 'comment_create';
+
+/**
+ * Name of event that deletes a workspace comment.
+ * @const
+ */
+Blockly.Events.COMMENT_DELETE = 'comment_delete';
+
+/**
+ * Name of event that changes a workspace comment.
+ * @const
+ */
+Blockly.Events.COMMENT_CHANGE = 'comment_change';
+
+/**
+ * Name of event that moves a workspace comment.
+ * @const
+ */
+Blockly.Events.COMMENT_MOVE = 'comment_move';
+
 /**
  * List of events queued for firing.
  * @private
@@ -137,6 +168,7 @@ Blockly.Events.filter = function(queueIn, forward) {
     for (var j = i + 1, event2; event2 = queue[j]; j++) {
       if (event1.type == event2.type &&
           event1.blockId == event2.blockId &&
+          event1.commentId == event2.commentId &&
           event1.workspaceId == event2.workspaceId) {
         if (event1.type == Blockly.Events.MOVE) {
           // Merge move events.
@@ -145,6 +177,17 @@ Blockly.Events.filter = function(queueIn, forward) {
           event1.newCoordinate = event2.newCoordinate;
           queue.splice(j, 1);
           j--;
+        } else if (event1.type == Blockly.Events.COMMENT_MOVE) {
+          // Merge comment move events.
+          event1.newCoordinate = event2.newCoordinate;
+          queue.splice(j, 1);
+          j--;
+        } else if (event1.type == Blockly.Events.COMMENT_CHANGE &&
+            event1.element == event2.element) {
+          // Merge comment change events.
+          event1.newValue = event2.newValue;
+          queue.splice(j, 1);
+          j--;
         } else if (event1.type == Blockly.Events.CHANGE &&
             event1.element == event2.element &&
             event1.name == event2.name) {
@@ -240,6 +283,40 @@ Blockly.Events.setGroup = function(state) {
   }
 };
 
+/**
+ * Event types in order of importance for describing a group of events.  E.g.
+ * dragging a block out of the flyout creates and moves it, and is described
+ * as creating it.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.Events.DESCRIPTION_ORDER_ = [
+  Blockly.Events.CREATE,
+  Blockly.Events.DELETE,
+  Blockly.Events.CHANGE,
+  Blockly.Events.MOVE,
+  Blockly.Events.COMMENT_CREATE,
+  Blockly.Events.COMMENT_DELETE,
+  Blockly.Events.COMMENT_CHANGE,
+  Blockly.Events.COMMENT_MOVE
+];
+
+/**
+ * Describe a group of events for the user, e.g. in an undo history.
+ * @param {!Array.<!Blockly.Events.Abstract>} events The events of the group.
+ * @return {string} Human-readable description, e.g. 'Delete block'.
+ */
+Blockly.Events.describe = function(events) {
+  for (var i = 0, type; type = Blockly.Events.DESCRIPTION_ORDER_[i]; i++) {
+    for (var j = 0, event; event = events[j]; j++) {
+      if (event.type == type) {
+        return Blockly.Msg['HISTORY_' + type.toUpperCase()];
+      }
+    }
+  }
+  return Blockly.Msg.HISTORY_OTHER;
+};
+
 /**
  * Compute a list of the IDs of the specified block and all its descendants.
  * @param {!Blockly.Block} block The root block.
@@ -279,6 +356,18 @@ Blockly.Events.fromJson = function(json, workspace) {
     case Blockly.Events.UI:
       event = new Blockly.Events.Ui(null, null);
       break;
+    case Blockly.Events.COMMENT_CREATE:
+      event = new Blockly.Events.CommentCreate(null);
+      break;
+    case Blockly.Events.COMMENT_DELETE:
+      event = new Blockly.Events.CommentDelete(null);
+      break;
+    case Blockly.Events.COMMENT_CHANGE:
+      event = new Blockly.Events.CommentChange(null, '', null, null);
+      break;
+    case Blockly.Events.COMMENT_MOVE:
+      event = new Blockly.Events.CommentMove(null);
+      break;
     default:
       throw 'Unknown event type.';
   }
@@ -299,6 +388,7 @@ Blockly.Events.Abstract = function(block) {
   }
   this.group = Blockly.Events.group_;
   this.recordUndo = Blockly.Events.recordUndo;
+  this.remote = Blockly.Events.remote;
 };
 
 /**
@@ -398,7 +488,7 @@ Blockly.Events.Create.prototype.fromJson = function(json) {
 Blockly.Events.Create.prototype.run = function(forward) {
   var workspace = Blockly.Workspace.getById(this.workspaceId);
   if (forward) {
-    var xml = goog.dom.createDom('xml');
+    var xml = Blockly.Xml.createElement('xml');
     xml.appendChild(this.xml);
     Blockly.Xml.domToWorkspace(xml, /** @type {!Blockly.Workspace} */ (workspace));
   } else {
@@ -480,7 +570,7 @@ Blockly.Events.Delete.prototype.run = function(forward) {
       }
     }
   } else {
-    var xml = goog.dom.createDom('xml');
+    var xml = Blockly.Xml.createElement('xml');
     xml.appendChild(this.oldXml);
     Blockly.Xml.domToWorkspace(xml, /** @type {!Blockly.Workspace} */ (workspace));
   }
@@ -801,6 +891,312 @@ Blockly.Events.Ui.prototype.fromJson = function(json) {
   this.newValue = json['newValue'];
 };
 
+/**
+ * Abstract class for a workspace comment event.
+ * @param {Blockly.WorkspaceComment} comment The comment.  Null for a blank
+ *     event.
+ * @extends {Blockly.Events.Abstract}
+ * @constructor
+ */
+Blockly.Events.CommentBase = function(comment) {
+  Blockly.Events.CommentBase.superClass_.constructor.call(this, null);
+  if (comment) {
+    this.commentId = comment.id;
+    this.workspaceId = comment.workspace.id;
+  }
+};
+goog.inherits(Blockly.Events.CommentBase, Blockly.Events.Abstract);
+
+/**
+ * Encode the event as JSON.
+ * @return {!Object} JSON representation.
+ */
+Blockly.Events.CommentBase.prototype.toJson = function() {
+  var json = Blockly.Events.CommentBase.superClass_.toJson.call(this);
+  json['commentId'] = this.commentId;
+  return json;
+};
+
+/**
+ * Decode the JSON event.
+ * @param {!Object} json JSON representation.
+ */
+Blockly.Events.CommentBase.prototype.fromJson = function(json) {
+  Blockly.Events.CommentBase.superClass_.fromJson.call(this, json);
+  this.commentId = json['commentId'];
+};
+
+/**
+ * Find the comment this event is about.
+ * @return {Blockly.WorkspaceComment} The comment, or null if it doesn't exist.
+ * @private
+ */
+Blockly.Events.CommentBase.prototype.getComment_ = function() {
+  var workspace = Blockly.Workspace.getById(this.workspaceId);
+  var comment = workspace.getCommentById(this.commentId);
+  if (!comment) {
+    console.warn("Can't find non-existant comment: " + this.commentId);
+  }
+  return comment;
+};
+
+/**
+ * Class for a workspace comment creation event.
+ * @param {Blockly.WorkspaceComment} comment The created comment.  Null for a
+ *     blank event.
+ * @extends {Blockly.Events.CommentBase}
+ * @constructor
+ */
+Blockly.Events.CommentCreate = function(comment) {
+  Blockly.Events.CommentCreate.superClass_.constructor.call(this, comment);
+  if (comment) {
+    this.xml = Blockly.Xml.workspaceCommentToDom(comment);
+  }
+};
+goog.inherits(Blockly.Events.CommentCreate, Blockly.Events.CommentBase);
+
+/**
+ * Type of this event.
+ * @type {string}
+ */
+Blockly.Events.CommentCreate.prototype.type = Blockly.Events.COMMENT_CREATE;
+
+/**
+ * Encode the event as JSON.
+ * @return {!Object} JSON representation.
+ */
+Blockly.Events.CommentCreate.prototype.toJson = function() {
+  var json = Blockly.Events.CommentCreate.superClass_.toJson.call(this);
+  json['xml'] = Blockly.Xml.domToText(this.xml);
+  return json;
+};
+
+/**
+ * Decode the JSON event.
+ * @param {!Object} json JSON representation.
+ */
+Blockly.Events.CommentCreate.prototype.fromJson = function(json) {
+  Blockly.Events.CommentCreate.superClass_.fromJson.call(this, json);
+  this.xml = Blockly.Xml.textToDom('<xml>' + json['xml'] + '</xml>').firstChild;
+};
+
+/**
+ * Run a comment creation event.
+ * @param {boolean} forward True if run forward, false if run backward (undo).
+ */
+Blockly.Events.CommentCreate.prototype.run = function(forward) {
+  Blockly.Events.runCommentCreateOrDelete_(this, this.xml, forward);
+};
+
+/**
+ * Class for a workspace comment deletion event.
+ * @param {Blockly.WorkspaceComment} comment The deleted comment.  Null for a
+ *     blank event.
+ * @extends {Blockly.Events.CommentBase}
+ * @constructor
+ */
+Blockly.Events.CommentDelete = function(comment) {
+  Blockly.Events.CommentDelete.superClass_.constructor.call(this, comment);
+  if (comment) {
+    this.oldXml = Blockly.Xml.workspaceCommentToDom(comment);
+  }
+};
+goog.inherits(Blockly.Events.CommentDelete, Blockly.Events.CommentBase);
+
+/**
+ * Type of this event.
+ * @type {string}
+ */
+Blockly.Events.CommentDelete.prototype.type = Blockly.Events.COMMENT_DELETE;
+
+/**
+ * Run a comment deletion event.
+ * @param {boolean} forward True if run forward, false if run backward (undo).
+ */
+Blockly.Events.CommentDelete.prototype.run = function(forward) {
+  Blockly.Events.runCommentCreateOrDelete_(this, this.oldXml, !forward);
+};
+
+/**
+ * Create or delete the comment of a creation or deletion event.
+ * @param {!Blockly.Events.CommentBase} event The event.
+ * @param {Element} xml The comment's XML.
+ * @param {boolean} create True to create the comment, false to delete it.
+ * @private
+ */
+Blockly.Events.runCommentCreateOrDelete_ = function(event, xml, create) {
+  var workspace = Blockly.Workspace.getById(event.workspaceId);
+  if (create) {
+    Blockly.Xml.domToWorkspaceComment(xml,
+        /** @type {!Blockly.Workspace} */ (workspace));
+  } else {
+    var comment = event.getComment_();
+    if (comment) {
+      comment.dispose();
+    }
+  }
+};
+
+/**
+ * Class for a workspace comment change event.
+ * @param {Blockly.WorkspaceComment} comment The changed comment.  Null for a
+ *     blank event.
+ * @param {string} element One of 'text', 'size' or 'minimized'.
+ * @param {*} oldValue Previous value of element.
+ * @param {*} newValue New value of element.
+ * @extends {Blockly.Events.CommentBase}
+ * @constructor
+ */
+Blockly.Events.CommentChange = function(comment, element, oldValue,
+    newValue) {
+  Blockly.Events.CommentChange.superClass_.constructor.call(this, comment);
+  this.element = element;
+  this.oldValue = oldValue;
+  this.newValue = newValue;
+};
+goog.inherits(Blockly.Events.CommentChange, Blockly.Events.CommentBase);
+
+/**
+ * Type of this event.
+ * @type {string}
+ */
+Blockly.Events.CommentChange.prototype.type = Blockly.Events.COMMENT_CHANGE;
+
+/**
+ * Encode the event as JSON.
+ * @return {!Object} JSON representation.
+ */
+Blockly.Events.CommentChange.prototype.toJson = function() {
+  var json = Blockly.Events.CommentChange.superClass_.toJson.call(this);
+  json['element'] = this.element;
+  json['newValue'] = this.newValue;
+  return json;
+};
+
+/**
+ * Decode the JSON event.
+ * @param {!Object} json JSON representation.
+ */
+Blockly.Events.CommentChange.prototype.fromJson = function(json) {
+  Blockly.Events.CommentChange.superClass_.fromJson.call(this, json);
+  this.element = json['element'];
+  this.newValue = json['newValue'];
+};
+
+/**
+ * Does this event record any change of state?
+ * @return {boolean} True if something changed.
+ */
+Blockly.Events.CommentChange.prototype.isNull = function() {
+  if (this.element == 'size' && this.oldValue && this.newValue) {
+    return this.oldValue.width == this.newValue.width &&
+        this.oldValue.height == this.newValue.height;
+  }
+  return this.oldValue == this.newValue;
+};
+
+/**
+ * Run a comment change event.
+ * @param {boolean} forward True if run forward, false if run backward (undo).
+ */
+Blockly.Events.CommentChange.prototype.run = function(forward) {
+  var comment = this.getComment_();
+  if (!comment) {
+    return;
+  }
+  var value = forward ? this.newValue : this.oldValue;
+  switch (this.element) {
+    case 'text':
+      comment.setText(value);
+      break;
+    case 'size':
+      comment.setSize(value.width, value.height);
+      break;
+    case 'minimized':
+      comment.setMinimized(value);
+      break;
+    default:
+      console.warn('Unknown change type: ' + this.element);
+  }
+};
+
+/**
+ * Class for a workspace comment move event.  Created before the move.
+ * @param {Blockly.WorkspaceComment} comment The moved comment.  Null for a
+ *     blank event.
+ * @extends {Blockly.Events.CommentBase}
+ * @constructor
+ */
+Blockly.Events.CommentMove = function(comment) {
+  Blockly.Events.CommentMove.superClass_.constructor.call(this, comment);
+  if (comment) {
+    this.comment_ = comment;
+    this.oldCoordinate = comment.getXY();
+  }
+};
+goog.inherits(Blockly.Events.CommentMove, Blockly.Events.CommentBase);
+
+/**
+ * Type of this event.
+ * @type {string}
+ */
+Blockly.Events.CommentMove.prototype.type = Blockly.Events.COMMENT_MOVE;
+
+/**
+ * Encode the event as JSON.
+ * @return {!Object} JSON representation.
+ */
+Blockly.Events.CommentMove.prototype.toJson = function() {
+  var json = Blockly.Events.CommentMove.superClass_.toJson.call(this);
+  if (this.newCoordinate) {
+    json['newCoordinate'] = Math.round(this.newCoordinate.x) + ',' +
+        Math.round(this.newCoordinate.y);
+  }
+  return json;
+};
+
+/**
+ * Decode the JSON event.
+ * @param {!Object} json JSON representation.
+ */
+Blockly.Events.CommentMove.prototype.fromJson = function(json) {
+  Blockly.Events.CommentMove.superClass_.fromJson.call(this, json);
+  if (json['newCoordinate']) {
+    var xy = json['newCoordinate'].split(',');
+    this.newCoordinate =
+        new goog.math.Coordinate(parseFloat(xy[0]), parseFloat(xy[1]));
+  }
+};
+
+/**
+ * Record the comment's new location.  Called after the move.
+ */
+Blockly.Events.CommentMove.prototype.recordNew = function() {
+  this.newCoordinate = this.comment_.getXY();
+};
+
+/**
+ * Does this event record any change of state?
+ * @return {boolean} True if something changed.
+ */
+Blockly.Events.CommentMove.prototype.isNull = function() {
+  return goog.math.Coordinate.equals(this.oldCoordinate, this.newCoordinate);
+};
+
+/**
+ * Run a comment move event.
+ * @param {boolean} forward True if run forward, false if run backward (undo).
+ */
+Blockly.Events.CommentMove.prototype.run = function(forward) {
+  var comment = this.getComment_();
+  var coordinate = forward ? this.newCoordinate : this.oldCoordinate;
+  if (!comment || !coordinate) {
+    return;
+  }
+  var xy = comment.getXY();
+  comment.moveBy(coordinate.x - xy.x, coordinate.y - xy.y);
+};
+
 /**
  * Enable/disable a block depending on whether it is properly connected.
  * Use this on applications where all blocks should be connected to a top block.
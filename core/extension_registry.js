@@ -0,0 +1,283 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Loads and unloads third-party block categories at runtime.
+ * An extension is described by a plain object:
+ *
+ *   {
+ *     id: 'microbit',
+ *     name: 'micro:bit',
+ *     colour: '#0FBD8C',
+ *     colourSecondary: '#0DA57A',
+ *     colourTertiary: '#0B8E69',
+ *     iconURI: 'microbit.svg',
+ *     blocks: [{
+ *       type: 'microbit_whenbuttonpressed',
+ *       message0: 'when %1 button pressed',
+ *       args0: [{type: 'field_dropdown', name: 'BTN', menu: 'buttons'}],
+ *       nextStatement: null
+ *     }],
+ *     menus: {
+ *       buttons: [['A', 'A'], ['B', 'B']]
+ *     }
+ *   }
+ *
+ * Blocks are given in the JSON format of Blockly.Block.prototype.jsonInit.
+ * The toolbox category lists each block, unless the descriptor has a
+ * toolboxXml string with the category's contents, e.g. to give blocks shadows.
+ * Dropdowns that name a menu instead of listing options get the menu's
+ * options: either a fixed array of options, or a function that is called with
+ * the workspace each time the dropdown opens.
+ * Extensions are not to be confused with Blockly.Extensions, which add
+ * behaviour to individual blocks.
+ */
+'use strict';
+
+/**
+ * @name Blockly.ExtensionRegistry
+ * @namespace
+ **/
+goog.provide('Blockly.ExtensionRegistry');
+
+goog.require('Blockly.Blocks');
+goog.require('Blockly.FieldDropdown');
+goog.require('Blockly.Xml');
+
+
+/**
+ * The loaded extensions, keyed by extension id.  Each entry records the
+ * extension's descriptor, the workspace it was loaded on and the types of its
+ * blocks.
+ * @type {!Object.<string, !Object>}
+ * @private
+ */
+Blockly.ExtensionRegistry.loaded_ = Object.create(null);
+
+/**
+ * Get the type of dynamic menu that lists the options of an extension's menu.
+ * @param {string} extensionId The extension's id.
+ * @param {string} menuName The menu's name in the extension's descriptor.
+ * @return {string} The menu type.  See Blockly.FieldDropdown.hostMenu.
+ */
+Blockly.ExtensionRegistry.getMenuType = function(extensionId, menuName) {
+  return extensionId + '.' + menuName;
+};
+
+/**
+ * Load an extension: define its blocks, supply its menus and add its
+ * category to the workspace's toolbox, if it has one.
+ * @param {!Blockly.Workspace} workspace The workspace to load the extension on.
+ * @param {!Object} descriptor The extension's descriptor.
+ * @throws {string} If the descriptor is invalid, the extension is already
+ *     loaded or one of its blocks is already defined.
+ */
+Blockly.ExtensionRegistry.load = function(workspace, descriptor) {
+  var id = descriptor['id'];
+  if (!goog.isString(id) || !id) {
+    throw 'Extensions must have an id.';
+  }
+  if (Blockly.ExtensionRegistry.loaded_[id]) {
+    throw 'Extension "' + id + '" is already loaded.';
+  }
+  var menus = descriptor['menus'] || {};
+  var jsonArray = [];
+  var types = [];
+  var blocks = descriptor['blocks'] || [];
+  for (var i = 0; i < blocks.length; i++) {
+    var type = blocks[i]['type'];
+    if (!type) {
+      throw 'Block #' + i + ' of extension "' + id + '" has no type.';
+    }
+    if (Blockly.Blocks[type] || types.indexOf(type) != -1) {
+      throw 'Block "' + type + '" of extension "' + id +
+          '" is already defined.';
+    }
+    types.push(type);
+    jsonArray.push(Blockly.ExtensionRegistry.blockJson_(id, descriptor,
+        blocks[i]));
+  }
+
+  Blockly.defineBlocksWithJsonArray(jsonArray);
+  for (var name in menus) {
+    if (goog.isFunction(menus[name])) {
+      workspace.registerMenuCallback(
+          Blockly.ExtensionRegistry.getMenuType(id, name), menus[name]);
+    }
+  }
+  if (workspace.toolbox_) {
+    var tree = workspace.options.languageTree;
+    tree.appendChild(Blockly.ExtensionRegistry.categoryDom_(tree.ownerDocument,
+        descriptor, types));
+    workspace.updateToolbox(tree);
+  }
+  Blockly.ExtensionRegistry.loaded_[id] = {
+    descriptor: descriptor,
+    workspace: workspace,
+    types: types
+  };
+};
+
+/**
+ * Unload an extension: remove its category from the toolbox, its menus and
+ * its block definitions.  Extensions whose blocks are in use can't be
+ * unloaded.
+ * @param {string} id The extension's id.
+ * @return {boolean} True if the extension was unloaded.
+ */
+Blockly.ExtensionRegistry.unload = function(id) {
+  var extension = Blockly.ExtensionRegistry.loaded_[id];
+  if (!extension) {
+    console.warn('Extension "' + id + '" is not loaded.');
+    return false;
+  }
+  var workspace = extension.workspace;
+  var blocks = workspace.getAllBlocks();
+  for (var i = 0; i < blocks.length; i++) {
+    if (extension.types.indexOf(blocks[i].type) != -1) {
+      console.warn('Can\'t unload extension "' + id + '" while its blocks ' +
+          'are in use.');
+      return false;
+    }
+  }
+
+  if (workspace.toolbox_) {
+    // The toolbox may have been updated since, so look the category up.
+    var tree = workspace.options.languageTree;
+    for (var i = 0, child; child = tree.childNodes[i]; i++) {
+      if (child.getAttribute && child.getAttribute('extension') == id) {
+        tree.removeChild(child);
+        workspace.updateToolbox(tree);
+        break;
+      }
+    }
+  }
+  var menus = extension.descriptor['menus'] || {};
+  for (var name in menus) {
+    workspace.removeMenuCallback(
+        Blockly.ExtensionRegistry.getMenuType(id, name));
+  }
+  for (var i = 0; i < extension.types.length; i++) {
+    delete Blockly.Blocks[extension.types[i]];
+  }
+  delete Blockly.ExtensionRegistry.loaded_[id];
+  return true;
+};
+
+/**
+ * Whether an extension is loaded.
+ * @param {string} id The extension's id.
+ * @return {boolean} True if the extension is loaded.
+ */
+Blockly.ExtensionRegistry.isLoaded = function(id) {
+  return !!Blockly.ExtensionRegistry.loaded_[id];
+};
+
+/**
+ * Get the ids of the loaded extensions.
+ * @return {!Array.<string>} The ids, in the order the extensions were loaded.
+ */
+Blockly.ExtensionRegistry.getLoadedIds = function() {
+  return Object.keys(Blockly.ExtensionRegistry.loaded_);
+};
+
+/**
+ * Get the JSON definition of one of an extension's blocks.  The block gets
+ * the extension's colours unless it has its own, and its dropdowns that name
+ * a menu get the menu's options.  The descriptor is not modified.
+ * @param {string} id The extension's id.
+ * @param {!Object} descriptor The extension's descriptor.
+ * @param {!Object} json The block's definition in the descriptor.
+ * @return {!Object} The block's definition for jsonInit.
+ * @private
+ */
+Blockly.ExtensionRegistry.blockJson_ = function(id, descriptor, json) {
+  var menus = descriptor['menus'] || {};
+  var result = {};
+  for (var key in json) {
+    result[key] = json[key];
+  }
+  if (result['colour'] === undefined && descriptor['colour'] !== undefined) {
+    result['colour'] = descriptor['colour'];
+    result['colourSecondary'] = descriptor['colourSecondary'];
+    result['colourTertiary'] = descriptor['colourTertiary'];
+  }
+  for (var i = 0; json['args' + i] !== undefined; i++) {
+    result['args' + i] = json['args' + i].map(function(arg) {
+      var name = arg['menu'];
+      if (arg['type'] != 'field_dropdown' || name === undefined) {
+        return arg;
+      }
+      if (!(name in menus)) {
+        throw 'Block "' + json['type'] + '" of extension "' + id +
+            '" uses unknown menu "' + name + '".';
+      }
+      var copy = {};
+      for (var key in arg) {
+        copy[key] = arg[key];
+      }
+      // Fixed menus are the placeholders of a menu no callback ever supplies.
+      copy['options'] = Blockly.FieldDropdown.hostMenu(
+          Blockly.ExtensionRegistry.getMenuType(id, name),
+          goog.isArray(menus[name]) ? menus[name] : []);
+      return copy;
+    });
+  }
+  return result;
+};
+
+/**
+ * Create the toolbox category of an extension, listing its blocks or the
+ * contents given by the descriptor's toolboxXml.  The
+ * category is created in the toolbox's document, since attribute names are
+ * case-sensitive in XML documents but not in HTML documents.
+ * @param {!Document} doc The document of the toolbox's XML.
+ * @param {!Object} descriptor The extension's descriptor.
+ * @param {!Array.<string>} types The types of the extension's blocks.
+ * @return {!Element} The category's XML.
+ * @private
+ */
+Blockly.ExtensionRegistry.categoryDom_ = function(doc, descriptor, types) {
+  var category = doc.createElement('category');
+  category.setAttribute('name', descriptor['name'] || descriptor['id']);
+  category.setAttribute('extension', descriptor['id']);
+  if (descriptor['colour'] !== undefined) {
+    category.setAttribute('colour', descriptor['colour']);
+    category.setAttribute('secondaryColour',
+        descriptor['colourSecondary'] || descriptor['colour']);
+  }
+  if (descriptor['iconURI']) {
+    category.setAttribute('iconURI', descriptor['iconURI']);
+  }
+  if (descriptor['toolboxXml']) {
+    var xml = Blockly.Xml.textToDom('<xml>' + descriptor['toolboxXml'] +
+        '</xml>');
+    for (var i = 0, child; child = xml.childNodes[i]; i++) {
+      category.appendChild(doc.importNode(child, true));
+    }
+  } else {
+    for (var i = 0; i < types.length; i++) {
+      var block = doc.createElement('block');
+      block.setAttribute('type', types[i]);
+      category.appendChild(block);
+    }
+  }
+  return category;
+};
@@ -0,0 +1,214 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Broadcast message input field.  Lists the messages of the
+ * workspace and lets the user create and rename them.
+ */
+'use strict';
+
+goog.provide('Blockly.FieldBroadcast');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.FieldDropdown');
+goog.require('Blockly.Msg');
+goog.require('goog.string');
+
+
+/**
+ * Class for a broadcast message's dropdown field.
+ * @param {string=} opt_message The message to start on.  If not given, the
+ *     field starts on the workspace's first message, or on the default message
+ *     if the workspace has none.
+ * @extends {Blockly.FieldDropdown}
+ * @constructor
+ */
+Blockly.FieldBroadcast = function(opt_message) {
+  Blockly.FieldBroadcast.superClass_.constructor.call(this,
+      Blockly.FieldBroadcast.dropdownCreate);
+  this.setValue(opt_message || '');
+};
+goog.inherits(Blockly.FieldBroadcast, Blockly.FieldDropdown);
+
+/**
+ * The menu item index for the new message option.
+ * @type {number}
+ * @private
+ */
+Blockly.FieldBroadcast.prototype.newMessageItemIndex_ = -1;
+
+/**
+ * The menu item index for the rename message option.
+ * @type {number}
+ * @private
+ */
+Blockly.FieldBroadcast.prototype.renameMessageItemIndex_ = -1;
+
+/**
+ * Attach this field to a block.  A field without a message starts on the
+ * first message of the workspace, now that the workspace is known.
+ * @param {Blockly.Block} block The block containing this field.
+ * @override
+ */
+Blockly.FieldBroadcast.prototype.setSourceBlock = function(block) {
+  Blockly.FieldBroadcast.superClass_.setSourceBlock.call(this, block);
+  if (!this.getValue()) {
+    var messages = this.getMessageWorkspace_().getBroadcastMessages();
+    // The default message is only created once a block is set to it, so that
+    // blocks about to be loaded with other messages don't leave it behind.
+    this.value = messages[0] || Blockly.Msg.DEFAULT_BROADCAST_MESSAGE;
+    this.setText(this.value);
+  }
+};
+
+/**
+ * Get the message's name.  Like variables, messages are literal and have no
+ * neutral value.
+ * @return {string} Current text.
+ */
+Blockly.FieldBroadcast.prototype.getValue = function() {
+  return this.getText();
+};
+
+/**
+ * Set the message.  The message is created on the workspace if it doesn't
+ * exist yet.
+ * @param {string} newValue The message's name.
+ */
+Blockly.FieldBroadcast.prototype.setValue = function(newValue) {
+  if (newValue === null) {
+    return;
+  }
+  if (this.sourceBlock && Blockly.Events.isEnabled() &&
+      newValue !== this.value) {
+    Blockly.Events.fire(new Blockly.Events.Change(
+        this.sourceBlock, 'field', this.name, this.value, newValue));
+  }
+  this.value = newValue;
+  this.setText(newValue);
+  var workspace = this.sourceBlock && this.sourceBlock.workspace;
+  if (newValue && workspace && !workspace.isFlyout) {
+    workspace.createBroadcastMessage(newValue);
+  }
+};
+
+/**
+ * Get the workspace whose messages this field lists.  Blocks in the flyout
+ * list the messages of the workspace they are for.
+ * @return {!Blockly.Workspace} The workspace.
+ * @private
+ */
+Blockly.FieldBroadcast.prototype.getMessageWorkspace_ = function() {
+  var workspace = this.sourceBlock.workspace;
+  return workspace.targetWorkspace || workspace;
+};
+
+/**
+ * Return a sorted list of the workspace's messages for the dropdown menu,
+ * with special options at the end for creating and renaming messages.
+ * @return {!Array.<!Array.<string>>} Array of option tuples.
+ * @this {Blockly.FieldBroadcast}
+ */
+Blockly.FieldBroadcast.dropdownCreate = function() {
+  // getBroadcastMessages returns a copy, so adding the special options doesn't
+  // modify the workspace's list.
+  var messages = this.sourceBlock && this.sourceBlock.workspace ?
+      this.getMessageWorkspace_().getBroadcastMessages() : [];
+  // Ensure that the current message is an option.
+  var name = this.getText();
+  if (name && messages.indexOf(name) == -1) {
+    messages.push(name);
+  }
+  messages.sort(goog.string.caseInsensitiveCompare);
+
+  this.newMessageItemIndex_ = messages.length;
+  messages.push(Blockly.Msg.NEW_BROADCAST_MESSAGE);
+  this.renameMessageItemIndex_ = messages.length;
+  messages.push(Blockly.Msg.RENAME_BROADCAST_MESSAGE);
+  var options = [];
+  for (var i = 0; i < messages.length; i++) {
+    options[i] = [messages[i], messages[i]];
+  }
+  return options;
+};
+
+/**
+ * Handle the selection of an item in the message dropdown menu.  The new and
+ * rename options prompt the user for a name.
+ * @param {!goog.ui.Menu} menu The Menu component clicked.
+ * @param {!goog.ui.MenuItem} menuItem The MenuItem selected within menu.
+ */
+Blockly.FieldBroadcast.prototype.onItemSelected = function(menu, menuItem) {
+  var itemText = menuItem.getValue();
+  if (this.sourceBlock) {
+    var field = this;
+    var workspace = this.getMessageWorkspace_();
+    if (this.newMessageItemIndex_ >= 0 &&
+        menu.getChildAt(this.newMessageItemIndex_) === menuItem) {
+      // New message.
+      Blockly.hideChaff();
+      Blockly.FieldBroadcast.promptName_(
+          Blockly.Msg.NEW_BROADCAST_MESSAGE_TITLE, '', function(name) {
+            if (name) {
+              field.setValue(workspace.createBroadcastMessage(name));
+            }
+          });
+      return;
+    } else if (this.renameMessageItemIndex_ >= 0 &&
+        menu.getChildAt(this.renameMessageItemIndex_) === menuItem) {
+      // Rename message.
+      var oldName = this.getText();
+      Blockly.hideChaff();
+      Blockly.FieldBroadcast.promptName_(
+          Blockly.Msg.RENAME_BROADCAST_MESSAGE_TITLE.replace('%1', oldName),
+          oldName, function(newName) {
+            if (newName) {
+              workspace.renameBroadcastMessage(oldName, newName);
+            }
+          });
+      return;
+    }
+
+    // Call any validation function, and allow it to override.
+    itemText = this.callValidator(/** @type {string} */ (itemText));
+  }
+  if (itemText !== null) {
+    this.setValue(/** @type {string} */ (itemText));
+  }
+};
+
+/**
+ * Prompt the user for a message's name.  Runs of whitespace are merged, and
+ * leading and trailing whitespace stripped.
+ * @param {string} promptText The prompt's text.
+ * @param {string} defaultText The name to start with.
+ * @param {function(?string)} callback Called with the name, or null if the
+ *     user cancelled or entered nothing.
+ * @private
+ */
+Blockly.FieldBroadcast.promptName_ = function(promptText, defaultText,
+    callback) {
+  Blockly.prompt(promptText, defaultText, function(name) {
+    if (name) {
+      name = name.replace(/[\s\xa0]+/g, ' ').replace(/^ | $/g, '');
+    }
+    callback(name || null);
+  });
+};
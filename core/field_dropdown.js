@@ -30,6 +30,7 @@ goog.provide('Blockly.FieldDropdown');
 
 goog.require('Blockly.Field');
 goog.require('Blockly.DropDownDiv');
+goog.require('Blockly.Events');
 goog.require('goog.dom');
 goog.require('goog.events');
 goog.require('goog.style');
@@ -363,6 +364,66 @@ Blockly.FieldDropdown.prototype.isOptionListDynamic = function() {
   return goog.isFunction(this.menuGenerator_);
 };
 
+/**
+ * Make a menu generator for a dropdown that lists options supplied by the
+ * host, such as the project's sprites or the current sprite's costumes,
+ * alongside options that are always there.  The host supplies the options by
+ * registering a callback for the menu type on the workspace.
+ * @param {string} menuType The type of menu, e.g. Blockly.MENU_COSTUMES.
+ * @param {!Array.<!Array.<string>>} placeholders Options to list in place of
+ *     the host's until the host registers a callback for the menu type.
+ * @param {Array.<!Array.<string>>=} opt_before Options always listed before
+ *     the host's.
+ * @param {Array.<!Array.<string>>=} opt_after Options always listed after the
+ *     host's.
+ * @return {!Function} The menu generator.
+ */
+Blockly.FieldDropdown.hostMenu = function(menuType, placeholders, opt_before,
+    opt_after) {
+  var generator = function() {
+    var workspace = this.sourceBlock && this.sourceBlock.workspace;
+    // Blocks in the flyout list the options of the workspace they are for.
+    if (workspace && workspace.targetWorkspace) {
+      workspace = workspace.targetWorkspace;
+    }
+    var callback = workspace && workspace.getMenuCallback(menuType);
+    var options = [].concat(opt_before || [],
+        callback ? callback(workspace) : placeholders, opt_after || []);
+    // A dropdown can't be empty.
+    return options.length ? options : [['', '']];
+  };
+  generator.menuType = menuType;
+  return generator;
+};
+
+/**
+ * Get the type of menu that lists the host's options in this dropdown.
+ * @return {?string} The menu type, or null if this dropdown wasn't made with
+ *     Blockly.FieldDropdown.hostMenu.
+ */
+Blockly.FieldDropdown.prototype.getMenuType = function() {
+  return (goog.isFunction(this.menuGenerator_) &&
+      this.menuGenerator_.menuType) || null;
+};
+
+/**
+ * Attach this field to a block.  A menu of the host's options starts on the
+ * first of them, now that the block's workspace is known.
+ * @param {Blockly.Block} block The block containing this field.
+ * @override
+ */
+Blockly.FieldDropdown.prototype.setSourceBlock = function(block) {
+  Blockly.FieldDropdown.superClass_.setSourceBlock.call(this, block);
+  if (this.getMenuType()) {
+    Blockly.Events.disable();
+    try {
+      this.setValue(this.getOptions()[0][1]);
+    } finally {
+      Blockly.Events.enable();
+    }
+  }
+};
+
 /**
  * Return a list of the options for this dropdown.
  * @return {!Array.<!Array>} Array of option tuples:
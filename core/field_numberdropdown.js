@@ -56,7 +56,7 @@ Blockly.FieldNumberDropdown = function(value, menuGenerator, opt_min, opt_max,
   this.addArgType('numberdropdown');
 };
 
+goog.inherits(Blockly.FieldNumberDropdown, Blockly.FieldTextDropdown);
+
 Blockly.FieldNumberDropdown.prototype.getNumRestrictor =
     Blockly.FieldNumber.prototype.getNumRestrictor;
-
-goog.inherits(Blockly.FieldNumberDropdown, Blockly.FieldTextDropdown);
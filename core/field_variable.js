@@ -29,6 +29,7 @@ goog.provide('Blockly.FieldVariable');
 goog.require('Blockly.FieldDropdown');
 goog.require('Blockly.Msg');
 goog.require('Blockly.Variables');
+goog.require('Blockly.constants');
 goog.require('goog.asserts');
 goog.require('goog.string');
 
@@ -39,12 +40,15 @@ goog.require('goog.string');
  *     a unique variable name will be generated.
  * @param {Function=} opt_validator A function that is executed when a new
  *     option is selected.  Its sole argument is the new option value.
+ * @param {string=} opt_variableType The type of variable to choose from:
+ *     Blockly.SCALAR_VARIABLE_TYPE (the default) or Blockly.LIST_VARIABLE_TYPE.
  * @extends {Blockly.FieldDropdown}
  * @constructor
  */
-Blockly.FieldVariable = function(varname, opt_validator) {
+Blockly.FieldVariable = function(varname, opt_validator, opt_variableType) {
   Blockly.FieldVariable.superClass_.constructor.call(this,
       Blockly.FieldVariable.dropdownCreate, opt_validator);
+  this.variableType_ = opt_variableType || Blockly.SCALAR_VARIABLE_TYPE;
   this.setValue(varname || '');
   this.addArgType('variable');
 };
@@ -86,10 +90,19 @@ Blockly.FieldVariable.prototype.init = function() {
   // For instance, some blocks in the toolbox have variable dropdowns filled
   // in by default.
   if (!this.sourceBlock.isInFlyout) {
-    this.sourceBlock.workspace.createVariable(this.getValue());
+    this.sourceBlock.workspace.createVariable(this.getValue(),
+        this.variableType_);
   }
 };
 
+/**
+ * Get the type of variable this field chooses from.
+ * @return {string} Blockly.SCALAR_VARIABLE_TYPE or Blockly.LIST_VARIABLE_TYPE.
+ */
+Blockly.FieldVariable.prototype.getVariableType = function() {
+  return this.variableType_;
+};
+
 /**
  * Attach this field to a block.
  * @param {Blockly.Block} block The block containing this field.
@@ -123,16 +136,18 @@ Blockly.FieldVariable.prototype.setValue = function(newValue) {
 };
 
 /**
- * Return a sorted list of variable names for variable dropdown menus.
+ * Return a sorted list of variable names for variable dropdown menus.  Only
+ * variables of the field's type are listed.
  * Include a special option at the end for creating a new variable name.
  * @return {!Array.<string>} Array of variable names.
  * @this {Blockly.FieldVariable}
  */
 Blockly.FieldVariable.dropdownCreate = function() {
   if (this.sourceBlock && this.sourceBlock.workspace) {
-    // Get a copy of the list, so that adding rename and new variable options
-    // doesn't modify the workspace's list.
-    var variableList = this.sourceBlock.workspace.variableList.slice(0);
+    // getVariablesOfType returns a copy, so adding rename and new variable
+    // options doesn't modify the workspace's list.
+    var variableList =
+        this.sourceBlock.workspace.getVariablesOfType(this.variableType_);
   } else {
     var variableList = [];
   }
@@ -143,11 +158,14 @@ Blockly.FieldVariable.dropdownCreate = function() {
   }
   variableList.sort(goog.string.caseInsensitiveCompare);
 
+  var isList = this.variableType_ == Blockly.LIST_VARIABLE_TYPE;
   this.renameVarItemIndex_ = variableList.length;
-  variableList.push(Blockly.Msg.RENAME_VARIABLE);
+  variableList.push(isList ? Blockly.Msg.RENAME_LIST :
+      Blockly.Msg.RENAME_VARIABLE);
 
   this.deleteVarItemIndex_ = variableList.length;
-  variableList.push(Blockly.Msg.DELETE_VARIABLE.replace('%1', name));
+  variableList.push((isList ? Blockly.Msg.DELETE_LIST :
+      Blockly.Msg.DELETE_VARIABLE).replace('%1', name));
   // Variables are not language-specific, use the name as both the user-facing
   // text and the internal representation.
   var options = [];
@@ -172,9 +190,10 @@ Blockly.FieldVariable.prototype.onItemSelected = function(menu, menuItem) {
         menu.getChildAt(this.renameVarItemIndex_) === menuItem) {
       // Rename variable.
       var oldName = this.getText();
+      var title = this.variableType_ == Blockly.LIST_VARIABLE_TYPE ?
+          Blockly.Msg.RENAME_LIST_TITLE : Blockly.Msg.RENAME_VARIABLE_TITLE;
       Blockly.hideChaff();
-      Blockly.Variables.promptName(
-          Blockly.Msg.RENAME_VARIABLE_TITLE.replace('%1', oldName), oldName,
+      Blockly.Variables.promptName(title.replace('%1', oldName), oldName,
           function(newName) {
             if (newName) {
               workspace.renameVariable(oldName, newName);
@@ -28,19 +28,23 @@
 goog.provide('Blockly.FieldVariableGetter');
 
 goog.require('Blockly.Field');
+goog.require('Blockly.constants');
 
 
 /**
  * Class for a variable getter field.
  * @param {string} text The initial content of the field.
  * @param {string} name Optional CSS class for the field's text.
+ * @param {string=} opt_variableType The type of variable shown:
+ *     Blockly.SCALAR_VARIABLE_TYPE (the default) or Blockly.LIST_VARIABLE_TYPE.
  * @extends {Blockly.Field}
  * @constructor
  *
  */
-Blockly.FieldVariableGetter = function(text, name) {
+Blockly.FieldVariableGetter = function(text, name, opt_variableType) {
   Blockly.FieldVariableGetter.superClass_.constructor.call(this, text);
   this.name_ = name;
+  this.variableType_ = opt_variableType || Blockly.SCALAR_VARIABLE_TYPE;
 };
 goog.inherits(Blockly.FieldVariableGetter, Blockly.Field);
 
@@ -70,10 +74,19 @@ Blockly.FieldVariableGetter.prototype.init = function() {
   // For instance, some blocks in the toolbox have variable dropdowns filled
   // in by default.
   if (!this.sourceBlock.isInFlyout) {
-    this.sourceBlock.workspace.createVariable(this.getValue());
+    this.sourceBlock.workspace.createVariable(this.getValue(),
+        this.variableType_);
   }
 };
 
+/**
+ * Get the type of variable this field shows.
+ * @return {string} Blockly.SCALAR_VARIABLE_TYPE or Blockly.LIST_VARIABLE_TYPE.
+ */
+Blockly.FieldVariableGetter.prototype.getVariableType = function() {
+  return this.variableType_;
+};
+
 /**
  * This field is editable, but only through the right-click menu.
  * @private
@@ -864,6 +864,7 @@ Blockly.Flyout.prototype.createBlockFunc_ = function(originBlock) {
     Blockly.dragMode = Blockly.DRAG_FREE;
     block.setDragging_(true);
     block.moveToDragSurface_();
+    block.markIncompatibleInputs_();
   };
 };
 
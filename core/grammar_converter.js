@@ -0,0 +1,460 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Converts projects between the horizontal (blocks_horizontal)
+ * and vertical (blocks_vertical) grammars.  Works on XML, so a project saved
+ * with Blockly.Xml.workspaceToDom in one grammar can be loaded with
+ * Blockly.Xml.domToWorkspace in the other.
+ * Blocks with no equivalent in the other grammar are left out and reported.
+ * The blocks in their inputs go with them; the rest of their stack moves up
+ * into their place.
+ */
+'use strict';
+
+/**
+ * @name Blockly.GrammarConverter
+ * @namespace
+ **/
+goog.provide('Blockly.GrammarConverter');
+
+goog.require('Blockly.Blocks');
+
+
+/**
+ * Block types that are the same in both grammars.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.GrammarConverter.SHARED_TYPES_ = [
+  'colour_picker',
+  'control_forever',
+  'control_if',
+  'control_if_else',
+  'control_repeat',
+  'control_wait',
+  'data_changevariableby',
+  'data_setvariableto',
+  'data_variable',
+  'data_variablemenu',
+  'event_whenflagclicked',
+  'math_angle',
+  'math_integer',
+  'math_number',
+  'math_positive_number',
+  'math_whole_number',
+  'operator_add',
+  'operator_equals',
+  'operator_gt',
+  'operator_lt',
+  'operator_subtract',
+  'text'
+];
+
+/**
+ * Prefixes of block types that are the same in both grammars, as long as the
+ * blocks are defined.  The WeDo's blocks are defined by Blockly.Hardware,
+ * which gives them the same types in either grammar.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.GrammarConverter.SHARED_PREFIXES_ = ['wedo_', 'dropdown_wedo_'];
+
+/**
+ * Broadcast messages of the horizontal grammar, which are colours.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.GrammarConverter.BROADCAST_COLOURS_ =
+    ['blue', 'green', 'coral', 'magenta', 'orange', 'purple'];
+
+/**
+ * Convert a horizontal project to the vertical grammar.
+ * @param {!Element} xml XML of the project, or of a single block.
+ * @return {!{xml: Element, unconverted: !Array.<{id: string, type: string}>}}
+ *     The converted XML, which is a new element, and the blocks that were left
+ *     out.  The XML is null if a single block was given and left out with
+ *     nothing to take its place.
+ */
+Blockly.GrammarConverter.toVertical = function(xml) {
+  return Blockly.GrammarConverter.convert_(xml,
+      Blockly.GrammarConverter.TO_VERTICAL_);
+};
+
+/**
+ * Convert a vertical project to the horizontal grammar.
+ * @param {!Element} xml XML of the project, or of a single block.
+ * @return {!{xml: Element, unconverted: !Array.<{id: string, type: string}>}}
+ *     The converted XML, which is a new element, and the blocks that were left
+ *     out.  The XML is null if a single block was given and left out with
+ *     nothing to take its place.
+ */
+Blockly.GrammarConverter.toHorizontal = function(xml) {
+  return Blockly.GrammarConverter.convert_(xml,
+      Blockly.GrammarConverter.TO_HORIZONTAL_);
+};
+
+/**
+ * Convert a project or block.
+ * @param {!Element} xml XML of the project, or of a single block.
+ * @param {!Object.<string, function(!Element):boolean>} converters Functions
+ *     that convert blocks of the types not shared by both grammars.
+ * @return {!{xml: Element, unconverted: !Array.<{id: string, type: string}>}}
+ *     The converted XML and the blocks that were left out.
+ * @private
+ */
+Blockly.GrammarConverter.convert_ = function(xml, converters) {
+  var unconverted = [];
+  var copy = xml.cloneNode(true);
+  var tagName = copy.nodeName.toLowerCase();
+  if (tagName == 'block' || tagName == 'shadow') {
+    copy = Blockly.GrammarConverter.convertBlock_(copy, converters,
+        unconverted);
+  } else {
+    Blockly.GrammarConverter.convertChildren_(copy, converters, unconverted);
+  }
+  return {xml: copy, unconverted: unconverted};
+};
+
+/**
+ * Convert a block and the blocks below and inside it.  The block's element is
+ * changed in place.
+ * @param {!Element} block XML of the block.
+ * @param {!Object.<string, function(!Element):boolean>} converters Functions
+ *     that convert blocks of the types not shared by both grammars.
+ * @param {!Array.<{id: string, type: string}>} unconverted Blocks left out so
+ *     far.  Blocks left out by this call are added.
+ * @return {Element} The converted block, the rest of its stack if it was left
+ *     out, or null if there is nothing left.
+ * @private
+ */
+Blockly.GrammarConverter.convertBlock_ = function(block, converters,
+    unconverted) {
+  var type = block.getAttribute('type');
+  var converter = converters[type];
+  var converted = converter ? converter(block) :
+      Blockly.GrammarConverter.isShared_(type);
+  if (!converted) {
+    Blockly.GrammarConverter.reportBlock_(block, unconverted);
+    // The rest of the stack moves up into the block's place.
+    var next = Blockly.GrammarConverter.getChild_(block, 'next');
+    var nextBlock = next && Blockly.GrammarConverter.getChild_(next, 'block');
+    if (!nextBlock) {
+      return null;
+    }
+    next.removeChild(nextBlock);
+    var replacement = Blockly.GrammarConverter.convertBlock_(nextBlock,
+        converters, unconverted);
+    if (replacement && block.hasAttribute('x')) {
+      replacement.setAttribute('x', block.getAttribute('x'));
+      replacement.setAttribute('y', block.getAttribute('y'));
+    }
+    return replacement;
+  }
+  for (var i = 0, child; child = block.childNodes[i]; i++) {
+    var tagName = child.nodeName.toLowerCase();
+    if (tagName == 'value' || tagName == 'statement' || tagName == 'next') {
+      Blockly.GrammarConverter.convertChildren_(child, converters,
+          unconverted);
+    }
+  }
+  return block;
+};
+
+/**
+ * Convert the blocks and shadows that are children of an element, replacing
+ * or removing them as needed.
+ * @param {!Element} parent The element: an xml, value, statement or next
+ *     element.
+ * @param {!Object.<string, function(!Element):boolean>} converters Functions
+ *     that convert blocks of the types not shared by both grammars.
+ * @param {!Array.<{id: string, type: string}>} unconverted Blocks left out so
+ *     far.
+ * @private
+ */
+Blockly.GrammarConverter.convertChildren_ = function(parent, converters,
+    unconverted) {
+  var children = Array.prototype.slice.call(parent.childNodes);
+  for (var i = 0, child; child = children[i]; i++) {
+    var tagName = child.nodeName.toLowerCase();
+    if (tagName != 'block' && tagName != 'shadow') {
+      continue;
+    }
+    var converted = Blockly.GrammarConverter.convertBlock_(child, converters,
+        unconverted);
+    if (!converted) {
+      parent.removeChild(child);
+    } else if (converted != child) {
+      parent.replaceChild(converted, child);
+    }
+  }
+};
+
+/**
+ * Whether a block type is the same in both grammars.
+ * @param {string} type The block type.
+ * @return {boolean} True if the type needs no conversion.
+ * @private
+ */
+Blockly.GrammarConverter.isShared_ = function(type) {
+  if (Blockly.GrammarConverter.SHARED_TYPES_.indexOf(type) != -1) {
+    return true;
+  }
+  if (!Blockly.Blocks[type]) {
+    // E.g. a peripheral's block, when the peripheral isn't loaded.
+    return false;
+  }
+  for (var i = 0; i < Blockly.GrammarConverter.SHARED_PREFIXES_.length; i++) {
+    if (type.indexOf(Blockly.GrammarConverter.SHARED_PREFIXES_[i]) == 0) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Record that a block is left out, along with the blocks in its inputs.
+ * Shadows in its inputs are not recorded.
+ * @param {!Element} block XML of the block.
+ * @param {!Array.<{id: string, type: string}>} unconverted Blocks left out so
+ *     far.
+ * @private
+ */
+Blockly.GrammarConverter.reportBlock_ = function(block, unconverted) {
+  unconverted.push({
+    id: block.getAttribute('id'),
+    type: block.getAttribute('type')
+  });
+  for (var i = 0, child; child = block.childNodes[i]; i++) {
+    var tagName = child.nodeName.toLowerCase();
+    if (tagName != 'value' && tagName != 'statement') {
+      continue;
+    }
+    for (var j = 0, grandchild; grandchild = child.childNodes[j]; j++) {
+      if (grandchild.nodeName.toLowerCase() == 'block') {
+        // The whole stack in a statement input is left out.
+        for (var stack = grandchild; stack; stack =
+            Blockly.GrammarConverter.getNextBlock_(stack)) {
+          Blockly.GrammarConverter.reportBlock_(stack, unconverted);
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Find a child element with the given tag and, optionally, name.
+ * @param {!Element} element The parent element.
+ * @param {string} tagName The child's tag, e.g. 'value'.
+ * @param {string=} opt_name The child's name attribute.
+ * @return {Element} The first matching child, or null.
+ * @private
+ */
+Blockly.GrammarConverter.getChild_ = function(element, tagName, opt_name) {
+  for (var i = 0, child; child = element.childNodes[i]; i++) {
+    if (child.nodeName.toLowerCase() == tagName &&
+        (opt_name === undefined || child.getAttribute('name') == opt_name)) {
+      return /** @type {!Element} */ (child);
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the block below a block in its stack.
+ * @param {!Element} block XML of the block.
+ * @return {Element} XML of the next block, or null.
+ * @private
+ */
+Blockly.GrammarConverter.getNextBlock_ = function(block) {
+  var next = Blockly.GrammarConverter.getChild_(block, 'next');
+  return next && Blockly.GrammarConverter.getChild_(next, 'block');
+};
+
+/**
+ * Get the value of the field of the shadow in a value input.
+ * @param {Element} value The value element.
+ * @param {string} fieldName The name of the shadow's field.
+ * @return {?string} The field's value, or null if there is no such shadow.
+ * @private
+ */
+Blockly.GrammarConverter.getShadowField_ = function(value, fieldName) {
+  var shadow = value && Blockly.GrammarConverter.getChild_(value, 'shadow');
+  var field = shadow &&
+      Blockly.GrammarConverter.getChild_(shadow, 'field', fieldName);
+  return field && field.textContent;
+};
+
+/**
+ * Replace a child of a block, or append the new child if there is none.
+ * @param {!Element} block XML of the block.
+ * @param {Element} oldChild The child to replace, or null to append.
+ * @param {!Element} newChild The new child.
+ * @private
+ */
+Blockly.GrammarConverter.replaceChild_ = function(block, oldChild, newChild) {
+  if (oldChild) {
+    block.replaceChild(newChild, oldChild);
+  } else {
+    block.appendChild(newChild);
+  }
+};
+
+/**
+ * Create an element in the same document as a block.
+ * @param {!Element} block XML of the block.
+ * @param {string} tagName The new element's tag.
+ * @param {string=} opt_text The new element's text.
+ * @return {!Element} The new element.
+ * @private
+ */
+Blockly.GrammarConverter.createElement_ = function(block, tagName, opt_text) {
+  var element = block.ownerDocument.createElement(tagName);
+  if (opt_text !== undefined) {
+    element.appendChild(block.ownerDocument.createTextNode(opt_text));
+  }
+  return element;
+};
+
+/**
+ * Create a field element.
+ * @param {!Element} block XML of the block the field is for.
+ * @param {string} name The field's name.
+ * @param {string} value The field's value.
+ * @return {!Element} The field element.
+ * @private
+ */
+Blockly.GrammarConverter.createField_ = function(block, name, value) {
+  var field = Blockly.GrammarConverter.createElement_(block, 'field', value);
+  field.setAttribute('name', name);
+  return field;
+};
+
+/**
+ * Functions that convert horizontal blocks to vertical blocks, keyed by the
+ * horizontal type.  Each changes the block's element in place and returns
+ * false if the block has no vertical equivalent.
+ * @type {!Object.<string, function(!Element):boolean>}
+ * @private
+ */
+Blockly.GrammarConverter.TO_VERTICAL_ = {
+  'control_stop': function(block) {
+    // The horizontal stop block stops everything.
+    block.appendChild(Blockly.GrammarConverter.createField_(block,
+        'STOP_OPTION', 'all'));
+    var mutation = Blockly.GrammarConverter.createElement_(block, 'mutation');
+    mutation.setAttribute('hasnext', 'false');
+    block.insertBefore(mutation, block.firstChild);
+    return true;
+  },
+  'event_whenbroadcastreceived': function(block) {
+    var value = Blockly.GrammarConverter.getChild_(block, 'value', 'CHOICE');
+    var message = Blockly.GrammarConverter.getShadowField_(value, 'CHOICE');
+    if (message === null) {
+      return false;
+    }
+    Blockly.GrammarConverter.replaceChild_(block, value,
+        Blockly.GrammarConverter.createField_(block, 'BROADCAST_OPTION',
+            message));
+    return true;
+  },
+  'event_broadcast': function(block) {
+    var value = Blockly.GrammarConverter.getChild_(block, 'value', 'CHOICE');
+    if (value) {
+      value.setAttribute('name', 'BROADCAST_OPTION');
+    }
+    return true;
+  },
+  'dropdown_broadcast': function(block) {
+    block.setAttribute('type', 'event_broadcast_menu');
+    var field = Blockly.GrammarConverter.getChild_(block, 'field', 'CHOICE');
+    if (field) {
+      field.setAttribute('name', 'BROADCAST_OPTION');
+    }
+    return true;
+  }
+};
+
+/**
+ * Functions that convert vertical blocks to horizontal blocks, keyed by the
+ * vertical type.  Each changes the block's element in place and returns
+ * false if the block has no horizontal equivalent.
+ * @type {!Object.<string, function(!Element):boolean>}
+ * @private
+ */
+Blockly.GrammarConverter.TO_HORIZONTAL_ = {
+  'control_stop': function(block) {
+    // The horizontal stop block can only stop everything.
+    var field = Blockly.GrammarConverter.getChild_(block, 'field',
+        'STOP_OPTION');
+    if (field && field.textContent != 'all') {
+      return false;
+    }
+    var mutation = Blockly.GrammarConverter.getChild_(block, 'mutation');
+    if (field) {
+      block.removeChild(field);
+    }
+    if (mutation) {
+      block.removeChild(mutation);
+    }
+    return true;
+  },
+  'event_whenbroadcastreceived': function(block) {
+    var field = Blockly.GrammarConverter.getChild_(block, 'field',
+        'BROADCAST_OPTION');
+    var message = field ? field.textContent : '';
+    if (Blockly.GrammarConverter.BROADCAST_COLOURS_.indexOf(message) == -1) {
+      return false;
+    }
+    var value = Blockly.GrammarConverter.createElement_(block, 'value');
+    value.setAttribute('name', 'CHOICE');
+    var shadow = Blockly.GrammarConverter.createElement_(block, 'shadow');
+    shadow.setAttribute('type', 'dropdown_whenbroadcast');
+    shadow.appendChild(Blockly.GrammarConverter.createField_(block, 'CHOICE',
+        message));
+    value.appendChild(shadow);
+    Blockly.GrammarConverter.replaceChild_(block, field, value);
+    return true;
+  },
+  'dropdown_whenbroadcast': function() {
+    // Only made by the conversion of event_whenbroadcastreceived.
+    return true;
+  },
+  'event_broadcast': function(block) {
+    var value = Blockly.GrammarConverter.getChild_(block, 'value',
+        'BROADCAST_OPTION');
+    var message = Blockly.GrammarConverter.getShadowField_(value,
+        'BROADCAST_OPTION');
+    if (Blockly.GrammarConverter.BROADCAST_COLOURS_.indexOf(message) == -1) {
+      return false;
+    }
+    value.setAttribute('name', 'CHOICE');
+    return true;
+  },
+  'event_broadcast_menu': function(block) {
+    block.setAttribute('type', 'dropdown_broadcast');
+    var field = Blockly.GrammarConverter.getChild_(block, 'field',
+        'BROADCAST_OPTION');
+    if (field) {
+      field.setAttribute('name', 'CHOICE');
+    }
+    return true;
+  }
+};
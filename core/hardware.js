@@ -0,0 +1,550 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Hardware extensions: blocks for a peripheral, generated from a
+ * declarative description of the peripheral.
+ *
+ *   {
+ *     id: 'wedo',
+ *     name: 'WeDo',
+ *     colours: Blockly.Colours.pen,
+ *     blocks: [{
+ *       opcode: 'motorclockwise',
+ *       blockType: Blockly.Hardware.BlockType.COMMAND,
+ *       text: 'turn motor clockwise for [DURATION] seconds',
+ *       icon: 'icons/wedo_motor-clockwise.svg',
+ *       arguments: [{
+ *         name: 'DURATION',
+ *         type: Blockly.Hardware.ArgumentType.NUMBER,
+ *         defaultValue: 1
+ *       }]
+ *     }],
+ *     menus: {
+ *       motorspeed: [
+ *         {src: 'icons/wedo_motor-speed_slow.svg', value: 'slow', alt: 'Slow'},
+ *         {src: 'icons/wedo_motor-speed_fast.svg', value: 'fast', alt: 'Fast'}
+ *       ]
+ *     }
+ *   }
+ *
+ * Each block becomes a block of type '<id>_<opcode>' and each menu a shadow
+ * block of type 'dropdown_<id>_<menu>' with a CHOICE field.  Menus list
+ * either [text, value] options or icons, which are shown in an icon menu.
+ * Blocks and menus may have their own category and colours.  Icon paths are
+ * relative to the workspace's media path.
+ * Horizontal blocks show the block's icon followed by its arguments.  Vertical
+ * blocks, and horizontal blocks without an icon, show the icon, if any,
+ * followed by the text, with the arguments in place of their [NAME] in the
+ * text.
+ */
+'use strict';
+
+/**
+ * @name Blockly.Hardware
+ * @namespace
+ **/
+goog.provide('Blockly.Hardware');
+
+goog.require('Blockly.BlockSvg.render');
+goog.require('Blockly.Blocks');
+goog.require('Blockly.ExtensionRegistry');
+goog.require('Blockly.HardwareAdapter');
+goog.require('Blockly.constants');
+goog.require('goog.string');
+
+
+/**
+ * Kinds of blocks a peripheral can have.
+ * @enum {string}
+ */
+Blockly.Hardware.BlockType = {
+  COMMAND: 'command',
+  REPORTER: 'reporter',
+  BOOLEAN: 'boolean',
+  HAT: 'hat'
+};
+
+/**
+ * Kinds of block arguments.  Menu arguments name one of the peripheral's
+ * menus.
+ * @enum {string}
+ */
+Blockly.Hardware.ArgumentType = {
+  NUMBER: 'number',
+  STRING: 'string',
+  MENU: 'menu'
+};
+
+/**
+ * Width and height of the icons on blocks.
+ * @const {number}
+ */
+Blockly.Hardware.ICON_SIZE = 40;
+
+/**
+ * Default width and height of the icons in icon menus.
+ * @const {number}
+ */
+Blockly.Hardware.MENU_ICON_SIZE = 48;
+
+/**
+ * The loaded hardware extensions, keyed by extension id.  Each entry records
+ * the extension's descriptor, its device adapter and the adapter's status
+ * listener.
+ * @type {!Object.<string, !Object>}
+ * @private
+ */
+Blockly.Hardware.loaded_ = Object.create(null);
+
+/**
+ * Get the type of the block for one of a peripheral's blocks.
+ * @param {string} id The peripheral's id.
+ * @param {string} opcode The block's opcode.
+ * @return {string} The block type.
+ */
+Blockly.Hardware.getBlockType = function(id, opcode) {
+  return id + '_' + opcode;
+};
+
+/**
+ * Get the type of the shadow block for one of a peripheral's menus.
+ * @param {string} id The peripheral's id.
+ * @param {string} menuName The menu's name.
+ * @return {string} The block type.
+ */
+Blockly.Hardware.getMenuBlockType = function(id, menuName) {
+  return 'dropdown_' + id + '_' + menuName;
+};
+
+/**
+ * Define a peripheral's blocks, for peripherals whose blocks are compiled in
+ * rather than loaded at runtime.  Icons are found in the main workspace's
+ * media path when the blocks are created.
+ * @param {!Object} descriptor The peripheral's descriptor.
+ */
+Blockly.Hardware.defineBlocks = function(descriptor) {
+  var define = function(type, jsonFactory) {
+    Blockly.Blocks[type] = {
+      init: function() {
+        this.jsonInit(jsonFactory(Blockly.mainWorkspace.options.pathToMedia));
+      }
+    };
+  };
+  var id = descriptor['id'];
+  var blocks = descriptor['blocks'] || [];
+  blocks.forEach(function(info) {
+    define(Blockly.Hardware.getBlockType(id, info['opcode']),
+        function(pathToMedia) {
+          return Blockly.Hardware.blockJson_(descriptor, info, pathToMedia);
+        });
+  });
+  var menus = descriptor['menus'] || {};
+  Object.keys(menus).forEach(function(name) {
+    define(Blockly.Hardware.getMenuBlockType(id, name),
+        function(pathToMedia) {
+          return Blockly.Hardware.menuBlockJson_(descriptor, name, pathToMedia);
+        });
+  });
+};
+
+/**
+ * Load a peripheral as an extension: define its blocks, add its category to
+ * the workspace's toolbox and show the connection status of its device on the
+ * category.
+ * @param {!Blockly.Workspace} workspace The workspace to load the peripheral
+ *     on.
+ * @param {!Object} descriptor The peripheral's descriptor.
+ * @param {Blockly.HardwareAdapter=} opt_adapter Adapter for the peripheral's
+ *     device.  Without one, the category shows no status.
+ * @throws {string} If the descriptor is invalid, the extension is already
+ *     loaded or one of its blocks is already defined.
+ */
+Blockly.Hardware.load = function(workspace, descriptor, opt_adapter) {
+  var id = descriptor['id'];
+  var pathToMedia = workspace.options.pathToMedia || '';
+  var colours = descriptor['colours'] || {};
+  var blocks = (descriptor['blocks'] || []).map(function(info) {
+    return Blockly.Hardware.blockJson_(descriptor, info, pathToMedia);
+  });
+  var menus = descriptor['menus'] || {};
+  for (var name in menus) {
+    blocks.push(Blockly.Hardware.menuBlockJson_(descriptor, name,
+        pathToMedia));
+  }
+  Blockly.ExtensionRegistry.load(workspace, {
+    'id': id,
+    'name': descriptor['name'],
+    'colour': colours.primary,
+    'colourSecondary': colours.secondary,
+    'colourTertiary': colours.tertiary,
+    'iconURI': descriptor['iconURI'],
+    'blocks': blocks,
+    'toolboxXml': Blockly.Hardware.toolboxXml(descriptor)
+  });
+
+  var listener = null;
+  if (opt_adapter) {
+    var showStatus = function(status) {
+      if (workspace.toolbox_) {
+        workspace.toolbox_.setExtensionStatus(id, status);
+      }
+    };
+    listener = opt_adapter.addStatusListener(showStatus);
+    showStatus(opt_adapter.getStatus());
+  }
+  Blockly.Hardware.loaded_[id] = {
+    descriptor: descriptor,
+    adapter: opt_adapter || null,
+    listener: listener,
+    workspace: workspace
+  };
+};
+
+/**
+ * Unload a peripheral loaded with Blockly.Hardware.load.  Peripherals whose
+ * blocks are in use can't be unloaded.  The device is not disconnected.
+ * @param {string} id The peripheral's id.
+ * @return {boolean} True if the peripheral was unloaded.
+ */
+Blockly.Hardware.unload = function(id) {
+  var peripheral = Blockly.Hardware.loaded_[id];
+  if (!Blockly.ExtensionRegistry.unload(id)) {
+    return false;
+  }
+  if (peripheral) {
+    if (peripheral.adapter) {
+      peripheral.adapter.removeStatusListener(peripheral.listener);
+    }
+    var toolbox = peripheral.workspace.toolbox_;
+    if (toolbox) {
+      toolbox.setExtensionStatus(id, null);
+    }
+    delete Blockly.Hardware.loaded_[id];
+  }
+  return true;
+};
+
+/**
+ * Get the adapter for a loaded peripheral's device.
+ * @param {string} id The peripheral's id.
+ * @return {Blockly.HardwareAdapter} The adapter, or null if the peripheral
+ *     isn't loaded or has no adapter.
+ */
+Blockly.Hardware.getAdapter = function(id) {
+  var peripheral = Blockly.Hardware.loaded_[id];
+  return peripheral ? peripheral.adapter : null;
+};
+
+/**
+ * Run one of a loaded peripheral's blocks on its device: send commands to the
+ * adapter and read reporters from it.  Arguments are read from the shadows in
+ * the block's inputs; arguments with other blocks in their inputs are null,
+ * since evaluating those is up to the host's runtime.  Hat blocks are started
+ * by the host, so running them does nothing.
+ * @param {!Blockly.Block} block The block to run.
+ * @return {*} The value read by a reporter, or undefined.
+ * @throws {string} If the block isn't one of a loaded peripheral's blocks, or
+ *     the peripheral has no adapter.
+ */
+Blockly.Hardware.run = function(block) {
+  for (var id in Blockly.Hardware.loaded_) {
+    var peripheral = Blockly.Hardware.loaded_[id];
+    var blocks = peripheral.descriptor['blocks'] || [];
+    for (var i = 0, info; info = blocks[i]; i++) {
+      if (Blockly.Hardware.getBlockType(id, info['opcode']) == block.type) {
+        if (!peripheral.adapter) {
+          throw 'Peripheral "' + id + '" has no adapter.';
+        }
+        var args = Blockly.Hardware.getArguments_(block, id, info);
+        switch (info['blockType']) {
+          case Blockly.Hardware.BlockType.COMMAND:
+            peripheral.adapter.send(info['opcode'], args);
+            return undefined;
+          case Blockly.Hardware.BlockType.REPORTER:
+          case Blockly.Hardware.BlockType.BOOLEAN:
+            return peripheral.adapter.read(info['opcode'], args);
+          default:
+            return undefined;
+        }
+      }
+    }
+  }
+  throw 'Block "' + block.type + '" is not a hardware block.';
+};
+
+/**
+ * Get the contents of a peripheral's toolbox category: each block with
+ * shadows holding the default values of its arguments.
+ * @param {!Object} descriptor The peripheral's descriptor.
+ * @return {string} The category's contents as XML text.
+ */
+Blockly.Hardware.toolboxXml = function(descriptor) {
+  var id = descriptor['id'];
+  var menus = descriptor['menus'] || {};
+  var xml = [];
+  var blocks = descriptor['blocks'] || [];
+  for (var i = 0, info; info = blocks[i]; i++) {
+    xml.push('<block type="' +
+        Blockly.Hardware.getBlockType(id, info['opcode']) + '">');
+    var args = info['arguments'] || [];
+    for (var j = 0, arg; arg = args[j]; j++) {
+      var shadow = Blockly.Hardware.getShadow_(id, arg);
+      var value = arg['defaultValue'];
+      if (value === undefined &&
+          arg['type'] == Blockly.Hardware.ArgumentType.MENU) {
+        value = Blockly.Hardware.firstMenuValue_(menus[arg['menu']]);
+      }
+      xml.push('<value name="' + arg['name'] + '">' +
+          '<shadow type="' + shadow.type + '">' +
+          '<field name="' + shadow.field + '">' +
+          goog.string.htmlEscape(value === undefined ? '' : String(value)) +
+          '</field></shadow></value>');
+    }
+    xml.push('</block>');
+  }
+  return xml.join('');
+};
+
+/**
+ * Get the JSON definition of one of a peripheral's blocks, for the renderer
+ * that is loaded.
+ * @param {!Object} descriptor The peripheral's descriptor.
+ * @param {!Object} info The block's description.
+ * @param {string} pathToMedia Path to the block icons.
+ * @return {!Object} The block's definition for jsonInit.
+ * @private
+ */
+Blockly.Hardware.blockJson_ = function(descriptor, info, pathToMedia) {
+  var id = descriptor['id'];
+  var opcode = info['opcode'];
+  var json = {
+    'type': Blockly.Hardware.getBlockType(id, opcode),
+    'category': info['category'] || id,
+    'inputsInline': true
+  };
+  Blockly.Hardware.setColours_(json, info['colours'] ||
+      descriptor['colours']);
+
+  var args = [];
+  var message = [];
+  if (info['icon']) {
+    args.push({
+      'type': 'field_image',
+      'src': pathToMedia + info['icon'],
+      'width': Blockly.Hardware.ICON_SIZE,
+      'height': Blockly.Hardware.ICON_SIZE,
+      'alt': (info['text'] || opcode).replace(/\s*\[\w+\]/g, '')
+    });
+    message.push('%1');
+  }
+  var inputs = info['arguments'] || [];
+  var addInput = function(arg) {
+    if (arg['type'] == Blockly.Hardware.ArgumentType.MENU &&
+        !(descriptor['menus'] && descriptor['menus'][arg['menu']])) {
+      throw 'Block "' + json['type'] + '" uses unknown menu "' + arg['menu'] +
+          '".';
+    }
+    var input = {'type': 'input_value', 'name': arg['name']};
+    if (arg['type'] == Blockly.Hardware.ArgumentType.NUMBER) {
+      input['check'] = 'Number';
+    }
+    args.push(input);
+    return '%' + args.length;
+  };
+  // Horizontal blocks without an icon show their text, like vertical blocks.
+  if (Blockly.BlockSvg.HORIZONTAL_LAYOUT && info['icon']) {
+    inputs.forEach(function(arg) {
+      message.push(addInput(arg));
+    });
+  } else {
+    var used = [];
+    var text = (info['text'] || opcode).replace(/\[(\w+)\]/g,
+        function(placeholder, name) {
+          for (var i = 0; i < inputs.length; i++) {
+            if (inputs[i]['name'] == name) {
+              used.push(name);
+              return addInput(inputs[i]);
+            }
+          }
+          return placeholder;
+        });
+    message.push(text);
+    // Arguments missing from the text go after it.
+    inputs.forEach(function(arg) {
+      if (used.indexOf(arg['name']) == -1) {
+        message.push(addInput(arg));
+      }
+    });
+  }
+  json['message0'] = message.join(' ');
+  json['args0'] = args;
+
+  switch (info['blockType']) {
+    case Blockly.Hardware.BlockType.HAT:
+      json['nextStatement'] = null;
+      break;
+    case Blockly.Hardware.BlockType.REPORTER:
+      json['output'] = null;
+      json['outputShape'] = Blockly.OUTPUT_SHAPE_ROUND;
+      break;
+    case Blockly.Hardware.BlockType.BOOLEAN:
+      json['output'] = 'Boolean';
+      json['outputShape'] = Blockly.OUTPUT_SHAPE_HEXAGONAL;
+      break;
+    default:
+      json['previousStatement'] = null;
+      json['nextStatement'] = null;
+  }
+  return json;
+};
+
+/**
+ * Get the JSON definition of the shadow block for one of a peripheral's
+ * menus.
+ * @param {!Object} descriptor The peripheral's descriptor.
+ * @param {string} name The menu's name.
+ * @param {string} pathToMedia Path to the menu's icons.
+ * @return {!Object} The block's definition for jsonInit.
+ * @private
+ */
+Blockly.Hardware.menuBlockJson_ = function(descriptor, name, pathToMedia) {
+  var id = descriptor['id'];
+  var menu = descriptor['menus'][name];
+  var items = goog.isArray(menu) ? menu : menu['items'];
+  var field = {'name': 'CHOICE'};
+  if (goog.isArray(items[0])) {
+    field['type'] = 'field_dropdown';
+    field['options'] = items;
+  } else {
+    field['type'] = 'field_iconmenu';
+    field['options'] = items.map(function(item) {
+      var icon = {};
+      for (var key in item) {
+        icon[key] = item[key];
+      }
+      if (icon['src']) {
+        icon['src'] = pathToMedia + icon['src'];
+      }
+      icon['width'] = icon['width'] || Blockly.Hardware.MENU_ICON_SIZE;
+      icon['height'] = icon['height'] || Blockly.Hardware.MENU_ICON_SIZE;
+      return icon;
+    });
+  }
+  var json = {
+    'type': Blockly.Hardware.getMenuBlockType(id, name),
+    'message0': '%1',
+    'args0': [field],
+    'output': null
+  };
+  if (!Blockly.BlockSvg.HORIZONTAL_LAYOUT) {
+    json['outputShape'] = Blockly.OUTPUT_SHAPE_ROUND;
+  }
+  if (!goog.isArray(menu) && menu['category']) {
+    json['category'] = menu['category'];
+  }
+  Blockly.Hardware.setColours_(json, (!goog.isArray(menu) && menu['colours']) ||
+      descriptor['colours']);
+  return json;
+};
+
+/**
+ * Get the shadow block that holds the value of an argument.
+ * @param {string} id The peripheral's id.
+ * @param {!Object} arg The argument's description.
+ * @return {{type: string, field: string}} The type of the shadow block and
+ *     the name of its field.
+ * @private
+ */
+Blockly.Hardware.getShadow_ = function(id, arg) {
+  switch (arg['type']) {
+    case Blockly.Hardware.ArgumentType.MENU:
+      return {
+        type: Blockly.Hardware.getMenuBlockType(id, arg['menu']),
+        field: 'CHOICE'
+      };
+    case Blockly.Hardware.ArgumentType.NUMBER:
+      return {type: 'math_number', field: 'NUM'};
+    default:
+      return {type: 'text', field: 'TEXT'};
+  }
+};
+
+/**
+ * Get the value of the first option of a menu, skipping icon placeholders.
+ * @param {!Array|!Object} menu The menu's description.
+ * @return {string} The value, or '' if the menu has no options.
+ * @private
+ */
+Blockly.Hardware.firstMenuValue_ = function(menu) {
+  var items = goog.isArray(menu) ? menu : menu['items'];
+  for (var i = 0, item; item = items[i]; i++) {
+    if (goog.isArray(item)) {
+      return item[1];
+    }
+    if (item['value'] !== undefined) {
+      return item['value'];
+    }
+  }
+  return '';
+};
+
+/**
+ * Give a block definition colours.
+ * @param {!Object} json The block's definition.
+ * @param {Object} colours The colours, with primary, secondary and tertiary
+ *     properties like those of Blockly.Colours.motion.  Nothing is set if
+ *     null.
+ * @private
+ */
+Blockly.Hardware.setColours_ = function(json, colours) {
+  if (colours) {
+    json['colour'] = colours.primary;
+    json['colourSecondary'] = colours.secondary;
+    json['colourTertiary'] = colours.tertiary;
+  }
+};
+
+/**
+ * Get the values of a block's arguments from the shadows in its inputs.
+ * @param {!Blockly.Block} block The block.
+ * @param {string} id The peripheral's id.
+ * @param {!Object} info The block's description.
+ * @return {!Object.<string, *>} The values, keyed by argument name.  Number
+ *     arguments are numbers.
+ * @private
+ */
+Blockly.Hardware.getArguments_ = function(block, id, info) {
+  var args = {};
+  var inputs = info['arguments'] || [];
+  for (var i = 0, arg; arg = inputs[i]; i++) {
+    var target = block.getInputTargetBlock(arg['name']);
+    var value = null;
+    if (target && target.isShadow()) {
+      value = target.getFieldValue(
+          Blockly.Hardware.getShadow_(id, arg).field);
+      if (arg['type'] == Blockly.Hardware.ArgumentType.NUMBER) {
+        value = Number(value);
+      }
+    }
+    args[arg['name']] = value;
+  }
+  return args;
+};
@@ -0,0 +1,141 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Base class for the adapters that talk to a hardware
+ * extension's device.  Hosts subclass it for each kind of connection, e.g.
+ * Bluetooth or USB; see Blockly.MockHardwareAdapter for an adapter that needs
+ * no device.
+ */
+'use strict';
+
+goog.provide('Blockly.HardwareAdapter');
+
+
+/**
+ * Class for a device adapter.  Subclasses implement connect, disconnect, send
+ * and read, and call setStatus as the connection changes.
+ * @constructor
+ */
+Blockly.HardwareAdapter = function() {
+  /**
+   * The connection status, one of Blockly.HardwareAdapter.Status.
+   * @type {string}
+   * @private
+   */
+  this.status_ = Blockly.HardwareAdapter.Status.DISCONNECTED;
+
+  /**
+   * Functions to call when the connection status changes.
+   * @type {!Array.<function(string)>}
+   * @private
+   */
+  this.statusListeners_ = [];
+};
+
+/**
+ * Connection statuses of a device.  The toolbox shows them on the category of
+ * the device's extension.
+ * @enum {string}
+ */
+Blockly.HardwareAdapter.Status = {
+  CONNECTED: 'connected',
+  CONNECTING: 'connecting',
+  DISCONNECTED: 'disconnected'
+};
+
+/**
+ * Start connecting to the device.
+ */
+Blockly.HardwareAdapter.prototype.connect = goog.abstractMethod;
+
+/**
+ * Disconnect from the device.
+ */
+Blockly.HardwareAdapter.prototype.disconnect = goog.abstractMethod;
+
+/**
+ * Send a command to the device.
+ * @param {string} opcode The opcode of the command's block.
+ * @param {!Object.<string, *>} args The block's arguments, keyed by name.
+ */
+Blockly.HardwareAdapter.prototype.send = goog.abstractMethod;
+
+/**
+ * Read a value from the device.
+ * @param {string} opcode The opcode of the reporter's block.
+ * @param {!Object.<string, *>} args The block's arguments, keyed by name.
+ * @return {*} The value.
+ */
+Blockly.HardwareAdapter.prototype.read = goog.abstractMethod;
+
+/**
+ * Get the connection status.
+ * @return {string} One of Blockly.HardwareAdapter.Status.
+ */
+Blockly.HardwareAdapter.prototype.getStatus = function() {
+  return this.status_;
+};
+
+/**
+ * Whether the device is connected.
+ * @return {boolean} True if connected.
+ */
+Blockly.HardwareAdapter.prototype.isConnected = function() {
+  return this.status_ == Blockly.HardwareAdapter.Status.CONNECTED;
+};
+
+/**
+ * Set the connection status and tell the listeners if it changed.
+ * @param {string} status One of Blockly.HardwareAdapter.Status.
+ * @protected
+ */
+Blockly.HardwareAdapter.prototype.setStatus = function(status) {
+  if (this.status_ == status) {
+    return;
+  }
+  this.status_ = status;
+  // Copy the listeners, in case one of them removes itself.
+  var listeners = this.statusListeners_.slice();
+  for (var i = 0; i < listeners.length; i++) {
+    listeners[i](status);
+  }
+};
+
+/**
+ * Add a function to call when the connection status changes.
+ * @param {function(string)} func The function, called with the new status.
+ * @return {function(string)} The function, for removeStatusListener.
+ */
+Blockly.HardwareAdapter.prototype.addStatusListener = function(func) {
+  this.statusListeners_.push(func);
+  return func;
+};
+
+/**
+ * Stop calling a function when the connection status changes.
+ * @param {function(string)} func The function to remove.
+ */
+Blockly.HardwareAdapter.prototype.removeStatusListener = function(func) {
+  var i = this.statusListeners_.indexOf(func);
+  if (i != -1) {
+    this.statusListeners_.splice(i, 1);
+  }
+};
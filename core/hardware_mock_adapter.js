@@ -0,0 +1,136 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Device adapter that needs no device, for trying out and
+ * testing hardware extensions.  It records the commands it is sent and reads
+ * back values set with setValue.
+ */
+'use strict';
+
+goog.provide('Blockly.MockHardwareAdapter');
+
+goog.require('Blockly.HardwareAdapter');
+
+
+/**
+ * Class for a mock device adapter.
+ * @param {number=} opt_delay Milliseconds that connecting takes.  Connecting
+ *     is immediate if omitted.
+ * @extends {Blockly.HardwareAdapter}
+ * @constructor
+ */
+Blockly.MockHardwareAdapter = function(opt_delay) {
+  Blockly.MockHardwareAdapter.superClass_.constructor.call(this);
+
+  /**
+   * Milliseconds that connecting takes.
+   * @type {number}
+   * @private
+   */
+  this.delay_ = opt_delay || 0;
+
+  /**
+   * Commands sent to the device, oldest first.
+   * @type {!Array.<{opcode: string, args: !Object}>}
+   */
+  this.sent = [];
+
+  /**
+   * Values read by reporters, keyed by opcode.
+   * @type {!Object.<string, *>}
+   * @private
+   */
+  this.values_ = Object.create(null);
+
+  /**
+   * PID of the pending connection, if connecting takes time.
+   * @type {?number}
+   * @private
+   */
+  this.connectPid_ = null;
+};
+goog.inherits(Blockly.MockHardwareAdapter, Blockly.HardwareAdapter);
+
+/**
+ * Start connecting to the device.  The connection is made after the delay
+ * given to the constructor.
+ */
+Blockly.MockHardwareAdapter.prototype.connect = function() {
+  if (this.getStatus() != Blockly.HardwareAdapter.Status.DISCONNECTED) {
+    return;
+  }
+  if (!this.delay_) {
+    this.setStatus(Blockly.HardwareAdapter.Status.CONNECTED);
+    return;
+  }
+  this.setStatus(Blockly.HardwareAdapter.Status.CONNECTING);
+  var adapter = this;
+  this.connectPid_ = setTimeout(function() {
+    adapter.connectPid_ = null;
+    adapter.setStatus(Blockly.HardwareAdapter.Status.CONNECTED);
+  }, this.delay_);
+};
+
+/**
+ * Disconnect from the device, as if it had been unplugged.
+ */
+Blockly.MockHardwareAdapter.prototype.disconnect = function() {
+  if (this.connectPid_) {
+    clearTimeout(this.connectPid_);
+    this.connectPid_ = null;
+  }
+  this.setStatus(Blockly.HardwareAdapter.Status.DISCONNECTED);
+};
+
+/**
+ * Record a command.
+ * @param {string} opcode The opcode of the command's block.
+ * @param {!Object.<string, *>} args The block's arguments, keyed by name.
+ * @throws {string} If the device isn't connected.
+ */
+Blockly.MockHardwareAdapter.prototype.send = function(opcode, args) {
+  if (!this.isConnected()) {
+    throw 'Device is not connected.';
+  }
+  this.sent.push({opcode: opcode, args: args});
+};
+
+/**
+ * Read a value set with setValue.  The block's arguments are ignored.
+ * @param {string} opcode The opcode of the reporter's block.
+ * @return {*} The value, or undefined if none was set.
+ * @throws {string} If the device isn't connected.
+ */
+Blockly.MockHardwareAdapter.prototype.read = function(opcode) {
+  if (!this.isConnected()) {
+    throw 'Device is not connected.';
+  }
+  return this.values_[opcode];
+};
+
+/**
+ * Set the value that a reporter reads, e.g. a sensor's reading.
+ * @param {string} opcode The opcode of the reporter's block.
+ * @param {*} value The value.
+ */
+Blockly.MockHardwareAdapter.prototype.setValue = function(opcode, value) {
+  this.values_[opcode] = value;
+};
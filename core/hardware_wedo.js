@@ -0,0 +1,159 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2016 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The WeDo 2.0 peripheral and its blocks.  It is part of core,
+ * rather than of a grammar's blocks, so that both grammars define the same
+ * blocks.
+ * @author ascii@media.mit.edu <Andrew Sliwinski>
+ */
+'use strict';
+
+goog.provide('Blockly.HardwareWeDo');
+
+goog.require('Blockly.Colours');
+goog.require('Blockly.Hardware');
+goog.require('Blockly.constants');
+
+
+/**
+ * Description of the WeDo 2.0 peripheral.  Its blocks are defined below; hosts
+ * that load the WeDo at runtime pass this to Blockly.Hardware.load instead.
+ * @type {!Object}
+ */
+Blockly.HardwareWeDo.DESCRIPTOR = {
+  id: 'wedo',
+  name: 'WeDo',
+  colours: Blockly.Colours.pen,
+  blocks: [
+    {
+      opcode: 'setcolor',
+      blockType: Blockly.Hardware.BlockType.COMMAND,
+      text: 'set LED color [CHOICE]',
+      icon: 'icons/set-led_blue.svg',
+      arguments: [
+        {name: 'CHOICE', type: Blockly.Hardware.ArgumentType.MENU,
+          menu: 'setcolor'}
+      ],
+      category: Blockly.Categories.looks,
+      colours: Blockly.Colours.looks
+    },
+    {
+      opcode: 'motorclockwise',
+      blockType: Blockly.Hardware.BlockType.COMMAND,
+      text: 'turn motor clockwise [DURATION]',
+      icon: 'icons/wedo_motor-clockwise.svg',
+      arguments: [
+        {name: 'DURATION', type: Blockly.Hardware.ArgumentType.NUMBER,
+          defaultValue: 1}
+      ],
+      category: Blockly.Categories.motion,
+      colours: Blockly.Colours.motion
+    },
+    {
+      opcode: 'motorcounterclockwise',
+      blockType: Blockly.Hardware.BlockType.COMMAND,
+      text: 'turn motor counter-clockwise [DURATION]',
+      icon: 'icons/wedo_motor-counterclockwise.svg',
+      arguments: [
+        {name: 'DURATION', type: Blockly.Hardware.ArgumentType.NUMBER,
+          defaultValue: 1}
+      ],
+      category: Blockly.Categories.motion,
+      colours: Blockly.Colours.motion
+    },
+    {
+      opcode: 'motorspeed',
+      blockType: Blockly.Hardware.BlockType.COMMAND,
+      text: 'motor speed [CHOICE]',
+      icon: 'icons/wedo_motor-speed_fast.svg',
+      arguments: [
+        {name: 'CHOICE', type: Blockly.Hardware.ArgumentType.MENU,
+          menu: 'motorspeed'}
+      ],
+      category: Blockly.Categories.motion,
+      colours: Blockly.Colours.motion
+    },
+    {
+      opcode: 'whentilt',
+      blockType: Blockly.Hardware.BlockType.HAT,
+      text: 'when tilted [CHOICE]',
+      icon: 'icons/wedo_when-tilt.svg',
+      arguments: [
+        {name: 'CHOICE', type: Blockly.Hardware.ArgumentType.MENU,
+          menu: 'whentilt'}
+      ],
+      category: Blockly.Categories.event,
+      colours: Blockly.Colours.event
+    },
+    {
+      opcode: 'whendistanceclose',
+      blockType: Blockly.Hardware.BlockType.HAT,
+      text: 'when distance close',
+      icon: 'icons/wedo_when-distance_close.svg',
+      category: Blockly.Categories.event,
+      colours: Blockly.Colours.event
+    }
+  ],
+  menus: {
+    setcolor: {
+      items: [
+        {src: 'icons/set-led_mystery.svg', value: 'mystery', alt: 'Mystery'},
+        {src: 'icons/set-led_yellow.svg', value: 'yellow', alt: 'Yellow'},
+        {src: 'icons/set-led_orange.svg', value: 'orange', alt: 'Orange'},
+        {src: 'icons/set-led_coral.svg', value: 'coral', alt: 'Coral'},
+        {src: 'icons/set-led_magenta.svg', value: 'magenta', alt: 'Magenta'},
+        {src: 'icons/set-led_purple.svg', value: 'purple', alt: 'Purple'},
+        {src: 'icons/set-led_blue.svg', value: 'blue', alt: 'Blue'},
+        {src: 'icons/set-led_green.svg', value: 'green', alt: 'Green'},
+        {src: 'icons/set-led_white.svg', value: 'white', alt: 'White'}
+      ],
+      colours: Blockly.Colours.looks
+    },
+    motorspeed: {
+      items: [
+        {src: 'icons/wedo_motor-speed_slow.svg', value: 'slow', alt: 'Slow'},
+        {src: 'icons/wedo_motor-speed_med.svg', value: 'medium',
+          alt: 'Medium'},
+        {src: 'icons/wedo_motor-speed_fast.svg', value: 'fast', alt: 'Fast'}
+      ],
+      colours: Blockly.Colours.motion
+    },
+    whentilt: {
+      items: [
+        {type: 'placeholder'},
+        {src: 'icons/wedo_when-tilt-forward.svg', value: 'forward',
+          alt: 'Tilt forward'},
+        {type: 'placeholder'},
+        {src: 'icons/wedo_when-tilt-left.svg', value: 'left',
+          alt: 'Tilt left'},
+        {src: 'icons/wedo_when-tilt.svg', value: 'any', alt: 'Tilt any'},
+        {src: 'icons/wedo_when-tilt-right.svg', value: 'right',
+          alt: 'Tilt right'},
+        {type: 'placeholder'},
+        {src: 'icons/wedo_when-tilt-backward.svg', value: 'backward',
+          alt: 'Tilt backward'}
+      ],
+      colours: Blockly.Colours.event
+    }
+  }
+};
+
+Blockly.Hardware.defineBlocks(Blockly.HardwareWeDo.DESCRIPTOR);
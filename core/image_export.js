@@ -0,0 +1,394 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Pictures of blocks, as standalone SVG or PNG images.  The
+ * pictures carry Blockly's CSS, the web fonts of the text and the images of
+ * the fields, so they look the same outside the page.  Fonts installed on the
+ * computer, such as the default Helvetica, have no file to carry: pictures
+ * name them, and fall back to another font where they aren't installed.
+ */
+'use strict';
+
+goog.provide('Blockly.ImageExport');
+
+goog.require('Blockly.Css');
+goog.require('Blockly.utils');
+
+goog.require('goog.Uri');
+goog.require('goog.dom');
+
+
+/**
+ * The XLink namespace, of the links from images to their files.
+ * @type {string}
+ * @private
+ */
+Blockly.ImageExport.XLINK_NS_ = 'http://www.w3.org/1999/xlink';
+
+/**
+ * Text styles copied from the page onto each text element, since CSS rules
+ * scoped to the workspace's SVG don't reach the picture.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.ImageExport.TEXT_STYLES_ =
+    ['fill', 'font-family', 'font-size', 'font-style', 'font-weight'];
+
+/**
+ * Draw blocks as a standalone SVG image, cropped to the blocks.
+ * @param {!Array.<!Blockly.BlockSvg>} blocks The blocks to draw, each with the
+ *     blocks inside and below it.
+ * @param {!{x: number, y: number, width: number, height: number}} box The area
+ *     of the workspace to draw, in workspace units.
+ * @param {function(string)} callback Called with the SVG's text, once the
+ *     images of the fields and the web fonts have been read.  Called before
+ *     this returns if there are no files to read.
+ */
+Blockly.ImageExport.toSvg = function(blocks, box, callback) {
+  var svg = Blockly.ImageExport.createSvg_(blocks, box);
+  Blockly.ImageExport.inlineImages_(svg, function() {
+    Blockly.ImageExport.inlineFonts_(svg, function() {
+      callback(new XMLSerializer().serializeToString(svg));
+    });
+  });
+};
+
+/**
+ * Draw blocks as a PNG image, cropped to the blocks.
+ * @param {!Array.<!Blockly.BlockSvg>} blocks The blocks to draw, each with the
+ *     blocks inside and below it.
+ * @param {!{x: number, y: number, width: number, height: number}} box The area
+ *     of the workspace to draw, in workspace units.
+ * @param {function(?string)} callback Called with a data URI of the PNG, or
+ *     null if there is nothing to draw or the browser can't draw it.
+ * @param {number=} opt_scale Pixels per workspace unit.  Defaults to 1.
+ */
+Blockly.ImageExport.toPng = function(blocks, box, callback, opt_scale) {
+  var width = Math.ceil(box.width * (opt_scale || 1));
+  var height = Math.ceil(box.height * (opt_scale || 1));
+  if (!width || !height) {
+    callback(null);
+    return;
+  }
+  Blockly.ImageExport.toSvg(blocks, box, function(text) {
+    var image = new Image();
+    image.onload = function() {
+      var canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+      callback(canvas.toDataURL('image/png'));
+    };
+    image.onerror = function() {
+      console.warn('Can\'t draw the blocks as a PNG image.');
+      callback(null);
+    };
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(text);
+  });
+};
+
+/**
+ * Save a picture on the user's computer.
+ * @param {string} uri Data URI of the picture.
+ * @param {string} fileName Name to save the picture under.
+ */
+Blockly.ImageExport.download = function(uri, fileName) {
+  var link = goog.dom.createDom('a', {'href': uri, 'download': fileName});
+  document.body.appendChild(link);
+  link.click();
+  goog.dom.removeNode(link);
+};
+
+/**
+ * Copy blocks into a new SVG element, cropped to an area of the workspace.
+ * The copies have no event handlers, and rely on the page's CSS and on the
+ * definitions (filters and patterns) of the workspace's SVG.
+ * @param {!Array.<!Blockly.BlockSvg>} blocks The blocks to copy, each with the
+ *     blocks inside and below it.
+ * @param {!{x: number, y: number, width: number, height: number}} box The area
+ *     of the workspace to show, in workspace units.
+ * @param {number=} opt_scale Size of the SVG element per workspace unit.
+ *     Defaults to 1.
+ * @return {!Element} The SVG element.
+ */
+Blockly.ImageExport.copyBlocks = function(blocks, box, opt_scale) {
+  var scale = opt_scale || 1;
+  var svg = Blockly.utils.createSvgElement('svg', {
+    'version': '1.1',
+    'width': box.width * scale,
+    'height': box.height * scale,
+    'viewBox': box.x + ' ' + box.y + ' ' + box.width + ' ' + box.height
+  });
+  for (var i = 0, block; block = blocks[i]; i++) {
+    var copy = block.getSvgRoot().cloneNode(true);
+    // The block may be inside another block; place it on its own.
+    var xy = block.getRelativeToSurfaceXY();
+    copy.setAttribute('transform', 'translate(' + xy.x + ',' + xy.y + ')');
+    svg.appendChild(copy);
+  }
+  return svg;
+};
+
+/**
+ * Build the SVG element of a picture: copies of the blocks, after the
+ * workspace's definitions and Blockly's CSS.
+ * @param {!Array.<!Blockly.BlockSvg>} blocks The blocks to draw.
+ * @param {!{x: number, y: number, width: number, height: number}} box The area
+ *     of the workspace to draw, in workspace units.
+ * @return {!Element} The SVG element.
+ * @private
+ */
+Blockly.ImageExport.createSvg_ = function(blocks, box) {
+  var svg = Blockly.ImageExport.copyBlocks(blocks, box);
+  for (var i = 0, block; block = blocks[i]; i++) {
+    Blockly.ImageExport.inlineTextStyles_(block.getSvgRoot(),
+        /** @type {!Element} */ (svg.childNodes[i]));
+  }
+  // The serializer declares the SVG namespace itself.
+  svg.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xlink',
+      Blockly.ImageExport.XLINK_NS_);
+  var firstCopy = svg.firstChild;
+  var style = Blockly.utils.createSvgElement('style', {});
+  style.appendChild(document.createTextNode(Blockly.Css.getText()));
+  svg.insertBefore(style, firstCopy);
+  if (blocks.length) {
+    var parentSvg = blocks[0].workspace.getParentSvg();
+    for (var i = 0, child; child = parentSvg.childNodes[i]; i++) {
+      if (child.tagName && child.tagName.toLowerCase() == 'defs') {
+        svg.insertBefore(child.cloneNode(true), firstCopy);
+      }
+    }
+  }
+  return svg;
+};
+
+/**
+ * Copy the page's text styles onto the texts of a copy of some SVG.
+ * @param {!Element} original The SVG on the page.
+ * @param {!Element} copy The copy.
+ * @private
+ */
+Blockly.ImageExport.inlineTextStyles_ = function(original, copy) {
+  var texts = original.getElementsByTagName('text');
+  var copyTexts = copy.getElementsByTagName('text');
+  for (var i = 0; i < texts.length; i++) {
+    var computed = window.getComputedStyle(texts[i]);
+    for (var j = 0, name; name = Blockly.ImageExport.TEXT_STYLES_[j]; j++) {
+      var value = computed.getPropertyValue(name);
+      if (value) {
+        copyTexts[i].style.setProperty(name, value);
+      }
+    }
+  }
+};
+
+/**
+ * Replace the links to the images in some SVG with the images themselves, as
+ * data URIs.  Images that can't be read stay links.
+ * @param {!Element} svg The SVG.
+ * @param {function()} callback Called once every image has been read.
+ * @private
+ */
+Blockly.ImageExport.inlineImages_ = function(svg, callback) {
+  var images = svg.getElementsByTagName('image');
+  // Fields share images, such as the dropdown arrows, so read each once.
+  var imagesByUrl = Object.create(null);
+  var urls = [];
+  for (var i = 0, image; image = images[i]; i++) {
+    var url = image.getAttributeNS(Blockly.ImageExport.XLINK_NS_, 'href');
+    if (!url || url.indexOf('data:') == 0) {
+      continue;
+    }
+    if (!imagesByUrl[url]) {
+      imagesByUrl[url] = [];
+      urls.push(url);
+    }
+    imagesByUrl[url].push(image);
+  }
+  var pending = urls.length;
+  if (!pending) {
+    callback();
+    return;
+  }
+  urls.forEach(function(url) {
+    Blockly.ImageExport.readAsDataUri_(url, function(uri) {
+      if (uri) {
+        for (var i = 0, image; image = imagesByUrl[url][i]; i++) {
+          image.setAttributeNS(Blockly.ImageExport.XLINK_NS_, 'xlink:href',
+              uri);
+        }
+      } else {
+        console.warn('Can\'t read image "' + url + '" for the picture.');
+      }
+      if (!--pending) {
+        callback();
+      }
+    });
+  });
+};
+
+/**
+ * Add the page's web fonts that the texts of some SVG use to the SVG's style
+ * sheet, with the font files as data URIs.  Files that can't be read stay
+ * links.
+ * @param {!Element} svg The SVG, with the text styles inlined.
+ * @param {function()} callback Called once every font has been read.
+ * @private
+ */
+Blockly.ImageExport.inlineFonts_ = function(svg, callback) {
+  var families = Object.create(null);
+  var texts = svg.getElementsByTagName('text');
+  for (var i = 0, text; text = texts[i]; i++) {
+    var names = text.style.getPropertyValue('font-family').split(',');
+    for (var j = 0; j < names.length; j++) {
+      families[Blockly.ImageExport.fontFamilyKey_(names[j])] = true;
+    }
+  }
+  var faces = Blockly.ImageExport.getFontFaces_(families);
+  var pending = faces.length;
+  if (!pending) {
+    callback();
+    return;
+  }
+  var style = svg.getElementsByTagName('style')[0];
+  faces.forEach(function(face) {
+    Blockly.ImageExport.inlineUrls_(face.cssText, face.baseUrl, function(css) {
+      style.appendChild(document.createTextNode('\n' + css));
+      if (!--pending) {
+        callback();
+      }
+    });
+  });
+};
+
+/**
+ * Find the page's @font-face rules for some font families.  Style sheets from
+ * other sites can't be read, so their fonts are left out.
+ * @param {!Object.<string, boolean>} families The font families, as keys from
+ *     fontFamilyKey_.
+ * @return {!Array.<!{cssText: string, baseUrl: string}>} The rules, with the
+ *     URLs their files are relative to.
+ * @private
+ */
+Blockly.ImageExport.getFontFaces_ = function(families) {
+  var faces = [];
+  for (var i = 0, sheet; sheet = document.styleSheets[i]; i++) {
+    try {
+      var rules = sheet.cssRules;
+    } catch (e) {
+      continue;
+    }
+    for (var j = 0, rule; rule = rules[j]; j++) {
+      if (rule.type == CSSRule.FONT_FACE_RULE &&
+          families[Blockly.ImageExport.fontFamilyKey_(
+              rule.style.getPropertyValue('font-family'))]) {
+        faces.push({
+          cssText: rule.cssText,
+          baseUrl: sheet.href || document.baseURI
+        });
+      }
+    }
+  }
+  return faces;
+};
+
+/**
+ * Normalize the name of a font family, so that names from style sheets and
+ * computed styles can be compared.
+ * @param {string} name The name, possibly quoted.
+ * @return {string} The name, unquoted and in lower case.
+ * @private
+ */
+Blockly.ImageExport.fontFamilyKey_ = function(name) {
+  return name.replace(/["']/g, '').trim().toLowerCase();
+};
+
+/**
+ * Replace the url() links in some CSS with the files themselves, as data
+ * URIs.  Files that can't be read stay links.
+ * @param {string} css The CSS.
+ * @param {string} baseUrl The URL the links are relative to.
+ * @param {function(string)} callback Called with the new CSS once every file
+ *     has been read.
+ * @private
+ */
+Blockly.ImageExport.inlineUrls_ = function(css, baseUrl, callback) {
+  var pattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+  var urls = [];
+  var match;
+  while ((match = pattern.exec(css))) {
+    if (match[2].indexOf('data:') != 0 && urls.indexOf(match[2]) == -1) {
+      urls.push(match[2]);
+    }
+  }
+  var uris = Object.create(null);
+  var pending = urls.length;
+  if (!pending) {
+    callback(css);
+    return;
+  }
+  urls.forEach(function(url) {
+    var absoluteUrl = goog.Uri.resolve(baseUrl, url).toString();
+    Blockly.ImageExport.readAsDataUri_(absoluteUrl, function(uri) {
+      if (uri) {
+        uris[url] = uri;
+      } else {
+        console.warn('Can\'t read font "' + absoluteUrl + '" for the picture.');
+      }
+      if (!--pending) {
+        callback(css.replace(pattern, function(link, quote, url) {
+          return uris[url] ? 'url("' + uris[url] + '")' : link;
+        }));
+      }
+    });
+  });
+};
+
+/**
+ * Read a file as a data URI.
+ * @param {string} url The file's URL.
+ * @param {function(?string)} callback Called with the data URI, or null if the
+ *     file can't be read.
+ * @private
+ */
+Blockly.ImageExport.readAsDataUri_ = function(url, callback) {
+  var request = new XMLHttpRequest();
+  request.open('GET', url);
+  request.responseType = 'blob';
+  request.onload = function() {
+    if (request.status && request.status != 200) {
+      callback(null);
+      return;
+    }
+    var reader = new FileReader();
+    reader.onload = function() {
+      callback(/** @type {string} */ (reader.result));
+    };
+    reader.onerror = function() {
+      callback(null);
+    };
+    reader.readAsDataURL(request.response);
+  };
+  request.onerror = function() {
+    callback(null);
+  };
+  request.send();
+};
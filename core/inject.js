@@ -25,14 +25,19 @@
 'use strict';
 
 goog.provide('Blockly.inject');
+goog.provide('Blockly.renderStatic');
 
 goog.require('Blockly.BlockDragSurfaceSvg');
+goog.require('Blockly.Collaboration');
 goog.require('Blockly.Css');
 goog.require('Blockly.constants');
 goog.require('Blockly.DropDownDiv');
+goog.require('Blockly.Events');
+goog.require('Blockly.ImageExport');
 goog.require('Blockly.Options');
 goog.require('Blockly.WorkspaceSvg');
 goog.require('Blockly.WorkspaceDragSurfaceSvg');
+goog.require('Blockly.Xml');
 goog.require('goog.dom');
 goog.require('goog.ui.Component');
 goog.require('goog.userAgent');
@@ -73,6 +78,88 @@ Blockly.inject = function(container, opt_options) {
   return workspace;
 };
 
+/**
+ * Draw blocks as a static picture, e.g. for documentation.  The picture is an
+ * SVG element to put in the page, with no workspace, toolbox, scrollbars or
+ * event handlers of its own.  The blocks are drawn by a hidden workspace that
+ * every call with the same 'rtl' and 'media' options shares, then copied out.
+ * @param {!Element|string} xml XML of the blocks: an <xml> element with the
+ *     blocks, positioned by their x and y attributes, or a single <block>.
+ *     Or the XML's text.
+ * @param {Object=} opt_options Optional dictionary of options: 'rtl' and
+ *     'media' as for Blockly.inject, and 'scale', the size of the picture per
+ *     workspace unit (defaults to 1).
+ * @return {!Element} Newly created SVG element, cropped to the blocks.
+ */
+Blockly.renderStatic = function(xml, opt_options) {
+  if (goog.isString(xml)) {
+    xml = Blockly.Xml.textToDom(xml);
+  }
+  var xmlBlocks = xml.nodeName.toLowerCase() == 'xml' ? xml.childNodes : [xml];
+  opt_options = opt_options || {};
+  var workspace = Blockly.renderStatic.getWorkspace_(
+      !!opt_options['rtl'], opt_options['media']);
+  // Fields such as dropdowns read their images' paths from the main workspace.
+  var mainWorkspace = Blockly.mainWorkspace;
+  Blockly.mainWorkspace = mainWorkspace || workspace;
+  Blockly.Events.disable();
+  try {
+    for (var i = 0, xmlBlock; xmlBlock = xmlBlocks[i]; i++) {
+      if (!xmlBlock.nodeName || xmlBlock.nodeName.toLowerCase() != 'block') {
+        continue;
+      }
+      var block = Blockly.Xml.domToBlock(xmlBlock, workspace);
+      var x = parseInt(xmlBlock.getAttribute('x'), 10);
+      var y = parseInt(xmlBlock.getAttribute('y'), 10);
+      if (!isNaN(x) && !isNaN(y)) {
+        block.moveBy(workspace.RTL ? -x : x, y);
+      }
+    }
+    return Blockly.ImageExport.copyBlocks(workspace.getTopBlocks(false),
+        workspace.getBlocksBoundingBox(), opt_options['scale']);
+  } finally {
+    workspace.clear();
+    Blockly.Events.enable();
+    Blockly.mainWorkspace = mainWorkspace;
+  }
+};
+
+/**
+ * The hidden workspaces that draw static pictures, by direction and media
+ * path.
+ * @type {!Object.<string, !Blockly.WorkspaceSvg>}
+ * @private
+ */
+Blockly.renderStatic.workspaces_ = Object.create(null);
+
+/**
+ * Get the hidden workspace that draws static pictures with some options,
+ * creating it if needed.
+ * @param {boolean} rtl True if the blocks read right to left.
+ * @param {string|undefined} media Path from page to the Blockly media
+ *     directory, or undefined for the default.
+ * @return {!Blockly.WorkspaceSvg} The workspace.
+ * @private
+ */
+Blockly.renderStatic.getWorkspace_ = function(rtl, media) {
+  var options = new Blockly.Options({'readOnly': true, 'rtl': rtl,
+      'media': media});
+  var key = (rtl ? 'rtl ' : 'ltr ') + options.pathToMedia;
+  var workspace = Blockly.renderStatic.workspaces_[key];
+  if (!workspace) {
+    // Text is measured as it is drawn, so the workspace must be laid out in the
+    // document, though never seen.
+    var container = goog.dom.createDom('div', {'style': 'position: absolute; ' +
+        'visibility: hidden; width: 0; height: 0; overflow: hidden;'});
+    document.body.appendChild(container);
+    var svg = Blockly.createDom_(container, options);
+    workspace = new Blockly.WorkspaceSvg(options);
+    svg.appendChild(workspace.createDom());
+    Blockly.renderStatic.workspaces_[key] = workspace;
+  }
+  return workspace;
+};
+
 /**
  * Create the SVG image.
  * @param {!Element} container Containing element.
@@ -315,6 +402,14 @@ Blockly.createMainWorkspace_ = function(svg, options, blockDragSurface, workspac
     };
     mainWorkspace.addChangeListener(workspaceChanged);
   }
+  if (options.lint) {
+    mainWorkspace.getLinter();
+  }
+  if (options.enableRealtime) {
+    var realtimeOptions = options.realtimeOptions || {};
+    mainWorkspace.collaboration = new Blockly.Collaboration(mainWorkspace,
+        realtimeOptions['transport'], realtimeOptions);
+  }
   // The SVG is now fully assembled.
   Blockly.svgResize(mainWorkspace);
   Blockly.WidgetDiv.createDom();
@@ -0,0 +1,855 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview JSON reader and writer.
+ * Variables, comments and blocks are read from and written to the workspace
+ * directly.  The format mirrors the XML format element for element, so
+ * Blockly.Json.domToJson and Blockly.Json.jsonToDom can convert projects saved
+ * as XML.  Blocks keep their mutations and the shadows hidden under other
+ * blocks as XML, so only those parts are converted to and from XML.  For
+ * example:
+ *
+ * {
+ *   "variables": [{"name": "score", "type": "", "isLocal": true}],
+ *   "comments": [{"id": "c", "x": 10, "y": 20, "width": 200, "height": 200,
+ *                 "minimized": true, "text": "Sticky note"}],
+ *   "blocks": [{
+ *     "type": "control_repeat", "id": "a", "x": 10, "y": 20,
+ *     "mutation": {"attributes": {...}, "children": [...]},
+ *     "fields": [{"name": "NUM", "value": "10"}],
+ *     "comment": {"text": "Hi", "pinned": false, "h": 80, "w": 160},
+ *     "inputs": [{"name": "TIMES", "type": "value",
+ *                 "shadow": {...}, "block": {...}}],
+ *     "next": {"block": {...}}
+ *   }]
+ * }
+ */
+'use strict';
+
+goog.provide('Blockly.Json');
+
+goog.require('Blockly.Xml');
+goog.require('Blockly.constants');
+goog.require('goog.asserts');
+
+
+/**
+ * Boolean block attributes, in the order Blockly.Xml.blockToDom writes them.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.Json.BLOCK_BOOLEAN_ATTRIBUTES_ = ['inline', 'collapsed', 'disabled',
+    'deletable', 'movable', 'editable'];
+
+/**
+ * Encode a workspace's variables, comments and blocks as JSON.
+ * @param {!Blockly.Workspace} workspace The workspace containing blocks.
+ * @param {boolean=} opt_noId True if the encoder should skip the block ids.
+ * @return {!Object} JSON object for the workspace.
+ */
+Blockly.Json.workspaceToJson = function(workspace, opt_noId) {
+  // Broadcast messages are saved with the blocks that use them, so messages
+  // no block uses aren't saved.  They stay on the workspace until the host
+  // calls deleteUnusedBroadcastMessages.
+  var json = {};
+  if (workspace.variableList.length) {
+    json['variables'] = Blockly.Json.variablesToJson_(workspace);
+  }
+  var comments = workspace.getTopComments();
+  for (var i = 0, comment; comment = comments[i]; i++) {
+    json['comments'] = json['comments'] || [];
+    json['comments'].push(
+        Blockly.Json.workspaceCommentToJson_(comment, opt_noId));
+  }
+  var width;  // Not used in LTR.
+  if (workspace.RTL) {
+    width = workspace.getWidth();
+  }
+  var blocks = workspace.getTopBlocks(true);
+  for (var i = 0, block; block = blocks[i]; i++) {
+    var blockJson = Blockly.Json.blockToJson(block, opt_noId);
+    var xy = block.getRelativeToSurfaceXY();
+    blockJson['x'] = Math.round(workspace.RTL ? width - xy.x : xy.x);
+    blockJson['y'] = Math.round(xy.y);
+    json['blocks'] = json['blocks'] || [];
+    json['blocks'].push(blockJson);
+  }
+  return json;
+};
+
+/**
+ * Decode a JSON workspace and create its variables, comments and blocks on
+ * the workspace.
+ * @param {!Object} json JSON object for the workspace.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ */
+Blockly.Json.jsonToWorkspace = function(json, workspace) {
+  var width;  // Not used in LTR.
+  if (workspace.RTL) {
+    width = workspace.getWidth();
+  }
+  Blockly.Field.startCache();
+  var existingGroup = Blockly.Events.getGroup();
+  if (!existingGroup) {
+    Blockly.Events.setGroup(true);
+  }
+  // Disable workspace resizes as an optimization.
+  if (workspace.setResizesEnabled) {
+    workspace.setResizesEnabled(false);
+  }
+  var variables = json['variables'] || [];
+  for (var i = 0; i < variables.length; i++) {
+    if (variables[i]['name']) {
+      Blockly.Xml.loadVariable(variables[i]['name'],
+          variables[i]['type'] || Blockly.SCALAR_VARIABLE_TYPE,
+          !!variables[i]['isLocal'], workspace);
+    }
+  }
+  var comments = json['comments'] || [];
+  for (var i = 0; i < comments.length; i++) {
+    Blockly.Json.jsonToWorkspaceComment_(comments[i], workspace);
+  }
+  var blocks = json['blocks'] || [];
+  for (var i = 0; i < blocks.length; i++) {
+    // Allow top-level shadow blocks if recordUndo is disabled since that
+    // means an undo is in progress.  Such a block is expected to be moved to
+    // a nested destination in the next operation.
+    goog.asserts.assert(!blocks[i]['shadow'] || !Blockly.Events.recordUndo,
+        'Shadow block cannot be a top-level block.');
+    var block = Blockly.Json.jsonToBlock(blocks[i], workspace);
+    if (blocks[i]['x'] !== undefined && blocks[i]['y'] !== undefined) {
+      block.moveBy(workspace.RTL ? width - blocks[i]['x'] : blocks[i]['x'],
+          blocks[i]['y']);
+    }
+  }
+  if (!existingGroup) {
+    Blockly.Events.setGroup(false);
+  }
+  Blockly.Field.stopCache();
+
+  workspace.updateVariableList(false);
+  // Re-enable workspace resizing.
+  if (workspace.setResizesEnabled) {
+    workspace.setResizesEnabled(true);
+  }
+};
+
+/**
+ * Encode a block subtree as JSON.
+ * @param {!Blockly.Block} block The root block to encode.
+ * @param {boolean=} opt_noId True if the encoder should skip the block ids.
+ * @return {!Object} JSON object for the block.
+ */
+Blockly.Json.blockToJson = function(block, opt_noId) {
+  var json = {'type': block.type};
+  if (block.isShadow()) {
+    json['shadow'] = true;
+  }
+  if (!opt_noId) {
+    json['id'] = block.id;
+  }
+  if (block.mutationToDom) {
+    // Custom data for an advanced block.
+    var mutation = block.mutationToDom();
+    if (mutation && (mutation.hasChildNodes() || mutation.hasAttributes())) {
+      json['mutation'] = Blockly.Json.elementToJson_(mutation);
+    }
+  }
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    for (var j = 0, field; field = input.fieldRow[j]; j++) {
+      if (field.name && field.EDITABLE) {
+        json['fields'] = json['fields'] || [];
+        json['fields'].push({'name': field.name, 'value': field.getValue()});
+      }
+    }
+  }
+
+  var commentText = block.getCommentText();
+  if (commentText) {
+    var comment = {'text': commentText};
+    if (typeof block.comment == 'object') {
+      comment['pinned'] = block.comment.isVisible();
+      var hw = block.comment.getBubbleSize();
+      comment['h'] = hw.height;
+      comment['w'] = hw.width;
+    }
+    json['comment'] = comment;
+  }
+
+  if (block.data) {
+    json['data'] = block.data;
+  }
+
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    if (input.type == Blockly.DUMMY_INPUT ||
+        !input.connection.targetBlock()) {
+      continue;
+    }
+    var inputJson = Blockly.Json.connectionToJson_(input.connection, opt_noId);
+    inputJson['name'] = input.name;
+    inputJson['type'] =
+        input.type == Blockly.NEXT_STATEMENT ? 'statement' : 'value';
+    json['inputs'] = json['inputs'] || [];
+    json['inputs'].push(inputJson);
+  }
+  if (block.inputsInlineDefault != block.inputsInline) {
+    json['inline'] = block.inputsInline;
+  }
+  if (block.isCollapsed()) {
+    json['collapsed'] = true;
+  }
+  if (block.disabled) {
+    json['disabled'] = true;
+  }
+  if (!block.isDeletable() && !block.isShadow()) {
+    json['deletable'] = false;
+  }
+  if (!block.isMovable() && !block.isShadow()) {
+    json['movable'] = false;
+  }
+  if (!block.isEditable()) {
+    json['editable'] = false;
+  }
+  if (block.getNextBlock()) {
+    json['next'] =
+        Blockly.Json.connectionToJson_(block.nextConnection, opt_noId);
+  }
+  return json;
+};
+
+/**
+ * Decode a JSON block and create the block (and its sub blocks) on the
+ * workspace.
+ * @param {!Object} json JSON object for the block.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Blockly.Block} The root block created.
+ */
+Blockly.Json.jsonToBlock = function(json, workspace) {
+  // Create top-level block.
+  Blockly.Events.disable();
+  try {
+    var topBlock = Blockly.Json.jsonToBlockHeadless_(json, workspace);
+    Blockly.Xml.renderNewBlock(topBlock);
+  } finally {
+    Blockly.Events.enable();
+  }
+  if (Blockly.Events.isEnabled()) {
+    Blockly.Events.fire(new Blockly.Events.Create(topBlock));
+  }
+  return topBlock;
+};
+
+/**
+ * Encode a workspace's variables, including those no block uses, as JSON.
+ * @param {!Blockly.Workspace} workspace The workspace containing variables.
+ * @return {!Array.<!Object>} One object per variable.
+ * @private
+ */
+Blockly.Json.variablesToJson_ = function(workspace) {
+  var variables = [];
+  for (var i = 0, name; name = workspace.variableList[i]; i++) {
+    var model = workspace.getVariable(name);
+    var variable = {'name': name, 'type': model.type};
+    if (model.isLocal) {
+      variable['isLocal'] = true;
+    }
+    variables.push(variable);
+  }
+  return variables;
+};
+
+/**
+ * Encode a workspace comment as JSON.
+ * @param {!Blockly.WorkspaceComment} comment The comment to encode.
+ * @param {boolean=} opt_noId True if the encoder should skip the comment id.
+ * @return {!Object} JSON object for the comment.
+ * @private
+ */
+Blockly.Json.workspaceCommentToJson_ = function(comment, opt_noId) {
+  var json = {};
+  if (!opt_noId) {
+    json['id'] = comment.id;
+  }
+  var xy = comment.getXY();
+  json['x'] = Math.round(xy.x);
+  json['y'] = Math.round(xy.y);
+  var size = comment.getSize();
+  json['width'] = size.width;
+  json['height'] = size.height;
+  if (comment.isMinimized()) {
+    json['minimized'] = true;
+  }
+  json['text'] = comment.getText();
+  return json;
+};
+
+/**
+ * Decode a JSON workspace comment and create the comment on the workspace.
+ * @param {!Object} json JSON object for the comment.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Blockly.WorkspaceComment} The comment created.
+ * @private
+ */
+Blockly.Json.jsonToWorkspaceComment_ = function(json, workspace) {
+  var width = Number(json['width']);
+  var height = Number(json['height']);
+  Blockly.Events.disable();
+  try {
+    var comment = workspace.newComment(json['text'] || '',
+        width || Blockly.WorkspaceComment.DEFAULT_WIDTH,
+        height || Blockly.WorkspaceComment.DEFAULT_HEIGHT,
+        json['id'] === undefined ? null : json['id']);
+    if (json['x'] !== undefined && json['y'] !== undefined) {
+      comment.moveBy(json['x'], json['y']);
+    }
+    comment.setMinimized(!!json['minimized']);
+    if (workspace.rendered) {
+      comment.initSvg();
+      comment.render();
+    }
+  } finally {
+    Blockly.Events.enable();
+  }
+  if (Blockly.Events.isEnabled()) {
+    Blockly.Events.fire(new Blockly.Events.CommentCreate(comment));
+  }
+  return comment;
+};
+
+/**
+ * Encode the blocks on an input's or next connection as JSON.  A shadow that
+ * another block covers is only kept as XML by the connection.
+ * @param {!Blockly.Connection} connection The connection.
+ * @param {boolean=} opt_noId True if the encoder should skip the block ids.
+ * @return {!Object} JSON object with the connection's shadow and block.
+ * @private
+ */
+Blockly.Json.connectionToJson_ = function(connection, opt_noId) {
+  var json = {};
+  var childBlock = connection.targetBlock();
+  var shadow = connection.getShadowDom();
+  if (shadow && (!childBlock || !childBlock.isShadow())) {
+    json['shadow'] = Blockly.Json.blockDomToJson_(shadow);
+  }
+  if (childBlock) {
+    json[childBlock.isShadow() ? 'shadow' : 'block'] =
+        Blockly.Json.blockToJson(childBlock, opt_noId);
+  }
+  return json;
+};
+
+/**
+ * Decode a JSON block and create the block (and its sub blocks) on the
+ * workspace, without rendering them.
+ * @param {!Object} json JSON object for the block.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Blockly.Block} The root block created.
+ * @private
+ */
+Blockly.Json.jsonToBlockHeadless_ = function(json, workspace) {
+  var prototypeName = json['type'];
+  goog.asserts.assert(prototypeName, 'Block type unspecified: %s',
+      JSON.stringify(json));
+  var block = workspace.newBlock(prototypeName,
+      json['id'] === undefined ? null : json['id']);
+
+  if (json['mutation'] && block.domToMutation) {
+    // Custom data for an advanced block.
+    block.domToMutation(
+        Blockly.Json.jsonToElement_('mutation', json['mutation']));
+    if (block.initSvg) {
+      // Mutation may have added some elements that need initializing.
+      block.initSvg();
+    }
+  }
+  var fields = json['fields'] || [];
+  for (var i = 0; i < fields.length; i++) {
+    var field = block.getField(fields[i]['name']);
+    if (!field) {
+      console.warn('Ignoring non-existent field ' + fields[i]['name'] +
+          ' in block ' + prototypeName);
+      continue;
+    }
+    field.setValue(fields[i]['value']);
+  }
+  var comment = json['comment'];
+  if (comment) {
+    block.setCommentText(comment['text']);
+    var visible = comment['pinned'];
+    if (visible !== undefined && !block.isInFlyout) {
+      // Give the renderer a millisecond to render and position the block
+      // before positioning the comment bubble.
+      setTimeout(function() {
+        if (block.comment && block.comment.setVisible) {
+          block.comment.setVisible(!!visible);
+        }
+      }, 1);
+    }
+    if (comment['w'] !== undefined && comment['h'] !== undefined &&
+        block.comment && block.comment.setVisible) {
+      block.comment.setBubbleSize(comment['w'], comment['h']);
+    }
+  }
+  if (json['data'] !== undefined) {
+    block.data = json['data'];
+  }
+  var inputs = json['inputs'] || [];
+  for (var i = 0; i < inputs.length; i++) {
+    var input = block.getInput(inputs[i]['name']);
+    if (!input) {
+      console.warn('Ignoring non-existent input ' + inputs[i]['name'] +
+          ' in block ' + prototypeName);
+      continue;
+    }
+    if (inputs[i]['shadow']) {
+      // Replace any shadow the block made for itself (e.g. while applying
+      // its mutation) with the saved one.
+      var oldShadow = input.connection.targetBlock();
+      if (oldShadow && oldShadow.isShadow()) {
+        input.connection.setShadowDom(null);
+        oldShadow.dispose();
+      }
+    }
+    Blockly.Json.jsonToConnection_(inputs[i], input.connection, workspace);
+  }
+  if (json['next']) {
+    goog.asserts.assert(block.nextConnection,
+        'Next statement does not exist.');
+    goog.asserts.assert(!block.nextConnection.isConnected(),
+        'Next statement is already connected.');
+    Blockly.Json.jsonToConnection_(json['next'], block.nextConnection,
+        workspace);
+  }
+
+  if (json['inline'] !== undefined) {
+    block.setInputsInline(!!json['inline']);
+  }
+  if (json['disabled'] !== undefined) {
+    block.setDisabled(!!json['disabled']);
+  }
+  if (json['deletable'] !== undefined) {
+    block.setDeletable(!!json['deletable']);
+  }
+  if (json['movable'] !== undefined) {
+    block.setMovable(!!json['movable']);
+  }
+  if (json['editable'] !== undefined) {
+    block.setEditable(!!json['editable']);
+  }
+  if (json['collapsed'] !== undefined) {
+    block.setCollapsed(!!json['collapsed']);
+  }
+  if (json['shadow']) {
+    // Ensure all children are also shadows.
+    var children = block.getChildren();
+    for (var i = 0, child; child = children[i]; i++) {
+      goog.asserts.assert(child.isShadow(),
+          'Shadow block not allowed non-shadow child.');
+    }
+    block.setShadow(true);
+  }
+  return block;
+};
+
+/**
+ * Decode the blocks on an input's or next connection, create them on the
+ * workspace and connect them.  The connection keeps its shadow as XML, so
+ * that it can bring the shadow back when a block covering it is removed.
+ * @param {!Object} json JSON object with the connection's shadow and block.
+ * @param {!Blockly.Connection} connection The connection.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @private
+ */
+Blockly.Json.jsonToConnection_ = function(json, connection, workspace) {
+  if (json['shadow']) {
+    connection.setShadowDom(Blockly.Json.blockJsonToDom_(json['shadow']));
+  }
+  var childJson = json['block'] || json['shadow'];
+  if (!childJson) {
+    return;
+  }
+  var childBlock = Blockly.Json.jsonToBlockHeadless_(childJson, workspace);
+  if (childBlock.outputConnection) {
+    connection.connect(childBlock.outputConnection);
+  } else if (childBlock.previousConnection) {
+    connection.connect(childBlock.previousConnection);
+  } else {
+    goog.asserts.fail(
+        'Child block does not have output or previous statement.');
+  }
+};
+
+/**
+ * Convert an <xml> element, as made by Blockly.Xml.workspaceToDom, to JSON.
+ * Use this to migrate projects saved as XML.
+ * @param {!Element} xml XML DOM.
+ * @return {!Object} JSON object for the workspace.
+ */
+Blockly.Json.domToJson = function(xml) {
+  var json = {};
+  for (var i = 0, xmlChild; xmlChild = xml.childNodes[i]; i++) {
+    var name = xmlChild.nodeName.toLowerCase();
+    if (name == 'variables') {
+      json['variables'] = Blockly.Json.variablesDomToJson_(xmlChild);
+    } else if (name == 'comment') {
+      json['comments'] = json['comments'] || [];
+      json['comments'].push(Blockly.Json.commentDomToJson_(xmlChild));
+    } else if (name == 'block' || name == 'shadow') {
+      json['blocks'] = json['blocks'] || [];
+      json['blocks'].push(Blockly.Json.blockDomToJson_(xmlChild));
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON workspace to an <xml> element that Blockly.Xml can load.
+ * @param {!Object} json JSON object for the workspace.
+ * @return {!Element} XML DOM.
+ */
+Blockly.Json.jsonToDom = function(json) {
+  var xml = Blockly.Xml.createElement('xml');
+  if (json['variables']) {
+    xml.appendChild(Blockly.Json.variablesJsonToDom_(json['variables']));
+  }
+  var comments = json['comments'] || [];
+  for (var i = 0; i < comments.length; i++) {
+    xml.appendChild(Blockly.Json.commentJsonToDom_(comments[i]));
+  }
+  var blocks = json['blocks'] || [];
+  for (var i = 0; i < blocks.length; i++) {
+    xml.appendChild(Blockly.Json.blockJsonToDom_(blocks[i]));
+  }
+  return xml;
+};
+
+/**
+ * Convert a <variables> element to JSON.
+ * @param {!Element} xmlVariables The <variables> element.
+ * @return {!Array.<!Object>} One object per variable.
+ * @private
+ */
+Blockly.Json.variablesDomToJson_ = function(xmlVariables) {
+  var variables = [];
+  for (var i = 0, xmlChild; xmlChild = xmlVariables.childNodes[i]; i++) {
+    if (xmlChild.nodeName.toLowerCase() != 'variable') {
+      continue;
+    }
+    var variable = {
+      'name': xmlChild.textContent,
+      'type': xmlChild.getAttribute('type') || Blockly.SCALAR_VARIABLE_TYPE
+    };
+    if (xmlChild.getAttribute('islocal') == 'true') {
+      variable['isLocal'] = true;
+    }
+    variables.push(variable);
+  }
+  return variables;
+};
+
+/**
+ * Convert JSON variables to a <variables> element.
+ * @param {!Array.<!Object>} variables One object per variable.
+ * @return {!Element} The <variables> element.
+ * @private
+ */
+Blockly.Json.variablesJsonToDom_ = function(variables) {
+  var xmlVariables = Blockly.Xml.createElement('variables');
+  for (var i = 0; i < variables.length; i++) {
+    var element =
+        Blockly.Xml.createElement('variable', variables[i]['name']);
+    element.setAttribute('type',
+        variables[i]['type'] || Blockly.SCALAR_VARIABLE_TYPE);
+    if (variables[i]['isLocal']) {
+      element.setAttribute('islocal', 'true');
+    }
+    xmlVariables.appendChild(element);
+  }
+  return xmlVariables;
+};
+
+/**
+ * Convert a workspace's top-level <comment> element to JSON.
+ * @param {!Element} xmlComment The <comment> element.
+ * @return {!Object} JSON object for the comment.
+ * @private
+ */
+Blockly.Json.commentDomToJson_ = function(xmlComment) {
+  var json = {};
+  if (xmlComment.hasAttribute('id')) {
+    json['id'] = xmlComment.getAttribute('id');
+  }
+  json['x'] = Number(xmlComment.getAttribute('x'));
+  json['y'] = Number(xmlComment.getAttribute('y'));
+  json['width'] = Number(xmlComment.getAttribute('w'));
+  json['height'] = Number(xmlComment.getAttribute('h'));
+  if (xmlComment.getAttribute('minimized') == 'true') {
+    json['minimized'] = true;
+  }
+  json['text'] = xmlComment.textContent;
+  return json;
+};
+
+/**
+ * Convert a JSON workspace comment to a top-level <comment> element.
+ * @param {!Object} json JSON object for the comment.
+ * @return {!Element} The <comment> element.
+ * @private
+ */
+Blockly.Json.commentJsonToDom_ = function(json) {
+  var element = Blockly.Xml.createElement('comment', json['text']);
+  if (json['id'] !== undefined) {
+    element.setAttribute('id', json['id']);
+  }
+  element.setAttribute('x', json['x']);
+  element.setAttribute('y', json['y']);
+  element.setAttribute('w', json['width']);
+  element.setAttribute('h', json['height']);
+  if (json['minimized']) {
+    element.setAttribute('minimized', true);
+  }
+  return element;
+};
+
+/**
+ * Convert a <block> or <shadow> element to JSON.
+ * @param {!Element} xmlBlock The block element.
+ * @return {!Object} JSON object for the block.
+ * @private
+ */
+Blockly.Json.blockDomToJson_ = function(xmlBlock) {
+  var json = {'type': xmlBlock.getAttribute('type')};
+  if (xmlBlock.nodeName.toLowerCase() == 'shadow') {
+    json['shadow'] = true;
+  }
+  if (xmlBlock.hasAttribute('id')) {
+    json['id'] = xmlBlock.getAttribute('id');
+  }
+  if (xmlBlock.hasAttribute('x')) {
+    json['x'] = Number(xmlBlock.getAttribute('x'));
+    json['y'] = Number(xmlBlock.getAttribute('y'));
+  }
+  for (var i = 0; i < Blockly.Json.BLOCK_BOOLEAN_ATTRIBUTES_.length; i++) {
+    var attribute = Blockly.Json.BLOCK_BOOLEAN_ATTRIBUTES_[i];
+    if (xmlBlock.hasAttribute(attribute)) {
+      json[attribute] = xmlBlock.getAttribute(attribute) == 'true';
+    }
+  }
+  for (var i = 0, xmlChild; xmlChild = xmlBlock.childNodes[i]; i++) {
+    if (xmlChild.nodeType != 1) {
+      // Ignore any text at the <block> level.  It's all whitespace anyway.
+      continue;
+    }
+    var name = xmlChild.nodeName.toLowerCase();
+    switch (name) {
+      case 'mutation':
+        json['mutation'] = Blockly.Json.elementToJson_(xmlChild);
+        break;
+      case 'field':
+        json['fields'] = json['fields'] || [];
+        json['fields'].push({
+          'name': xmlChild.getAttribute('name'),
+          'value': xmlChild.textContent
+        });
+        break;
+      case 'comment':
+        var comment = {'text': xmlChild.textContent};
+        if (xmlChild.hasAttribute('pinned')) {
+          comment['pinned'] = xmlChild.getAttribute('pinned') == 'true';
+        }
+        if (xmlChild.hasAttribute('h')) {
+          comment['h'] = Number(xmlChild.getAttribute('h'));
+          comment['w'] = Number(xmlChild.getAttribute('w'));
+        }
+        json['comment'] = comment;
+        break;
+      case 'data':
+        json['data'] = xmlChild.textContent;
+        break;
+      case 'value':
+      case 'statement':
+        var input = Blockly.Json.connectionDomToJson_(xmlChild);
+        input['name'] = xmlChild.getAttribute('name');
+        input['type'] = name;
+        json['inputs'] = json['inputs'] || [];
+        json['inputs'].push(input);
+        break;
+      case 'next':
+        json['next'] = Blockly.Json.connectionDomToJson_(xmlChild);
+        break;
+      default:
+        // Unknown tag; ignore.  Same principle as HTML parsers.
+        console.warn('Ignoring unknown tag: ' + name);
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON block to a <block> or <shadow> element.
+ * @param {!Object} json JSON object for the block.
+ * @return {!Element} The block element.
+ * @private
+ */
+Blockly.Json.blockJsonToDom_ = function(json) {
+  var element =
+      Blockly.Xml.createElement(json['shadow'] ? 'shadow' : 'block');
+  element.setAttribute('type', json['type']);
+  if (json['id'] !== undefined) {
+    element.setAttribute('id', json['id']);
+  }
+  if (json['mutation']) {
+    element.appendChild(
+        Blockly.Json.jsonToElement_('mutation', json['mutation']));
+  }
+  var fields = json['fields'] || [];
+  for (var i = 0; i < fields.length; i++) {
+    var field = Blockly.Xml.createElement('field', fields[i]['value']);
+    field.setAttribute('name', fields[i]['name']);
+    element.appendChild(field);
+  }
+  var comment = json['comment'];
+  if (comment) {
+    var commentElement =
+        Blockly.Xml.createElement('comment', comment['text']);
+    if (comment['pinned'] !== undefined) {
+      commentElement.setAttribute('pinned', comment['pinned']);
+    }
+    if (comment['h'] !== undefined) {
+      commentElement.setAttribute('h', comment['h']);
+      commentElement.setAttribute('w', comment['w']);
+    }
+    element.appendChild(commentElement);
+  }
+  if (json['data'] !== undefined) {
+    element.appendChild(Blockly.Xml.createElement('data', json['data']));
+  }
+  var inputs = json['inputs'] || [];
+  for (var i = 0; i < inputs.length; i++) {
+    var container = Blockly.Json.connectionJsonToDom_(
+        inputs[i]['type'] == 'statement' ? 'statement' : 'value', inputs[i]);
+    container.setAttribute('name', inputs[i]['name']);
+    element.appendChild(container);
+  }
+  for (var i = 0; i < Blockly.Json.BLOCK_BOOLEAN_ATTRIBUTES_.length; i++) {
+    var attribute = Blockly.Json.BLOCK_BOOLEAN_ATTRIBUTES_[i];
+    if (json[attribute] !== undefined) {
+      element.setAttribute(attribute, json[attribute]);
+    }
+  }
+  if (json['next']) {
+    element.appendChild(
+        Blockly.Json.connectionJsonToDom_('next', json['next']));
+  }
+  if (json['x'] !== undefined) {
+    element.setAttribute('x', json['x']);
+    element.setAttribute('y', json['y']);
+  }
+  return element;
+};
+
+/**
+ * Convert a <value>, <statement> or <next> element to JSON.
+ * @param {!Element} xmlContainer The connection's element.
+ * @return {!Object} JSON object with the connection's shadow and block.
+ * @private
+ */
+Blockly.Json.connectionDomToJson_ = function(xmlContainer) {
+  var json = {};
+  for (var i = 0, xmlChild; xmlChild = xmlContainer.childNodes[i]; i++) {
+    var name = xmlChild.nodeName.toLowerCase();
+    if (name == 'block' || name == 'shadow') {
+      json[name] = Blockly.Json.blockDomToJson_(xmlChild);
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON connection to a <value>, <statement> or <next> element.
+ * @param {string} tagName The element's tag name.
+ * @param {!Object} json JSON object with the connection's shadow and block.
+ * @return {!Element} The connection's element.
+ * @private
+ */
+Blockly.Json.connectionJsonToDom_ = function(tagName, json) {
+  var container = Blockly.Xml.createElement(tagName);
+  if (json['shadow']) {
+    container.appendChild(Blockly.Json.blockJsonToDom_(json['shadow']));
+  }
+  if (json['block']) {
+    container.appendChild(Blockly.Json.blockJsonToDom_(json['block']));
+  }
+  return container;
+};
+
+/**
+ * Convert an arbitrary element, such as a block's mutation, to JSON.
+ * @param {!Element} element The element.
+ * @return {!Object} JSON object with the element's attributes, child elements
+ *     and text.  Child elements also record their tag name.
+ * @private
+ */
+Blockly.Json.elementToJson_ = function(element) {
+  var json = {};
+  if (element.attributes.length) {
+    json['attributes'] = {};
+    for (var i = 0, attribute; attribute = element.attributes[i]; i++) {
+      json['attributes'][attribute.name] = attribute.value;
+    }
+  }
+  var text = '';
+  for (var i = 0, child; child = element.childNodes[i]; i++) {
+    if (child.nodeType == 1) {
+      var childJson = Blockly.Json.elementToJson_(child);
+      childJson['tagName'] = child.nodeName.toLowerCase();
+      json['children'] = json['children'] || [];
+      json['children'].push(childJson);
+    } else if (child.nodeType == 3) {
+      text += child.data;
+    }
+  }
+  if (text.trim()) {
+    json['text'] = text;
+  }
+  return json;
+};
+
+/**
+ * Convert JSON made by Blockly.Json.elementToJson_ back to an element.
+ * @param {string} tagName The element's tag name.
+ * @param {!Object} json JSON object for the element.
+ * @return {!Element} The element.
+ * @private
+ */
+Blockly.Json.jsonToElement_ = function(tagName, json) {
+  var element = Blockly.Xml.createElement(tagName, json['text'] || null);
+  var attributes = json['attributes'] || {};
+  for (var name in attributes) {
+    element.setAttribute(name, attributes[name]);
+  }
+  var children = json['children'] || [];
+  for (var i = 0; i < children.length; i++) {
+    element.appendChild(
+        Blockly.Json.jsonToElement_(children[i]['tagName'], children[i]));
+  }
+  return element;
+};
@@ -0,0 +1,410 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Static checks of a workspace's blocks.  Rules find problems
+ * such as scripts that never run, and the linter shows them as warnings on
+ * the blocks, checking again as the user edits.  See
+ * Blockly.Workspace.getLinter.
+ */
+'use strict';
+
+goog.provide('Blockly.Linter');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Msg');
+goog.require('Blockly.constants');
+
+
+/**
+ * Class for a workspace's linter.  It checks the workspace straight away, and
+ * again after every change.
+ * @param {!Blockly.Workspace} workspace The workspace to check.
+ * @constructor
+ */
+Blockly.Linter = function(workspace) {
+  /**
+   * The workspace to check.
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * Names of the rules turned off for this workspace.
+   * @type {!Object.<string, boolean>}
+   * @private
+   */
+  this.disabledRules_ = Object.create(null);
+
+  /**
+   * The warnings shown, keyed by block ID, then by rule name.
+   * @type {!Object.<string, !Object.<string, string>>}
+   * @private
+   */
+  this.warnings_ = Object.create(null);
+
+  /**
+   * PID of the pending check, or 0 if there is none.
+   * @type {number}
+   * @private
+   */
+  this.pid_ = 0;
+
+  this.changeWrapper_ = workspace.addChangeListener(this.onChange_.bind(this));
+  this.lint();
+};
+
+/**
+ * The registered rules, keyed by name.  A rule is a function that takes a
+ * workspace and returns the problems it finds: the block to warn on, and the
+ * warning's text.
+ * @type {!Object.<string,
+ *     function(!Blockly.Workspace):!Array.<{block: !Blockly.Block,
+ *     text: string}>>}
+ * @private
+ */
+Blockly.Linter.RULES_ = Object.create(null);
+
+/**
+ * Prefix of the IDs of the linter's warnings on blocks.
+ * @type {string}
+ * @const
+ * @private
+ */
+Blockly.Linter.WARNING_ID_PREFIX_ = 'lint_';
+
+/**
+ * Register a rule.  Linters check it from their next check on.
+ * @param {string} name The rule's name.
+ * @param {function(!Blockly.Workspace):!Array.<{block: !Blockly.Block,
+ *     text: string}>} rule Function that finds the problems of a workspace.
+ *     Problems on insertion markers are ignored.
+ */
+Blockly.Linter.registerRule = function(name, rule) {
+  if (Blockly.Linter.RULES_[name]) {
+    throw 'Lint rule "' + name + '" is already registered.';
+  }
+  if (!goog.isFunction(rule)) {
+    throw 'Lint rule "' + name + '" must be a function.';
+  }
+  Blockly.Linter.RULES_[name] = rule;
+};
+
+/**
+ * Unregister a rule.  Its warnings go at the next check.
+ * @param {string} name The rule's name.
+ */
+Blockly.Linter.unregisterRule = function(name) {
+  if (!Blockly.Linter.RULES_[name]) {
+    console.warn('No lint rule "' + name + '" to unregister.');
+    return;
+  }
+  delete Blockly.Linter.RULES_[name];
+};
+
+/**
+ * Get the names of the registered rules.
+ * @return {!Array.<string>} The names, in the order the rules were
+ *     registered.
+ */
+Blockly.Linter.getRuleNames = function() {
+  return Object.keys(Blockly.Linter.RULES_);
+};
+
+/**
+ * Turn a rule on or off for this workspace, e.g. a rule that can't see the
+ * other sprites of a project.
+ * @param {string} name The rule's name.
+ * @param {boolean} enabled True to check the rule, false to stop.
+ */
+Blockly.Linter.prototype.setRuleEnabled = function(name, enabled) {
+  if (enabled) {
+    delete this.disabledRules_[name];
+  } else {
+    this.disabledRules_[name] = true;
+  }
+  this.lint();
+};
+
+/**
+ * Is a rule checked for this workspace?
+ * @param {string} name The rule's name.
+ * @return {boolean} True if the rule is registered and not turned off.
+ */
+Blockly.Linter.prototype.isRuleEnabled = function(name) {
+  return !!Blockly.Linter.RULES_[name] && !this.disabledRules_[name];
+};
+
+/**
+ * Check the workspace now, and show the problems found as warnings on their
+ * blocks.
+ * @return {!Array.<{rule: string, block: !Blockly.Block, text: string}>} The
+ *     problems, by rule.
+ */
+Blockly.Linter.prototype.lint = function() {
+  if (this.pid_) {
+    clearTimeout(this.pid_);
+    this.pid_ = 0;
+  }
+  var problems = [];
+  var warnings = Object.create(null);
+  for (var name in Blockly.Linter.RULES_) {
+    if (this.disabledRules_[name]) {
+      continue;
+    }
+    try {
+      var found = Blockly.Linter.RULES_[name](this.workspace_);
+    } catch (e) {
+      console.warn('Lint rule "' + name + '" failed: ' + e);
+      continue;
+    }
+    for (var i = 0, problem; problem = found[i]; i++) {
+      if (problem.block.isInsertionMarker()) {
+        continue;
+      }
+      problems.push({rule: name, block: problem.block, text: problem.text});
+      var id = problem.block.id;
+      warnings[id] = warnings[id] || Object.create(null);
+      // One warning per rule and block, listing each of its problems.
+      warnings[id][name] = warnings[id][name] ?
+          warnings[id][name] + '\n' + problem.text : problem.text;
+    }
+  }
+  this.showWarnings_(warnings);
+  return problems;
+};
+
+/**
+ * Stop checking the workspace, and remove the warnings.
+ */
+Blockly.Linter.prototype.dispose = function() {
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+  if (this.pid_) {
+    clearTimeout(this.pid_);
+    this.pid_ = 0;
+  }
+  this.showWarnings_(Object.create(null));
+};
+
+/**
+ * Replace the warnings shown with new ones.  Each rule's warning has its own
+ * ID, so that it doesn't clear other warnings on the same block.
+ * @param {!Object.<string, !Object.<string, string>>} warnings The new
+ *     warnings, keyed by block ID, then by rule name.
+ * @private
+ */
+Blockly.Linter.prototype.showWarnings_ = function(warnings) {
+  for (var id in this.warnings_) {
+    var block = this.workspace_.getBlockById(id);
+    for (var name in this.warnings_[id]) {
+      if (block && !(warnings[id] && warnings[id][name])) {
+        block.setWarningText(null, Blockly.Linter.WARNING_ID_PREFIX_ + name);
+      }
+    }
+  }
+  for (var id in warnings) {
+    var block = this.workspace_.getBlockById(id);
+    for (var name in warnings[id]) {
+      // Set again even if unchanged: a deleted block brought back by undo has
+      // lost its warnings.
+      block.setWarningText(warnings[id][name],
+          Blockly.Linter.WARNING_ID_PREFIX_ + name);
+    }
+  }
+  this.warnings_ = warnings;
+};
+
+/**
+ * Check the workspace again after it changes.  A burst of changes, such as a
+ * workspace being loaded, is checked once.
+ * @param {!Blockly.Events.Abstract} event Change event.
+ * @private
+ */
+Blockly.Linter.prototype.onChange_ = function(event) {
+  if (event.type == Blockly.Events.UI || this.pid_) {
+    return;
+  }
+  var linter = this;
+  this.pid_ = setTimeout(function() {
+    linter.pid_ = 0;
+    linter.lint();
+  }, 0);
+};
+
+/**
+ * Get the blocks of a workspace that rules check.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Array.<!Blockly.Block>} The blocks, without insertion markers.
+ * @private
+ */
+Blockly.Linter.getBlocks_ = function(workspace) {
+  return workspace.getAllBlocks().filter(function(block) {
+    return !block.isInsertionMarker();
+  });
+};
+
+/**
+ * Does a block never finish, so that the blocks after it never run?
+ * @param {!Blockly.Block} block The block.
+ * @return {boolean} True for forever loops, and for if-else blocks with such
+ *     a loop in both branches.
+ * @private
+ */
+Blockly.Linter.neverEnds_ = function(block) {
+  if (block.type == 'control_forever') {
+    return true;
+  }
+  if (block.type == 'control_if_else') {
+    return Blockly.Linter.stackNeverEnds_(
+        block.getInputTargetBlock('SUBSTACK')) &&
+        Blockly.Linter.stackNeverEnds_(block.getInputTargetBlock('SUBSTACK2'));
+  }
+  return false;
+};
+
+/**
+ * Does a stack of blocks never finish?
+ * @param {Blockly.Block} block The first block of the stack, or null for an
+ *     empty stack.
+ * @return {boolean} True if one of the stack's blocks never finishes.
+ * @private
+ */
+Blockly.Linter.stackNeverEnds_ = function(block) {
+  for (; block; block = block.getNextBlock()) {
+    if (Blockly.Linter.neverEnds_(block)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Blocks that change a variable without reading it.
+ * @type {!Object.<string, boolean>}
+ * @private
+ */
+Blockly.Linter.VARIABLE_WRITERS_ = {
+  'data_setvariableto': true,
+  'data_changevariableby': true
+};
+
+Blockly.Linter.registerRule('no_hat', function(workspace) {
+  // Stacks start with a hat block; reporters left alone are fine.
+  return workspace.getTopBlocks(false).filter(function(block) {
+    return !!block.previousConnection && !block.isInsertionMarker();
+  }).map(function(block) {
+    return {block: block, text: Blockly.Msg.LINT_NO_HAT};
+  });
+});
+
+Blockly.Linter.registerRule('no_receiver', function(workspace) {
+  var blocks = Blockly.Linter.getBlocks_(workspace);
+  var received = Object.create(null);
+  for (var i = 0, block; block = blocks[i]; i++) {
+    if (block.type == 'event_whenbroadcastreceived') {
+      received[block.getFieldValue('BROADCAST_OPTION').toLowerCase()] = true;
+    }
+  }
+  var problems = [];
+  for (var i = 0, block; block = blocks[i]; i++) {
+    if (block.type != 'event_broadcast' &&
+        block.type != 'event_broadcastandwait') {
+      continue;
+    }
+    // Messages worked out by reporters aren't known until the script runs.
+    var menu = block.getInputTargetBlock('BROADCAST_OPTION');
+    if (menu && menu.type == 'event_broadcast_menu') {
+      var message = menu.getFieldValue('BROADCAST_OPTION');
+      if (!received[message.toLowerCase()]) {
+        problems.push({block: block,
+            text: Blockly.Msg.LINT_NO_RECEIVER.replace('%1', message)});
+      }
+    }
+  }
+  return problems;
+});
+
+Blockly.Linter.registerRule('no_definition', function(workspace) {
+  var blocks = Blockly.Linter.getBlocks_(workspace);
+  var defined = Object.create(null);
+  for (var i = 0, block; block = blocks[i]; i++) {
+    var name = block.getProcedureDef()[0];
+    if (name) {
+      defined[name.toLowerCase()] = true;
+    }
+  }
+  var problems = [];
+  for (var i = 0, block; block = blocks[i]; i++) {
+    var name = block.getProcedureCall();
+    if (name && !defined[name.toLowerCase()]) {
+      problems.push({block: block,
+          text: Blockly.Msg.LINT_NO_DEFINITION.replace('%1', name)});
+    }
+  }
+  return problems;
+});
+
+Blockly.Linter.registerRule('empty_if', function(workspace) {
+  return Blockly.Linter.getBlocks_(workspace).filter(function(block) {
+    return block.type == 'control_if' &&
+        !block.getInputTargetBlock('SUBSTACK');
+  }).map(function(block) {
+    return {block: block, text: Blockly.Msg.LINT_EMPTY_IF};
+  });
+});
+
+Blockly.Linter.registerRule('unused_variable', function(workspace) {
+  var problems = [];
+  var names = workspace.getVariablesOfType(Blockly.SCALAR_VARIABLE_TYPE);
+  for (var i = 0, name; name = names[i]; i++) {
+    var writers = [];
+    var read = false;
+    var uses = workspace.getVariableUses(name);
+    for (var j = 0, use; use = uses[j]; j++) {
+      // Setters hold their variable in a shadow menu.
+      var block = use.isShadow() && use.getParent() || use;
+      if (Blockly.Linter.VARIABLE_WRITERS_[block.type]) {
+        writers.push(block);
+      } else {
+        read = true;
+      }
+    }
+    if (!read) {
+      for (var j = 0; j < writers.length; j++) {
+        problems.push({block: writers[j],
+            text: Blockly.Msg.LINT_UNUSED_VARIABLE.replace('%1', name)});
+      }
+    }
+  }
+  return problems;
+});
+
+Blockly.Linter.registerRule('unreachable', function(workspace) {
+  var problems = [];
+  var blocks = Blockly.Linter.getBlocks_(workspace);
+  for (var i = 0, block; block = blocks[i]; i++) {
+    var next = block.getNextBlock();
+    if (next && Blockly.Linter.neverEnds_(block)) {
+      problems.push({block: next, text: Blockly.Msg.LINT_UNREACHABLE});
+    }
+  }
+  return problems;
+});
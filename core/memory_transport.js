@@ -0,0 +1,77 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Collaboration transport that needs no server, for testing
+ * collaboration and trying it out with several workspaces on one page.
+ */
+'use strict';
+
+goog.provide('Blockly.MemoryTransport');
+
+goog.require('Blockly.CollaborationTransport');
+
+
+/**
+ * Class for a transport between workspaces on the same page.  Messages are
+ * delivered at once to every other transport of the group, as JSON would be.
+ * @param {Blockly.MemoryTransport=} opt_peer A transport of the group to join.
+ *     A new group is started if omitted.
+ * @extends {Blockly.CollaborationTransport}
+ * @constructor
+ */
+Blockly.MemoryTransport = function(opt_peer) {
+  Blockly.MemoryTransport.superClass_.constructor.call(this);
+
+  /**
+   * The transports of the group, including this one.  Shared by all of them.
+   * @type {!Array.<!Blockly.MemoryTransport>}
+   * @private
+   */
+  this.group_ = opt_peer ? opt_peer.group_ : [];
+  this.group_.push(this);
+};
+goog.inherits(Blockly.MemoryTransport, Blockly.CollaborationTransport);
+
+/**
+ * Send a message to the other transports of the group.
+ * @param {!Object} message The message.
+ */
+Blockly.MemoryTransport.prototype.send = function(message) {
+  var text = JSON.stringify(message);
+  // Copy the group, in case a listener closes a transport.
+  var group = this.group_.slice();
+  for (var i = 0; i < group.length; i++) {
+    if (group[i] != this) {
+      group[i].receive(JSON.parse(text));
+    }
+  }
+};
+
+/**
+ * Leave the group.  Messages are no longer sent or received.
+ */
+Blockly.MemoryTransport.prototype.close = function() {
+  var i = this.group_.indexOf(this);
+  if (i != -1) {
+    this.group_.splice(i, 1);
+  }
+  this.group_ = [this];
+};
@@ -0,0 +1,827 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Keyboard navigation and editing of blocks.
+ *
+ * A cursor moves over the connections and editable fields of the blocks on
+ * the main workspace.  The arrow keys along the direction that stacks run in
+ * move the cursor to the previous or next location; the other two arrow keys
+ * jump to the previous or next stack.  Enter opens a field's editor, or marks
+ * a connection.  Enter on a second connection connects the two, and X
+ * disconnects the block at the cursor.  T moves to the toolbox, where the
+ * arrow keys pick a category and a block from the flyout, and Enter puts a
+ * copy of that block on the workspace, connected to the marked connection if
+ * there is one.  Esc goes back.
+ *
+ * Navigation is off unless the main workspace is injected with the
+ * 'keyboardNav' option; otherwise all of these keys are left to the page.
+ */
+'use strict';
+
+goog.provide('Blockly.Navigation');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Field');
+goog.require('goog.dom');
+goog.require('goog.math.Coordinate');
+
+
+/**
+ * The cursor is on the workspace's blocks.
+ * @const
+ */
+Blockly.Navigation.STATE_WS = 'workspace';
+
+/**
+ * The cursor is on the toolbox's categories.
+ * @const
+ */
+Blockly.Navigation.STATE_TOOLBOX = 'toolbox';
+
+/**
+ * The cursor is on the flyout's blocks.
+ * @const
+ */
+Blockly.Navigation.STATE_FLYOUT = 'flyout';
+
+/**
+ * Where keyboard input is going.
+ * @type {string}
+ * @private
+ */
+Blockly.Navigation.state_ = Blockly.Navigation.STATE_WS;
+
+/**
+ * The connection or field that the cursor is on.
+ * @type {Blockly.Connection|Blockly.Field}
+ * @private
+ */
+Blockly.Navigation.cursor_ = null;
+
+/**
+ * The connection marked as the first half of a connection, or as the place to
+ * put blocks from the flyout.
+ * @type {Blockly.Connection}
+ * @private
+ */
+Blockly.Navigation.marked_ = null;
+
+/**
+ * The flyout block that the cursor is on.
+ * @type {Blockly.BlockSvg}
+ * @private
+ */
+Blockly.Navigation.flyoutBlock_ = null;
+
+/**
+ * SVG elements drawn for the cursor, the mark and the flyout block that the
+ * cursor is on.
+ * @type {!Object.<string, SVGElement>}
+ * @private
+ */
+Blockly.Navigation.svg_ = {};
+
+/**
+ * Distance that a disconnected block is moved away from where it was
+ * connected, and that a new block is placed from the edge of the view.
+ * @const
+ */
+Blockly.Navigation.OFFSET = 20;
+
+/**
+ * Get the connection or field that the cursor is on.
+ * @return {Blockly.Connection|Blockly.Field} The cursor's location, or null.
+ */
+Blockly.Navigation.getCursor = function() {
+  return Blockly.Navigation.cursor_;
+};
+
+/**
+ * Get the marked connection.
+ * @return {Blockly.Connection} The marked connection, or null.
+ */
+Blockly.Navigation.getMarked = function() {
+  return Blockly.Navigation.marked_;
+};
+
+/**
+ * Move the cursor to a connection or field, select its block and scroll it
+ * into view.
+ * @param {Blockly.Connection|Blockly.Field} location The new location, or
+ *     null to remove the cursor.
+ */
+Blockly.Navigation.setCursor = function(location) {
+  Blockly.Navigation.cursor_ = location;
+  if (location) {
+    var block = Blockly.Navigation.getSourceBlock_(location);
+    if (block.rendered) {
+      block.select();
+      Blockly.Navigation.scrollIntoView_(location);
+    }
+  }
+  Blockly.Navigation.draw_();
+};
+
+/**
+ * Mark a connection, or clear the mark.
+ * @param {Blockly.Connection} connection The connection to mark, or null.
+ */
+Blockly.Navigation.setMarked = function(connection) {
+  Blockly.Navigation.marked_ = connection;
+  Blockly.Navigation.draw_();
+};
+
+/**
+ * Get the block that a location belongs to.
+ * @param {!Blockly.Connection|!Blockly.Field} location A connection or field.
+ * @return {!Blockly.Block} The block.
+ * @private
+ */
+Blockly.Navigation.getSourceBlock_ = function(location) {
+  return location instanceof Blockly.Field ? location.sourceBlock :
+      location.getSourceBlock();
+};
+
+/**
+ * Has the block that a location belongs to been deleted?
+ * @param {Blockly.Connection|Blockly.Field} location A connection or field.
+ * @return {boolean} True if there is a location and its block is gone.
+ * @private
+ */
+Blockly.Navigation.isDeleted_ = function(location) {
+  if (!location) {
+    return false;
+  }
+  var block = Blockly.Navigation.getSourceBlock_(location);
+  return !block || !block.workspace;
+};
+
+/**
+ * List the places the cursor can go in a stack, in order: each block's own
+ * previous or output connection, its editable fields and empty inputs, the
+ * blocks in its inputs, and the end of the stack.
+ * @param {!Blockly.Block} topBlock The top block of the stack.
+ * @return {!Array.<!Blockly.Connection|!Blockly.Field>} The locations.
+ * @private
+ */
+Blockly.Navigation.getStackLocations_ = function(topBlock) {
+  var locations = [];
+  var addBlock = function(block) {
+    // Shadow blocks only stand in for their fields.
+    var ownConnection = block.isShadow() ? null :
+        block.outputConnection || block.previousConnection;
+    if (ownConnection) {
+      locations.push(ownConnection);
+    }
+    if (!block.isCollapsed()) {
+      for (var i = 0, input; input = block.inputList[i]; i++) {
+        if (!input.isVisible()) {
+          continue;
+        }
+        for (var j = 0, field; field = input.fieldRow[j]; j++) {
+          if (field.EDITABLE && field.isVisible()) {
+            locations.push(field);
+          }
+        }
+        if (input.connection) {
+          var target = input.connection.targetBlock();
+          if (target) {
+            addBlock(target);
+          } else {
+            locations.push(input.connection);
+          }
+        }
+      }
+    }
+    if (block.nextConnection) {
+      var nextBlock = block.getNextBlock();
+      // A hat block with no fields can only be reached at its bottom.
+      if (!nextBlock || !ownConnection) {
+        locations.push(block.nextConnection);
+      }
+      if (nextBlock) {
+        addBlock(nextBlock);
+      }
+    }
+  };
+  addBlock(topBlock);
+  return locations;
+};
+
+/**
+ * List the places the cursor can go on a workspace, stack by stack.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Array.<!Array.<!Blockly.Connection|!Blockly.Field>>} The
+ *     locations of each stack that has any.
+ * @private
+ */
+Blockly.Navigation.getLocations_ = function(workspace) {
+  var stacks = [];
+  var topBlocks = workspace.getTopBlocks(true);
+  for (var i = 0; i < topBlocks.length; i++) {
+    var locations = Blockly.Navigation.getStackLocations_(topBlocks[i]);
+    if (locations.length) {
+      stacks.push(locations);
+    }
+  }
+  return stacks;
+};
+
+/**
+ * Find where the cursor is in a workspace's list of locations.  If the cursor
+ * is not on the workspace, start from the selected block or the first stack.
+ * @param {!Array.<!Array.<!Blockly.Connection|!Blockly.Field>>} stacks The
+ *     workspace's locations.
+ * @return {?{stack: number, index: number, found: boolean}} The index of the
+ *     stack and of the location in it, and whether the cursor was there.  Null
+ *     if there are no locations.
+ * @private
+ */
+Blockly.Navigation.findCursor_ = function(stacks) {
+  if (!stacks.length) {
+    return null;
+  }
+  var selected = Blockly.selected;
+  var start = null;
+  for (var i = 0; i < stacks.length; i++) {
+    for (var j = 0; j < stacks[i].length; j++) {
+      var location = stacks[i][j];
+      if (location == Blockly.Navigation.cursor_) {
+        return {stack: i, index: j, found: true};
+      }
+      if (!start && selected &&
+          Blockly.Navigation.getSourceBlock_(location) == selected) {
+        start = {stack: i, index: j, found: false};
+      }
+    }
+  }
+  return start || {stack: 0, index: 0, found: false};
+};
+
+/**
+ * Move the cursor to the previous or next location, crossing into the
+ * neighbouring stack at either end of a stack.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {number} delta -1 for the previous location, 1 for the next.
+ */
+Blockly.Navigation.moveCursor = function(workspace, delta) {
+  var stacks = Blockly.Navigation.getLocations_(workspace);
+  var position = Blockly.Navigation.findCursor_(stacks);
+  if (!position) {
+    return;
+  }
+  var locations = [].concat.apply([], stacks);
+  var index = stacks.slice(0, position.stack).reduce(function(count, stack) {
+    return count + stack.length;
+  }, position.index);
+  if (position.found) {
+    index = Math.min(Math.max(index + delta, 0), locations.length - 1);
+  }
+  Blockly.Navigation.setCursor(locations[index]);
+};
+
+/**
+ * Move the cursor to the start of the previous or next stack.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {number} delta -1 for the previous stack, 1 for the next.
+ */
+Blockly.Navigation.moveStack = function(workspace, delta) {
+  var stacks = Blockly.Navigation.getLocations_(workspace);
+  var position = Blockly.Navigation.findCursor_(stacks);
+  if (!position) {
+    return;
+  }
+  var stack = position.stack;
+  if (position.found) {
+    stack = Math.min(Math.max(stack + delta, 0), stacks.length - 1);
+  }
+  Blockly.Navigation.setCursor(stacks[stack][0]);
+};
+
+/**
+ * Connect two connections, whichever order they are given in.
+ * @param {!Blockly.Connection} connectionA One connection.
+ * @param {!Blockly.Connection} connectionB The other connection.
+ * @return {boolean} True if the connections were connected, false if they
+ *     can't be.
+ */
+Blockly.Navigation.connect = function(connectionA, connectionB) {
+  if (Blockly.OPPOSITE_TYPE[connectionA.type] != connectionB.type ||
+      !connectionA.checkType(connectionB)) {
+    return false;
+  }
+  var superior = connectionA.isSuperior() ? connectionA : connectionB;
+  var inferior = superior == connectionA ? connectionB : connectionA;
+  var parentBlock = superior.getSourceBlock();
+  var childBlock = inferior.getSourceBlock();
+  if (childBlock.isShadow() || parentBlock.isShadow()) {
+    return false;
+  }
+  // A block can't be connected inside itself.
+  for (var block = parentBlock; block; block = block.getParent()) {
+    if (block == childBlock) {
+      return false;
+    }
+  }
+  Blockly.Events.setGroup(true);
+  inferior.connect(superior);
+  Blockly.Events.setGroup(false);
+  return true;
+};
+
+/**
+ * Disconnect the block at a connection from the block above or around it, and
+ * move it aside.  Blocks below it go with it.
+ * @param {!Blockly.Connection} connection The connection.
+ * @return {boolean} True if a block was disconnected.
+ */
+Blockly.Navigation.disconnect = function(connection) {
+  var block = connection.isSuperior() ? connection.targetBlock() :
+      connection.getSourceBlock();
+  if (!block || block.isShadow() || !block.getParent()) {
+    return false;
+  }
+  Blockly.Events.setGroup(true);
+  block.unplug(false);
+  block.moveBy(Blockly.Navigation.OFFSET, Blockly.Navigation.OFFSET);
+  Blockly.Events.setGroup(false);
+  return true;
+};
+
+/**
+ * Delete a block, healing the stack around it, and move the cursor to where
+ * the block was connected.
+ * @param {!Blockly.Block} block The block to delete.
+ */
+Blockly.Navigation.deleteBlock = function(block) {
+  var ownConnection = block.outputConnection || block.previousConnection;
+  var parentConnection = ownConnection && ownConnection.targetConnection;
+  Blockly.Events.setGroup(true);
+  block.dispose(true, true);
+  Blockly.Events.setGroup(false);
+  if (Blockly.Navigation.isDeleted_(Blockly.Navigation.marked_)) {
+    Blockly.Navigation.marked_ = null;
+  }
+  if (Blockly.Navigation.isDeleted_(Blockly.Navigation.cursor_)) {
+    Blockly.Navigation.setCursor(parentConnection || null);
+  } else {
+    Blockly.Navigation.draw_();
+  }
+};
+
+/**
+ * Act on Enter with the cursor on the workspace: open the editor of the field
+ * at the cursor, mark the connection at the cursor, or connect it to the
+ * marked connection.
+ * @private
+ */
+Blockly.Navigation.enter_ = function() {
+  var cursor = Blockly.Navigation.cursor_;
+  if (!cursor) {
+    return;
+  }
+  if (cursor instanceof Blockly.Field) {
+    if (cursor.isCurrentlyEditable()) {
+      cursor.showEditor();
+    }
+    return;
+  }
+  var marked = Blockly.Navigation.marked_;
+  if (!marked) {
+    Blockly.Navigation.setMarked(cursor);
+  } else if (marked == cursor) {
+    Blockly.Navigation.setMarked(null);
+  } else if (Blockly.Navigation.connect(marked, cursor)) {
+    Blockly.Navigation.setMarked(null);
+    // Keep the cursor on the block that moved.
+    Blockly.Navigation.setCursor(cursor.isSuperior() ?
+        cursor.targetConnection : cursor);
+  } else {
+    console.warn('Can\'t connect ' + marked + ' to ' + cursor + '.');
+  }
+};
+
+/**
+ * Get the workspace's toolbox categories.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @return {!Array.<!Blockly.Toolbox.Category>} The categories, if any.
+ * @private
+ */
+Blockly.Navigation.getCategories_ = function(workspace) {
+  var toolbox = workspace.toolbox_;
+  return (toolbox && toolbox.categoryMenu_.categories_) || [];
+};
+
+/**
+ * Get the flyout that blocks are picked from.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @return {Blockly.Flyout} The toolbox's flyout, or the workspace's own, or
+ *     null if there is neither.
+ * @private
+ */
+Blockly.Navigation.getFlyout_ = function(workspace) {
+  return workspace.toolbox_ ? workspace.toolbox_.flyout_ :
+      workspace.getFlyout() || null;
+};
+
+/**
+ * Move from the workspace to the toolbox's categories, or straight to the
+ * flyout if the toolbox has no categories.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @private
+ */
+Blockly.Navigation.focusToolbox_ = function(workspace) {
+  var categories = Blockly.Navigation.getCategories_(workspace);
+  if (categories.length) {
+    var toolbox = workspace.toolbox_;
+    if (!toolbox.getSelectedItem()) {
+      toolbox.setSelectedItem(categories[0]);
+    }
+    Blockly.Navigation.state_ = Blockly.Navigation.STATE_TOOLBOX;
+  } else if (Blockly.Navigation.getFlyout_(workspace)) {
+    Blockly.Navigation.focusFlyout_(workspace);
+  }
+};
+
+/**
+ * Move to the flyout's first block.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @private
+ */
+Blockly.Navigation.focusFlyout_ = function(workspace) {
+  var blocks = Blockly.Navigation.getFlyoutBlocks_(workspace);
+  if (blocks.length) {
+    Blockly.Navigation.state_ = Blockly.Navigation.STATE_FLYOUT;
+    Blockly.Navigation.setFlyoutBlock_(blocks[0]);
+  }
+};
+
+/**
+ * Go back to the workspace from the toolbox or flyout.
+ * @private
+ */
+Blockly.Navigation.focusWorkspace_ = function() {
+  Blockly.Navigation.setFlyoutBlock_(null);
+  Blockly.Navigation.state_ = Blockly.Navigation.STATE_WS;
+};
+
+/**
+ * Get the flyout's top blocks, in the order they are laid out.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @return {!Array.<!Blockly.BlockSvg>} The blocks.
+ * @private
+ */
+Blockly.Navigation.getFlyoutBlocks_ = function(workspace) {
+  var flyout = Blockly.Navigation.getFlyout_(workspace);
+  if (!flyout || !flyout.isVisible()) {
+    return [];
+  }
+  var axis = flyout.horizontalLayout ? 'x' : 'y';
+  return flyout.getWorkspace().getTopBlocks(false).sort(function(a, b) {
+    return a.getRelativeToSurfaceXY()[axis] - b.getRelativeToSurfaceXY()[axis];
+  });
+};
+
+/**
+ * Highlight a block in the flyout.
+ * @param {Blockly.BlockSvg} block The block, or null to remove the highlight.
+ * @private
+ */
+Blockly.Navigation.setFlyoutBlock_ = function(block) {
+  goog.dom.removeNode(Blockly.Navigation.svg_.flyout || null);
+  delete Blockly.Navigation.svg_.flyout;
+  Blockly.Navigation.flyoutBlock_ = block;
+  if (block) {
+    var size = block.getHeightWidth();
+    Blockly.Navigation.svg_.flyout = Blockly.utils.createSvgElement('rect',
+        {'class': 'blocklyKeyboardCursor', 'rx': 4, 'ry': 4,
+        'x': -4, 'y': -4, 'width': size.width + 8, 'height': size.height + 8},
+        block.getSvgRoot());
+  }
+};
+
+/**
+ * Select the previous or next toolbox category.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {number} delta -1 for the previous category, 1 for the next.
+ * @private
+ */
+Blockly.Navigation.moveCategory_ = function(workspace, delta) {
+  var toolbox = workspace.toolbox_;
+  var categories = Blockly.Navigation.getCategories_(workspace);
+  var index = categories.indexOf(toolbox.getSelectedItem()) + delta;
+  index = Math.min(Math.max(index, 0), categories.length - 1);
+  toolbox.setSelectedItem(categories[index]);
+};
+
+/**
+ * Highlight the previous or next block in the flyout.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {number} delta -1 for the previous block, 1 for the next.
+ * @private
+ */
+Blockly.Navigation.moveFlyoutBlock_ = function(workspace, delta) {
+  var blocks = Blockly.Navigation.getFlyoutBlocks_(workspace);
+  if (!blocks.length) {
+    return;
+  }
+  var index = blocks.indexOf(Blockly.Navigation.flyoutBlock_) + delta;
+  index = Math.min(Math.max(index, 0), blocks.length - 1);
+  Blockly.Navigation.setFlyoutBlock_(blocks[index]);
+};
+
+/**
+ * Put a copy of the highlighted flyout block on the workspace.  Connect it to
+ * the marked connection if there is one, otherwise place it at the top of the
+ * view.  The cursor moves to the new block.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @private
+ */
+Blockly.Navigation.insertFromFlyout_ = function(workspace) {
+  var flyout = Blockly.Navigation.getFlyout_(workspace);
+  var originBlock = Blockly.Navigation.flyoutBlock_;
+  if (!originBlock || originBlock.disabled) {
+    return;
+  }
+  Blockly.Events.disable();
+  try {
+    var block = flyout.placeNewBlock_(originBlock);
+  } finally {
+    Blockly.Events.enable();
+  }
+  Blockly.Events.setGroup(true);
+  if (Blockly.Events.isEnabled()) {
+    Blockly.Events.fire(new Blockly.Events.Create(block));
+  }
+  var marked = Blockly.Navigation.marked_;
+  var connected = false;
+  if (marked) {
+    var connections = block.getConnections(false);
+    for (var i = 0; !connected && i < connections.length; i++) {
+      var target = connections[i].targetBlock();
+      if (!target || target.isShadow()) {
+        connected = Blockly.Navigation.connect(marked, connections[i]);
+      }
+    }
+  }
+  if (!connected) {
+    var metrics = workspace.getMetrics();
+    var xy = block.getRelativeToSurfaceXY();
+    var x = workspace.RTL ? metrics.viewLeft + metrics.viewWidth -
+        Blockly.Navigation.OFFSET : metrics.viewLeft + Blockly.Navigation.OFFSET;
+    var y = metrics.viewTop + Blockly.Navigation.OFFSET;
+    block.moveBy(x / workspace.scale - xy.x, y / workspace.scale - xy.y);
+  }
+  Blockly.Events.setGroup(false);
+  if (flyout.autoClose) {
+    flyout.hide();
+  }
+  Blockly.Navigation.focusWorkspace_();
+  Blockly.Navigation.marked_ = null;
+  Blockly.Navigation.setCursor(
+      Blockly.Navigation.getStackLocations_(block)[0] || null);
+};
+
+/**
+ * Handle a key-down for keyboard navigation.  Does nothing unless the main
+ * workspace has the 'keyboardNav' option.
+ * @param {!Event} e Key down event.
+ * @return {boolean} True if the key was handled.
+ */
+Blockly.Navigation.onKeyDown = function(e) {
+  var workspace = Blockly.getMainWorkspace();
+  if (!workspace || !workspace.rendered || !workspace.options.keyboardNav ||
+      e.altKey || e.ctrlKey || e.metaKey || Blockly.WidgetDiv.isVisible() ||
+      Blockly.DropDownDiv.isVisible()) {
+    return false;
+  }
+  // Blocks may have been deleted with the mouse since the last key.
+  if (Blockly.Navigation.isDeleted_(Blockly.Navigation.cursor_)) {
+    Blockly.Navigation.cursor_ = null;
+  }
+  if (Blockly.Navigation.isDeleted_(Blockly.Navigation.marked_)) {
+    Blockly.Navigation.marked_ = null;
+  }
+  switch (Blockly.Navigation.state_) {
+    case Blockly.Navigation.STATE_TOOLBOX:
+      return Blockly.Navigation.onToolboxKeyDown_(workspace, e.keyCode);
+    case Blockly.Navigation.STATE_FLYOUT:
+      return Blockly.Navigation.onFlyoutKeyDown_(workspace, e.keyCode);
+  }
+  return Blockly.Navigation.onWorkspaceKeyDown_(workspace, e.keyCode);
+};
+
+/**
+ * Handle a key-down with the cursor on the workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {number} keyCode The key's code.
+ * @return {boolean} True if the key was handled.
+ * @private
+ */
+Blockly.Navigation.onWorkspaceKeyDown_ = function(workspace, keyCode) {
+  // Arrows along the stacks move between locations, arrows across them move
+  // between stacks.
+  var horizontal = Blockly.BlockSvg.HORIZONTAL_LAYOUT;
+  var rightDelta = workspace.RTL ? -1 : 1;
+  switch (keyCode) {
+    case 37:  // Left.
+    case 39:  // Right.
+      var acrossDelta = keyCode == 39 ? rightDelta : -rightDelta;
+      if (horizontal) {
+        Blockly.Navigation.moveCursor(workspace, acrossDelta);
+      } else {
+        Blockly.Navigation.moveStack(workspace, acrossDelta);
+      }
+      return true;
+    case 38:  // Up.
+    case 40:  // Down.
+      var downDelta = keyCode == 40 ? 1 : -1;
+      if (horizontal) {
+        Blockly.Navigation.moveStack(workspace, downDelta);
+      } else {
+        Blockly.Navigation.moveCursor(workspace, downDelta);
+      }
+      return true;
+    case 13:  // Enter.
+      Blockly.Navigation.enter_();
+      return true;
+    case 88:  // 'x' for disconnect.
+      var cursor = Blockly.Navigation.cursor_;
+      if (cursor && !(cursor instanceof Blockly.Field)) {
+        Blockly.Navigation.disconnect(cursor);
+        Blockly.Navigation.draw_();
+      }
+      return true;
+    case 84:  // 't' for toolbox.
+      Blockly.Navigation.focusToolbox_(workspace);
+      return true;
+    case 27:  // Esc.
+      if (Blockly.Navigation.marked_) {
+        Blockly.Navigation.setMarked(null);
+        return true;
+      }
+      return false;
+  }
+  return false;
+};
+
+/**
+ * Handle a key-down with the cursor on the toolbox.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {number} keyCode The key's code.
+ * @return {boolean} True if the key was handled.
+ * @private
+ */
+Blockly.Navigation.onToolboxKeyDown_ = function(workspace, keyCode) {
+  var horizontal = workspace.toolbox_.horizontalLayout_;
+  var previousKey = horizontal ? 37 : 38;  // Left or up.
+  var nextKey = horizontal ? 39 : 40;  // Right or down.
+  var flyoutKey = horizontal ? 40 : 39;  // Down or right.
+  switch (keyCode) {
+    case previousKey:
+      Blockly.Navigation.moveCategory_(workspace, -1);
+      return true;
+    case nextKey:
+      Blockly.Navigation.moveCategory_(workspace, 1);
+      return true;
+    case flyoutKey:
+    case 13:  // Enter.
+      Blockly.Navigation.focusFlyout_(workspace);
+      return true;
+    case 27:  // Esc.
+      Blockly.Navigation.focusWorkspace_();
+      Blockly.hideChaff();
+      return true;
+  }
+  return false;
+};
+
+/**
+ * Handle a key-down with the cursor on the flyout.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {number} keyCode The key's code.
+ * @return {boolean} True if the key was handled.
+ * @private
+ */
+Blockly.Navigation.onFlyoutKeyDown_ = function(workspace, keyCode) {
+  var horizontal = Blockly.Navigation.getFlyout_(workspace).horizontalLayout;
+  var previousKey = horizontal ? 37 : 38;  // Left or up.
+  var nextKey = horizontal ? 39 : 40;  // Right or down.
+  var backKey = horizontal ? 38 : 37;  // Up or left.
+  switch (keyCode) {
+    case previousKey:
+      Blockly.Navigation.moveFlyoutBlock_(workspace, -1);
+      return true;
+    case nextKey:
+      Blockly.Navigation.moveFlyoutBlock_(workspace, 1);
+      return true;
+    case 13:  // Enter.
+      Blockly.Navigation.insertFromFlyout_(workspace);
+      return true;
+    case backKey:
+    case 27:  // Esc.
+      Blockly.Navigation.setFlyoutBlock_(null);
+      if (Blockly.Navigation.getCategories_(workspace).length) {
+        Blockly.Navigation.state_ = Blockly.Navigation.STATE_TOOLBOX;
+      } else {
+        Blockly.Navigation.focusWorkspace_();
+      }
+      return true;
+  }
+  return false;
+};
+
+/**
+ * Find where a location is drawn, relative to its block.
+ * @param {!Blockly.Connection|!Blockly.Field} location A connection or field.
+ * @return {!goog.math.Coordinate} The location's offset from the top-left
+ *     corner of its block, in workspace units.
+ * @private
+ */
+Blockly.Navigation.getOffset_ = function(location) {
+  if (location instanceof Blockly.Field) {
+    return Blockly.utils.getRelativeXY(location.getSvgRoot());
+  }
+  var blockXY = location.getSourceBlock().getRelativeToSurfaceXY();
+  return new goog.math.Coordinate(location.x - blockXY.x,
+      location.y - blockXY.y);
+};
+
+/**
+ * Scroll the main workspace so that a location is in view.
+ * @param {!Blockly.Connection|!Blockly.Field} location A connection or field.
+ * @private
+ */
+Blockly.Navigation.scrollIntoView_ = function(location) {
+  var block = Blockly.Navigation.getSourceBlock_(location);
+  var workspace = block.workspace;
+  if (!workspace.scrollbar) {
+    return;
+  }
+  var xy = goog.math.Coordinate.sum(block.getRelativeToSurfaceXY(),
+      Blockly.Navigation.getOffset_(location));
+  var x = xy.x * workspace.scale;
+  var y = xy.y * workspace.scale;
+  var metrics = workspace.getMetrics();
+  if (x < metrics.viewLeft || x > metrics.viewLeft + metrics.viewWidth ||
+      y < metrics.viewTop || y > metrics.viewTop + metrics.viewHeight) {
+    workspace.startDragMetrics = metrics;
+    workspace.scroll(metrics.viewWidth / 2 - x, metrics.viewHeight / 2 - y);
+  }
+};
+
+/**
+ * Draw the cursor and the mark on their blocks, removing the old drawings.
+ * @private
+ */
+Blockly.Navigation.draw_ = function() {
+  var locations = {
+    'blocklyKeyboardCursor': Blockly.Navigation.cursor_,
+    'blocklyKeyboardMark': Blockly.Navigation.marked_
+  };
+  for (var className in locations) {
+    goog.dom.removeNode(Blockly.Navigation.svg_[className] || null);
+    delete Blockly.Navigation.svg_[className];
+    var location = locations[className];
+    if (!location || Blockly.Navigation.isDeleted_(location)) {
+      continue;
+    }
+    var block = Blockly.Navigation.getSourceBlock_(location);
+    if (!block.rendered) {
+      continue;
+    }
+    var xy = Blockly.Navigation.getOffset_(location);
+    var svg;
+    if (location instanceof Blockly.Field) {
+      var size = location.getSize();
+      svg = Blockly.utils.createSvgElement('rect',
+          {'class': className, 'rx': 4, 'ry': 4,
+          'x': xy.x - 2, 'y': xy.y - 2,
+          'width': size.width + 4, 'height': size.height + 4},
+          block.getSvgRoot());
+    } else {
+      svg = Blockly.utils.createSvgElement('circle',
+          {'class': className, 'r': 6, 'cx': xy.x, 'cy': xy.y},
+          block.getSvgRoot());
+    }
+    Blockly.Navigation.svg_[className] = svg;
+  }
+};
@@ -28,6 +28,7 @@ goog.provide('Blockly.Options');
 
 goog.require('Blockly.Blocks.defaultToolbox');
 goog.require('Blockly.Colours');
+goog.require('Blockly.Xml');
 
 
 /**
@@ -49,9 +50,7 @@ Blockly.Options = function(options) {
     var hasSounds = false;
   } else {
     if (!options['toolbox']) {
-      var oParser = new DOMParser();
-      var dom = oParser.parseFromString(Blockly.Blocks.defaultToolbox, 'text/xml');
-      options['toolbox'] = dom.documentElement;
+      options['toolbox'] = Blockly.Xml.textToDom(Blockly.Blocks.defaultToolbox);
     }
     var languageTree = Blockly.Options.parseToolboxTree(options['toolbox']);
     var hasCategories = Boolean(languageTree &&
@@ -121,6 +120,17 @@ Blockly.Options = function(options) {
   var enableRealtime = !!options['realtime'];
   var realtimeOptions = enableRealtime ? options['realtimeOptions'] : undefined;
 
+  var hasBreakpoints = !!options['breakpoints'];
+
+  var hasLint = !!options['lint'];
+
+  var hasKeyboardNav = !!options['keyboardNav'];
+
+  var maxUndo = options['maxUndo'];
+  if (maxUndo !== undefined) {
+    maxUndo = Number(maxUndo);
+  }
+
   // Colour overrides provided by the injection
   var colours = options['colours'];
   if (colours) {
@@ -152,6 +162,10 @@ Blockly.Options = function(options) {
   this.zoomOptions = Blockly.Options.parseZoomOptions_(options);
   this.enableRealtime = enableRealtime;
   this.realtimeOptions = realtimeOptions;
+  this.maxUndo = maxUndo;
+  this.breakpoints = hasBreakpoints;
+  this.lint = hasLint;
+  this.keyboardNav = hasKeyboardNav;
   this.toolboxPosition = toolboxPosition;
   this.embossFilterId = undefined;
 };
@@ -249,7 +263,9 @@ Blockly.Options.parseToolboxTree = function(tree) {
         // not have the proper DOM structure since the browser doesn't support
         // XSLTProcessor (XML -> HTML). This is the case in IE 9+.
         tree = tree.outerHTML;
-      } else if (!(tree instanceof Element)) {
+      } else if (tree.nodeType != 1) {
+        // Not an element.  Checked by node type rather than with instanceof,
+        // since there is no Element class under Node.
         tree = null;
       }
     }
@@ -0,0 +1,357 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A dialog for making and editing custom blocks (procedures):
+ * their labels, their number, boolean and text arguments, and whether they
+ * run without screen refresh.
+ */
+'use strict';
+
+goog.provide('Blockly.ProcedureEditor');
+
+goog.require('Blockly.utils');
+goog.require('goog.dom');
+goog.require('goog.string');
+
+
+/**
+ * The dialog's outermost element.  Null when the editor isn't showing.
+ * @type {Element}
+ * @private
+ */
+Blockly.ProcedureEditor.DIV_ = null;
+
+/**
+ * The labels and arguments being edited, in order.  Labels look like
+ * {type: 'label', text: 'jump'}; arguments look like
+ * {type: '%n', id: 'a1b2', name: 'height', defaultValue: ''}.
+ * @type {!Array.<!Object>}
+ * @private
+ */
+Blockly.ProcedureEditor.parts_ = [];
+
+/**
+ * Function to call with the result when the editor closes.
+ * @type {?function(Element)}
+ * @private
+ */
+Blockly.ProcedureEditor.callback_ = null;
+
+/**
+ * The element showing the parts of the block being edited.
+ * @type {Element}
+ * @private
+ */
+Blockly.ProcedureEditor.partsDiv_ = null;
+
+/**
+ * The 'run without screen refresh' checkbox.
+ * @type {Element}
+ * @private
+ */
+Blockly.ProcedureEditor.warpCheckbox_ = null;
+
+/**
+ * Show the procedure editor.  Apps may replace this function to provide
+ * their own editor, as with Blockly.prompt.
+ * @param {!Element} mutation The mutation of the procedure to start from.
+ * @param {!function(Element)} callback The callback for handling the result:
+ *     the edited procedure's mutation, or null if the user canceled.
+ */
+Blockly.ProcedureEditor.show = function(mutation, callback) {
+  Blockly.ProcedureEditor.hide();
+  Blockly.ProcedureEditor.callback_ = callback;
+  Blockly.ProcedureEditor.parts_ =
+      Blockly.ProcedureEditor.mutationToParts_(mutation);
+
+  var div = goog.dom.createDom('div', 'blocklyProcedureEditor');
+  var dialog = goog.dom.createDom('div', 'blocklyProcedureEditorDialog');
+  div.appendChild(dialog);
+  dialog.appendChild(goog.dom.createDom('div',
+      'blocklyProcedureEditorTitle', Blockly.Msg.PROCEDURES_MAKE_BLOCK));
+  Blockly.ProcedureEditor.partsDiv_ =
+      goog.dom.createDom('div', 'blocklyProcedureEditorParts');
+  dialog.appendChild(Blockly.ProcedureEditor.partsDiv_);
+
+  var addButtons = goog.dom.createDom('div', 'blocklyProcedureEditorAdd');
+  addButtons.appendChild(Blockly.ProcedureEditor.createButton_(
+      Blockly.Msg.PROCEDURES_EDITOR_ADD_NUMBER, function() {
+        Blockly.ProcedureEditor.addPart_('%n');
+      }));
+  addButtons.appendChild(Blockly.ProcedureEditor.createButton_(
+      Blockly.Msg.PROCEDURES_EDITOR_ADD_BOOLEAN, function() {
+        Blockly.ProcedureEditor.addPart_('%b');
+      }));
+  addButtons.appendChild(Blockly.ProcedureEditor.createButton_(
+      Blockly.Msg.PROCEDURES_EDITOR_ADD_TEXT, function() {
+        Blockly.ProcedureEditor.addPart_('%s');
+      }));
+  addButtons.appendChild(Blockly.ProcedureEditor.createButton_(
+      Blockly.Msg.PROCEDURES_EDITOR_ADD_LABEL, function() {
+        Blockly.ProcedureEditor.addPart_('label');
+      }));
+  dialog.appendChild(addButtons);
+
+  var warpLabel = goog.dom.createDom('label', 'blocklyProcedureEditorWarp');
+  Blockly.ProcedureEditor.warpCheckbox_ =
+      goog.dom.createDom('input', {'type': 'checkbox'});
+  Blockly.ProcedureEditor.warpCheckbox_.checked =
+      Blockly.Procedures.parseMutation(mutation).warp;
+  warpLabel.appendChild(Blockly.ProcedureEditor.warpCheckbox_);
+  warpLabel.appendChild(
+      document.createTextNode(Blockly.Msg.PROCEDURES_EDITOR_WARP));
+  dialog.appendChild(warpLabel);
+
+  var footer = goog.dom.createDom('div', 'blocklyProcedureEditorFooter');
+  footer.appendChild(Blockly.ProcedureEditor.createButton_(
+      Blockly.Msg.PROCEDURES_EDITOR_CANCEL, function() {
+        Blockly.ProcedureEditor.close_(false);
+      }));
+  footer.appendChild(Blockly.ProcedureEditor.createButton_(
+      Blockly.Msg.PROCEDURES_EDITOR_OK, function() {
+        Blockly.ProcedureEditor.close_(true);
+      }));
+  dialog.appendChild(footer);
+
+  Blockly.bindEvent(dialog, 'keydown', null, function(e) {
+    if (e.keyCode == 13) {
+      // Enter
+      Blockly.ProcedureEditor.close_(true);
+    } else if (e.keyCode == 27) {
+      // Escape
+      Blockly.ProcedureEditor.close_(false);
+    }
+  });
+
+  Blockly.ProcedureEditor.DIV_ = div;
+  document.body.appendChild(div);
+  Blockly.ProcedureEditor.renderParts_();
+};
+
+/**
+ * Is the procedure editor showing?
+ * @return {boolean} True if visible.
+ */
+Blockly.ProcedureEditor.isVisible = function() {
+  return !!Blockly.ProcedureEditor.DIV_;
+};
+
+/**
+ * Close the procedure editor without calling its callback.
+ */
+Blockly.ProcedureEditor.hide = function() {
+  if (Blockly.ProcedureEditor.DIV_) {
+    goog.dom.removeNode(Blockly.ProcedureEditor.DIV_);
+  }
+  Blockly.ProcedureEditor.DIV_ = null;
+  Blockly.ProcedureEditor.partsDiv_ = null;
+  Blockly.ProcedureEditor.warpCheckbox_ = null;
+  Blockly.ProcedureEditor.callback_ = null;
+  Blockly.ProcedureEditor.parts_ = [];
+};
+
+/**
+ * Close the procedure editor and report the result.
+ * @param {boolean} accept True if the user accepted the edits.
+ * @private
+ */
+Blockly.ProcedureEditor.close_ = function(accept) {
+  var callback = Blockly.ProcedureEditor.callback_;
+  var result = null;
+  if (accept) {
+    result = Blockly.ProcedureEditor.partsToMutation_(
+        Blockly.ProcedureEditor.parts_,
+        Blockly.ProcedureEditor.warpCheckbox_.checked);
+  }
+  Blockly.ProcedureEditor.hide();
+  if (callback) {
+    callback(result);
+  }
+};
+
+/**
+ * Create a button for the dialog.
+ * @param {string} text The button's text.
+ * @param {!Function} func Function to call when the button is clicked.
+ * @return {!Element} The button.
+ * @private
+ */
+Blockly.ProcedureEditor.createButton_ = function(text, func) {
+  var button = goog.dom.createDom('button', 'blocklyProcedureEditorButton',
+      text);
+  Blockly.bindEvent(button, 'click', null, func);
+  return button;
+};
+
+/**
+ * Add a label or an argument to the end of the block.
+ * @param {string} type 'label', or the argument's type: '%n', '%b' or '%s'.
+ * @private
+ */
+Blockly.ProcedureEditor.addPart_ = function(type) {
+  var part;
+  if (type == 'label') {
+    part = {type: type, text: Blockly.Msg.PROCEDURES_EDITOR_LABEL};
+  } else {
+    part = {
+      type: type,
+      id: Blockly.utils.genUid(),
+      name: Blockly.ProcedureEditor.defaultName_(type),
+      defaultValue: type == '%b' ? 'false' : ''
+    };
+  }
+  Blockly.ProcedureEditor.parts_.push(part);
+  Blockly.ProcedureEditor.renderParts_();
+  // Let the user type over the new part's placeholder text.
+  var inputs = Blockly.ProcedureEditor.partsDiv_.getElementsByTagName('input');
+  inputs[inputs.length - 1].select();
+};
+
+/**
+ * Redraw the labels and arguments being edited.
+ * @private
+ */
+Blockly.ProcedureEditor.renderParts_ = function() {
+  var partsDiv = Blockly.ProcedureEditor.partsDiv_;
+  goog.dom.removeChildren(partsDiv);
+  Blockly.ProcedureEditor.parts_.forEach(function(part, index) {
+    var className = 'blocklyProcedureEditorPart';
+    if (part.type == '%n') {
+      className += ' blocklyProcedureEditorNumber';
+    } else if (part.type == '%b') {
+      className += ' blocklyProcedureEditorBoolean';
+    } else if (part.type == '%s') {
+      className += ' blocklyProcedureEditorText';
+    } else {
+      className += ' blocklyProcedureEditorLabel';
+    }
+    var partDiv = goog.dom.createDom('span', className);
+    var input = goog.dom.createDom('input', {'type': 'text'});
+    input.value = part.type == 'label' ? part.text : part.name;
+    Blockly.bindEvent(input, 'input', null, function() {
+      if (part.type == 'label') {
+        part.text = input.value;
+      } else {
+        part.name = input.value;
+      }
+    });
+    partDiv.appendChild(input);
+    var remove = goog.dom.createDom('button', 'blocklyProcedureEditorRemove',
+        '\u00D7');
+    Blockly.bindEvent(remove, 'click', null, function() {
+      Blockly.ProcedureEditor.parts_.splice(index, 1);
+      Blockly.ProcedureEditor.renderParts_();
+    });
+    partDiv.appendChild(remove);
+    partsDiv.appendChild(partDiv);
+  });
+};
+
+/**
+ * Default name for a new argument of the given type.
+ * @param {string} type The argument's type: '%n', '%b' or '%s'.
+ * @return {string} The name.
+ * @private
+ */
+Blockly.ProcedureEditor.defaultName_ = function(type) {
+  if (type == '%n') {
+    return Blockly.Msg.PROCEDURES_EDITOR_NUMBER;
+  } else if (type == '%b') {
+    return Blockly.Msg.PROCEDURES_EDITOR_BOOLEAN;
+  }
+  return Blockly.Msg.PROCEDURES_EDITOR_TEXT;
+};
+
+/**
+ * Split a procedure's mutation into the parts the editor works with.
+ * @param {!Element} mutation The procedure's mutation.
+ * @return {!Array.<!Object>} Labels and arguments, in order.
+ * @private
+ */
+Blockly.ProcedureEditor.mutationToParts_ = function(mutation) {
+  var data = Blockly.Procedures.parseMutation(mutation);
+  var ids = data.argumentIds;
+  var names = data.argumentNames;
+  var defaults = data.argumentDefaults;
+  var components = Blockly.Procedures.parseProcCode(data.procCode || '');
+  var parts = [];
+  var argumentCount = 0;
+  for (var i = 0; i < components.length; i++) {
+    if (/^%[nbs]$/.test(components[i])) {
+      parts.push({
+        type: components[i],
+        id: ids[argumentCount],
+        name: names[argumentCount],
+        defaultValue: defaults[argumentCount] || ''
+      });
+      argumentCount++;
+    } else {
+      parts.push({type: 'label', text: components[i].replace(/\\%/g, '%')});
+    }
+  }
+  return parts;
+};
+
+/**
+ * Build a procedure's mutation from the edited parts.  Empty labels are
+ * dropped.  Arguments without a name get a default one, and arguments are
+ * renamed as needed so that no two have the same name.
+ * @param {!Array.<!Object>} parts Labels and arguments, in order.
+ * @param {boolean} warp True if the procedure runs without screen refresh.
+ * @return {Element} The mutation, or null if the block would be empty.
+ * @private
+ */
+Blockly.ProcedureEditor.partsToMutation_ = function(parts, warp) {
+  var components = [];
+  var ids = [];
+  var names = [];
+  var defaults = [];
+  for (var i = 0; i < parts.length; i++) {
+    var part = parts[i];
+    if (part.type == 'label') {
+      var text = goog.string.trim(part.text);
+      if (text) {
+        components.push(text.replace(/%/g, '\\%'));
+      }
+      continue;
+    }
+    var name = goog.string.trim(part.name) ||
+        Blockly.ProcedureEditor.defaultName_(part.type);
+    var uniqueName = name;
+    for (var n = 2; names.indexOf(uniqueName) != -1; n++) {
+      uniqueName = name + n;
+    }
+    components.push(part.type);
+    ids.push(part.id);
+    names.push(uniqueName);
+    defaults.push(part.defaultValue);
+  }
+  if (!components.length) {
+    return null;
+  }
+  return Blockly.Procedures.createMutation({
+    procCode: components.join(' '),
+    argumentIds: ids,
+    argumentNames: names,
+    argumentDefaults: defaults,
+    warp: warp
+  });
+};
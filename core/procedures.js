@@ -32,9 +32,14 @@ goog.provide('Blockly.Procedures');
 
 goog.require('Blockly.Blocks');
 goog.require('Blockly.constants');
+goog.require('Blockly.Events');
 goog.require('Blockly.Field');
 goog.require('Blockly.Names');
+goog.require('Blockly.ProcedureEditor');
 goog.require('Blockly.Workspace');
+goog.require('Blockly.Xml');
+goog.require('goog.dom');
+goog.require('goog.string');
 
 
 Blockly.Procedures.NAME_TYPE = undefined;
@@ -80,223 +85,479 @@ Blockly.Procedures.allProcedures = function(root) {
 Blockly.Procedures.procTupleComparator_ = function(ta, tb) {
   return ta[0].toLowerCase().localeCompare(tb[0].toLowerCase());
 };
-//
-///**
-// * Ensure two identically-named procedures don't exist.
-// * @param {string} name Proposed procedure name.
-// * @param {!Blockly.Block} block Block to disambiguate.
-// * @return {string} Non-colliding name.
-// */
-//Blockly.Procedures.findLegalName = function(name, block) {
-//  if (block.isInFlyout) {
-//    // Flyouts can have multiple procedures called 'do something'.
-//    return name;
-//  }
-//  while (!Blockly.Procedures.isLegalName_(name, block.workspace, block)) {
-//    // Collision with another procedure.
-//    var r = name.match(/^(.*?)(\d+)$/);
-//    if (!r) {
-//      name += '2';
-//    } else {
-//      name = r[1] + (parseInt(r[2], 10) + 1);
-//    }
-//  }
-//  return name;
-//};
-//
-///**
-// * Does this procedure have a legal name?  Illegal names include names of
-// * procedures already defined.
-// * @param {string} name The questionable name.
-// * @param {!Blockly.Workspace} workspace The workspace to scan for collisions.
-// * @param {Blockly.Block=} opt_exclude Optional block to exclude from
-// *     comparisons (one doesn't want to collide with oneself).
-// * @return {boolean} True if the name is legal.
-// * @private
-// */
-//Blockly.Procedures.isLegalName_ = function(name, workspace, opt_exclude) {
-//  var blocks = workspace.getAllBlocks();
-//  // Iterate through every block and check the name.
-//  for (var i = 0; i < blocks.length; i++) {
-//    if (blocks[i] == opt_exclude) {
-//      continue;
-//    }
-//    if (blocks[i].getProcedureDef) {
-//      var procName = blocks[i].getProcedureDef();
-//      if (Blockly.Names.equals(procName[0], name)) {
-//        return false;
-//      }
-//    }
-//  }
-//  return true;
-//};
-//
-///**
-// * Rename a procedure.  Called by the editable field.
-// * @param {string} name The proposed new name.
-// * @return {string} The accepted name.
-// * @this {Blockly.Field}
-// */
-//Blockly.Procedures.rename = function(name) {
-//  // Strip leading and trailing whitespace.  Beyond this, all names are legal.
-//  name = name.replace(/^[\s\xa0]+|[\s\xa0]+$/g, '');
-//
-//  // Ensure two identically-named procedures don't exist.
-//  var legalName = Blockly.Procedures.findLegalName(name, this.sourceBlock_);
-//  var oldName = this.text_;
-//  if (oldName != name && oldName != legalName) {
-//    // Rename any callers.
-//    var blocks = this.sourceBlock_.workspace.getAllBlocks();
-//    for (var i = 0; i < blocks.length; i++) {
-//      if (blocks[i].renameProcedure) {
-//        blocks[i].renameProcedure(oldName, legalName);
-//      }
-//    }
-//  }
-//  return legalName;
-//};
-//
+
+/**
+ * Split a procedure code into its labels and argument placeholders.
+ * 'jump %n high' becomes ['jump', '%n', 'high'].  Argument placeholders are
+ * '%n' (number), '%b' (boolean) and '%s' (text).  Labels are trimmed and
+ * keep any escaped percent signs ('\%').
+ * @param {string} procCode The procedure code.
+ * @return {!Array.<string>} Labels and argument placeholders, in order.
+ */
+Blockly.Procedures.parseProcCode = function(procCode) {
+  var components = [];
+  var label = '';
+  for (var i = 0; i < procCode.length; i++) {
+    var c = procCode.charAt(i);
+    var next = procCode.charAt(i + 1);
+    if (c == '\\' && next == '%') {
+      label += '\\%';
+      i++;
+    } else if (c == '%' && next && 'nbs'.indexOf(next) != -1) {
+      if (goog.string.trim(label)) {
+        components.push(goog.string.trim(label));
+      }
+      components.push(c + next);
+      label = '';
+      i++;
+    } else {
+      label += c;
+    }
+  }
+  if (goog.string.trim(label)) {
+    components.push(goog.string.trim(label));
+  }
+  return components;
+};
+
+/**
+ * Argument IDs for a procedure saved without any: each argument is named
+ * after its position, which is also how such callers named their inputs.
+ * @param {string} procCode The procedure code.
+ * @return {!Array.<string>} One ID per argument: 'input0', 'input1', ...
+ */
+Blockly.Procedures.positionalArgumentIds = function(procCode) {
+  var ids = [];
+  var components = Blockly.Procedures.parseProcCode(procCode);
+  for (var i = 0; i < components.length; i++) {
+    if (/^%[nbs]$/.test(components[i])) {
+      ids.push('input' + ids.length);
+    }
+  }
+  return ids;
+};
+
+/**
+ * Version of the mutation format written by the procedure blocks.  Version 1
+ * stores everything as attributes of the mutation element:
+ * <mutation version="1" proccode="jump %n" argumentids="[&quot;a1&quot;]"
+ *     argumentnames="[&quot;height&quot;]" argumentdefaults="[&quot;&quot;]"
+ *     warp="false"></mutation>
+ * Argument reporters store paramname and shape instead.
+ * @const
+ */
+Blockly.Procedures.MUTATION_VERSION = 1;
+
+/**
+ * Create the mutation element shared by the procedure blocks.  Only the
+ * properties that are given are written.
+ * @param {!Object} data Any of procCode, argumentIds, argumentNames,
+ *     argumentDefaults, warp, paramName and shape.
+ * @return {!Element} The mutation element.
+ */
+Blockly.Procedures.createMutation = function(data) {
+  var mutation = Blockly.Xml.createElement('mutation');
+  mutation.setAttribute('version', Blockly.Procedures.MUTATION_VERSION);
+  if (data.procCode !== undefined) {
+    mutation.setAttribute('proccode', data.procCode);
+  }
+  if (data.argumentIds !== undefined) {
+    mutation.setAttribute('argumentids', JSON.stringify(data.argumentIds));
+  }
+  if (data.argumentNames !== undefined) {
+    mutation.setAttribute('argumentnames', JSON.stringify(data.argumentNames));
+  }
+  if (data.argumentDefaults !== undefined) {
+    mutation.setAttribute('argumentdefaults',
+        JSON.stringify(data.argumentDefaults));
+  }
+  if (data.warp !== undefined) {
+    mutation.setAttribute('warp', !!data.warp);
+  }
+  if (data.paramName !== undefined) {
+    mutation.setAttribute('paramname', data.paramName);
+  }
+  if (data.shape !== undefined) {
+    mutation.setAttribute('shape', data.shape);
+  }
+  return mutation;
+};
+
+/**
+ * Read a procedure block's mutation, in the current format or any older one:
+ * - unversioned definitions that stored each property as a child element,
+ *   e.g. <proccode value="jump %n"></proccode>;
+ * - unversioned blocks without argument IDs, whose callers named their
+ *   inputs after the arguments' positions;
+ * - 'argumentvalues', an old name for 'argumentdefaults'.
+ * Argument lists are padded to one entry per argument in the procedure code.
+ * @param {!Element} xmlElement The mutation element.
+ * @return {!Object} The properties found: procCode, argumentIds,
+ *     argumentNames, argumentDefaults and warp if the mutation has a
+ *     procedure code, paramName and shape if it has a parameter name.
+ */
+Blockly.Procedures.parseMutation = function(xmlElement) {
+  var version = parseInt(xmlElement.getAttribute('version'), 10) || 0;
+  var read = function(name) {
+    if (xmlElement.hasAttribute(name)) {
+      return xmlElement.getAttribute(name);
+    }
+    if (!version) {
+      for (var i = 0, child; child = xmlElement.childNodes[i]; i++) {
+        if (child.nodeName.toLowerCase() == name) {
+          return child.getAttribute('value');
+        }
+      }
+    }
+    return null;
+  };
+  var readList = function(name) {
+    var value = read(name);
+    return value ? JSON.parse(value) : [];
+  };
+
+  var data = {};
+  var procCode = read('proccode');
+  if (procCode !== null) {
+    data.procCode = procCode;
+    var argumentCount =
+        Blockly.Procedures.positionalArgumentIds(procCode).length;
+    data.argumentIds = read('argumentids') ? readList('argumentids') :
+        Blockly.Procedures.positionalArgumentIds(procCode);
+    data.argumentNames = readList('argumentnames');
+    data.argumentDefaults = read('argumentdefaults') !== null ?
+        readList('argumentdefaults') : readList('argumentvalues');
+    while (data.argumentNames.length < argumentCount) {
+      data.argumentNames.push('');
+    }
+    while (data.argumentDefaults.length < argumentCount) {
+      data.argumentDefaults.push('');
+    }
+    data.warp = read('warp') == 'true';
+  }
+  var paramName = read('paramname');
+  if (paramName !== null) {
+    data.paramName = paramName;
+    data.shape = read('shape') || 's';
+  }
+  return data;
+};
+
+/**
+ * Does this procedure have a legal name?  Illegal names include names of
+ * procedures already defined.
+ * @param {string} name The questionable name.
+ * @param {!Blockly.Workspace} workspace The workspace to scan for collisions.
+ * @param {Blockly.Block=} opt_exclude Optional block to exclude from
+ *     comparisons (one doesn't want to collide with oneself).
+ * @return {boolean} True if the name is legal.
+ */
+Blockly.Procedures.isLegalName = function(name, workspace, opt_exclude) {
+  var blocks = workspace.getAllBlocks();
+  // Iterate through every block and check the name.
+  for (var i = 0; i < blocks.length; i++) {
+    if (blocks[i] == opt_exclude) {
+      continue;
+    }
+    if (blocks[i].getProcedureDef) {
+      var procName = blocks[i].getProcedureDef()[0];
+      // Blocks that don't define a procedure have no procedure name.
+      if (procName && Blockly.Names.equals(procName, name)) {
+        return false;
+      }
+    }
+  }
+  return true;
+};
+
 /**
  * Construct the blocks required by the flyout for the procedure category.
- * @param {!Blockly.Workspace} workspace The workspace contianing procedures.
- * @return {!Array.<!Element>} Array of XML block elements.
+ * @param {!Blockly.Workspace} workspace The workspace containing procedures.
+ * @return {!Array.<!Element>} Array of XML elements.
  */
 Blockly.Procedures.flyoutCategory = function(workspace) {
   var xmlList = [];
-  if (Blockly.Blocks['procedures_defnoreturn']) {
-    // <block type="procedures_defnoreturn" gap="16">
-    //     <field name="NAME">do something</field>
+  var button = goog.dom.createDom('button');
+  button.setAttribute('text', Blockly.Msg.PROCEDURES_MAKE_BLOCK);
+  button.setAttribute('callbackKey', 'CREATE_PROCEDURE');
+
+  workspace.registerButtonCallback('CREATE_PROCEDURE', function(button) {
+    Blockly.Procedures.createProcedure(button.getTargetWorkspace());
+  });
+
+  xmlList.push(button);
+
+  var definitions = workspace.getTopBlocks(false).filter(function(block) {
+    return !!(block.getProcedureDef && block.getProcedureDef()[0]);
+  });
+  definitions.sort(function(a, b) {
+    return Blockly.Procedures.procTupleComparator_(a.getProcedureDef(),
+        b.getProcedureDef());
+  });
+  for (var i = 0; i < definitions.length; i++) {
+    // <block type="procedures_callnoreturn" gap="16">
+    //   <mutation version="1" proccode="jump %n" ...></mutation>
     // </block>
     var block = goog.dom.createDom('block');
-    block.setAttribute('type', 'procedures_defnoreturn');
+    block.setAttribute('type', 'procedures_callnoreturn');
     block.setAttribute('gap', 16);
-    var nameField = goog.dom.createDom('field', null,
-        Blockly.Msg.PROCEDURES_DEFNORETURN_PROCEDURE);
-    nameField.setAttribute('name', 'NAME');
-    block.appendChild(nameField);
+    var mutation = definitions[i].mutationToDom();
+    block.appendChild(mutation);
     xmlList.push(block);
+
+    // The argument reporters, for use inside the definition.
+    var data = Blockly.Procedures.parseMutation(mutation);
+    var names = data.argumentNames;
+    var types = Blockly.Procedures.parseProcCode(data.procCode)
+        .filter(function(component) {
+          return /^%[nbs]$/.test(component);
+        });
+    for (var j = 0; j < names.length; j++) {
+      // <block type="procedures_param" gap="8">
+      //   <mutation version="1" paramname="x" shape="s"></mutation>
+      // </block>
+      var param = goog.dom.createDom('block');
+      param.setAttribute('type', 'procedures_param');
+      param.setAttribute('gap', 8);
+      param.appendChild(Blockly.Procedures.createMutation({
+        paramName: names[j],
+        shape: types[j] == '%b' ? 'b' : 's'
+      }));
+      xmlList.push(param);
+    }
+    xmlList[xmlList.length - 1].setAttribute('gap', 24);
   }
-  if (Blockly.Blocks['procedures_defreturn']) {
-    // <block type="procedures_defreturn" gap="16">
-    //     <field name="NAME">do something</field>
-    // </block>
-    var block = goog.dom.createDom('block');
-    block.setAttribute('type', 'procedures_defreturn');
-    block.setAttribute('gap', 16);
-    var nameField = goog.dom.createDom('field', null,
-        Blockly.Msg.PROCEDURES_DEFRETURN_PROCEDURE);
-    nameField.setAttribute('name', 'NAME');
-    block.appendChild(nameField);
-    xmlList.push(block);
+  return xmlList;
+};
+
+/**
+ * Find all the callers of a named procedure.
+ * @param {string} name Name of procedure.
+ * @param {!Blockly.Workspace} workspace The workspace to find callers in.
+ * @return {!Array.<!Blockly.Block>} Array of caller blocks.
+ */
+Blockly.Procedures.getCallers = function(name, workspace) {
+  var callers = [];
+  var blocks = workspace.getAllBlocks();
+  // Iterate through every block and check the name.
+  for (var i = 0; i < blocks.length; i++) {
+    if (blocks[i].getProcedureCall) {
+      var procName = blocks[i].getProcedureCall();
+      // Procedure name may be null if the block is only half-built.
+      if (procName && Blockly.Names.equals(procName, name)) {
+        callers.push(blocks[i]);
+      }
+    }
   }
-  if (Blockly.Blocks['procedures_report']) {
-    // <block type="procedures_ifreturn" gap="16"></block>
-    var block = goog.dom.createDom('block');
-    block.setAttribute('type', 'procedures_report');
-    block.setAttribute('gap', 16);
-    xmlList.push(block);
+  return callers;
+};
+
+/**
+ * When a procedure definition changes, find and edit all its callers.
+ * Callers are edited with their own mutation events, in the same group as
+ * the change to the definition, so undoing that change undoes the change to
+ * its callers.
+ * @param {!Blockly.Block} defBlock Procedure definition block.
+ * @param {string=} opt_oldName The procedure's name before the change, if it
+ *     was renamed.
+ */
+Blockly.Procedures.mutateCallers = function(defBlock, opt_oldName) {
+  var name = opt_oldName || defBlock.getProcedureDef()[0];
+  var callers = Blockly.Procedures.getCallers(name, defBlock.workspace);
+  var argumentIds = Blockly.Procedures.parseMutation(
+      defBlock.mutationToDom()).argumentIds || [];
+  var existingGroup = Blockly.Events.getGroup();
+  if (!existingGroup) {
+    Blockly.Events.setGroup(true);
   }
-  if (xmlList.length) {
-    // Add slightly larger gap between system blocks and user calls.
-    xmlList[xmlList.length - 1].setAttribute('gap', 24);
+  try {
+    for (var i = 0, caller; caller = callers[i]; i++) {
+      // Unplug the blocks in removed arguments before the caller changes, so
+      // that undo restores an argument's input before its block returns.
+      for (var j = 0, input; input = caller.inputList[j]; j++) {
+        var target = input.connection && input.connection.targetBlock();
+        if (target && !target.isShadow() &&
+            argumentIds.indexOf(input.name) == -1) {
+          // Don't respawn a shadow in an input that is about to go away.
+          input.connection.setShadowDom(null);
+          target.unplug();
+        }
+      }
+      Blockly.Procedures.mutateBlock_(caller, defBlock.mutationToDom());
+    }
+  } finally {
+    if (!existingGroup) {
+      Blockly.Events.setGroup(false);
+    }
   }
+};
 
-  function populateProcedures(procedureList, templateName) {
-    for (var i = 0; i < procedureList.length; i++) {
-      var name = procedureList[i][0];
-      var args = procedureList[i][1];
-      // <block type="procedures_callnoreturn" gap="16">
-      //   <mutation name="do something">
-      //     <arg name="x"></arg>
-      //   </mutation>
-      // </block>
-      var block = goog.dom.createDom('block');
-      block.setAttribute('type', templateName);
-      block.setAttribute('gap', 16);
-      var mutation = goog.dom.createDom('mutation');
-      mutation.setAttribute('name', name);
-      block.appendChild(mutation);
-      for (var j = 0; j < args.length; j++) {
-        var arg = goog.dom.createDom('arg');
-        arg.setAttribute('name', args[j]);
-        mutation.appendChild(arg);
+/**
+ * Find the definition block for the named procedure.
+ * @param {string} name Name of procedure.
+ * @param {!Blockly.Workspace} workspace The workspace to search.
+ * @return {Blockly.Block} The procedure definition block, or null not found.
+ */
+Blockly.Procedures.getDefinition = function(name, workspace) {
+  // Assume that a procedure definition is a top block.
+  var blocks = workspace.getTopBlocks(false);
+  for (var i = 0; i < blocks.length; i++) {
+    if (blocks[i].getProcedureDef) {
+      var tuple = blocks[i].getProcedureDef();
+      if (tuple && tuple[0] && Blockly.Names.equals(tuple[0], name)) {
+        return blocks[i];
       }
-      xmlList.push(block);
     }
   }
+  return null;
+};
 
-  var tuple = Blockly.Procedures.allProcedures(workspace);
-  populateProcedures(tuple[0], 'procedures_callnoreturn');
-  populateProcedures(tuple[1], 'procedures_callreturn');
-  return xmlList;
+/**
+ * Apply a mutation to a block and fire a change event if the block changed.
+ * @param {!Blockly.Block} block The block to mutate.
+ * @param {!Element} mutation The new mutation.
+ * @private
+ */
+Blockly.Procedures.mutateBlock_ = function(block, mutation) {
+  var oldMutation = Blockly.Xml.domToText(block.mutationToDom());
+  block.domToMutation(mutation);
+  var newMutation = Blockly.Xml.domToText(block.mutationToDom());
+  if (oldMutation != newMutation) {
+    Blockly.Events.fire(new Blockly.Events.Change(
+        block, 'mutation', null, oldMutation, newMutation));
+  }
+};
+
+/**
+ * Change a procedure definition, e.g. with the result of the procedure
+ * editor.  Its callers and its argument reporters are updated to match, all
+ * in one undoable group of events.
+ * @param {!Blockly.Block} defBlock Procedure definition block.
+ * @param {!Element} mutation The definition's new mutation.
+ */
+Blockly.Procedures.updateDefinition = function(defBlock, mutation) {
+  var workspace = defBlock.workspace;
+  var oldData = Blockly.Procedures.parseMutation(defBlock.mutationToDom());
+  var newData = Blockly.Procedures.parseMutation(mutation);
+  var oldName = oldData.procCode;
+  var oldIds = oldData.argumentIds;
+  var oldNames = oldData.argumentNames;
+  var newIds = newData.argumentIds;
+  var newNames = newData.argumentNames;
+  Blockly.Events.setGroup(true);
+  try {
+    // Rename the argument reporters used in the definition.
+    var renames = Object.create(null);
+    for (var i = 0; i < oldIds.length; i++) {
+      var index = newIds.indexOf(oldIds[i]);
+      if (index != -1 && oldNames[i] != newNames[index]) {
+        renames[oldNames[i]] = newNames[index];
+      }
+    }
+    var descendants = defBlock.getDescendants();
+    for (var i = 0; i < descendants.length; i++) {
+      if (descendants[i].type == 'procedures_param') {
+        var paramData =
+            Blockly.Procedures.parseMutation(descendants[i].mutationToDom());
+        if (paramData.paramName in renames) {
+          paramData.paramName = renames[paramData.paramName];
+          Blockly.Procedures.mutateBlock_(descendants[i],
+              Blockly.Procedures.createMutation(paramData));
+        }
+      }
+    }
+
+    Blockly.Procedures.mutateBlock_(defBlock, mutation);
+    Blockly.Procedures.mutateCallers(defBlock, oldName);
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+  Blockly.Procedures.refreshToolbox_(workspace);
+};
+
+/**
+ * Open the procedure editor to create a new procedure.  If the user accepts,
+ * a definition block is added to the workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to add it to.
+ */
+Blockly.Procedures.createProcedure = function(workspace) {
+  var mutation = Blockly.Procedures.createMutation({
+    procCode: Blockly.Msg.PROCEDURES_DEFAULT_NAME,
+    argumentIds: [],
+    argumentNames: [],
+    argumentDefaults: [],
+    warp: false
+  });
+  Blockly.Procedures.showEditor_(workspace, mutation, null, function(result) {
+    // <block type="procedures_defnoreturn" x="10" y="10">
+    //   <mutation version="1" proccode="jump %n" ...></mutation>
+    // </block>
+    var xml = Blockly.Xml.createElement('block');
+    xml.setAttribute('type', 'procedures_defnoreturn');
+    var metrics = workspace.getMetrics();
+    xml.setAttribute('x', (metrics.viewLeft + Blockly.SNAP_RADIUS) /
+        workspace.scale);
+    xml.setAttribute('y', (metrics.viewTop + Blockly.SNAP_RADIUS) /
+        workspace.scale);
+    xml.appendChild(result);
+    var block = Blockly.Xml.domToBlock(xml, workspace);
+    block.select();
+    Blockly.Procedures.refreshToolbox_(workspace);
+  });
+};
+
+/**
+ * Open the procedure editor on an existing procedure.  If the user accepts,
+ * the definition, its callers and its argument reporters are updated.
+ * @param {!Blockly.Block} defBlock Procedure definition block.
+ */
+Blockly.Procedures.editDefinition = function(defBlock) {
+  Blockly.Procedures.showEditor_(defBlock.workspace, defBlock.mutationToDom(),
+      defBlock, function(result) {
+        Blockly.Procedures.updateDefinition(defBlock, result);
+      });
+};
+
+/**
+ * Show the procedure editor, and reopen it until the user picks a name that
+ * no other procedure has, or cancels.
+ * @param {!Blockly.Workspace} workspace The workspace owning the procedure.
+ * @param {!Element} mutation The mutation to start editing from.
+ * @param {Blockly.Block} defBlock The definition being edited, if any.
+ * @param {function(!Element)} callback Called with the accepted mutation.
+ * @private
+ */
+Blockly.Procedures.showEditor_ = function(workspace, mutation, defBlock,
+    callback) {
+  Blockly.ProcedureEditor.show(mutation, function(result) {
+    if (!result) {
+      // User canceled the editor.
+      return;
+    }
+    var name = Blockly.Procedures.parseMutation(result).procCode;
+    if (Blockly.Procedures.isLegalName(name, workspace, defBlock)) {
+      callback(result);
+    } else {
+      var text = Blockly.Procedures.parseProcCode(name).join(' ')
+          .replace(/\\%/g, '%');
+      var retry = function() {
+        Blockly.Procedures.showEditor_(workspace, result, defBlock, callback);
+      };
+      Blockly.alert(
+          Blockly.Msg.PROCEDURE_ALREADY_EXISTS.replace('%1', text), retry);
+    }
+  });
+};
+
+/**
+ * Show the procedure category's new contents if it is open.
+ * @param {!Blockly.Workspace} workspace The workspace owning the toolbox.
+ * @private
+ */
+Blockly.Procedures.refreshToolbox_ = function(workspace) {
+  // Don't refresh the toolbox if there's a drag in progress.
+  if (workspace.toolbox_ && workspace.toolbox_.flyout_ &&
+      !Blockly.Flyout.startFlyout) {
+    workspace.toolbox_.refreshSelection();
+  }
 };
-//
-///**
-// * Find all the callers of a named procedure.
-// * @param {string} name Name of procedure.
-// * @param {!Blockly.Workspace} workspace The workspace to find callers in.
-// * @return {!Array.<!Blockly.Block>} Array of caller blocks.
-// */
-//Blockly.Procedures.getCallers = function(name, workspace) {
-//  var callers = [];
-//  var blocks = workspace.getAllBlocks();
-//  // Iterate through every block and check the name.
-//  for (var i = 0; i < blocks.length; i++) {
-//    if (blocks[i].getProcedureCall) {
-//      var procName = blocks[i].getProcedureCall();
-//      // Procedure name may be null if the block is only half-built.
-//      if (procName && Blockly.Names.equals(procName, name)) {
-//        callers.push(blocks[i]);
-//      }
-//    }
-//  }
-//  return callers;
-//};
-//
-///**
-// * When a procedure definition changes its parameters, find and edit all its
-// * callers.
-// * @param {!Blockly.Block} defBlock Procedure definition block.
-// */
-//Blockly.Procedures.mutateCallers = function(defBlock) {
-//  var oldRecordUndo = Blockly.Events.recordUndo;
-//  var name = defBlock.getProcedureDef()[0];
-//  var xmlElement = defBlock.mutationToDom(true);
-//  var callers = Blockly.Procedures.getCallers(name, defBlock.workspace);
-//  for (var i = 0, caller; caller = callers[i]; i++) {
-//    var oldMutationDom = caller.mutationToDom();
-//    var oldMutation = oldMutationDom && Blockly.Xml.domToText(oldMutationDom);
-//    caller.domToMutation(xmlElement);
-//    var newMutationDom = caller.mutationToDom();
-//    var newMutation = newMutationDom && Blockly.Xml.domToText(newMutationDom);
-//    if (oldMutation != newMutation) {
-//      // Fire a mutation on every caller block.  But don't record this as an
-//      // undo action since it is deterministically tied to the procedure's
-//      // definition mutation.
-//      Blockly.Events.recordUndo = false;
-//      Blockly.Events.fire(new Blockly.Events.Change(
-//          caller, 'mutation', null, oldMutation, newMutation));
-//      Blockly.Events.recordUndo = oldRecordUndo;
-//    }
-//  }
-//};
-//
-///**
-// * Find the definition block for the named procedure.
-// * @param {string} name Name of procedure.
-// * @param {!Blockly.Workspace} workspace The workspace to search.
-// * @return {Blockly.Block} The procedure definition block, or null not found.
-// */
-//Blockly.Procedures.getDefinition = function(name, workspace) {
-//  // Assume that a procedure definition is a top block.
-//  var blocks = workspace.getTopBlocks(false);
-//  for (var i = 0; i < blocks.length; i++) {
-//    if (blocks[i].getProcedureDef) {
-//      var tuple = blocks[i].getProcedureDef();
-//      if (tuple && Blockly.Names.equals(tuple[0], name)) {
-//        return blocks[i];
-//      }
-//    }
-//  }
-//  return null;
-//};
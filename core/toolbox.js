@@ -28,6 +28,7 @@ goog.provide('Blockly.Toolbox');
 
 goog.require('Blockly.HorizontalFlyout');
 goog.require('Blockly.Touch');
+goog.require('Blockly.ToolboxSearch');
 goog.require('Blockly.VerticalFlyout');
 goog.require('goog.dom');
 goog.require('goog.dom.TagName');
@@ -36,6 +37,7 @@ goog.require('goog.events.BrowserFeature');
 goog.require('goog.html.SafeHtml');
 goog.require('goog.html.SafeStyle');
 goog.require('goog.math.Rect');
+goog.require('goog.string');
 goog.require('goog.style');
 goog.require('goog.ui.tree.TreeControl');
 goog.require('goog.ui.tree.TreeNode');
@@ -81,6 +83,28 @@ Blockly.Toolbox = function(workspace) {
    */
   this.toolboxPosition = workspace.options.toolboxPosition;
 
+  /**
+   * Connection status of the devices of extension categories, keyed by
+   * extension id.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.extensionStatus_ = Object.create(null);
+
+  /**
+   * Search through the toolbox's blocks.
+   * @type {!Blockly.ToolboxSearch}
+   * @private
+   */
+  this.toolboxSearch_ = new Blockly.ToolboxSearch(workspace);
+
+  /**
+   * The category that was selected when the user started searching, to go
+   * back to when the search is cleared.
+   * @type {Blockly.Toolbox.Category}
+   * @private
+   */
+  this.categoryBeforeSearch_ = null;
 };
 
 /**
@@ -97,6 +121,13 @@ Blockly.Toolbox.prototype.height = 0;
 
 Blockly.Toolbox.prototype.selectedItem_ = null;
 
+/**
+ * Whether the flyout shows the results of a search instead of a category.
+ * @type {boolean}
+ * @private
+ */
+Blockly.Toolbox.prototype.searching_ = false;
+
 /**
  * Initializes the toolbox.
  */
@@ -127,6 +158,7 @@ Blockly.Toolbox.prototype.init = function() {
         Blockly.Touch.clearTouchIdentifier();  // Don't block future drags.
       });
 
+  this.createSearchInput_();
   this.createFlyout_();
   this.categoryMenu_ = new Blockly.Toolbox.CategoryMenu(this, this.HtmlDiv);
   this.populate(workspace.options.languageTree);
@@ -145,6 +177,33 @@ Blockly.Toolbox.prototype.dispose = function() {
   this.lastCategory_ = null;
 };
 
+/**
+ * Create the text box for searching the toolbox's blocks.
+ * @private
+ */
+Blockly.Toolbox.prototype.createSearchInput_ = function() {
+  /**
+   * Text box for searching the toolbox's blocks.
+   * @type {Element}
+   * @private
+   */
+  this.searchInput_ = goog.dom.createDom('input', {
+    'type': 'text',
+    'class': 'scratchToolboxSearch',
+    'placeholder': Blockly.Msg.SEARCH_PLACEHOLDER
+  });
+  Blockly.bindEvent(this.searchInput_, 'input', this, function() {
+    this.search(this.searchInput_.value);
+  });
+  Blockly.bindEvent(this.searchInput_, 'keydown', this, function(e) {
+    if (e.keyCode == 27) {
+      // Escape
+      this.search('');
+    }
+  });
+  this.HtmlDiv.appendChild(this.searchInput_);
+};
+
 /**
  * Create and configure a flyout based on the main workspace's options.
  * @private
@@ -178,10 +237,74 @@ Blockly.Toolbox.prototype.createFlyout_ = function() {
  * @param {Node} newTree DOM tree of blocks.
  */
 Blockly.Toolbox.prototype.populate = function(newTree) {
+  this.toolboxSearch_.setTree(newTree);
   this.categoryMenu_.populate(newTree);
+  this.clearSearch_();
   this.setSelectedItem(this.categoryMenu_.categories_[0]);
 };
 
+/**
+ * Show the blocks whose labels contain every word of some text in the
+ * flyout, ready to drag.  Clearing the text shows the category that was
+ * selected before the search.
+ * @param {string} text The text to find.
+ * @return {!Array.<!Element>} XML of the matching blocks.
+ */
+Blockly.Toolbox.prototype.search = function(text) {
+  if (this.searchInput_ && this.searchInput_.value != text) {
+    this.searchInput_.value = text;
+  }
+  if (!goog.string.trim(text)) {
+    if (this.searching_) {
+      var category = this.categoryBeforeSearch_ ||
+          this.categoryMenu_.categories_[0];
+      this.clearSearch_();
+      this.setSelectedItem(category);
+    }
+    return [];
+  }
+  if (!this.searching_) {
+    this.categoryBeforeSearch_ = this.selectedItem_;
+    this.searching_ = true;
+  }
+  if (this.selectedItem_) {
+    this.selectedItem_.setSelected(false);
+    this.selectedItem_ = null;
+  }
+  var matches = this.showSearchResults_(text);
+  this.flyout_.scrollToStart();
+  return matches;
+};
+
+/**
+ * Show the blocks matching some text in the flyout.
+ * @param {string} text The text to find.
+ * @return {!Array.<!Element>} XML of the matching blocks.
+ * @private
+ */
+Blockly.Toolbox.prototype.showSearchResults_ = function(text) {
+  var matches = this.toolboxSearch_.search(text);
+  if (matches.length) {
+    this.flyout_.show(matches);
+  } else {
+    this.flyout_.show([goog.dom.createDom('label',
+        {'text': Blockly.Msg.SEARCH_NO_RESULTS})]);
+  }
+  return matches;
+};
+
+/**
+ * Forget the search, without changing what the flyout shows.
+ * @private
+ */
+Blockly.Toolbox.prototype.clearSearch_ = function() {
+  this.searching_ = false;
+  this.categoryBeforeSearch_ = null;
+  if (this.searchInput_) {
+    this.searchInput_.value = '';
+  }
+};
+
 /**
  * Get the width of the toolbox.
  * @return {number} The width of the toolbox.
@@ -195,7 +318,9 @@ Blockly.Toolbox.prototype.getWidth = function() {
  * @return {number} The height of the toolbox.
  */
 Blockly.Toolbox.prototype.getHeight = function() {
-  return this.categoryMenu_ ? this.categoryMenu_.getHeight() : 0;
+  var searchHeight = this.searchInput_ ? this.searchInput_.offsetHeight : 0;
+  return searchHeight +
+      (this.categoryMenu_ ? this.categoryMenu_.getHeight() : 0);
 };
 
 /**
@@ -279,6 +404,11 @@ Blockly.Toolbox.prototype.getClientRect = function() {
  * procedures.
  */
 Blockly.Toolbox.prototype.refreshSelection = function() {
+  if (this.searching_) {
+    // Custom categories may have changed the blocks that match.
+    this.showSearchResults_(this.searchInput_.value);
+    return;
+  }
   var selectedItem = this.getSelectedItem();
   if (selectedItem && selectedItem.getContents()) {
     this.flyout_.show(selectedItem.getContents());
@@ -297,6 +427,10 @@ Blockly.Toolbox.prototype.getSelectedItem = function() {
  * @param {Blockly.Toolbox.Category} item The category to select.
  */
 Blockly.Toolbox.prototype.setSelectedItem = function(item) {
+  if (item && this.searching_) {
+    // Picking a category ends the search.
+    this.clearSearch_();
+  }
   if (this.selectedItem_) {
     // Don't do anything if they selected the already-open category.
     if (this.selectedItem_ == item) {
@@ -313,6 +447,37 @@ Blockly.Toolbox.prototype.setSelectedItem = function(item) {
   }
 };
 
+/**
+ * Show the connection status of an extension's device on its category, e.g.
+ * whether a hardware extension's device is connected.  The status is kept
+ * when the toolbox is updated.
+ * @param {string} extensionId The id of the extension.
+ * @param {?string} status The status, e.g.
+ *     Blockly.HardwareAdapter.Status.CONNECTED, or null to hide the status.
+ */
+Blockly.Toolbox.prototype.setExtensionStatus = function(extensionId, status) {
+  if (status) {
+    this.extensionStatus_[extensionId] = status;
+  } else {
+    delete this.extensionStatus_[extensionId];
+  }
+  var categories = this.categoryMenu_ ? this.categoryMenu_.categories_ : [];
+  for (var i = 0, category; category = categories[i]; i++) {
+    if (category.extensionId_ == extensionId) {
+      category.setStatus(status);
+    }
+  }
+};
+
+/**
+ * Get the connection status shown on an extension's category.
+ * @param {string} extensionId The id of the extension.
+ * @return {?string} The status, or null if no status is shown.
+ */
+Blockly.Toolbox.prototype.getExtensionStatus = function(extensionId) {
+  return this.extensionStatus_[extensionId] || null;
+};
+
 /**
  * Wrapper function for calling setSelectedItem from a touch handler.
  * @param {Blockly.Toolbox.Category} item The category to select.
@@ -408,6 +573,7 @@ Blockly.Toolbox.CategoryMenu.prototype.dispose = function() {
   for (var i = 0, category; category = this.categories_[i]; i++) {
     category.dispose();
   }
+  this.categories_.length = 0;
   if (this.table) {
     goog.dom.removeNode(this.table);
     this.table = null;
@@ -429,6 +595,8 @@ Blockly.Toolbox.Category = function(parent, parentHtml, domTree) {
   this.parentHtml_ = parentHtml;
   this.name_ = domTree.getAttribute('name');
   this.setColour(domTree);
+  this.iconURI_ = domTree.getAttribute('iconURI');
+  this.extensionId_ = domTree.getAttribute('extension');
   this.custom_ = domTree.getAttribute('custom');
   this.contents_ = [];
   if (!this.custom_) {
@@ -463,10 +631,36 @@ Blockly.Toolbox.Category.prototype.createDom = function() {
     'scratchCategoryItemBubbleLTR'});
   this.bubble_.style.backgroundColor = this.colour_;
   this.bubble_.style.borderColor = this.secondaryColour_;
+  if (this.iconURI_) {
+    // Categories added by extensions may show an icon instead of a bubble.
+    Blockly.utils.addClass(this.bubble_, 'scratchCategoryItemIcon');
+    this.bubble_.style.backgroundImage = 'url(' + this.iconURI_ + ')';
+  }
   this.item_.appendChild(this.bubble_);
   this.parentHtml_.appendChild(this.item_);
   Blockly.bindEvent(this.item_, 'mousedown', toolbox,
     toolbox.setSelectedItemFactory(this));
+  if (this.extensionId_) {
+    this.setStatus(toolbox.getExtensionStatus(this.extensionId_));
+  }
+};
+
+/**
+ * Show a connection status next to this category's name.
+ * @param {?string} status The status, or null to hide the status.
+ */
+Blockly.Toolbox.Category.prototype.setStatus = function(status) {
+  if (this.status_) {
+    goog.dom.removeNode(this.status_);
+    this.status_ = null;
+  }
+  if (status) {
+    this.status_ = goog.dom.createDom('div', {
+      'class': 'scratchCategoryStatus scratchCategoryStatus-' + status,
+      'title': status
+    });
+    this.item_.appendChild(this.status_);
+  }
 };
 
 /**
@@ -0,0 +1,192 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Finds the blocks of a toolbox whose labels match some text.
+ * Labels are read from the blocks as they are drawn, so in the current
+ * locale and with the values of their shadow blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.ToolboxSearch');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Workspace');
+goog.require('Blockly.Xml');
+goog.require('goog.string');
+
+
+/**
+ * Class for the search through a toolbox's blocks.
+ * @param {!Blockly.Workspace} workspace The workspace the toolbox belongs to.
+ *     Custom categories are filled in for it.
+ * @constructor
+ */
+Blockly.ToolboxSearch = function(workspace) {
+  /**
+   * The workspace the toolbox belongs to.
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * The toolbox's categories, in order.
+   * @type {!Array.<!Element>}
+   * @private
+   */
+  this.categories_ = [];
+
+  /**
+   * The blocks of each category with their labels, in the same order as
+   * categories_.  Read at the first search; custom categories change as the
+   * user works, so theirs aren't kept.
+   * @type {!Array.<Array.<{xml: !Element, label: string}>>}
+   * @private
+   */
+  this.entries_ = [];
+};
+
+/**
+ * Set the toolbox to search.
+ * @param {Node} tree DOM tree of the toolbox's categories and blocks, or null.
+ */
+Blockly.ToolboxSearch.prototype.setTree = function(tree) {
+  this.categories_ = [];
+  this.entries_ = [];
+  if (!tree) {
+    return;
+  }
+  for (var i = 0, child; child = tree.childNodes[i]; i++) {
+    if (child.tagName && child.tagName.toUpperCase() == 'CATEGORY') {
+      this.categories_.push(child);
+    }
+  }
+};
+
+/**
+ * Find the blocks whose labels contain every word of some text, ignoring
+ * case.  Custom categories, such as variables, are searched as they are now.
+ * @param {string} text The text to find.
+ * @return {!Array.<!Element>} XML of the matching blocks, in toolbox order.
+ */
+Blockly.ToolboxSearch.prototype.search = function(text) {
+  var words = text.toLowerCase().split(/\s+/).filter(function(word) {
+    return !!word;
+  });
+  var matches = [];
+  if (!words.length) {
+    return matches;
+  }
+  for (var i = 0, category; category = this.categories_[i]; i++) {
+    var entries = this.entries_[i];
+    if (!entries) {
+      entries = this.readCategory_(category);
+      if (!category.getAttribute('custom')) {
+        this.entries_[i] = entries;
+      }
+    }
+    for (var j = 0, entry; entry = entries[j]; j++) {
+      var label = entry.label.toLowerCase();
+      if (words.every(function(word) {
+        return label.indexOf(word) != -1;
+      })) {
+        matches.push(entry.xml);
+      }
+    }
+  }
+  return matches;
+};
+
+/**
+ * Read the labels of the blocks in a category.
+ * @param {!Element} category The category's XML.
+ * @return {!Array.<{xml: !Element, label: string}>} The blocks, with their
+ *     labels.
+ * @private
+ */
+Blockly.ToolboxSearch.prototype.readCategory_ = function(category) {
+  var name = category.getAttribute('custom');
+  var xmlList = name ? this.getCustomContents_(name) : category.childNodes;
+  var entries = [];
+  var labelWorkspace = new Blockly.Workspace();
+  Blockly.Events.disable();
+  try {
+    for (var i = 0, xml; xml = xmlList[i]; i++) {
+      if (!xml.tagName || xml.tagName.toUpperCase() != 'BLOCK') {
+        continue;
+      }
+      var label = Blockly.ToolboxSearch.getLabel_(xml, labelWorkspace);
+      if (label !== null) {
+        entries.push({xml: xml, label: label});
+      }
+    }
+  } finally {
+    Blockly.Events.enable();
+    labelWorkspace.dispose();
+  }
+  return entries;
+};
+
+/**
+ * Get the blocks a custom category shows now.
+ * @param {string} name The name of the custom category.
+ * @return {!Array.<!Element>} XML of the category's contents.
+ * @private
+ */
+Blockly.ToolboxSearch.prototype.getCustomContents_ = function(name) {
+  var workspace = this.workspace_;
+  var callback = workspace.getToolboxCategoryCallback &&
+      workspace.getToolboxCategoryCallback(name);
+  return callback ? callback(workspace) : [];
+};
+
+/**
+ * Get the label of a block as it is drawn: the text of its fields, with the
+ * values of its shadow blocks in their places.
+ * @param {!Element} xml XML of the block.
+ * @param {!Blockly.Workspace} workspace Headless workspace to create the block
+ *     in.
+ * @return {?string} The label, or null if the block can't be created.
+ * @private
+ */
+Blockly.ToolboxSearch.getLabel_ = function(xml, workspace) {
+  try {
+    var block = Blockly.Xml.domToBlock(xml, workspace);
+  } catch (e) {
+    console.warn('Can\'t search toolbox block: ' + e);
+    return null;
+  }
+  var texts = [];
+  var addTexts = function(block) {
+    for (var i = 0, input; input = block.inputList[i]; i++) {
+      for (var j = 0, field; field = input.fieldRow[j]; j++) {
+        texts.push(field.getText());
+      }
+      var child = input.connection && input.connection.targetBlock();
+      if (child) {
+        addTexts(child);
+      }
+    }
+  };
+  addTexts(block);
+  block.dispose();
+  return goog.string.collapseWhitespace(texts.join(' '));
+};
@@ -244,14 +244,30 @@ Blockly.Tooltip.show_ = function() {
   if (!Blockly.Tooltip.DIV) {
     return;
   }
-  // Erase all existing text.
-  goog.dom.removeChildren(/** @type {!Element} */ (Blockly.Tooltip.DIV));
   // Get the new text.
   var tip = Blockly.Tooltip.element_.tooltip;
   while (goog.isFunction(tip)) {
     tip = tip();
   }
-  tip = Blockly.utils.wrap(tip, Blockly.Tooltip.LIMIT);
+  Blockly.Tooltip.showText(tip, Blockly.Tooltip.lastX_, Blockly.Tooltip.lastY_,
+      Blockly.Tooltip.element_.RTL);
+};
+
+/**
+ * Show a tooltip with some text just below a point, whatever the mouse is
+ * over.  E.g. to explain why a dragged block won't fit where it is.
+ * @param {string} text The text to show.
+ * @param {number} x Page x coordinate to show the tooltip at.
+ * @param {number} y Page y coordinate to show the tooltip at.
+ * @param {boolean=} opt_rtl True if the tooltip reads right to left.
+ */
+Blockly.Tooltip.showText = function(text, x, y, opt_rtl) {
+  if (!Blockly.Tooltip.DIV) {
+    return;
+  }
+  // Erase all existing text.
+  goog.dom.removeChildren(/** @type {!Element} */ (Blockly.Tooltip.DIV));
+  var tip = Blockly.utils.wrap(text, Blockly.Tooltip.LIMIT);
   // Create new text, line by line.
   var lines = tip.split('\n');
   for (var i = 0; i < lines.length; i++) {
@@ -259,21 +275,20 @@ Blockly.Tooltip.show_ = function() {
     div.appendChild(document.createTextNode(lines[i]));
     Blockly.Tooltip.DIV.appendChild(div);
   }
-  var rtl = Blockly.Tooltip.element_.RTL;
+  var rtl = !!opt_rtl;
   var windowSize = goog.dom.getViewportSize();
   // Display the tooltip.
   Blockly.Tooltip.DIV.style.direction = rtl ? 'rtl' : 'ltr';
   Blockly.Tooltip.DIV.style.display = 'block';
   Blockly.Tooltip.visible = true;
-  // Move the tooltip to just below the cursor.
-  var anchorX = Blockly.Tooltip.lastX_;
+  // Move the tooltip to just below the point.
+  var anchorX = x;
   if (rtl) {
     anchorX -= Blockly.Tooltip.OFFSET_X + Blockly.Tooltip.DIV.offsetWidth;
   } else {
     anchorX += Blockly.Tooltip.OFFSET_X;
   }
-  var anchorY = Blockly.Tooltip.lastY_ + Blockly.Tooltip.OFFSET_Y;
-
+  var anchorY = y + Blockly.Tooltip.OFFSET_Y;
   if (anchorY + Blockly.Tooltip.DIV.offsetHeight >
       windowSize.height + window.scrollY) {
     // Falling off the bottom of the screen; shift the tooltip up.
@@ -0,0 +1,145 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The value types that connection checks name, such as
+ * "Number" or "Boolean", and which of them fit into which.
+ */
+'use strict';
+
+goog.provide('Blockly.Types');
+
+goog.require('Blockly.Msg');
+goog.require('Blockly.utils');
+
+
+/**
+ * The registered types, by name.  Each has the types it fits into besides
+ * itself, and a label for users.
+ * @type {!Object.<string, {supertypes: !Array.<string>, label: string}>}
+ * @private
+ */
+Blockly.Types.REGISTRY_ = Object.create(null);
+
+/**
+ * Register a value type.
+ * @param {string} name The type's name, as used in connection checks.
+ * @param {!Array.<string>=} opt_supertypes The types that values of this type
+ *     also fit into.  E.g. a number fits wherever text is expected.
+ * @param {string=} opt_label The type's name for users, such as "a number".
+ *     May contain message references.  Defaults to the name.
+ */
+Blockly.Types.register = function(name, opt_supertypes, opt_label) {
+  if (Blockly.Types.REGISTRY_[name]) {
+    throw 'Type "' + name + '" is already registered.';
+  }
+  Blockly.Types.REGISTRY_[name] = {
+    supertypes: opt_supertypes || [],
+    label: opt_label || name
+  };
+};
+
+/**
+ * Is a type registered?
+ * @param {string} name The type's name.
+ * @return {boolean} True if the type is registered.
+ */
+Blockly.Types.isRegistered = function(name) {
+  return !!Blockly.Types.REGISTRY_[name];
+};
+
+/**
+ * Get the name of a type for users.
+ * @param {string} name The type's name.
+ * @return {string} The type's label, or its name if it isn't registered.
+ */
+Blockly.Types.getLabel = function(name) {
+  var type = Blockly.Types.REGISTRY_[name];
+  return type ? String(Blockly.utils.replaceMessageReferences(type.label)) :
+      name;
+};
+
+/**
+ * Do values of one type fit where another type is expected?  Every type fits
+ * into itself, its supertypes and their supertypes.
+ * @param {string} type The type of the values.
+ * @param {string} supertype The type expected.
+ * @return {boolean} True if the values fit.
+ */
+Blockly.Types.isSubtype = function(type, supertype) {
+  var seen = Object.create(null);
+  var pending = [type];
+  while (pending.length) {
+    var name = pending.pop();
+    if (name == supertype) {
+      return true;
+    }
+    if (seen[name]) {
+      continue;
+    }
+    seen[name] = true;
+    var entry = Blockly.Types.REGISTRY_[name];
+    if (entry) {
+      pending.push.apply(pending, entry.supertypes);
+    }
+  }
+  return false;
+};
+
+/**
+ * Does a block's output fit into an input, given their connection checks?
+ * @param {Array.<string>} outputCheck The types the output gives, or null if
+ *     it can give anything.
+ * @param {Array.<string>} inputCheck The types the input accepts, or null if
+ *     it accepts anything.
+ * @return {boolean} True if any of the output's types fits any of the input's.
+ */
+Blockly.Types.isCompatible = function(outputCheck, inputCheck) {
+  if (!outputCheck || !inputCheck) {
+    return true;
+  }
+  for (var i = 0; i < outputCheck.length; i++) {
+    for (var j = 0; j < inputCheck.length; j++) {
+      if (Blockly.Types.isSubtype(outputCheck[i], inputCheck[j])) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+/**
+ * Explain to users why a block's output doesn't fit into an input.
+ * @param {!Array.<string>} outputCheck The types the output gives.
+ * @param {!Array.<string>} inputCheck The types the input accepts.
+ * @return {string} The explanation.
+ */
+Blockly.Types.getMismatchText = function(outputCheck, inputCheck) {
+  var labels = function(check) {
+    return check.map(Blockly.Types.getLabel).join(', ');
+  };
+  return Blockly.Msg.TYPE_MISMATCH.replace('%1', labels(outputCheck))
+      .replace('%2', labels(inputCheck));
+};
+
+Blockly.Types.register('String', [], '%{BKY_TYPE_STRING}');
+Blockly.Types.register('Number', ['String'], '%{BKY_TYPE_NUMBER}');
+Blockly.Types.register('Boolean', ['String'], '%{BKY_TYPE_BOOLEAN}');
+Blockly.Types.register('Colour', ['String'], '%{BKY_TYPE_COLOUR}');
@@ -0,0 +1,61 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Object representing a variable: its name, its type and
+ * whether it belongs to one sprite or to all of them.
+ */
+'use strict';
+
+goog.provide('Blockly.VariableModel');
+
+goog.require('Blockly.constants');
+
+
+/**
+ * Class for a variable model.
+ * @param {string} name The name of the variable.
+ * @param {string=} opt_type The type of the variable:
+ *     Blockly.SCALAR_VARIABLE_TYPE (the default) or Blockly.LIST_VARIABLE_TYPE.
+ * @param {boolean=} opt_isLocal True if the variable belongs to the current
+ *     sprite only, false (the default) if it is shared by all sprites.
+ * @constructor
+ */
+Blockly.VariableModel = function(name, opt_type, opt_isLocal) {
+  /**
+   * The name of the variable.  Variables are referred to by name, and names
+   * are compared without regard to case.
+   * @type {string}
+   */
+  this.name = name;
+
+  /**
+   * The type of the variable.
+   * @type {string}
+   */
+  this.type = opt_type || Blockly.SCALAR_VARIABLE_TYPE;
+
+  /**
+   * True if the variable belongs to the current sprite only.  Global
+   * variables survive switching to another sprite's blocks.
+   * @type {boolean}
+   */
+  this.isLocal = !!opt_isLocal;
+};
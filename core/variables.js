@@ -103,7 +103,8 @@ Blockly.Variables.allVariables = function(root) {
  * @return {!Array.<!Element>} Array of XML block elements.
  */
 Blockly.Variables.flyoutCategory = function(workspace) {
-  var variableList = workspace.variableList;
+  var variableList =
+      workspace.getVariablesOfType(Blockly.SCALAR_VARIABLE_TYPE);
   variableList.sort(goog.string.caseInsensitiveCompare);
 
   var xmlList = [];
@@ -198,9 +199,127 @@ Blockly.Variables.flyoutCategory = function(workspace) {
       xmlList.push(block);
     }
   }
+  return xmlList.concat(Blockly.Variables.listFlyoutCategory_(workspace));
+};
+
+/**
+ * Construct the list section of the variable category: a button to make a
+ * list, a reporter for each list, and the list blocks set to the first list.
+ * @param {!Blockly.Workspace} workspace The workspace containing lists.
+ * @return {!Array.<!Element>} Array of XML elements.
+ * @private
+ */
+Blockly.Variables.listFlyoutCategory_ = function(workspace) {
+  var listNames = workspace.getVariablesOfType(Blockly.LIST_VARIABLE_TYPE);
+  listNames.sort(goog.string.caseInsensitiveCompare);
+
+  var xmlList = [];
+  var button = goog.dom.createDom('button');
+  button.setAttribute('text', Blockly.Msg.NEW_LIST);
+  button.setAttribute('callbackKey', 'CREATE_LIST');
+
+  workspace.registerButtonCallback('CREATE_LIST', function(button) {
+    Blockly.Variables.createVariable(button.getTargetWorkspace(), null,
+        Blockly.LIST_VARIABLE_TYPE);
+  });
+
+  xmlList.push(button);
+
+  if (!Blockly.Blocks['data_listcontents']) {
+    return xmlList;
+  }
+  for (var i = 0; i < listNames.length; i++) {
+    // <block type="data_listcontents">
+    //   <field name="LIST">listname</field>
+    // </block>
+    xmlList.push(Blockly.Variables.createListBlockDom_('data_listcontents',
+        listNames[i], []));
+  }
+
+  if (xmlList.length > 1) { // The button is always there.
+    xmlList[xmlList.length - 1].setAttribute('gap', 24);
+
+    var shadowValue = Blockly.Variables.createShadowValueDom_;
+    // <block type="data_addtolist">
+    //   <value name="ITEM">
+    //     <shadow type="text">
+    //       <field name="TEXT">thing</field>
+    //     </shadow>
+    //   </value>
+    //   <field name="LIST">listname</field>
+    // </block>
+    var listBlocks = [
+      ['data_addtolist', [shadowValue('ITEM', 'text', 'TEXT', 'thing')]],
+      ['data_deleteoflist',
+        [shadowValue('INDEX', 'data_listindexall', 'INDEX', '1')]],
+      ['data_insertatlist', [shadowValue('ITEM', 'text', 'TEXT', 'thing'),
+        shadowValue('INDEX', 'data_listindexrandom', 'INDEX', '1')]],
+      ['data_replaceitemoflist',
+        [shadowValue('INDEX', 'data_listindexrandom', 'INDEX', '1'),
+          shadowValue('ITEM', 'text', 'TEXT', 'thing')]],
+      ['data_itemoflist',
+        [shadowValue('INDEX', 'data_listindexrandom', 'INDEX', '1')]],
+      ['data_lengthoflist', []],
+      ['data_listcontainsitem', [shadowValue('ITEM', 'text', 'TEXT', 'thing')]],
+      ['data_showlist', []],
+      ['data_hidelist', []]
+    ];
+    for (var i = 0; i < listBlocks.length; i++) {
+      if (Blockly.Blocks[listBlocks[i][0]]) {
+        xmlList.push(Blockly.Variables.createListBlockDom_(listBlocks[i][0],
+            listNames[0], listBlocks[i][1]));
+      }
+    }
+  }
   return xmlList;
 };
 
+/**
+ * Create a dom element for a block with a list field.
+ * @param {string} type The block's type.
+ * @param {string} listName The name of the list to select.
+ * @param {!Array.<!Element>} values The block's value elements.
+ * @return {!Element} An XML element.
+ * @private
+ */
+Blockly.Variables.createListBlockDom_ = function(type, listName, values) {
+  var block = goog.dom.createDom('block');
+  block.setAttribute('type', type);
+  block.setAttribute('gap', 8);
+  var field = goog.dom.createDom('field', null, listName);
+  field.setAttribute('name', 'LIST');
+  block.appendChild(field);
+  for (var i = 0; i < values.length; i++) {
+    block.appendChild(values[i]);
+  }
+  return block;
+};
+
+/**
+ * Create a dom element for a value tag with a shadow block inside.
+ * @param {string} name The name of the value input.
+ * @param {string} type The type of the shadow block.
+ * @param {string} fieldName The name of the shadow block's field.
+ * @param {string} fieldValue The value of the shadow block's field.
+ * @return {!Element} An XML element.
+ * @private
+ */
+Blockly.Variables.createShadowValueDom_ = function(name, type, fieldName,
+    fieldValue) {
+  //   <value name="name">
+  //     <shadow type="type">
+  //       <field name="fieldName">fieldValue</field>
+  //     </shadow>
+  //   </value>
+  var value = Blockly.Variables.createValueDom_(name);
+  var shadow = Blockly.Variables.createShadowDom_(type);
+  var field = goog.dom.createDom('field', null, fieldValue);
+  field.setAttribute('name', fieldName);
+  shadow.appendChild(field);
+  value.appendChild(shadow);
+  return value;
+};
+
 /**
  * Create a dom element for a value tag with the given name attribute.
  * @param {string} name The value to use for the name attribute.
@@ -342,26 +461,37 @@ Blockly.Variables.generateUniqueName = function(workspace) {
 };
 
 /**
- * Create a new variable on the given workspace.
+ * Create a new variable on the given workspace.  The prompt asks whether the
+ * variable is for the current sprite only or for all sprites.
  * @param {!Blockly.Workspace} workspace The workspace on which to create the
  *     variable.
- * @param {function(?string=)=} opt_callback A callback. It will
+ * @param {?function(?string=)=} opt_callback A callback. It will
  *     be passed an acceptable new variable name, or null if change is to be
  *     aborted (cancel button), or undefined if an existing variable was chosen.
+ * @param {string=} opt_type The type of variable to create:
+ *     Blockly.SCALAR_VARIABLE_TYPE (the default) or Blockly.LIST_VARIABLE_TYPE.
  */
-Blockly.Variables.createVariable = function(workspace, opt_callback) {
+Blockly.Variables.createVariable = function(workspace, opt_callback,
+    opt_type) {
+  var type = opt_type || Blockly.SCALAR_VARIABLE_TYPE;
+  var promptText = type == Blockly.LIST_VARIABLE_TYPE ?
+      Blockly.Msg.NEW_LIST_TITLE : Blockly.Msg.NEW_VARIABLE_TITLE;
   var promptAndCheckWithAlert = function(defaultName) {
-    Blockly.Variables.promptName(Blockly.Msg.NEW_VARIABLE_TITLE, defaultName,
-      function(text) {
+    Blockly.Variables.promptName(promptText, defaultName,
+      function(text, opt_isLocal) {
         if (text) {
-          if (workspace.variableIndexOf(text) != -1) {
-            Blockly.alert(Blockly.Msg.VARIABLE_ALREADY_EXISTS.replace('%1',
-                text.toLowerCase()),
+          var existingType = workspace.getVariableType(text);
+          if (existingType !== null) {
+            // Variables and lists share names, so say which one is in the way.
+            var message = existingType == Blockly.LIST_VARIABLE_TYPE ?
+                Blockly.Msg.LIST_ALREADY_EXISTS :
+                Blockly.Msg.VARIABLE_ALREADY_EXISTS;
+            Blockly.alert(message.replace('%1', text.toLowerCase()),
                 function() {
                   promptAndCheckWithAlert(text);  // Recurse
                 });
           } else {
-            workspace.createVariable(text);
+            workspace.createVariable(text, type, opt_isLocal);
             if (opt_callback) {
               opt_callback(text);
             }
@@ -372,7 +502,7 @@ Blockly.Variables.createVariable = function(workspace, opt_callback) {
             opt_callback(null);
           }
         }
-      });
+      }, {showVariableOptions: true});
   };
   promptAndCheckWithAlert('');
 };
@@ -381,11 +511,14 @@ Blockly.Variables.createVariable = function(workspace, opt_callback) {
  * Prompt the user for a new variable name.
  * @param {string} promptText The string of the prompt.
  * @param {string} defaultText The default value to show in the prompt's field.
- * @param {function(?string)} callback A callback. It will be passed the new
- *     variable name, or null if the user picked something illegal.
+ * @param {function(?string, boolean=)} callback A callback. It will be passed
+ *     the new variable name, or null if the user picked something illegal, and
+ *     whether the user asked for a variable local to the current sprite.
+ * @param {Object=} opt_options Optional settings passed on to Blockly.prompt.
  */
-Blockly.Variables.promptName = function(promptText, defaultText, callback) {
-  Blockly.prompt(promptText, defaultText, function(newVar) {
+Blockly.Variables.promptName = function(promptText, defaultText, callback,
+    opt_options) {
+  Blockly.prompt(promptText, defaultText, function(newVar, opt_isLocal) {
     // Merge runs of whitespace.  Strip leading and trailing whitespace.
     // Beyond this, all names are legal.
     if (newVar) {
@@ -396,6 +529,6 @@ Blockly.Variables.promptName = function(promptText, defaultText, callback) {
         newVar = null;
       }
     }
-    callback(newVar);
-  });
+    callback(newVar, !!opt_isLocal);
+  }, opt_options);
 };
@@ -26,7 +26,14 @@
 
 goog.provide('Blockly.Workspace');
 
+goog.require('Blockly.Debugger');
+goog.require('Blockly.FieldBroadcast');
+goog.require('Blockly.FieldDropdown');
+goog.require('Blockly.Linter');
 goog.require('Blockly.Names');
+goog.require('Blockly.VariableModel');
+goog.require('Blockly.WorkspaceComment');
+goog.require('Blockly.constants');
 
 goog.require('goog.array');
 goog.require('goog.math');
@@ -77,6 +84,18 @@ Blockly.Workspace = function(opt_options) {
    */
   this.redoStack = [];
 
+  /**
+   * Named points in the undo history.  Each is marked by the last event
+   * before it, or by null for the start of the history.
+   * @type {!Array.<{name: string, event: Blockly.Events.Abstract}>}
+   * @private
+   */
+  this.undoCheckpoints_ = [];
+
+  if (this.options.maxUndo !== undefined) {
+    this.MAX_UNDO = this.options.maxUndo;
+  }
+
   /**
    * @type {!Object}
    */
@@ -88,6 +107,52 @@ Blockly.Workspace = function(opt_options) {
    * that are not currently in use.
    */
   this.variableList = [];
+
+  /**
+   * The models of the named variables, keyed by lower case name.
+   * @type {!Object.<string, !Blockly.VariableModel>}
+   * @private
+   */
+  this.variableMap_ = Object.create(null);
+
+  /**
+   * The names of the broadcast messages, including messages that are not
+   * currently in use, in the order they were created.
+   * @type {!Array.<string>}
+   * @private
+   */
+  this.broadcastMessages_ = [];
+
+  /**
+   * Comments on the workspace itself, rather than on blocks.
+   * @type {!Array.<!Blockly.WorkspaceComment>}
+   * @private
+   */
+  this.topComments_ = [];
+
+  /**
+   * Callbacks that list the host's options for dynamic menus, keyed by menu
+   * type.
+   * @type {!Object.<string, function(!Blockly.Workspace):!Array.<!Array>>}
+   * @private
+   */
+  this.menuCallbacks_ = Object.create(null);
+
+  /**
+   * Feedback for the debugger running this workspace's blocks, created when
+   * first asked for.
+   * @type {Blockly.Debugger}
+   * @private
+   */
+  this.debugger_ = null;
+
+  /**
+   * The linter checking this workspace's blocks, created when first asked
+   * for.
+   * @type {Blockly.Linter}
+   * @private
+   */
+  this.linter_ = null;
 };
 
 /**
@@ -107,6 +172,14 @@ Blockly.Workspace.prototype.MAX_UNDO = 1024;
  * Unlink from all DOM elements to prevent memory leaks.
  */
 Blockly.Workspace.prototype.dispose = function() {
+  if (this.debugger_) {
+    this.debugger_.dispose();
+    this.debugger_ = null;
+  }
+  if (this.linter_) {
+    this.linter_.dispose();
+    this.linter_ = null;
+  }
   this.listeners_.length = 0;
   this.clear();
   // Remove from workspace database.
@@ -131,10 +204,14 @@ Blockly.Workspace.prototype.addTopBlock = function(block) {
     // This is for the (unlikely) case where you have a variable in a block in
     // an always-open flyout.  It needs to be possible to edit the block in the
     // flyout, so the contents of the dropdown need to be correct.
-    var variables = Blockly.Variables.allUsedVariables(block);
-    for (var i = 0; i < variables.length; i++) {
-      if (this.variableList.indexOf(variables[i]) == -1) {
-        this.variableList.push(variables[i]);
+    var blocks = block.getDescendants();
+    for (var i = 0; i < blocks.length; i++) {
+      var names = blocks[i].getVars();
+      var types = blocks[i].getVarTypes();
+      for (var j = 0; j < names.length; j++) {
+        if (names[j]) {
+          this.createVariable(names[j], types[j]);
+        }
       }
     }
   }
@@ -173,6 +250,61 @@ Blockly.Workspace.prototype.getTopBlocks = function(ordered) {
   return blocks;
 };
 
+/**
+ * Add a comment to the list of workspace comments.
+ * @param {!Blockly.WorkspaceComment} comment Comment to add.
+ */
+Blockly.Workspace.prototype.addTopComment = function(comment) {
+  this.topComments_.push(comment);
+};
+
+/**
+ * Remove a comment from the list of workspace comments.
+ * @param {!Blockly.WorkspaceComment} comment Comment to remove.
+ */
+Blockly.Workspace.prototype.removeTopComment = function(comment) {
+  if (!goog.array.remove(this.topComments_, comment)) {
+    throw 'Comment not present in workspace\'s list of comments.';
+  }
+};
+
+/**
+ * Find the comments on the workspace itself, rather than on blocks.
+ * @return {!Array.<!Blockly.WorkspaceComment>} The workspace comments.
+ */
+Blockly.Workspace.prototype.getTopComments = function() {
+  return [].concat(this.topComments_);
+};
+
+/**
+ * Find the workspace comment with the specified ID.
+ * @param {?string} id ID of comment to find.
+ * @return {Blockly.WorkspaceComment} The sought after comment or null if not
+ *     found.
+ */
+Blockly.Workspace.prototype.getCommentById = function(id) {
+  for (var i = 0, comment; comment = this.topComments_[i]; i++) {
+    if (comment.id == id) {
+      return comment;
+    }
+  }
+  return null;
+};
+
+/**
+ * Obtain a newly created workspace comment.
+ * @param {string} content The comment's text.
+ * @param {number} width Width of the comment.
+ * @param {number} height Height of the comment.
+ * @param {string=} opt_id Optional ID.  Use this ID if provided, otherwise
+ *     create a new ID.
+ * @return {!Blockly.WorkspaceComment} The created comment.
+ */
+Blockly.Workspace.prototype.newComment = function(content, width, height,
+    opt_id) {
+  return new Blockly.WorkspaceComment(this, content, width, height, opt_id);
+};
+
 /**
  * Find all blocks in workspace.  No particular order.
  * @return {!Array.<!Blockly.Block>} Array of blocks.
@@ -196,10 +328,15 @@ Blockly.Workspace.prototype.clear = function() {
   while (this.topBlocks_.length) {
     this.topBlocks_[0].dispose(false);
   }
+  while (this.topComments_.length) {
+    this.topComments_[0].dispose();
+  }
   if (!existingGroup) {
     Blockly.Events.setGroup(false);
   }
   this.variableList.length = 0;
+  this.variableMap_ = Object.create(null);
+  this.broadcastMessages_ = [];
   // Any block with a drop-down or WidgetDiv was disposed.
   if (Blockly.DropDownDiv) {
     Blockly.DropDownDiv.hideWithoutAnimation();
@@ -220,10 +357,18 @@ Blockly.Workspace.prototype.updateVariableList = function(clearList) {
     // Update the list in place so that the flyout's references stay correct.
     if (clearList) {
       this.variableList.length = 0;
+      this.variableMap_ = Object.create(null);
     }
-    var allVariables = Blockly.Variables.allUsedVariables(this);
-    for (var i = 0; i < allVariables.length; i++) {
-      this.createVariable(allVariables[i]);
+    var blocks = this.getAllBlocks();
+    for (var i = 0; i < blocks.length; i++) {
+      var names = blocks[i].getVars();
+      var types = blocks[i].getVarTypes();
+      for (var j = 0; j < names.length; j++) {
+        // Variable name may be null if the block is only half-built.
+        if (names[j]) {
+          this.createVariable(names[j], types[j]);
+        }
+      }
     }
   }
 };
@@ -246,6 +391,9 @@ Blockly.Workspace.prototype.renameVariable = function(oldName, newName) {
       this.variableList[newVariableIndex] != newName) {
     var oldCase = this.variableList[newVariableIndex];
   }
+  // A variable renamed onto another one takes that one's type and scope.
+  var model = this.getVariable(newVariableIndex == -1 ? oldName : newName) ||
+      new Blockly.VariableModel(newName);
 
   Blockly.Events.setGroup(true);
   var blocks = this.getAllBlocks();
@@ -272,21 +420,74 @@ Blockly.Workspace.prototype.renameVariable = function(oldName, newName) {
     this.variableList.push(newName);
     console.log('Tried to rename an non-existent variable.');
   }
+  delete this.variableMap_[oldName.toLowerCase()];
+  model.name = newName;
+  this.variableMap_[newName.toLowerCase()] = model;
 };
 
 /**
- * Create a variable with the given name.
+ * Create a variable with the given name.  Nothing changes if a variable with
+ * that name already exists, whatever its type and scope.
  * TODO: #468
  * @param {string} name The new variable's name.
+ * @param {string=} opt_type The variable's type: Blockly.SCALAR_VARIABLE_TYPE
+ *     (the default) or Blockly.LIST_VARIABLE_TYPE.
+ * @param {boolean=} opt_isLocal True if the variable belongs to the current
+ *     sprite only, false (the default) if it is shared by all sprites.
  */
-Blockly.Workspace.prototype.createVariable = function(name) {
+Blockly.Workspace.prototype.createVariable = function(name, opt_type,
+    opt_isLocal) {
   if (name.toLowerCase() == Blockly.Variables.noVariableText()) {
     return;
   }
   var index = this.variableIndexOf(name);
   if (index == -1) {
     this.variableList.push(name);
+    this.variableMap_[name.toLowerCase()] =
+        new Blockly.VariableModel(name, opt_type, opt_isLocal);
+  }
+};
+
+/**
+ * Find the model of the named variable.  The lookup is case-insensitive.
+ * @param {string} name The variable's name.
+ * @return {Blockly.VariableModel} The variable's model, or null if there is
+ *     no such variable.
+ */
+Blockly.Workspace.prototype.getVariable = function(name) {
+  if (this.variableIndexOf(name) == -1) {
+    return null;
   }
+  var key = name.toLowerCase();
+  if (!this.variableMap_[key]) {
+    // Names pushed straight onto variableList are scalar globals.
+    this.variableMap_[key] = new Blockly.VariableModel(
+        this.variableList[this.variableIndexOf(name)]);
+  }
+  return this.variableMap_[key];
+};
+
+/**
+ * Find the type of the named variable.  The lookup is case-insensitive.
+ * @param {string} name The variable's name.
+ * @return {?string} The variable's type, or null if there is no such
+ *     variable.
+ */
+Blockly.Workspace.prototype.getVariableType = function(name) {
+  var model = this.getVariable(name);
+  return model ? model.type : null;
+};
+
+/**
+ * Find the names of all variables of the given type.
+ * @param {string} type The type to look for, e.g. Blockly.LIST_VARIABLE_TYPE.
+ * @return {!Array.<string>} Variable names, in the order they were created.
+ */
+Blockly.Workspace.prototype.getVariablesOfType = function(type) {
+  var workspace = this;
+  return this.variableList.filter(function(name) {
+    return workspace.getVariableType(name) == type;
+  });
 };
 
 /**
@@ -313,6 +514,294 @@ Blockly.Workspace.prototype.getVariableUses = function(name) {
   return uses;
 };
 
+/**
+ * Create a broadcast message with the given name.  Nothing changes if a
+ * message with that name already exists, whatever its case.
+ * @param {string} name The new message's name.
+ * @return {string} The message's name, in the case it was first created with.
+ */
+Blockly.Workspace.prototype.createBroadcastMessage = function(name) {
+  var index = this.broadcastMessageIndexOf_(name);
+  if (index != -1) {
+    return this.broadcastMessages_[index];
+  }
+  this.broadcastMessages_.push(name);
+  return name;
+};
+
+/**
+ * Get the names of the broadcast messages.
+ * @return {!Array.<string>} A copy of the names, in the order the messages
+ *     were created.
+ */
+Blockly.Workspace.prototype.getBroadcastMessages = function() {
+  return this.broadcastMessages_.slice();
+};
+
+/**
+ * Find the fields of this workspace's blocks that choose a broadcast message.
+ * @return {!Array.<!Blockly.FieldBroadcast>} The fields.
+ * @private
+ */
+Blockly.Workspace.prototype.getBroadcastFields_ = function() {
+  var fields = [];
+  var blocks = this.getAllBlocks();
+  for (var i = 0; i < blocks.length; i++) {
+    for (var j = 0, input; input = blocks[i].inputList[j]; j++) {
+      for (var k = 0, field; field = input.fieldRow[k]; k++) {
+        if (field instanceof Blockly.FieldBroadcast) {
+          fields.push(field);
+        }
+      }
+    }
+  }
+  return fields;
+};
+
+/**
+ * Find all the uses of a broadcast message.  The lookup is case-insensitive.
+ * @param {string} name The message's name.
+ * @return {!Array.<!Blockly.Block>} The blocks that send or receive the
+ *     message.  For broadcast blocks, these are their message menus.
+ */
+Blockly.Workspace.prototype.getBroadcastMessageUses = function(name) {
+  return this.getBroadcastFields_().filter(function(field) {
+    return Blockly.Names.equals(field.getValue(), name);
+  }).map(function(field) {
+    return field.sourceBlock;
+  });
+};
+
+/**
+ * Rename a broadcast message, and every block that sends or receives it.
+ * Renaming onto an existing message merges the two.
+ * @param {string} oldName The message to rename.
+ * @param {string} newName The message's new name.
+ */
+Blockly.Workspace.prototype.renameBroadcastMessage = function(oldName,
+    newName) {
+  var index = this.broadcastMessageIndexOf_(oldName);
+  var newIndex = this.broadcastMessageIndexOf_(newName);
+  if (newIndex != -1) {
+    // Renaming onto an existing message, or only changing case.
+    this.broadcastMessages_[newIndex] = newName;
+    if (index != -1 && index != newIndex) {
+      this.broadcastMessages_.splice(index, 1);
+    }
+  } else if (index != -1) {
+    this.broadcastMessages_[index] = newName;
+  } else {
+    this.broadcastMessages_.push(newName);
+  }
+
+  Blockly.Events.setGroup(true);
+  var fields = this.getBroadcastFields_();
+  for (var i = 0; i < fields.length; i++) {
+    var value = fields[i].getValue();
+    // Blocks already using the new name take its new case.
+    if (Blockly.Names.equals(value, oldName) ||
+        Blockly.Names.equals(value, newName)) {
+      fields[i].setValue(newName);
+    }
+  }
+  Blockly.Events.setGroup(false);
+};
+
+/**
+ * Delete a broadcast message.  The blocks that send or receive it switch to
+ * the first remaining message, or to the default message if there are none.
+ * @param {string} name The message to delete.
+ */
+Blockly.Workspace.prototype.deleteBroadcastMessage = function(name) {
+  var index = this.broadcastMessageIndexOf_(name);
+  if (index == -1) {
+    return;
+  }
+  this.broadcastMessages_.splice(index, 1);
+  var replacement = this.broadcastMessages_[0] ||
+      Blockly.Msg.DEFAULT_BROADCAST_MESSAGE;
+  Blockly.Events.setGroup(true);
+  var fields = this.getBroadcastFields_();
+  for (var i = 0; i < fields.length; i++) {
+    if (Blockly.Names.equals(fields[i].getValue(), name)) {
+      fields[i].setValue(replacement);
+    }
+  }
+  Blockly.Events.setGroup(false);
+};
+
+/**
+ * Delete the broadcast messages that no block sends or receives.
+ * Blockly.Xml.workspaceToDom and Blockly.Json.workspaceToJson never change the
+ * workspace, so they don't call this.  Unused messages aren't saved, so hosts
+ * should call this when they save the project, or the workspace keeps
+ * offering messages that the saved project doesn't have.
+ * @return {!Array.<string>} The names of the deleted messages.
+ */
+Blockly.Workspace.prototype.deleteUnusedBroadcastMessages = function() {
+  var used = this.getBroadcastFields_().map(function(field) {
+    return field.getValue();
+  });
+  var unused = [];
+  this.broadcastMessages_ = this.broadcastMessages_.filter(function(name) {
+    for (var i = 0; i < used.length; i++) {
+      if (Blockly.Names.equals(used[i], name)) {
+        return true;
+      }
+    }
+    unused.push(name);
+    return false;
+  });
+  return unused;
+};
+
+/**
+ * Find a broadcast message.  The lookup is case-insensitive.
+ * @param {string} name The message's name.
+ * @return {number} The index of the message in the list, or -1 if there is no
+ *     such message.
+ * @private
+ */
+Blockly.Workspace.prototype.broadcastMessageIndexOf_ = function(name) {
+  for (var i = 0, message; message = this.broadcastMessages_[i]; i++) {
+    if (Blockly.Names.equals(message, name)) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Fields that hold the broadcast message of a block, keyed by block type.
+ * @type {!Object.<string, string>}
+ * @private
+ */
+Blockly.Workspace.BROADCAST_FIELDS_ = {
+  'event_whenbroadcastreceived': 'BROADCAST_OPTION',
+  'event_broadcast_menu': 'BROADCAST_OPTION',
+  'dropdown_whenbroadcast': 'CHOICE',
+  'dropdown_broadcast': 'CHOICE'
+};
+
+/**
+ * Find the blocks that match a query, e.g. {variable: 'score'} for all uses
+ * of a variable.  A block matches if it meets every criterion given.  The
+ * shadow blocks in a block's inputs count as part of it, so that searching
+ * for '10' finds 'repeat 10'.
+ * @param {!{type: (string|undefined), text: (string|undefined),
+ *     variable: (string|undefined), broadcast: (string|undefined),
+ *     procedure: (string|undefined)}} query The block type, text in the
+ *     block's fields, or name of a variable, broadcast message or procedure
+ *     to find.  Text and names are case-insensitive.
+ * @return {!Array.<!Blockly.Block>} The matching blocks, in reading order.
+ */
+Blockly.Workspace.prototype.findBlocks = function(query) {
+  var matches = [];
+  var blocks = this.getTopBlocks(true);
+  for (var i = 0; i < blocks.length; i++) {
+    var descendants = blocks[i].getDescendants();
+    for (var j = 0, block; block = descendants[j]; j++) {
+      if (!block.isShadow() && Blockly.Workspace.matchesQuery_(block, query)) {
+        matches.push(block);
+      }
+    }
+  }
+  return matches;
+};
+
+/**
+ * Whether a block meets every criterion of a search query.
+ * @param {!Blockly.Block} block The block, which is not a shadow.
+ * @param {!Object} query The query, as for findBlocks.
+ * @return {boolean} True if the block matches.
+ * @private
+ */
+Blockly.Workspace.matchesQuery_ = function(block, query) {
+  if (query.type && block.type != query.type) {
+    return false;
+  }
+  if (query.procedure) {
+    var procedure = Blockly.Workspace.getProcedureName_(block);
+    if (procedure === null || !Blockly.Names.equals(procedure,
+        query.procedure)) {
+      return false;
+    }
+  }
+  var parts = Blockly.Workspace.getBlockAndShadows_(block);
+  var text = query.text ? query.text.toLowerCase() : null;
+  var foundText = !text;
+  var foundVariable = !query.variable;
+  var foundBroadcast = !query.broadcast;
+  for (var i = 0, part; part = parts[i]; i++) {
+    if (!foundText) {
+      foundText = Blockly.Workspace.getFieldTexts_(part).some(function(t) {
+        return t.toLowerCase().indexOf(text) != -1;
+      });
+    }
+    if (!foundVariable) {
+      foundVariable = (part.getVars() || []).some(function(name) {
+        return !!name && Blockly.Names.equals(name, query.variable);
+      });
+    }
+    if (!foundBroadcast) {
+      var fieldName = Blockly.Workspace.BROADCAST_FIELDS_[part.type];
+      var message = fieldName && part.getFieldValue(fieldName);
+      foundBroadcast = !!message &&
+          Blockly.Names.equals(message, query.broadcast);
+    }
+  }
+  return foundText && foundVariable && foundBroadcast;
+};
+
+/**
+ * Get a block and the shadow blocks in its inputs, including shadows nested
+ * in those shadows.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Array.<!Blockly.Block>} The block followed by its shadows.
+ * @private
+ */
+Blockly.Workspace.getBlockAndShadows_ = function(block) {
+  var parts = [block];
+  for (var i = 0; i < parts.length; i++) {
+    var children = parts[i].getChildren();
+    for (var j = 0; j < children.length; j++) {
+      if (children[j].isShadow()) {
+        parts.push(children[j]);
+      }
+    }
+  }
+  return parts;
+};
+
+/**
+ * Get the text of every field of a block, as shown to the user.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Array.<string>} The texts.
+ * @private
+ */
+Blockly.Workspace.getFieldTexts_ = function(block) {
+  var texts = [];
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    for (var j = 0, field; field = input.fieldRow[j]; j++) {
+      texts.push(field.getText());
+    }
+  }
+  return texts;
+};
+
+/**
+ * Get the name of the procedure that a block defines or calls.
+ * @param {!Blockly.Block} block The block.
+ * @return {?string} The procedure's name, or null if the block is neither a
+ *     definition nor a call.
+ * @private
+ */
+Blockly.Workspace.getProcedureName_ = function(block) {
+  // Every block has both methods, returning nothing unless it is a definition
+  // or a call.
+  return block.getProcedureDef()[0] || block.getProcedureCall() || null;
+};
+
 /**
  * Delete a variables and all of its uses from this workspace.
  * @param {string} name Name of variable to delete.
@@ -344,6 +833,7 @@ Blockly.Workspace.prototype.deleteVariable = function(name) {
     }
     Blockly.Events.setGroup(false);
     workspace.variableList.splice(variableIndex, 1);
+    delete workspace.variableMap_[name.toLowerCase()];
   }
   if (uses.length > 1) {
     // Confirm before deleting multiple blocks.
@@ -435,10 +925,192 @@ Blockly.Workspace.prototype.undo = function(redo) {
 Blockly.Workspace.prototype.clearUndo = function() {
   this.undoStack.length = 0;
   this.redoStack.length = 0;
+  this.undoCheckpoints_.length = 0;
   // Stop any events already in the firing queue from being undoable.
   Blockly.Events.clearPendingUndo();
 };
 
+/**
+ * Set the maximum number of undo events, dropping the oldest steps if there
+ * are too many already.
+ * @param {number} limit Maximum number of events.  0 turns off undo, Infinity
+ *     sets it to unlimited.
+ */
+Blockly.Workspace.prototype.setMaxUndo = function(limit) {
+  this.MAX_UNDO = limit;
+  this.trimUndo_();
+};
+
+/**
+ * Drop the oldest steps from the undo stack until it fits in MAX_UNDO.  Whole
+ * groups are dropped, so that no step is left half undoable.
+ * @private
+ */
+Blockly.Workspace.prototype.trimUndo_ = function() {
+  if (this.undoStack.length <= this.MAX_UNDO) {
+    this.removeStaleCheckpoints_();
+    return;
+  }
+  while (this.undoStack.length > this.MAX_UNDO) {
+    var event = this.undoStack.shift();
+    while (this.undoStack.length && event.group &&
+        this.undoStack[0].group == event.group) {
+      this.undoStack.shift();
+    }
+  }
+  // The start of the history can no longer be reached.
+  this.undoCheckpoints_ = this.undoCheckpoints_.filter(function(checkpoint) {
+    return checkpoint.event;
+  });
+  this.removeStaleCheckpoints_();
+};
+
+/**
+ * Split a stack of undo or redo events into steps.  Each step is an event
+ * group, which undo and redo treat as a single action.
+ * @param {!Array.<!Blockly.Events.Abstract>} stack The undo or redo stack.
+ * @return {!Array.<!Array.<!Blockly.Events.Abstract>>} The steps, in the
+ *     order of the stack (oldest undo step first, last redo step first).
+ * @private
+ */
+Blockly.Workspace.getUndoSteps_ = function(stack) {
+  var steps = [];
+  var step = null;
+  for (var i = 0, event; event = stack[i]; i++) {
+    if (!step || !event.group || event.group != step[0].group) {
+      step = [];
+      steps.push(step);
+    }
+    step.push(event);
+  }
+  return steps;
+};
+
+/**
+ * List the steps of the undo history, oldest first.  Steps that were undone
+ * and can be redone follow the ones that can be undone.  Events are fired
+ * asynchronously, so a change only appears once its events have fired.
+ * @return {!Array.<{description: string, undone: boolean,
+ *     checkpoints: !Array.<string>}>} The steps: a human-readable description
+ *     of each, whether it is undone, and the names of the checkpoints just
+ *     after it.
+ */
+Blockly.Workspace.prototype.getUndoHistory = function() {
+  var undoSteps = Blockly.Workspace.getUndoSteps_(this.undoStack);
+  var redoSteps = Blockly.Workspace.getUndoSteps_(this.redoStack).reverse();
+  var checkpoints = this.undoCheckpoints_;
+  var describe = function(undone, step) {
+    var names = [];
+    for (var i = 0, checkpoint; checkpoint = checkpoints[i]; i++) {
+      if (step.indexOf(checkpoint.event) != -1) {
+        names.push(checkpoint.name);
+      }
+    }
+    return {
+      description: Blockly.Events.describe(step),
+      undone: undone,
+      checkpoints: names
+    };
+  };
+  return undoSteps.map(describe.bind(null, false)).concat(
+      redoSteps.map(describe.bind(null, true)));
+};
+
+/**
+ * Get the position in the undo history: the number of steps that can be
+ * undone.
+ * @return {number} The position.
+ */
+Blockly.Workspace.prototype.getUndoPosition = function() {
+  return Blockly.Workspace.getUndoSteps_(this.undoStack).length;
+};
+
+/**
+ * Undo or redo steps until a position in the undo history is reached.
+ * @param {number} position The number of steps to leave done, from 0 (undo
+ *     everything) to the length of the history (redo everything).
+ */
+Blockly.Workspace.prototype.setUndoPosition = function(position) {
+  var steps = this.getUndoHistory().length;
+  position = goog.math.clamp(position, 0, steps);
+  for (var i = this.getUndoPosition(); i > position; i--) {
+    this.undo(false);
+  }
+  for (var i = this.getUndoPosition(); i < position; i++) {
+    this.undo(true);
+  }
+};
+
+/**
+ * Name the current position in the undo history, so that it can be returned
+ * to with jumpToCheckpoint.  Naming another position with the same name moves
+ * the checkpoint.  The checkpoint is dropped when its position is dropped
+ * from the history, by a new change after undoing or by MAX_UNDO.
+ * @param {string} name The checkpoint's name.
+ */
+Blockly.Workspace.prototype.addCheckpoint = function(name) {
+  this.removeCheckpoint(name);
+  this.undoCheckpoints_.push({
+    name: name,
+    event: this.undoStack[this.undoStack.length - 1] || null
+  });
+};
+
+/**
+ * Remove a checkpoint.
+ * @param {string} name The checkpoint's name.
+ */
+Blockly.Workspace.prototype.removeCheckpoint = function(name) {
+  this.undoCheckpoints_ = this.undoCheckpoints_.filter(function(checkpoint) {
+    return checkpoint.name != name;
+  });
+};
+
+/**
+ * Get the names of the checkpoints in the undo history.
+ * @return {!Array.<string>} The names, in the order they were added.
+ */
+Blockly.Workspace.prototype.getCheckpoints = function() {
+  return this.undoCheckpoints_.map(function(checkpoint) {
+    return checkpoint.name;
+  });
+};
+
+/**
+ * Undo or redo steps until a checkpoint is reached.
+ * @param {string} name The checkpoint's name.
+ * @throws {string} If there is no such checkpoint.
+ */
+Blockly.Workspace.prototype.jumpToCheckpoint = function(name) {
+  var checkpoint = goog.array.find(this.undoCheckpoints_, function(checkpoint) {
+    return checkpoint.name == name;
+  });
+  if (!checkpoint) {
+    throw 'Unknown checkpoint: ' + name;
+  }
+  var history = this.getUndoHistory();
+  var position = 0;
+  if (checkpoint.event) {
+    position = goog.array.findIndex(history, function(step) {
+      return step.checkpoints.indexOf(name) != -1;
+    }) + 1;
+  }
+  this.setUndoPosition(position);
+};
+
+/**
+ * Drop checkpoints whose events are no longer in the undo or redo stacks.
+ * @private
+ */
+Blockly.Workspace.prototype.removeStaleCheckpoints_ = function() {
+  var undoStack = this.undoStack;
+  var redoStack = this.redoStack;
+  this.undoCheckpoints_ = this.undoCheckpoints_.filter(function(checkpoint) {
+    return !checkpoint.event || undoStack.indexOf(checkpoint.event) != -1 ||
+        redoStack.indexOf(checkpoint.event) != -1;
+  });
+};
+
 /**
  * When something in this workspace changes, call a function.
  * @param {!Function} func Function to call.
@@ -466,9 +1138,7 @@ Blockly.Workspace.prototype.fireChangeListener = function(event) {
   if (event.recordUndo) {
     this.undoStack.push(event);
     this.redoStack.length = 0;
-    if (this.undoStack.length > this.MAX_UNDO) {
-      this.undoStack.unshift();
-    }
+    this.trimUndo_();
   }
   // Copy listeners in case a listener attaches/detaches itself.
   var currentListeners = this.listeners_.slice();
@@ -516,6 +1186,125 @@ Blockly.Workspace.prototype.getFlyout = function() {
   return null;
 };
 
+/**
+ * Register a callback that lists the options of dynamic menus of a given type,
+ * such as the project's sprites or the current sprite's costumes.  Dropdowns
+ * made with Blockly.FieldDropdown.hostMenu call it each time they open.
+ * @param {string} menuType The type of menu, e.g. Blockly.MENU_COSTUMES.
+ * @param {function(!Blockly.Workspace):!Array.<!Array>} func The function to
+ *     call.  It returns an array of options: tuples of human-readable text and
+ *     language-neutral value.
+ */
+Blockly.Workspace.prototype.registerMenuCallback = function(menuType, func) {
+  goog.asserts.assert(goog.isFunction(func),
+      'Menu callbacks must be functions.');
+  this.menuCallbacks_[menuType] = func;
+};
+
+/**
+ * Get the callback that lists the options of dynamic menus of a given type.
+ * @param {string} menuType The type of menu.
+ * @return {?function(!Blockly.Workspace):!Array.<!Array>} The function, or
+ *     null if no function is registered.
+ */
+Blockly.Workspace.prototype.getMenuCallback = function(menuType) {
+  return this.menuCallbacks_[menuType] || null;
+};
+
+/**
+ * Remove the callback for dynamic menus of a given type.  The menus go back
+ * to their placeholder options.
+ * @param {string} menuType The type of menu.
+ */
+Blockly.Workspace.prototype.removeMenuCallback = function(menuType) {
+  delete this.menuCallbacks_[menuType];
+};
+
+/**
+ * Get the feedback for the debugger running this workspace's blocks: its
+ * breakpoints, the blocks its threads are running, and per-block badges.
+ * @return {!Blockly.Debugger} The workspace's debugger feedback.
+ */
+Blockly.Workspace.prototype.getDebugger = function() {
+  if (!this.debugger_) {
+    this.debugger_ = new Blockly.Debugger(this);
+  }
+  return this.debugger_;
+};
+
+/**
+ * Get the linter checking this workspace's blocks.  The first call starts it,
+ * and from then on it shows the problems it finds as warnings on the blocks.
+ * @return {!Blockly.Linter} The workspace's linter.
+ */
+Blockly.Workspace.prototype.getLinter = function() {
+  if (!this.linter_) {
+    this.linter_ = new Blockly.Linter(this);
+  }
+  return this.linter_;
+};
+
+/**
+ * Find the dropdowns on this workspace's blocks that list options of a given
+ * menu type.
+ * @param {string} menuType The type of menu.
+ * @return {!Array.<!Blockly.FieldDropdown>} The dropdowns.
+ * @private
+ */
+Blockly.Workspace.prototype.getMenuFields_ = function(menuType) {
+  var fields = [];
+  var blocks = this.getAllBlocks();
+  for (var i = 0; i < blocks.length; i++) {
+    for (var j = 0, input; input = blocks[i].inputList[j]; j++) {
+      for (var k = 0, field; field = input.fieldRow[k]; k++) {
+        if (field instanceof Blockly.FieldDropdown &&
+            field.getMenuType() == menuType) {
+          fields.push(field);
+        }
+      }
+    }
+  }
+  return fields;
+};
+
+/**
+ * Update the blocks that use an option of a dynamic menu after the host
+ * renamed it, e.g. after a costume was renamed.  Call this once the menu
+ * callback lists the new name.
+ * @param {string} menuType The type of menu.
+ * @param {string} oldValue The option's old value.
+ * @param {string} newValue The option's new value.
+ */
+Blockly.Workspace.prototype.renameMenuOption = function(menuType, oldValue,
+    newValue) {
+  Blockly.Events.setGroup(true);
+  var fields = this.getMenuFields_(menuType);
+  for (var i = 0; i < fields.length; i++) {
+    if (fields[i].getValue() == oldValue) {
+      fields[i].setValue(newValue);
+    }
+  }
+  Blockly.Events.setGroup(false);
+};
+
+/**
+ * Update the blocks that use an option of a dynamic menu after the host
+ * deleted it, e.g. after a sound was deleted.  They switch to their menu's
+ * first option.  Call this once the menu callback no longer lists the option.
+ * @param {string} menuType The type of menu.
+ * @param {string} value The deleted option's value.
+ */
+Blockly.Workspace.prototype.deleteMenuOption = function(menuType, value) {
+  Blockly.Events.setGroup(true);
+  var fields = this.getMenuFields_(menuType);
+  for (var i = 0; i < fields.length; i++) {
+    if (fields[i].getValue() == value) {
+      fields[i].setValue(fields[i].getOptions()[0][1]);
+    }
+  }
+  Blockly.Events.setGroup(false);
+};
+
 /**
  * Database of all workspaces.
  * @private
@@ -535,6 +1324,28 @@ Blockly.Workspace.getById = function(id) {
 Blockly.Workspace.prototype['clear'] = Blockly.Workspace.prototype.clear;
 Blockly.Workspace.prototype['clearUndo'] =
     Blockly.Workspace.prototype.clearUndo;
+Blockly.Workspace.prototype['getUndoHistory'] =
+    Blockly.Workspace.prototype.getUndoHistory;
+Blockly.Workspace.prototype['setUndoPosition'] =
+    Blockly.Workspace.prototype.setUndoPosition;
+Blockly.Workspace.prototype['addCheckpoint'] =
+    Blockly.Workspace.prototype.addCheckpoint;
+Blockly.Workspace.prototype['jumpToCheckpoint'] =
+    Blockly.Workspace.prototype.jumpToCheckpoint;
+Blockly.Workspace.prototype['getDebugger'] =
+    Blockly.Workspace.prototype.getDebugger;
+Blockly.Workspace.prototype['getLinter'] =
+    Blockly.Workspace.prototype.getLinter;
+Blockly.Workspace.prototype['findBlocks'] =
+    Blockly.Workspace.prototype.findBlocks;
+Blockly.Workspace.prototype['createBroadcastMessage'] =
+    Blockly.Workspace.prototype.createBroadcastMessage;
+Blockly.Workspace.prototype['getBroadcastMessages'] =
+    Blockly.Workspace.prototype.getBroadcastMessages;
+Blockly.Workspace.prototype['renameBroadcastMessage'] =
+    Blockly.Workspace.prototype.renameBroadcastMessage;
+Blockly.Workspace.prototype['deleteBroadcastMessage'] =
+    Blockly.Workspace.prototype.deleteBroadcastMessage;
 Blockly.Workspace.prototype['addChangeListener'] =
     Blockly.Workspace.prototype.addChangeListener;
 Blockly.Workspace.prototype['removeChangeListener'] =
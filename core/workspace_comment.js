@@ -0,0 +1,209 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Object representing a comment on the workspace itself, rather
+ * than on a block.  Works headless; see Blockly.WorkspaceCommentSvg for the
+ * rendered version.
+ */
+'use strict';
+
+goog.provide('Blockly.WorkspaceComment');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.utils');
+
+goog.require('goog.math.Coordinate');
+
+
+/**
+ * Class for a workspace comment.
+ * @param {!Blockly.Workspace} workspace The workspace to put the comment on.
+ * @param {string} content The comment's text.
+ * @param {number} width Width of the comment.
+ * @param {number} height Height of the comment.
+ * @param {string=} opt_id Optional ID.  Use this ID if provided, otherwise
+ *     create a new ID.
+ * @constructor
+ */
+Blockly.WorkspaceComment = function(workspace, content, width, height,
+    opt_id) {
+  /** @type {string} */
+  this.id = (opt_id && !workspace.getCommentById(opt_id)) ?
+      opt_id : Blockly.utils.genUid();
+
+  /** @type {Blockly.Workspace} */
+  this.workspace = workspace;
+
+  /**
+   * The comment's position in workspace units.
+   * @type {!goog.math.Coordinate}
+   * @private
+   */
+  this.xy_ = new goog.math.Coordinate(0, 0);
+
+  /**
+   * @type {string}
+   * @private
+   */
+  this.content_ = content;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.width_ = width;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.height_ = height;
+
+  /**
+   * True if only the comment's top bar is showing.
+   * @type {boolean}
+   * @private
+   */
+  this.minimized_ = false;
+
+  workspace.addTopComment(this);
+  if (Blockly.Events.isEnabled()) {
+    Blockly.Events.fire(new Blockly.Events.CommentCreate(this));
+  }
+};
+
+/**
+ * Width of a new comment.
+ * @const
+ */
+Blockly.WorkspaceComment.DEFAULT_WIDTH = 200;
+
+/**
+ * Height of a new comment.
+ * @const
+ */
+Blockly.WorkspaceComment.DEFAULT_HEIGHT = 200;
+
+/**
+ * Smallest width or height a comment can be resized to.
+ * @const
+ */
+Blockly.WorkspaceComment.MIN_SIZE = 40;
+
+/**
+ * Dispose of this comment.
+ */
+Blockly.WorkspaceComment.prototype.dispose = function() {
+  if (!this.workspace) {
+    // Already deleted.
+    return;
+  }
+  if (Blockly.Events.isEnabled()) {
+    Blockly.Events.fire(new Blockly.Events.CommentDelete(this));
+  }
+  this.workspace.removeTopComment(this);
+  this.workspace = null;
+};
+
+/**
+ * Get the comment's text.
+ * @return {string} The comment's text.
+ */
+Blockly.WorkspaceComment.prototype.getText = function() {
+  return this.content_;
+};
+
+/**
+ * Set the comment's text.
+ * @param {string} text The new text.
+ */
+Blockly.WorkspaceComment.prototype.setText = function(text) {
+  if (this.content_ != text) {
+    Blockly.Events.fire(new Blockly.Events.CommentChange(
+        this, 'text', this.content_, text));
+    this.content_ = text;
+  }
+};
+
+/**
+ * Get the comment's size.
+ * @return {!Object} Object with width and height properties.
+ */
+Blockly.WorkspaceComment.prototype.getSize = function() {
+  return {width: this.width_, height: this.height_};
+};
+
+/**
+ * Resize the comment.  Sizes below Blockly.WorkspaceComment.MIN_SIZE are
+ * increased to it.
+ * @param {number} width The new width.
+ * @param {number} height The new height.
+ */
+Blockly.WorkspaceComment.prototype.setSize = function(width, height) {
+  width = Math.max(width, Blockly.WorkspaceComment.MIN_SIZE);
+  height = Math.max(height, Blockly.WorkspaceComment.MIN_SIZE);
+  if (this.width_ != width || this.height_ != height) {
+    Blockly.Events.fire(new Blockly.Events.CommentChange(this, 'size',
+        this.getSize(), {width: width, height: height}));
+    this.width_ = width;
+    this.height_ = height;
+  }
+};
+
+/**
+ * Is the comment minimized to its top bar?
+ * @return {boolean} True if minimized.
+ */
+Blockly.WorkspaceComment.prototype.isMinimized = function() {
+  return this.minimized_;
+};
+
+/**
+ * Minimize the comment to its top bar, or restore it.
+ * @param {boolean} minimized True to minimize, false to restore.
+ */
+Blockly.WorkspaceComment.prototype.setMinimized = function(minimized) {
+  if (this.minimized_ != minimized) {
+    Blockly.Events.fire(new Blockly.Events.CommentChange(this, 'minimized',
+        this.minimized_, minimized));
+    this.minimized_ = minimized;
+  }
+};
+
+/**
+ * Get the comment's position in workspace units.
+ * @return {!goog.math.Coordinate} The top-left corner of the comment.
+ */
+Blockly.WorkspaceComment.prototype.getXY = function() {
+  return this.xy_.clone();
+};
+
+/**
+ * Move the comment by a relative offset.
+ * @param {number} dx Horizontal offset, in workspace units.
+ * @param {number} dy Vertical offset, in workspace units.
+ */
+Blockly.WorkspaceComment.prototype.moveBy = function(dx, dy) {
+  var event = new Blockly.Events.CommentMove(this);
+  this.xy_.translate(dx, dy);
+  event.recordNew();
+  Blockly.Events.fire(event);
+};
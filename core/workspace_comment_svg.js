@@ -0,0 +1,429 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Rendered comment on the workspace: a sticky note that can be
+ * dragged by its top bar, resized from its corner, minimized and deleted.
+ */
+'use strict';
+
+goog.provide('Blockly.WorkspaceCommentSvg');
+
+goog.require('Blockly.WorkspaceComment');
+goog.require('goog.math.Coordinate');
+goog.require('goog.userAgent');
+
+
+/**
+ * Class for a rendered workspace comment.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to put the comment
+ *     on.
+ * @param {string} content The comment's text.
+ * @param {number} width Width of the comment.
+ * @param {number} height Height of the comment.
+ * @param {string=} opt_id Optional ID.  Use this ID if provided, otherwise
+ *     create a new ID.
+ * @extends {Blockly.WorkspaceComment}
+ * @constructor
+ */
+Blockly.WorkspaceCommentSvg = function(workspace, content, width, height,
+    opt_id) {
+  /**
+   * @type {SVGElement}
+   * @private
+   */
+  this.svgGroup_ = null;
+
+  /**
+   * Event wrappers to unbind when the comment is disposed of.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.eventWrappers_ = [];
+
+  /**
+   * Position or size shown while a drag or resize is in progress.
+   * @type {goog.math.Coordinate}
+   * @private
+   */
+  this.dragXY_ = null;
+
+  Blockly.WorkspaceCommentSvg.superClass_.constructor.call(this, workspace,
+      content, width, height, opt_id);
+};
+goog.inherits(Blockly.WorkspaceCommentSvg, Blockly.WorkspaceComment);
+
+/**
+ * Height of the top bar that the comment is dragged by.
+ * @const
+ */
+Blockly.WorkspaceCommentSvg.TOP_BAR_HEIGHT = 24;
+
+/**
+ * Size of the resize handle in the bottom corner.
+ * @const
+ */
+Blockly.WorkspaceCommentSvg.RESIZE_SIZE = 12;
+
+/**
+ * Wrapper functions for the drag or resize in progress.
+ * @type {Array.<!Array>}
+ * @private
+ */
+Blockly.WorkspaceCommentSvg.onMouseUpWrapper_ = null;
+
+/**
+ * @type {Array.<!Array>}
+ * @private
+ */
+Blockly.WorkspaceCommentSvg.onMouseMoveWrapper_ = null;
+
+/**
+ * Stop binding to the global mouseup and mousemove events.
+ * @private
+ */
+Blockly.WorkspaceCommentSvg.unbindDragEvents_ = function() {
+  if (Blockly.WorkspaceCommentSvg.onMouseUpWrapper_) {
+    Blockly.unbindEvent(Blockly.WorkspaceCommentSvg.onMouseUpWrapper_);
+    Blockly.WorkspaceCommentSvg.onMouseUpWrapper_ = null;
+  }
+  if (Blockly.WorkspaceCommentSvg.onMouseMoveWrapper_) {
+    Blockly.unbindEvent(Blockly.WorkspaceCommentSvg.onMouseMoveWrapper_);
+    Blockly.WorkspaceCommentSvg.onMouseMoveWrapper_ = null;
+  }
+};
+
+/**
+ * Create the comment's SVG elements and add them to the workspace's canvas.
+ */
+Blockly.WorkspaceCommentSvg.prototype.initSvg = function() {
+  if (this.svgGroup_) {
+    return;
+  }
+  /* Here's the markup that will be generated:
+  <g class="blocklyWorkspaceComment" transform="translate(x, y)">
+    <rect class="blocklyWorkspaceCommentRect"/>
+    <rect class="blocklyWorkspaceCommentTopBar blocklyDraggable"/>
+    <text class="blocklyWorkspaceCommentLabel"/>
+    <text class="blocklyWorkspaceCommentButton">-</text>
+    <text class="blocklyWorkspaceCommentButton">x</text>
+    <foreignObject>
+      <body xmlns="http://www.w3.org/1999/xhtml" class="blocklyMinimalBody">
+        <textarea class="blocklyCommentTextarea"></textarea>
+      </body>
+    </foreignObject>
+    <g class="blocklyResizeSE">...</g>
+  </g>
+  */
+  var workspace = /** @type {!Blockly.WorkspaceSvg} */ (this.workspace);
+  var topBarHeight = Blockly.WorkspaceCommentSvg.TOP_BAR_HEIGHT;
+  this.svgGroup_ = Blockly.utils.createSvgElement('g',
+      {'class': 'blocklyWorkspaceComment'}, null);
+  this.svgRect_ = Blockly.utils.createSvgElement('rect',
+      {'class': 'blocklyWorkspaceCommentRect', 'rx': 4, 'ry': 4},
+      this.svgGroup_);
+  this.topBar_ = Blockly.utils.createSvgElement('rect',
+      {'class': 'blocklyWorkspaceCommentTopBar blocklyDraggable',
+       'rx': 4, 'ry': 4, 'height': topBarHeight},
+      this.svgGroup_);
+  this.label_ = Blockly.utils.createSvgElement('text',
+      {'class': 'blocklyWorkspaceCommentLabel', 'x': 8, 'y': 16},
+      this.svgGroup_);
+  this.minimizeButton_ = Blockly.utils.createSvgElement('text',
+      {'class': 'blocklyWorkspaceCommentButton', 'y': 17}, this.svgGroup_);
+  this.deleteButton_ = Blockly.utils.createSvgElement('text',
+      {'class': 'blocklyWorkspaceCommentButton', 'y': 17}, this.svgGroup_);
+  this.deleteButton_.appendChild(document.createTextNode('×'));
+
+  this.foreignObject_ = Blockly.utils.createSvgElement('foreignObject',
+      {'x': 0, 'y': topBarHeight}, this.svgGroup_);
+  var body = document.createElementNS(Blockly.HTML_NS, 'body');
+  body.setAttribute('xmlns', Blockly.HTML_NS);
+  body.className = 'blocklyMinimalBody';
+  this.textarea_ = document.createElementNS(Blockly.HTML_NS, 'textarea');
+  this.textarea_.className = 'blocklyCommentTextarea';
+  this.textarea_.setAttribute('dir', workspace.RTL ? 'RTL' : 'LTR');
+  this.textarea_.value = this.getText();
+  body.appendChild(this.textarea_);
+  this.foreignObject_.appendChild(body);
+
+  var resizeSize = Blockly.WorkspaceCommentSvg.RESIZE_SIZE;
+  this.resizeGroup_ = Blockly.utils.createSvgElement('g',
+      {'class': 'blocklyResizeSE'}, this.svgGroup_);
+  Blockly.utils.createSvgElement('polygon',
+      {'points': '0,x x,x x,0'.replace(/x/g, resizeSize.toString())},
+      this.resizeGroup_);
+  Blockly.utils.createSvgElement('line',
+      {'class': 'blocklyResizeLine',
+      'x1': resizeSize / 3, 'y1': resizeSize - 1,
+      'x2': resizeSize - 1, 'y2': resizeSize / 3}, this.resizeGroup_);
+
+  this.bindEvent_(this.topBar_, 'mousedown', this.topBarMouseDown_);
+  this.bindEvent_(this.label_, 'mousedown', this.topBarMouseDown_);
+  this.bindEvent_(this.resizeGroup_, 'mousedown', this.resizeMouseDown_);
+  this.bindEvent_(this.minimizeButton_, 'mousedown', function(e) {
+    e.stopPropagation();
+    this.setMinimized(!this.isMinimized());
+  });
+  this.bindEvent_(this.deleteButton_, 'mousedown', function(e) {
+    e.stopPropagation();
+    this.dispose();
+  });
+  this.bindEvent_(this.textarea_, 'mousedown', function(e) {
+    // Let the textarea have the mouse rather than the workspace.
+    e.stopPropagation();
+  });
+  // Don't zoom with mousewheel.
+  this.bindEvent_(this.textarea_, 'wheel', function(e) {
+    e.stopPropagation();
+  });
+  this.bindEvent_(this.textarea_, 'change', function(/* e */) {
+    this.setText(this.textarea_.value);
+  });
+
+  workspace.getCanvas().appendChild(this.svgGroup_);
+};
+
+/**
+ * Bind an event handler to one of the comment's elements.
+ * @param {!Element} node Node upon which to listen.
+ * @param {string} name Event name to listen to (e.g. 'mousedown').
+ * @param {!Function} func Function to call with this comment as 'this'.
+ * @private
+ */
+Blockly.WorkspaceCommentSvg.prototype.bindEvent_ = function(node, name,
+    func) {
+  this.eventWrappers_.push(Blockly.bindEventWithChecks(node, name, this, func));
+};
+
+/**
+ * Lay out the comment's SVG elements for its position, size and minimized
+ * state.
+ */
+Blockly.WorkspaceCommentSvg.prototype.render = function() {
+  if (!this.svgGroup_) {
+    return;
+  }
+  var xy = this.dragXY_ || this.xy_;
+  var size = this.getSize();
+  var width = size.width;
+  var minimized = this.isMinimized();
+  var topBarHeight = Blockly.WorkspaceCommentSvg.TOP_BAR_HEIGHT;
+  var height = minimized ? topBarHeight : size.height;
+
+  this.svgGroup_.setAttribute('transform',
+      'translate(' + xy.x + ',' + xy.y + ')');
+  this.svgRect_.setAttribute('width', width);
+  this.svgRect_.setAttribute('height', height);
+  this.topBar_.setAttribute('width', width);
+
+  // A minimized comment shows the start of its text in the top bar.
+  goog.dom.removeChildren(this.label_);
+  if (minimized) {
+    var text = this.getText().split('\n')[0];
+    var maxLength = Math.max(0, Math.floor((width - 48) / 7));
+    if (text.length > maxLength) {
+      text = text.substring(0, Math.max(0, maxLength - 1)) + '…';
+    }
+    this.label_.appendChild(document.createTextNode(text));
+  }
+  goog.dom.removeChildren(this.minimizeButton_);
+  this.minimizeButton_.appendChild(
+      document.createTextNode(minimized ? '+' : '–'));
+  this.minimizeButton_.setAttribute('x', width - 36);
+  this.deleteButton_.setAttribute('x', width - 18);
+
+  var display = minimized ? 'none' : 'block';
+  this.foreignObject_.style.display = display;
+  this.resizeGroup_.style.display = display;
+  if (!minimized) {
+    var textHeight = height - topBarHeight;
+    this.foreignObject_.setAttribute('width', width);
+    this.foreignObject_.setAttribute('height', textHeight);
+    this.textarea_.style.width = (width - 4) + 'px';
+    this.textarea_.style.height = (textHeight - 4) + 'px';
+    var resizeSize = Blockly.WorkspaceCommentSvg.RESIZE_SIZE;
+    this.resizeGroup_.setAttribute('transform', 'translate(' +
+        (width - resizeSize) + ',' + (height - resizeSize) + ')');
+  }
+};
+
+/**
+ * Set the comment's text.
+ * @param {string} text The new text.
+ * @override
+ */
+Blockly.WorkspaceCommentSvg.prototype.setText = function(text) {
+  Blockly.WorkspaceCommentSvg.superClass_.setText.call(this, text);
+  if (this.textarea_ && this.textarea_.value != text) {
+    this.textarea_.value = text;
+  }
+  this.render();
+};
+
+/**
+ * Resize the comment.
+ * @param {number} width The new width.
+ * @param {number} height The new height.
+ * @override
+ */
+Blockly.WorkspaceCommentSvg.prototype.setSize = function(width, height) {
+  Blockly.WorkspaceCommentSvg.superClass_.setSize.call(this, width, height);
+  this.render();
+};
+
+/**
+ * Minimize the comment to its top bar, or restore it.
+ * @param {boolean} minimized True to minimize, false to restore.
+ * @override
+ */
+Blockly.WorkspaceCommentSvg.prototype.setMinimized = function(minimized) {
+  Blockly.WorkspaceCommentSvg.superClass_.setMinimized.call(this, minimized);
+  this.render();
+};
+
+/**
+ * Move the comment by a relative offset.
+ * @param {number} dx Horizontal offset, in workspace units.
+ * @param {number} dy Vertical offset, in workspace units.
+ * @override
+ */
+Blockly.WorkspaceCommentSvg.prototype.moveBy = function(dx, dy) {
+  Blockly.WorkspaceCommentSvg.superClass_.moveBy.call(this, dx, dy);
+  this.render();
+};
+
+/**
+ * Dispose of this comment and its SVG elements.
+ * @override
+ */
+Blockly.WorkspaceCommentSvg.prototype.dispose = function() {
+  if (!this.workspace) {
+    // Already deleted.
+    return;
+  }
+  Blockly.WorkspaceCommentSvg.unbindDragEvents_();
+  if (this.textarea_ && this.textarea_.value != this.getText()) {
+    // Keep any edit that hasn't been committed, so undo brings it back.
+    this.setText(this.textarea_.value);
+  }
+  Blockly.WorkspaceCommentSvg.superClass_.dispose.call(this);
+  while (this.eventWrappers_.length) {
+    Blockly.unbindEvent(this.eventWrappers_.pop());
+  }
+  goog.dom.removeNode(this.svgGroup_);
+  this.svgGroup_ = null;
+  this.textarea_ = null;
+};
+
+/**
+ * Show the comment's context menu.
+ * @param {!Event} e Mouse event.
+ * @private
+ */
+Blockly.WorkspaceCommentSvg.prototype.showContextMenu_ = function(e) {
+  var comment = this;
+  var deleteOption = {
+    text: Blockly.Msg.REMOVE_COMMENT,
+    enabled: true,
+    callback: function() {
+      comment.dispose();
+    }
+  };
+  Blockly.ContextMenu.show(e, [deleteOption], this.workspace.RTL);
+};
+
+/**
+ * Start dragging the comment by its top bar, or show its context menu.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.WorkspaceCommentSvg.prototype.topBarMouseDown_ = function(e) {
+  this.startDrag_(e, this.xy_, function(newXY) {
+    this.dragXY_ = newXY;
+    this.render();
+  }, function() {
+    var newXY = this.dragXY_;
+    this.dragXY_ = null;
+    if (newXY) {
+      this.moveBy(newXY.x - this.xy_.x, newXY.y - this.xy_.y);
+    }
+  });
+};
+
+/**
+ * Start resizing the comment from its corner.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.WorkspaceCommentSvg.prototype.resizeMouseDown_ = function(e) {
+  var size = this.getSize();
+  var startSize = new goog.math.Coordinate(size.width, size.height);
+  this.startDrag_(e, startSize, function(newSize) {
+    // Show the new size without recording it until the mouse is released.
+    this.width_ = Math.max(newSize.x, Blockly.WorkspaceComment.MIN_SIZE);
+    this.height_ = Math.max(newSize.y, Blockly.WorkspaceComment.MIN_SIZE);
+    this.render();
+  }, function() {
+    var width = this.width_;
+    var height = this.height_;
+    this.width_ = startSize.x;
+    this.height_ = startSize.y;
+    this.setSize(width, height);
+  });
+};
+
+/**
+ * Track the mouse for a drag or resize.
+ * @param {!Event} e Mouse down event.
+ * @param {!goog.math.Coordinate} start The value being dragged at the start
+ *     of the drag: the comment's position or size.
+ * @param {function(!goog.math.Coordinate)} onMove Called with the dragged
+ *     value as the mouse moves.
+ * @param {function()} onEnd Called when the mouse is released.
+ * @private
+ */
+Blockly.WorkspaceCommentSvg.prototype.startDrag_ = function(e, start, onMove,
+    onEnd) {
+  Blockly.WorkspaceCommentSvg.unbindDragEvents_();
+  // This event has been handled.  No need to bubble up to the workspace.
+  e.stopPropagation();
+  Blockly.hideChaff();
+  if (Blockly.utils.isRightButton(e)) {
+    this.showContextMenu_(e);
+    return;
+  }
+  // Bring the comment in front of the blocks and other comments.
+  this.svgGroup_.parentNode.appendChild(this.svgGroup_);
+  Blockly.Css.setCursor(Blockly.Css.Cursor.CLOSED);
+  var workspace = /** @type {!Blockly.WorkspaceSvg} */ (this.workspace);
+  workspace.startDrag(e, start.clone());
+  Blockly.WorkspaceCommentSvg.onMouseMoveWrapper_ = Blockly.bindEventWithChecks(
+      document, 'mousemove', this, function(e) {
+        onMove.call(this, workspace.moveDrag(e));
+      });
+  Blockly.WorkspaceCommentSvg.onMouseUpWrapper_ = Blockly.bindEventWithChecks(
+      document, 'mouseup', this, function(/* e */) {
+        Blockly.Touch.clearTouchIdentifier();
+        Blockly.Css.setCursor(Blockly.Css.Cursor.OPEN);
+        Blockly.WorkspaceCommentSvg.unbindDragEvents_();
+        onEnd.call(this);
+      });
+};
@@ -28,6 +28,7 @@ goog.provide('Blockly.WorkspaceSvg');
 
 // TODO(scr): Fix circular dependencies
 goog.require('Blockly');
+goog.require('Blockly.BlockSearch');
 goog.require('Blockly.BlockSvg');
 goog.require('Blockly.Colours');
 goog.require('Blockly.ConnectionDB');
@@ -35,6 +36,7 @@ goog.require('Blockly.DropDownDiv');
 goog.require('Blockly.Events');
 goog.require('Blockly.Flyout');
 goog.require('Blockly.FlyoutButton');
+goog.require('Blockly.ImageExport');
 //goog.require('Blockly.HorizontalFlyout');
 goog.require('Blockly.Msg.en');
 goog.require('Blockly.Options');
@@ -45,6 +47,7 @@ goog.require('Blockly.Touch');
 goog.require('Blockly.Trashcan');
 //goog.require('Blockly.VerticalFlyout');
 goog.require('Blockly.Workspace');
+goog.require('Blockly.WorkspaceCommentSvg');
 goog.require('Blockly.WorkspaceDragSurfaceSvg');
 goog.require('Blockly.Xml');
 goog.require('Blockly.ZoomControls');
@@ -205,6 +208,20 @@ Blockly.WorkspaceSvg.prototype.scale = 1;
  */
 Blockly.WorkspaceSvg.prototype.trashcan = null;
 
+/**
+ * The collaboration of the user on this workspace, if real-time
+ * collaboration is enabled.
+ * @type {Blockly.Collaboration}
+ */
+Blockly.WorkspaceSvg.prototype.collaboration = null;
+
+/**
+ * The search bar for finding blocks, created when first needed.
+ * @type {Blockly.BlockSearch}
+ * @private
+ */
+Blockly.WorkspaceSvg.prototype.blockSearch_ = null;
+
 /**
  * This workspace's scrollbars, if they exist.
  * @type {Blockly.ScrollbarPair}
@@ -411,6 +428,14 @@ Blockly.WorkspaceSvg.prototype.createDom = function(opt_backgroundClass) {
 Blockly.WorkspaceSvg.prototype.dispose = function() {
   // Stop rerendering.
   this.rendered = false;
+  if (this.collaboration) {
+    this.collaboration.dispose();
+    this.collaboration = null;
+  }
+  if (this.blockSearch_) {
+    this.blockSearch_.dispose();
+    this.blockSearch_ = null;
+  }
   Blockly.WorkspaceSvg.superClass_.dispose.call(this);
   if (this.svgGroup_) {
     goog.dom.removeNode(this.svgGroup_);
@@ -951,15 +976,102 @@ Blockly.WorkspaceSvg.prototype.renameVariable = function(oldName, newName) {
  *     variable immediately.
  * TODO: #468
  * @param {string} name The new variable's name.
+ * @param {string=} opt_type The variable's type: Blockly.SCALAR_VARIABLE_TYPE
+ *     (the default) or Blockly.LIST_VARIABLE_TYPE.
+ * @param {boolean=} opt_isLocal True if the variable belongs to the current
+ *     sprite only, false (the default) if it is shared by all sprites.
+ */
+Blockly.WorkspaceSvg.prototype.createVariable = function(name, opt_type,
+    opt_isLocal) {
+  Blockly.WorkspaceSvg.superClass_.createVariable.call(this, name, opt_type,
+      opt_isLocal);
+  // Don't refresh the toolbox if there's a drag in progress.
+  if (this.toolbox_ && this.toolbox_.flyout_ && !Blockly.Flyout.startFlyout) {
+    this.toolbox_.refreshSelection();
+  }
+};
+
+/**
+ * Rename a broadcast message, and every block that sends or receives it.
+ * Update the flyout so that its blocks list the new name.
+ * @param {string} oldName The message to rename.
+ * @param {string} newName The message's new name.
+ * @override
  */
-Blockly.WorkspaceSvg.prototype.createVariable = function(name) {
-  Blockly.WorkspaceSvg.superClass_.createVariable.call(this, name);
+Blockly.WorkspaceSvg.prototype.renameBroadcastMessage = function(oldName,
+    newName) {
+  Blockly.WorkspaceSvg.superClass_.renameBroadcastMessage.call(this, oldName,
+      newName);
   // Don't refresh the toolbox if there's a drag in progress.
   if (this.toolbox_ && this.toolbox_.flyout_ && !Blockly.Flyout.startFlyout) {
     this.toolbox_.refreshSelection();
   }
 };
 
+/**
+ * Delete a broadcast message.  Update the flyout so that its blocks stop
+ * using the message.
+ * @param {string} name The message to delete.
+ * @override
+ */
+Blockly.WorkspaceSvg.prototype.deleteBroadcastMessage = function(name) {
+  Blockly.WorkspaceSvg.superClass_.deleteBroadcastMessage.call(this, name);
+  // Don't refresh the toolbox if there's a drag in progress.
+  if (this.toolbox_ && this.toolbox_.flyout_ && !Blockly.Flyout.startFlyout) {
+    this.toolbox_.refreshSelection();
+  }
+};
+
+/**
+ * Update the blocks that use an option of a dynamic menu after the host
+ * renamed it.  Update the flyout so that its blocks list the new name.
+ * @param {string} menuType The type of menu.
+ * @param {string} oldValue The option's old value.
+ * @param {string} newValue The option's new value.
+ * @override
+ */
+Blockly.WorkspaceSvg.prototype.renameMenuOption = function(menuType, oldValue,
+    newValue) {
+  Blockly.WorkspaceSvg.superClass_.renameMenuOption.call(this, menuType,
+      oldValue, newValue);
+  // Don't refresh the toolbox if there's a drag in progress.
+  if (this.toolbox_ && this.toolbox_.flyout_ && !Blockly.Flyout.startFlyout) {
+    this.toolbox_.refreshSelection();
+  }
+};
+
+/**
+ * Update the blocks that use an option of a dynamic menu after the host
+ * deleted it.  Update the flyout so that its blocks stop using the option.
+ * @param {string} menuType The type of menu.
+ * @param {string} value The deleted option's value.
+ * @override
+ */
+Blockly.WorkspaceSvg.prototype.deleteMenuOption = function(menuType, value) {
+  Blockly.WorkspaceSvg.superClass_.deleteMenuOption.call(this, menuType,
+      value);
+  // Don't refresh the toolbox if there's a drag in progress.
+  if (this.toolbox_ && this.toolbox_.flyout_ && !Blockly.Flyout.startFlyout) {
+    this.toolbox_.refreshSelection();
+  }
+};
+
+/**
+ * Create a comment on the workspace.  The comment's SVG is created and
+ * rendered by the caller, once the comment has been positioned.
+ * @param {string} content The comment's text.
+ * @param {number} width Width of the comment.
+ * @param {number} height Height of the comment.
+ * @param {string=} opt_id Optional ID.  Use this ID if provided, otherwise
+ *     create a new ID.
+ * @return {!Blockly.WorkspaceCommentSvg} The created comment.
+ * @override
+ */
+Blockly.WorkspaceSvg.prototype.newComment = function(content, width, height,
+    opt_id) {
+  return new Blockly.WorkspaceCommentSvg(this, content, width, height, opt_id);
+};
+
 /**
  * Make a list of all the delete areas for this workspace.
  */
@@ -1178,6 +1290,28 @@ Blockly.WorkspaceSvg.prototype.getBlocksBoundingBox = function() {
   };
 };
 
+/**
+ * Draw the blocks on the workspace as a standalone SVG image, cropped to
+ * getBlocksBoundingBox.
+ * @param {function(string)} callback Called with the SVG's text.
+ */
+Blockly.WorkspaceSvg.prototype.toSvg = function(callback) {
+  Blockly.ImageExport.toSvg(this.getTopBlocks(false),
+      this.getBlocksBoundingBox(), callback);
+};
+
+/**
+ * Draw the blocks on the workspace as a PNG image, cropped to
+ * getBlocksBoundingBox.
+ * @param {function(?string)} callback Called with a data URI of the PNG, or
+ *     null if there are no blocks or the browser can't draw them.
+ * @param {number=} opt_scale Pixels per workspace unit.  Defaults to 1.
+ */
+Blockly.WorkspaceSvg.prototype.toPng = function(callback, opt_scale) {
+  Blockly.ImageExport.toPng(this.getTopBlocks(false),
+      this.getBlocksBoundingBox(), callback, opt_scale);
+};
+
 /**
  * Clean up the workspace by ordering all the blocks in a column.
  */
@@ -1231,6 +1365,41 @@ Blockly.WorkspaceSvg.prototype.showContextMenu_ = function(e) {
     menuOptions.push(cleanOption);
   }
 
+  // Option to add a comment where the menu was opened.
+  var workspace = this;
+  var commentXY = Blockly.utils.mouseToSvg(e, this.getParentSvg(),
+      this.getInverseScreenCTM());
+  var commentOption = {
+    text: Blockly.Msg.ADD_COMMENT,
+    enabled: true,
+    callback: function() {
+      Blockly.Events.setGroup(true);
+      var comment = workspace.newComment('',
+          Blockly.WorkspaceComment.DEFAULT_WIDTH,
+          Blockly.WorkspaceComment.DEFAULT_HEIGHT);
+      // Convert from SVG units to workspace units.
+      var origin = Blockly.utils.getRelativeXY(workspace.getCanvas());
+      comment.moveBy((commentXY.x - origin.x) / workspace.scale,
+          (commentXY.y - origin.y) / workspace.scale);
+      comment.initSvg();
+      comment.render();
+      Blockly.Events.setGroup(false);
+    }
+  };
+  menuOptions.push(commentOption);
+
+  // Option to search for blocks.
+  if (this.scrollbar) {
+    var findOption = {
+      text: Blockly.Msg.FIND_BLOCKS,
+      enabled: topBlocks.length > 0,
+      callback: function() {
+        workspace.getBlockSearch().show();
+      }
+    };
+    menuOptions.push(findOption);
+  }
+
   // Add a little animation to collapsing and expanding.
   var DELAY = 10;
   if (this.options.collapse) {
@@ -1576,6 +1745,48 @@ Blockly.WorkspaceSvg.prototype.scrollCenter = function() {
   this.scrollbar.set(x, y);
 };
 
+/**
+ * Get the search bar for finding blocks in this workspace, creating it if
+ * needed.
+ * @return {!Blockly.BlockSearch} The block search.
+ */
+Blockly.WorkspaceSvg.prototype.getBlockSearch = function() {
+  if (!this.blockSearch_) {
+    this.blockSearch_ = new Blockly.BlockSearch(this);
+  }
+  return this.blockSearch_;
+};
+
+/**
+ * Scroll the workspace so that a block is in the middle of the view.
+ * @param {?string} id ID of the block to center on.
+ */
+Blockly.WorkspaceSvg.prototype.centerOnBlock = function(id) {
+  if (!this.scrollbar) {
+    // Can't scroll a non-scrolling workspace.
+    return;
+  }
+  var block = id ? this.getBlockById(id) : null;
+  if (!block) {
+    return;
+  }
+  Blockly.WidgetDiv.hide(true);
+  Blockly.DropDownDiv.hideWithoutAnimation();
+  Blockly.hideChaff(false);
+  // Center of the block, in workspace units.
+  var xy = block.getRelativeToSurfaceXY();
+  var heightWidth = block.getHeightWidth();
+  var blockCenterX = xy.x + (this.RTL ? -1 : 1) * heightWidth.width / 2;
+  var blockCenterY = xy.y + heightWidth.height / 2;
+  // Scroll the center of the block to the center of the view.
+  var metrics = this.getMetrics();
+  var x = blockCenterX * this.scale - metrics.contentLeft -
+      metrics.viewWidth / 2;
+  var y = blockCenterY * this.scale - metrics.contentTop -
+      metrics.viewHeight / 2;
+  this.scrollbar.set(x, y);
+};
+
 /**
  * Set the workspace's zoom factor.
  * @param {number} newScale Zoom factor.
@@ -1903,3 +2114,7 @@ Blockly.WorkspaceSvg.prototype.removeToolboxCategoryCallback = function(key) {
 // Export symbols that would otherwise be renamed by Closure compiler.
 Blockly.WorkspaceSvg.prototype['setVisible'] =
     Blockly.WorkspaceSvg.prototype.setVisible;
+Blockly.WorkspaceSvg.prototype['centerOnBlock'] =
+    Blockly.WorkspaceSvg.prototype.centerOnBlock;
+Blockly.WorkspaceSvg.prototype['getBlockSearch'] =
+    Blockly.WorkspaceSvg.prototype.getBlockSearch;
@@ -32,10 +32,63 @@ goog.provide('Blockly.Xml');
 
 goog.require('Blockly.Block');
 goog.require('Blockly.BlockSvg.render');
+goog.require('Blockly.constants');
 goog.require('goog.asserts');
 goog.require('goog.dom');
 goog.require('goog.userAgent');
 
+
+/**
+ * DOMParser constructor to use instead of the browser's, or null.
+ * @type {Function}
+ * @private
+ */
+Blockly.Xml.DOMParser_ = null;
+
+/**
+ * XMLSerializer constructor to use instead of the browser's, or null.
+ * @type {Function}
+ * @private
+ */
+Blockly.Xml.XMLSerializer_ = null;
+
+/**
+ * Document in which to create elements instead of the browser's, or null.
+ * @type {Document}
+ * @private
+ */
+Blockly.Xml.document_ = null;
+
+/**
+ * Use an XML implementation other than the browser's, for instance xmldom's
+ * when running under Node.  Pass null for both to go back to the browser's.
+ * @param {Function} domParser DOMParser constructor.
+ * @param {Function} xmlSerializer XMLSerializer constructor.
+ */
+Blockly.Xml.setParser = function(domParser, xmlSerializer) {
+  Blockly.Xml.DOMParser_ = domParser;
+  Blockly.Xml.XMLSerializer_ = xmlSerializer;
+  // Create elements in a document of the same implementation.
+  Blockly.Xml.document_ = domParser ?
+      new domParser().parseFromString('<xml/>', 'text/xml') : null;
+};
+
+/**
+ * Create an XML element.  Unlike goog.dom.createDom this works without a
+ * browser once Blockly.Xml.setParser has been called.
+ * @param {string} tagName The element's tag name.
+ * @param {?string=} opt_text Text content for the element.
+ * @return {!Element} The new element.
+ */
+Blockly.Xml.createElement = function(tagName, opt_text) {
+  var doc = Blockly.Xml.document_ || document;
+  var element = doc.createElement(tagName);
+  if (goog.isDefAndNotNull(opt_text)) {
+    element.appendChild(doc.createTextNode(opt_text));
+  }
+  return element;
+};
+
 /**
  * Encode a block tree as XML.
  * @param {!Blockly.Workspace} workspace The workspace containing blocks.
@@ -43,7 +96,17 @@ goog.require('goog.userAgent');
  * @return {!Element} XML document.
  */
 Blockly.Xml.workspaceToDom = function(workspace, opt_noId) {
-  var xml = goog.dom.createDom('xml');
+  // Broadcast messages are saved with the blocks that use them, so messages
+  // no block uses aren't saved.  They stay on the workspace until the host
+  // calls deleteUnusedBroadcastMessages.
+  var xml = Blockly.Xml.createElement('xml');
+  if (workspace.variableList.length) {
+    xml.appendChild(Blockly.Xml.variablesToDom(workspace));
+  }
+  var comments = workspace.getTopComments();
+  for (var i = 0, comment; comment = comments[i]; i++) {
+    xml.appendChild(Blockly.Xml.workspaceCommentToDom(comment, opt_noId));
+  }
   var blocks = workspace.getTopBlocks(true);
   for (var i = 0, block; block = blocks[i]; i++) {
     xml.appendChild(Blockly.Xml.blockToDomWithXY(block, opt_noId));
@@ -51,6 +114,50 @@ Blockly.Xml.workspaceToDom = function(workspace, opt_noId) {
   return xml;
 };
 
+/**
+ * Encode a workspace's variables as XML, including those no block uses.
+ * @param {!Blockly.Workspace} workspace The workspace containing variables.
+ * @return {!Element} A <variables> element with a <variable> element for
+ *     each variable: <variable type="list" islocal="true">name</variable>.
+ */
+Blockly.Xml.variablesToDom = function(workspace) {
+  var variables = Blockly.Xml.createElement('variables');
+  for (var i = 0, name; name = workspace.variableList[i]; i++) {
+    var model = workspace.getVariable(name);
+    var element = Blockly.Xml.createElement('variable', name);
+    element.setAttribute('type', model.type);
+    if (model.isLocal) {
+      element.setAttribute('islocal', 'true');
+    }
+    variables.appendChild(element);
+  }
+  return variables;
+};
+
+/**
+ * Encode a workspace comment as XML.
+ * @param {!Blockly.WorkspaceComment} comment The comment to encode.
+ * @param {boolean=} opt_noId True if the encoder should skip the comment id.
+ * @return {!Element} A <comment> element:
+ *     <comment id="..." x="10" y="20" w="200" h="200">text</comment>.
+ */
+Blockly.Xml.workspaceCommentToDom = function(comment, opt_noId) {
+  var element = Blockly.Xml.createElement('comment', comment.getText());
+  if (!opt_noId) {
+    element.setAttribute('id', comment.id);
+  }
+  var xy = comment.getXY();
+  element.setAttribute('x', Math.round(xy.x));
+  element.setAttribute('y', Math.round(xy.y));
+  var size = comment.getSize();
+  element.setAttribute('w', size.width);
+  element.setAttribute('h', size.height);
+  if (comment.isMinimized()) {
+    element.setAttribute('minimized', true);
+  }
+  return element;
+};
+
 /**
  * Encode a block subtree as XML with XY coordinates.
  * @param {!Blockly.Block} block The root block to encode.
@@ -77,7 +184,8 @@ Blockly.Xml.blockToDomWithXY = function(block, opt_noId) {
  * @return {!Element} Tree of XML elements.
  */
 Blockly.Xml.blockToDom = function(block, opt_noId) {
-  var element = goog.dom.createDom(block.isShadow() ? 'shadow' : 'block');
+  var element =
+      Blockly.Xml.createElement(block.isShadow() ? 'shadow' : 'block');
   element.setAttribute('type', block.type);
   if (!opt_noId) {
     element.setAttribute('id', block.id);
@@ -91,7 +199,7 @@ Blockly.Xml.blockToDom = function(block, opt_noId) {
   }
   function fieldToDom(field) {
     if (field.name && field.EDITABLE) {
-      var container = goog.dom.createDom('field', null, field.getValue());
+      var container = Blockly.Xml.createElement('field', field.getValue());
       container.setAttribute('name', field.name);
       element.appendChild(container);
     }
@@ -104,7 +212,7 @@ Blockly.Xml.blockToDom = function(block, opt_noId) {
 
   var commentText = block.getCommentText();
   if (commentText) {
-    var commentElement = goog.dom.createDom('comment', null, commentText);
+    var commentElement = Blockly.Xml.createElement('comment', commentText);
     if (typeof block.comment == 'object') {
       commentElement.setAttribute('pinned', block.comment.isVisible());
       var hw = block.comment.getBubbleSize();
@@ -115,7 +223,7 @@ Blockly.Xml.blockToDom = function(block, opt_noId) {
   }
 
   if (block.data) {
-    var dataElement = goog.dom.createDom('data', null, block.data);
+    var dataElement = Blockly.Xml.createElement('data', block.data);
     element.appendChild(dataElement);
   }
 
@@ -127,9 +235,9 @@ Blockly.Xml.blockToDom = function(block, opt_noId) {
     } else {
       var childBlock = input.connection.targetBlock();
       if (input.type == Blockly.INPUT_VALUE) {
-        container = goog.dom.createDom('value');
+        container = Blockly.Xml.createElement('value');
       } else if (input.type == Blockly.NEXT_STATEMENT) {
-        container = goog.dom.createDom('statement');
+        container = Blockly.Xml.createElement('statement');
       }
       var shadow = input.connection.getShadowDom();
       if (shadow && (!childBlock || !childBlock.isShadow())) {
@@ -166,8 +274,8 @@ Blockly.Xml.blockToDom = function(block, opt_noId) {
 
   var nextBlock = block.getNextBlock();
   if (nextBlock) {
-    var container = goog.dom.createDom('next', null,
-        Blockly.Xml.blockToDom(nextBlock, opt_noId));
+    var container = Blockly.Xml.createElement('next');
+    container.appendChild(Blockly.Xml.blockToDom(nextBlock, opt_noId));
     element.appendChild(container);
   }
   var shadow = block.nextConnection && block.nextConnection.getShadowDom();
@@ -222,7 +330,7 @@ Blockly.Xml.cloneShadow_ = function(shadow) {
  * @return {string} Text representation.
  */
 Blockly.Xml.domToText = function(dom) {
-  var oSerializer = new XMLSerializer();
+  var oSerializer = new (Blockly.Xml.XMLSerializer_ || XMLSerializer)();
   return oSerializer.serializeToString(dom);
 };
 
@@ -264,7 +372,7 @@ Blockly.Xml.domToPrettyText = function(dom) {
  * @return {!Element} A tree of XML elements.
  */
 Blockly.Xml.textToDom = function(text) {
-  var oParser = new DOMParser();
+  var oParser = new (Blockly.Xml.DOMParser_ || DOMParser)();
   var dom = oParser.parseFromString(text, 'text/xml');
   // The DOM should have one and only one top-level node, an XML tag.
   if (!dom || !dom.firstChild ||
@@ -327,6 +435,10 @@ Blockly.Xml.domToWorkspace = function(xml, workspace) {
       }
     } else if (name == 'shadow') {
       goog.asserts.fail('Shadow block cannot be a top-level block.');
+    } else if (name == 'variables') {
+      Blockly.Xml.domToVariables(xmlChild, workspace);
+    } else if (name == 'comment') {
+      Blockly.Xml.domToWorkspaceComment(xmlChild, workspace);
     }
   }
   if (!existingGroup) {
@@ -341,6 +453,109 @@ Blockly.Xml.domToWorkspace = function(xml, workspace) {
   }
 };
 
+/**
+ * Decode a <variables> element and create its variables on the workspace.
+ * Variables already on the workspace are kept, see Blockly.Xml.loadVariable.
+ * @param {!Element} xmlVariables The <variables> element.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ */
+Blockly.Xml.domToVariables = function(xmlVariables, workspace) {
+  for (var i = 0, xmlChild; xmlChild = xmlVariables.childNodes[i]; i++) {
+    if (xmlChild.nodeType != 1 ||
+        xmlChild.nodeName.toLowerCase() != 'variable' ||
+        !xmlChild.textContent) {
+      continue;
+    }
+    Blockly.Xml.loadVariable(xmlChild.textContent,
+        xmlChild.getAttribute('type') || Blockly.SCALAR_VARIABLE_TYPE,
+        xmlChild.getAttribute('islocal') == 'true', workspace);
+  }
+};
+
+/**
+ * Create a saved variable on the workspace.  A variable already on the
+ * workspace is kept: a global variable shadows a local one of the same name,
+ * and a variable keeps its existing type.
+ * @param {string} name The variable's name.
+ * @param {string} type The variable's type.
+ * @param {boolean} isLocal True if the variable belongs to one sprite.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ */
+Blockly.Xml.loadVariable = function(name, type, isLocal, workspace) {
+  var existing = workspace.getVariable(name);
+  if (!existing) {
+    workspace.createVariable(name, type, isLocal);
+    return;
+  }
+  if (existing.type != type) {
+    console.warn('Variable "' + name + '" is already a variable of type "' +
+        existing.type + '", ignoring type "' + type + '".');
+  }
+  if (isLocal && !existing.isLocal) {
+    console.warn('Local variable "' + name + '" conflicts with a global ' +
+        'variable, using the global variable.');
+  } else if (!isLocal) {
+    existing.isLocal = false;
+  }
+};
+
+/**
+ * Decode a top-level <comment> element and create the comment on the
+ * workspace.
+ * @param {!Element} xmlComment The <comment> element.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Blockly.WorkspaceComment} The comment created.
+ */
+Blockly.Xml.domToWorkspaceComment = function(xmlComment, workspace) {
+  var width = parseInt(xmlComment.getAttribute('w'), 10);
+  var height = parseInt(xmlComment.getAttribute('h'), 10);
+  Blockly.Events.disable();
+  try {
+    var comment = workspace.newComment(xmlComment.textContent,
+        isNaN(width) ? Blockly.WorkspaceComment.DEFAULT_WIDTH : width,
+        isNaN(height) ? Blockly.WorkspaceComment.DEFAULT_HEIGHT : height,
+        xmlComment.getAttribute('id'));
+    var x = parseInt(xmlComment.getAttribute('x'), 10);
+    var y = parseInt(xmlComment.getAttribute('y'), 10);
+    if (!isNaN(x) && !isNaN(y)) {
+      comment.moveBy(x, y);
+    }
+    comment.setMinimized(xmlComment.getAttribute('minimized') == 'true');
+    if (workspace.rendered) {
+      comment.initSvg();
+      comment.render();
+    }
+  } finally {
+    Blockly.Events.enable();
+  }
+  if (Blockly.Events.isEnabled()) {
+    Blockly.Events.fire(new Blockly.Events.CommentCreate(comment));
+  }
+  return comment;
+};
+
+/**
+ * Replace a sprite's blocks and local variables with another sprite's, read
+ * from XML.  Global variables are shared by all sprites, so they are kept
+ * even if none of the new blocks use them.
+ * @param {!Element} xml XML DOM of the new sprite's workspace.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ */
+Blockly.Xml.clearWorkspaceAndLoadFromXml = function(xml, workspace) {
+  var globals = [];
+  for (var i = 0, name; name = workspace.variableList[i]; i++) {
+    var model = workspace.getVariable(name);
+    if (!model.isLocal) {
+      globals.push(model);
+    }
+  }
+  workspace.clear();
+  for (var i = 0, model; model = globals[i]; i++) {
+    workspace.createVariable(model.name, model.type, false);
+  }
+  Blockly.Xml.domToWorkspace(xml, workspace);
+};
+
 /**
  * Decode an XML block tag and create a block (and possibly sub blocks) on the
  * workspace.
@@ -362,47 +577,7 @@ Blockly.Xml.domToBlock = function(xmlBlock, workspace) {
   Blockly.Events.disable();
   try {
     var topBlock = Blockly.Xml.domToBlockHeadless_(xmlBlock, workspace);
-    if (workspace.rendered) {
-      // Hide connections to speed up assembly.
-      topBlock.setConnectionsHidden(true);
-      // Generate list of all blocks.
-      var blocks = topBlock.getDescendants();
-      // Render each block.
-      for (var i = blocks.length - 1; i >= 0; i--) {
-        blocks[i].initSvg();
-      }
-      for (var i = blocks.length - 1; i >= 0; i--) {
-        blocks[i].render(false);
-      }
-      // Populating the connection database may be deferred until after the
-      // blocks have rendered.
-      if (!workspace.isFlyout) {
-        setTimeout(function() {
-          if (topBlock.workspace) {  // Check that the block hasn't been deleted.
-            topBlock.setConnectionsHidden(false);
-            // Force a render on IE and Edge to get around the issue described in
-            // Blockly.Field.getCachedWidth
-            if (goog.userAgent.IE || goog.userAgent.EDGE) {
-              topBlock.render();
-            }
-          }
-        }, 1);
-      } else {
-        setTimeout(function() {
-          if (topBlock.workspace) {  // Check that the block hasn't been deleted.
-            // Force a render on IE and Edge to get around the issue described in
-            // Blockly.Field.getCachedWidth
-            if (goog.userAgent.IE || goog.userAgent.EDGE) {
-              topBlock.render();
-            }
-          }
-        }, 1);
-      }
-      topBlock.updateDisabled();
-      // Allow the scrollbars to resize and move based on the new contents.
-      // TODO(@picklesrus): #387. Remove when domToBlock avoids resizing.
-      workspace.resizeContents();
-    }
+    Blockly.Xml.renderNewBlock(topBlock);
   } finally {
     Blockly.Events.enable();
   }
@@ -412,6 +587,56 @@ Blockly.Xml.domToBlock = function(xmlBlock, workspace) {
   return topBlock;
 };
 
+/**
+ * Render a block tree that was just created from a saved project, if its
+ * workspace is rendered.  Events should be disabled.
+ * @param {!Blockly.Block} topBlock The root block created.
+ */
+Blockly.Xml.renderNewBlock = function(topBlock) {
+  var workspace = topBlock.workspace;
+  if (workspace.rendered) {
+    // Hide connections to speed up assembly.
+    topBlock.setConnectionsHidden(true);
+    // Generate list of all blocks.
+    var blocks = topBlock.getDescendants();
+    // Render each block.
+    for (var i = blocks.length - 1; i >= 0; i--) {
+      blocks[i].initSvg();
+    }
+    for (var i = blocks.length - 1; i >= 0; i--) {
+      blocks[i].render(false);
+    }
+    // Populating the connection database may be deferred until after the
+    // blocks have rendered.
+    if (!workspace.isFlyout) {
+      setTimeout(function() {
+        if (topBlock.workspace) {  // Check that the block hasn't been deleted.
+          topBlock.setConnectionsHidden(false);
+          // Force a render on IE and Edge to get around the issue described in
+          // Blockly.Field.getCachedWidth
+          if (goog.userAgent.IE || goog.userAgent.EDGE) {
+            topBlock.render();
+          }
+        }
+      }, 1);
+    } else {
+      setTimeout(function() {
+        if (topBlock.workspace) {  // Check that the block hasn't been deleted.
+          // Force a render on IE and Edge to get around the issue described in
+          // Blockly.Field.getCachedWidth
+          if (goog.userAgent.IE || goog.userAgent.EDGE) {
+            topBlock.render();
+          }
+        }
+      }, 1);
+    }
+    topBlock.updateDisabled();
+    // Allow the scrollbars to resize and move based on the new contents.
+    // TODO(@picklesrus): #387. Remove when domToBlock avoids resizing.
+    workspace.resizeContents();
+  }
+};
+
 /**
  * Decode an XML block tag and create a block (and possibly sub blocks) on the
  * workspace.
@@ -509,6 +734,13 @@ Blockly.Xml.domToBlockHeadless_ = function(xmlBlock, workspace) {
           break;
         }
         if (childShadowNode) {
+          // Replace any shadow the block made for itself (e.g. while applying
+          // its mutation) with the saved one.
+          var oldShadow = input.connection.targetBlock();
+          if (oldShadow && oldShadow.isShadow()) {
+            input.connection.setShadowDom(null);
+            oldShadow.dispose();
+          }
           input.connection.setShadowDom(childShadowNode);
         }
         if (childBlockNode) {
@@ -66,6 +66,18 @@ Blockly.JavaScript.addReservedWords(
     'SVGPathSegList,SVGPathSeg,SVGPathSegArcAbs,SVGPathSegArcRel,SVGPathSegClosePath,SVGPathSegCurvetoCubicAbs,SVGPathSegCurvetoCubicRel,SVGPathSegCurvetoCubicSmoothAbs,SVGPathSegCurvetoCubicSmoothRel,SVGPathSegCurvetoQuadraticAbs,SVGPathSegCurvetoQuadraticRel,SVGPathSegCurvetoQuadraticSmoothAbs,SVGPathSegCurvetoQuadraticSmoothRel,SVGPathSegLinetoAbs,SVGPathSegLinetoHorizontalAbs,SVGPathSegLinetoHorizontalRel,SVGPathSegLinetoRel,SVGPathSegLinetoVerticalAbs,SVGPathSegLinetoVerticalRel,SVGPathSegMovetoAbs,SVGPathSegMovetoRel,ElementTimeControl,TimeEvent,SVGAnimatedPathData,' +
     'SVGAnimatedPoints,SVGColorProfileRule,SVGCSSRule,SVGExternalResourcesRequired,SVGFitToViewBox,SVGLangSpace,SVGLocatable,SVGRenderingIntent,SVGStylable,SVGTests,SVGTextContentElement,SVGTextPositioningElement,SVGTransformable,SVGUnitTypes,SVGURIReference,SVGViewSpec,SVGZoomAndPan');
 
+/**
+ * Name of the runtime interface object that generated code runs against.
+ * Every block that acts on the stage, a sprite or a sound is generated as a
+ * method call on this object, e.g. 'await runtime.moveSteps(10);'.  The host
+ * supplies the implementation when it evaluates the code:
+ * new Function(Blockly.JavaScript.RUNTIME_NAME, code)(myRuntime);
+ * @type {string}
+ */
+Blockly.JavaScript.RUNTIME_NAME = 'runtime';
+
+Blockly.JavaScript.addReservedWords(Blockly.JavaScript.RUNTIME_NAME);
+
 /**
  * Order of operation ENUMs.
  * https://developer.mozilla.org/en/JavaScript/Reference/Operators/Operator_Precedence
@@ -83,6 +95,7 @@ Blockly.JavaScript.ORDER_LOGICAL_NOT = 4.4;    // !
 Blockly.JavaScript.ORDER_TYPEOF = 4.5;         // typeof
 Blockly.JavaScript.ORDER_VOID = 4.6;           // void
 Blockly.JavaScript.ORDER_DELETE = 4.7;         // delete
+Blockly.JavaScript.ORDER_AWAIT = 4.8;          // await
 Blockly.JavaScript.ORDER_DIVISION = 5.1;       // /
 Blockly.JavaScript.ORDER_MULTIPLICATION = 5.2; // *
 Blockly.JavaScript.ORDER_MODULUS = 5.3;        // %
@@ -152,12 +165,15 @@ Blockly.JavaScript.init = function(workspace) {
     Blockly.JavaScript.variableDB_.reset();
   }
 
+  // Scratch variables start at zero and lists start empty.
   var defvars = [];
   var variables = workspace.variableList;
   if (variables.length) {
     for (var i = 0; i < variables.length; i++) {
+      var isList = workspace.getVariableType(variables[i]) ==
+          Blockly.LIST_VARIABLE_TYPE;
       defvars[i] = Blockly.JavaScript.variableDB_.getName(variables[i],
-          Blockly.Variables.NAME_TYPE);
+          Blockly.Variables.NAME_TYPE) + (isList ? ' = []' : ' = 0');
     }
     Blockly.JavaScript.definitions_['variables'] =
         'var ' + defvars.join(', ') + ';';
@@ -218,6 +234,10 @@ Blockly.JavaScript.quote_ = function(string) {
  * @protected
  */
 Blockly.JavaScript.scrub = function(block, code) {
+  if (block.previousConnection && !block.getParent()) {
+    // Scripts without a hat block never run, so they generate no code.
+    return '';
+  }
   var commentCode = '';
   // Only collect comments for blocks that aren't inline.
   if (!block.outputConnection || !block.outputConnection.targetConnection) {
@@ -248,11 +268,97 @@ Blockly.JavaScript.scrub = function(block, code) {
       }
     }
   }
+  if (Blockly.JavaScript.isHat(block)) {
+    // The hat's generator already used the rest of the stack as its body.
+    return commentCode + code;
+  }
   var nextBlock = block.nextConnection && block.nextConnection.targetBlock();
   var nextCode = Blockly.JavaScript.blockToCode(nextBlock);
   return commentCode + code + nextCode;
 };
 
+/**
+ * Is this block a hat, i.e. a block that starts a script?
+ * @param {!Blockly.Block} block The block to check.
+ * @return {boolean} True if nothing can be attached above the block.
+ */
+Blockly.JavaScript.isHat = function(block) {
+  return !block.previousConnection && !block.outputConnection;
+};
+
+/**
+ * Generate a call to a method of the runtime interface object.
+ * @param {string} method Name of the runtime method.
+ * @param {!Array.<string>} args Code for each argument.
+ * @return {string} JavaScript code, without any trailing semicolon.
+ */
+Blockly.JavaScript.runtimeCall = function(method, args) {
+  return Blockly.JavaScript.RUNTIME_NAME + '.' + method + '(' +
+      args.join(', ') + ')';
+};
+
+/**
+ * Generate the code for a hat block.  The script below the hat becomes an
+ * async handler that is registered with the runtime.
+ * @param {!Blockly.Block} block The hat block.
+ * @param {string} method Name of the runtime method registering the handler.
+ * @param {!Array.<string>} args Code for the arguments preceding the handler.
+ * @return {string} JavaScript code.
+ */
+Blockly.JavaScript.hatToCode = function(block, method, args) {
+  var branch = Blockly.JavaScript.blockToCode(block.getNextBlock());
+  if (branch) {
+    branch = Blockly.JavaScript.prefixLines(branch, Blockly.JavaScript.INDENT);
+  }
+  var handler = 'async function() {\n' + branch + '}';
+  return Blockly.JavaScript.runtimeCall(method, args.concat([handler])) +
+      ';\n';
+};
+
+/**
+ * Cast a value to a number the way Scratch does: anything that isn't a
+ * number counts as zero.
+ * @param {string} code Code for the value.
+ * @return {string} Code for the numeric value.
+ */
+Blockly.JavaScript.toNumber = function(code) {
+  if (Blockly.isNumber(code)) {
+    return code;
+  }
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'toNumber',
+      ['function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ +
+          '(value) {',
+       '  var n = Number(value);',
+       '  return isNaN(n) ? 0 : n;',
+       '}']);
+  return functionName + '(' + code + ')';
+};
+
+/**
+ * Compare two values the way Scratch does: numerically if both are numbers,
+ * otherwise as case-insensitive text.
+ * @param {string} code1 Code for the first value.
+ * @param {string} code2 Code for the second value.
+ * @return {string} Code for a negative number, zero or a positive number.
+ */
+Blockly.JavaScript.compare = function(code1, code2) {
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'compare',
+      ['function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ +
+          '(a, b) {',
+       '  var n1 = Number(a);',
+       '  var n2 = Number(b);',
+       '  if (a === \'\' || b === \'\' || isNaN(n1) || isNaN(n2)) {',
+       '    var s1 = String(a).toLowerCase();',
+       '    var s2 = String(b).toLowerCase();',
+       '    return s1 < s2 ? -1 : (s1 > s2 ? 1 : 0);',
+       '  }',
+       '  return n1 - n2;',
+       '}']);
+  return functionName + '(' + code1 + ', ' + code2 + ')';
+};
+
 /**
  * Gets a property and adjusts the value while taking into account indexing.
  * @param {!Blockly.Block} block The block.
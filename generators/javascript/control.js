@@ -0,0 +1,145 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for control blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.control');
+
+goog.require('Blockly.JavaScript');
+
+
+/**
+ * Generate the body of a loop.  Scratch lets other scripts run after every
+ * pass through a loop, so the body ends by yielding to the runtime.
+ * @param {!Blockly.Block} block The loop block.
+ * @param {?string} name Name of the statement input holding the body, or null
+ *     for a loop without one.
+ * @return {string} Indented JavaScript code for the loop body.
+ * @private
+ */
+Blockly.JavaScript.control.loopBranch_ = function(block, name) {
+  var branch = name ? Blockly.JavaScript.statementToCode(block, name) : '';
+  branch = Blockly.JavaScript.addLoopTrap(branch, block.id);
+  return branch + Blockly.JavaScript.INDENT + 'await ' +
+      Blockly.JavaScript.runtimeCall('yield', []) + ';\n';
+};
+
+Blockly.JavaScript['control_forever'] = function(block) {
+  var branch = Blockly.JavaScript.control.loopBranch_(block, 'SUBSTACK');
+  return 'while (true) {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_repeat'] = function(block) {
+  var repeats = Blockly.JavaScript.valueToCode(block, 'TIMES',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var branch = Blockly.JavaScript.control.loopBranch_(block, 'SUBSTACK');
+  var code = '';
+  var loopVar = Blockly.JavaScript.variableDB_.getDistinctName(
+      'count', Blockly.Variables.NAME_TYPE);
+  var endVar = repeats;
+  if (Blockly.isNumber(repeats)) {
+    endVar = String(Math.round(parseFloat(repeats)));
+  } else {
+    endVar = Blockly.JavaScript.variableDB_.getDistinctName(
+        'repeat_end', Blockly.Variables.NAME_TYPE);
+    code += 'var ' + endVar + ' = Math.round(' +
+        Blockly.JavaScript.toNumber(repeats) + ');\n';
+  }
+  code += 'for (var ' + loopVar + ' = 0; ' +
+      loopVar + ' < ' + endVar + '; ' +
+      loopVar + '++) {\n' +
+      branch + '}\n';
+  return code;
+};
+
+Blockly.JavaScript['control_if'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_NONE) || 'false';
+  var branch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK');
+  return 'if (' + condition + ') {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_if_else'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_NONE) || 'false';
+  var branch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK');
+  var elseBranch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK2');
+  return 'if (' + condition + ') {\n' + branch + '} else {\n' +
+      elseBranch + '}\n';
+};
+
+Blockly.JavaScript['control_stop'] = function(block) {
+  switch (block.getFieldValue('STOP_OPTION')) {
+    case 'all':
+      return 'await ' + Blockly.JavaScript.runtimeCall('stopAll', []) +
+          ';\nreturn;\n';
+    case 'this script':
+      return 'return;\n';
+    case 'other scripts in sprite':
+      return 'await ' +
+          Blockly.JavaScript.runtimeCall('stopOtherScripts', []) + ';\n';
+  }
+  throw 'Unknown stop option.';
+};
+
+Blockly.JavaScript['control_wait'] = function(block) {
+  var duration = Blockly.JavaScript.valueToCode(block, 'DURATION',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('wait', [duration]) +
+      ';\n';
+};
+
+Blockly.JavaScript['control_wait_until'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_LOGICAL_NOT) || 'false';
+  var branch = Blockly.JavaScript.control.loopBranch_(block, null);
+  return 'while (!' + condition + ') {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_repeat_until'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_LOGICAL_NOT) || 'false';
+  var branch = Blockly.JavaScript.control.loopBranch_(block, 'SUBSTACK');
+  return 'while (!' + condition + ') {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_start_as_clone'] = function(block) {
+  return Blockly.JavaScript.hatToCode(block, 'whenStartAsClone', []);
+};
+
+Blockly.JavaScript['control_create_clone_of_menu'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('CLONE_OPTION'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['control_create_clone_of'] = function(block) {
+  var target = Blockly.JavaScript.valueToCode(block, 'CLONE_OPTION',
+      Blockly.JavaScript.ORDER_NONE) || '\'_myself_\'';
+  return 'await ' + Blockly.JavaScript.runtimeCall('createCloneOf', [target]) +
+      ';\n';
+};
+
+Blockly.JavaScript['control_delete_this_clone'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('deleteThisClone', []) +
+      ';\nreturn;\n';
+};
@@ -0,0 +1,262 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for data blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.data');
+
+goog.require('Blockly.JavaScript');
+
+
+/**
+ * Find the generated name of the variable chosen in a block's VARIABLE menu.
+ * @param {!Blockly.Block} block The block with a VARIABLE input.
+ * @return {?string} The variable's name in the generated code, or null if no
+ *     variable is chosen.
+ * @private
+ */
+Blockly.JavaScript.data.variableName_ = function(block) {
+  var menu = block.getInputTargetBlock('VARIABLE');
+  var name = menu && menu.getFieldValue('VARIABLE');
+  if (!name) {
+    return null;
+  }
+  return Blockly.JavaScript.variableDB_.getName(name,
+      Blockly.Variables.NAME_TYPE);
+};
+
+/**
+ * Find the generated name of the list chosen in a block's LIST field.
+ * @param {!Blockly.Block} block The block with a LIST field.
+ * @return {string} The list's name in the generated code.
+ * @private
+ */
+Blockly.JavaScript.data.listName_ = function(block) {
+  return Blockly.JavaScript.variableDB_.getName(block.getFieldValue('LIST'),
+      Blockly.Variables.NAME_TYPE);
+};
+
+/**
+ * Provide the function converting a Scratch list index (counted from one, or
+ * 'last' or 'random') to a JavaScript array index.
+ * @return {string} Name of the generated function.  It returns -1 for an
+ *     index outside the list.
+ * @private
+ */
+Blockly.JavaScript.data.listIndex_ = function() {
+  return Blockly.JavaScript.provideFunction_(
+      'listIndex',
+      ['function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ +
+          '(index, length) {',
+       '  if (index == \'last\') {',
+       '    return length - 1;',
+       '  }',
+       '  if (index == \'random\') {',
+       '    return length ? Math.floor(Math.random() * length) : -1;',
+       '  }',
+       '  var i = Math.floor(Number(index)) - 1;',
+       '  return (i >= 0 && i < length) ? i : -1;',
+       '}']);
+};
+
+Blockly.JavaScript['data_variablemenu'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('VARIABLE'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['data_variable'] = function(block) {
+  var code = Blockly.JavaScript.variableDB_.getName(
+      block.getFieldValue('VARIABLE'), Blockly.Variables.NAME_TYPE);
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['data_setvariableto'] = function(block) {
+  var varName = Blockly.JavaScript.data.variableName_(block);
+  if (!varName) {
+    return '';
+  }
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_ASSIGNMENT) || '0';
+  return varName + ' = ' + value + ';\n';
+};
+
+Blockly.JavaScript['data_changevariableby'] = function(block) {
+  var varName = Blockly.JavaScript.data.variableName_(block);
+  if (!varName) {
+    return '';
+  }
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_ADDITION) || '0';
+  return varName + ' = ' + Blockly.JavaScript.toNumber(varName) + ' + ' +
+      Blockly.JavaScript.toNumber(value) + ';\n';
+};
+
+Blockly.JavaScript['data_showvariable'] = function(block) {
+  var name = Blockly.JavaScript.valueToCode(block, 'VARIABLE',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'await ' + Blockly.JavaScript.runtimeCall('showVariable', [name]) +
+      ';\n';
+};
+
+Blockly.JavaScript['data_hidevariable'] = function(block) {
+  var name = Blockly.JavaScript.valueToCode(block, 'VARIABLE',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'await ' + Blockly.JavaScript.runtimeCall('hideVariable', [name]) +
+      ';\n';
+};
+
+Blockly.JavaScript['data_listcontents'] = function(block) {
+  var list = Blockly.JavaScript.data.listName_(block);
+  return [list + '.join(\' \')', Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['data_listindexall'] = function(block) {
+  var index = block.getFieldValue('INDEX');
+  if (Blockly.isNumber(index)) {
+    return [String(parseFloat(index)), Blockly.JavaScript.ORDER_ATOMIC];
+  }
+  return [Blockly.JavaScript.quote_(index), Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['data_listindexrandom'] =
+    Blockly.JavaScript['data_listindexall'];
+
+Blockly.JavaScript['data_addtolist'] = function(block) {
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var list = Blockly.JavaScript.data.listName_(block);
+  return list + '.push(' + item + ');\n';
+};
+
+Blockly.JavaScript['data_deleteoflist'] = function(block) {
+  var index = Blockly.JavaScript.valueToCode(block, 'INDEX',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  var list = Blockly.JavaScript.data.listName_(block);
+  var listIndex = Blockly.JavaScript.data.listIndex_();
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'listDelete',
+      ['function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ +
+          '(list, index) {',
+       '  if (index == \'all\') {',
+       '    list.length = 0;',
+       '    return;',
+       '  }',
+       '  var i = ' + listIndex + '(index, list.length);',
+       '  if (i != -1) {',
+       '    list.splice(i, 1);',
+       '  }',
+       '}']);
+  return functionName + '(' + list + ', ' + index + ');\n';
+};
+
+Blockly.JavaScript['data_insertatlist'] = function(block) {
+  // An item may also be inserted just after the last one.
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var index = Blockly.JavaScript.valueToCode(block, 'INDEX',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  var list = Blockly.JavaScript.data.listName_(block);
+  var listIndex = Blockly.JavaScript.data.listIndex_();
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'listInsert',
+      ['function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ +
+          '(list, index, item) {',
+       '  var i = ' + listIndex + '(index, list.length + 1);',
+       '  if (i != -1) {',
+       '    list.splice(i, 0, item);',
+       '  }',
+       '}']);
+  return functionName + '(' + list + ', ' + index + ', ' + item + ');\n';
+};
+
+Blockly.JavaScript['data_replaceitemoflist'] = function(block) {
+  var index = Blockly.JavaScript.valueToCode(block, 'INDEX',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var list = Blockly.JavaScript.data.listName_(block);
+  var listIndex = Blockly.JavaScript.data.listIndex_();
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'listReplace',
+      ['function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ +
+          '(list, index, item) {',
+       '  var i = ' + listIndex + '(index, list.length);',
+       '  if (i != -1) {',
+       '    list[i] = item;',
+       '  }',
+       '}']);
+  return functionName + '(' + list + ', ' + index + ', ' + item + ');\n';
+};
+
+Blockly.JavaScript['data_itemoflist'] = function(block) {
+  var index = Blockly.JavaScript.valueToCode(block, 'INDEX',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  var list = Blockly.JavaScript.data.listName_(block);
+  var listIndex = Blockly.JavaScript.data.listIndex_();
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'listItem',
+      ['function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ +
+          '(list, index) {',
+       '  var i = ' + listIndex + '(index, list.length);',
+       '  return i == -1 ? \'\' : list[i];',
+       '}']);
+  var code = functionName + '(' + list + ', ' + index + ')';
+  return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['data_lengthoflist'] = function(block) {
+  var list = Blockly.JavaScript.data.listName_(block);
+  return [list + '.length', Blockly.JavaScript.ORDER_MEMBER];
+};
+
+Blockly.JavaScript['data_listcontainsitem'] = function(block) {
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var list = Blockly.JavaScript.data.listName_(block);
+  var compare = Blockly.JavaScript.compare('list[i]', 'item');
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'listContains',
+      ['function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ +
+          '(list, item) {',
+       '  for (var i = 0; i < list.length; i++) {',
+       '    if (' + compare + ' == 0) {',
+       '      return true;',
+       '    }',
+       '  }',
+       '  return false;',
+       '}']);
+  var code = functionName + '(' + list + ', ' + item + ')';
+  return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['data_showlist'] = function(block) {
+  var name = Blockly.JavaScript.quote_(block.getFieldValue('LIST'));
+  return 'await ' + Blockly.JavaScript.runtimeCall('showList', [name]) +
+      ';\n';
+};
+
+Blockly.JavaScript['data_hidelist'] = function(block) {
+  var name = Blockly.JavaScript.quote_(block.getFieldValue('LIST'));
+  return 'await ' + Blockly.JavaScript.runtimeCall('hideList', [name]) +
+      ';\n';
+};
@@ -0,0 +1,87 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for event blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.event');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['event_whenflagclicked'] = function(block) {
+  return Blockly.JavaScript.hatToCode(block, 'whenFlagClicked', []);
+};
+
+Blockly.JavaScript['event_whenthisspriteclicked'] = function(block) {
+  return Blockly.JavaScript.hatToCode(block, 'whenThisSpriteClicked', []);
+};
+
+Blockly.JavaScript['event_whenbroadcastreceived'] = function(block) {
+  var message =
+      Blockly.JavaScript.quote_(block.getFieldValue('BROADCAST_OPTION'));
+  return Blockly.JavaScript.hatToCode(block, 'whenBroadcastReceived',
+      [message]);
+};
+
+Blockly.JavaScript['event_whenbackdropswitchesto'] = function(block) {
+  var backdrop = Blockly.JavaScript.quote_(block.getFieldValue('BACKDROP'));
+  return Blockly.JavaScript.hatToCode(block, 'whenBackdropSwitchesTo',
+      [backdrop]);
+};
+
+Blockly.JavaScript['event_whengreaterthan'] = function(block) {
+  // The threshold is passed as a function so the runtime can re-evaluate it
+  // each time it checks the sensor.
+  var menu =
+      Blockly.JavaScript.quote_(block.getFieldValue('WHENGREATERTHANMENU'));
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var threshold = 'async function() {\n' +
+      Blockly.JavaScript.INDENT + 'return ' + value + ';\n}';
+  return Blockly.JavaScript.hatToCode(block, 'whenGreaterThan',
+      [menu, threshold]);
+};
+
+Blockly.JavaScript['event_whenkeypressed'] = function(block) {
+  var key = Blockly.JavaScript.quote_(block.getFieldValue('KEY_OPTION'));
+  return Blockly.JavaScript.hatToCode(block, 'whenKeyPressed', [key]);
+};
+
+Blockly.JavaScript['event_broadcast_menu'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('BROADCAST_OPTION'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['event_broadcast'] = function(block) {
+  var message = Blockly.JavaScript.valueToCode(block, 'BROADCAST_OPTION',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'await ' + Blockly.JavaScript.runtimeCall('broadcast', [message]) +
+      ';\n';
+};
+
+Blockly.JavaScript['event_broadcastandwait'] = function(block) {
+  var message = Blockly.JavaScript.valueToCode(block, 'BROADCAST_OPTION',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('broadcastAndWait', [message]) + ';\n';
+};
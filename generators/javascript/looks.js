@@ -0,0 +1,174 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for looks blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.looks');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['looks_sayforsecs'] = function(block) {
+  var message = Blockly.JavaScript.valueToCode(block, 'MESSAGE',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var secs = Blockly.JavaScript.valueToCode(block, 'SECS',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('sayForSecs', [message, secs]) + ';\n';
+};
+
+Blockly.JavaScript['looks_say'] = function(block) {
+  var message = Blockly.JavaScript.valueToCode(block, 'MESSAGE',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'await ' + Blockly.JavaScript.runtimeCall('say', [message]) + ';\n';
+};
+
+Blockly.JavaScript['looks_thinkforsecs'] = function(block) {
+  var message = Blockly.JavaScript.valueToCode(block, 'MESSAGE',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var secs = Blockly.JavaScript.valueToCode(block, 'SECS',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('thinkForSecs', [message, secs]) + ';\n';
+};
+
+Blockly.JavaScript['looks_think'] = function(block) {
+  var message = Blockly.JavaScript.valueToCode(block, 'MESSAGE',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'await ' + Blockly.JavaScript.runtimeCall('think', [message]) + ';\n';
+};
+
+Blockly.JavaScript['looks_show'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('show', []) + ';\n';
+};
+
+Blockly.JavaScript['looks_hide'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('hide', []) + ';\n';
+};
+
+Blockly.JavaScript['looks_changeeffectby'] = function(block) {
+  var effect = Blockly.JavaScript.quote_(block.getFieldValue('EFFECT'));
+  var change = Blockly.JavaScript.valueToCode(block, 'CHANGE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('changeEffectBy', [effect, change]) +
+      ';\n';
+};
+
+Blockly.JavaScript['looks_seteffectto'] = function(block) {
+  var effect = Blockly.JavaScript.quote_(block.getFieldValue('EFFECT'));
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('setEffectTo', [effect, value]) + ';\n';
+};
+
+Blockly.JavaScript['looks_cleargraphiceffects'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('clearGraphicEffects', []) +
+      ';\n';
+};
+
+Blockly.JavaScript['looks_changesizeby'] = function(block) {
+  var change = Blockly.JavaScript.valueToCode(block, 'CHANGE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('changeSizeBy', [change]) +
+      ';\n';
+};
+
+Blockly.JavaScript['looks_setsizeto'] = function(block) {
+  var size = Blockly.JavaScript.valueToCode(block, 'SIZE',
+      Blockly.JavaScript.ORDER_NONE) || '100';
+  return 'await ' + Blockly.JavaScript.runtimeCall('setSizeTo', [size]) +
+      ';\n';
+};
+
+Blockly.JavaScript['looks_size'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('size', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['looks_costume'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('COSTUME'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['looks_switchcostumeto'] = function(block) {
+  var costume = Blockly.JavaScript.valueToCode(block, 'COSTUME',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('switchCostumeTo', [costume]) + ';\n';
+};
+
+Blockly.JavaScript['looks_nextcostume'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('nextCostume', []) + ';\n';
+};
+
+Blockly.JavaScript['looks_switchbackdropto'] = function(block) {
+  var backdrop = Blockly.JavaScript.valueToCode(block, 'BACKDROP',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('switchBackdropTo', [backdrop]) + ';\n';
+};
+
+Blockly.JavaScript['looks_backdrops'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('BACKDROP'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['looks_gotofront'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('goToFront', []) + ';\n';
+};
+
+Blockly.JavaScript['looks_gobacklayers'] = function(block) {
+  var num = Blockly.JavaScript.valueToCode(block, 'NUM',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  return 'await ' + Blockly.JavaScript.runtimeCall('goBackLayers', [num]) +
+      ';\n';
+};
+
+Blockly.JavaScript['looks_backdropname'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('backdropName', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['looks_costumeorder'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('costumeNumber', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['looks_backdroporder'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('backdropNumber', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['looks_switchbackdroptoandwait'] = function(block) {
+  var backdrop = Blockly.JavaScript.valueToCode(block, 'BACKDROP',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('switchBackdropToAndWait', [backdrop]) +
+      ';\n';
+};
+
+Blockly.JavaScript['looks_nextbackdrop'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('nextBackdrop', []) + ';\n';
+};
@@ -0,0 +1,149 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for motion blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.motion');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['motion_movesteps'] = function(block) {
+  var steps = Blockly.JavaScript.valueToCode(block, 'STEPS',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('moveSteps', [steps]) +
+      ';\n';
+};
+
+Blockly.JavaScript['motion_turnright'] = function(block) {
+  var degrees = Blockly.JavaScript.valueToCode(block, 'DEGREES',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('turnRight', [degrees]) +
+      ';\n';
+};
+
+Blockly.JavaScript['motion_turnleft'] = function(block) {
+  var degrees = Blockly.JavaScript.valueToCode(block, 'DEGREES',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('turnLeft', [degrees]) +
+      ';\n';
+};
+
+Blockly.JavaScript['motion_pointindirection'] = function(block) {
+  var direction = Blockly.JavaScript.valueToCode(block, 'DIRECTION',
+      Blockly.JavaScript.ORDER_NONE) || '90';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('pointInDirection', [direction]) + ';\n';
+};
+
+Blockly.JavaScript['motion_pointtowards_menu'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('TOWARDS'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['motion_pointtowards'] = function(block) {
+  var towards = Blockly.JavaScript.valueToCode(block, 'TOWARDS',
+      Blockly.JavaScript.ORDER_NONE) || '\'_mouse_\'';
+  return 'await ' + Blockly.JavaScript.runtimeCall('pointTowards', [towards]) +
+      ';\n';
+};
+
+Blockly.JavaScript['motion_goto_menu'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('TO'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['motion_gotoxy'] = function(block) {
+  var x = Blockly.JavaScript.valueToCode(block, 'X',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var y = Blockly.JavaScript.valueToCode(block, 'Y',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('goToXY', [x, y]) + ';\n';
+};
+
+Blockly.JavaScript['motion_goto'] = function(block) {
+  var to = Blockly.JavaScript.valueToCode(block, 'TO',
+      Blockly.JavaScript.ORDER_NONE) || '\'_random_\'';
+  return 'await ' + Blockly.JavaScript.runtimeCall('goTo', [to]) + ';\n';
+};
+
+Blockly.JavaScript['motion_glidesecstoxy'] = function(block) {
+  var secs = Blockly.JavaScript.valueToCode(block, 'SECS',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var x = Blockly.JavaScript.valueToCode(block, 'X',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var y = Blockly.JavaScript.valueToCode(block, 'Y',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('glideSecsToXY', [secs, x, y]) + ';\n';
+};
+
+Blockly.JavaScript['motion_changexby'] = function(block) {
+  var dx = Blockly.JavaScript.valueToCode(block, 'DX',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('changeXBy', [dx]) + ';\n';
+};
+
+Blockly.JavaScript['motion_setx'] = function(block) {
+  var x = Blockly.JavaScript.valueToCode(block, 'X',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('setX', [x]) + ';\n';
+};
+
+Blockly.JavaScript['motion_changeyby'] = function(block) {
+  var dy = Blockly.JavaScript.valueToCode(block, 'DY',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('changeYBy', [dy]) + ';\n';
+};
+
+Blockly.JavaScript['motion_sety'] = function(block) {
+  var y = Blockly.JavaScript.valueToCode(block, 'Y',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('setY', [y]) + ';\n';
+};
+
+Blockly.JavaScript['motion_ifonedgebounce'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('ifOnEdgeBounce', []) +
+      ';\n';
+};
+
+Blockly.JavaScript['motion_setrotationstyle'] = function(block) {
+  var style = Blockly.JavaScript.quote_(block.getFieldValue('STYLE'));
+  return 'await ' + Blockly.JavaScript.runtimeCall('setRotationStyle', [style]) +
+      ';\n';
+};
+
+Blockly.JavaScript['motion_xposition'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('xPosition', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['motion_yposition'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('yPosition', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['motion_direction'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('direction', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
@@ -0,0 +1,251 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for operators blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.operators');
+
+goog.require('Blockly.JavaScript');
+
+
+/**
+ * Generate code for a block combining two numeric inputs with an operator.
+ * @param {!Blockly.Block} block The operator block.
+ * @param {string} operator The JavaScript operator.
+ * @param {number} order Precedence of the operator.
+ * @return {!Array} JavaScript code and its operator order.
+ * @private
+ */
+Blockly.JavaScript.operators.arithmetic_ = function(block, operator, order) {
+  var argument0 = Blockly.JavaScript.toNumber(Blockly.JavaScript.valueToCode(
+      block, 'NUM1', order) || '0');
+  var argument1 = Blockly.JavaScript.toNumber(Blockly.JavaScript.valueToCode(
+      block, 'NUM2', order) || '0');
+  return [argument0 + operator + argument1, order];
+};
+
+Blockly.JavaScript['operator_add'] = function(block) {
+  return Blockly.JavaScript.operators.arithmetic_(block, ' + ',
+      Blockly.JavaScript.ORDER_ADDITION);
+};
+
+Blockly.JavaScript['operator_subtract'] = function(block) {
+  return Blockly.JavaScript.operators.arithmetic_(block, ' - ',
+      Blockly.JavaScript.ORDER_SUBTRACTION);
+};
+
+Blockly.JavaScript['operator_multiply'] = function(block) {
+  return Blockly.JavaScript.operators.arithmetic_(block, ' * ',
+      Blockly.JavaScript.ORDER_MULTIPLICATION);
+};
+
+Blockly.JavaScript['operator_divide'] = function(block) {
+  return Blockly.JavaScript.operators.arithmetic_(block, ' / ',
+      Blockly.JavaScript.ORDER_DIVISION);
+};
+
+Blockly.JavaScript['operator_random'] = function(block) {
+  // Two whole numbers pick a whole number, otherwise any number in between.
+  var from = Blockly.JavaScript.valueToCode(block, 'FROM',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var to = Blockly.JavaScript.valueToCode(block, 'TO',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'randomBetween',
+      ['function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ +
+          '(from, to) {',
+       '  var low = Math.min(from, to);',
+       '  var high = Math.max(from, to);',
+       '  if (low % 1 == 0 && high % 1 == 0) {',
+       '    return low + Math.floor(Math.random() * (high - low + 1));',
+       '  }',
+       '  return low + Math.random() * (high - low);',
+       '}']);
+  var code = functionName + '(' + Blockly.JavaScript.toNumber(from) + ', ' +
+      Blockly.JavaScript.toNumber(to) + ')';
+  return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+/**
+ * Generate code for a block comparing its two operands.
+ * @param {!Blockly.Block} block The comparison block.
+ * @param {string} operator The JavaScript operator to compare against zero.
+ * @return {!Array} JavaScript code and its operator order.
+ * @private
+ */
+Blockly.JavaScript.operators.compare_ = function(block, operator) {
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'OPERAND1',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var argument1 = Blockly.JavaScript.valueToCode(block, 'OPERAND2',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var code = Blockly.JavaScript.compare(argument0, argument1) + operator + '0';
+  var order = operator == ' == ' ? Blockly.JavaScript.ORDER_EQUALITY :
+      Blockly.JavaScript.ORDER_RELATIONAL;
+  return [code, order];
+};
+
+Blockly.JavaScript['operator_lt'] = function(block) {
+  return Blockly.JavaScript.operators.compare_(block, ' < ');
+};
+
+Blockly.JavaScript['operator_equals'] = function(block) {
+  return Blockly.JavaScript.operators.compare_(block, ' == ');
+};
+
+Blockly.JavaScript['operator_gt'] = function(block) {
+  return Blockly.JavaScript.operators.compare_(block, ' > ');
+};
+
+Blockly.JavaScript['operator_and'] = function(block) {
+  var order = Blockly.JavaScript.ORDER_LOGICAL_AND;
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'OPERAND1', order) ||
+      'false';
+  var argument1 = Blockly.JavaScript.valueToCode(block, 'OPERAND2', order) ||
+      'false';
+  return [argument0 + ' && ' + argument1, order];
+};
+
+Blockly.JavaScript['operator_or'] = function(block) {
+  var order = Blockly.JavaScript.ORDER_LOGICAL_OR;
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'OPERAND1', order) ||
+      'false';
+  var argument1 = Blockly.JavaScript.valueToCode(block, 'OPERAND2', order) ||
+      'false';
+  return [argument0 + ' || ' + argument1, order];
+};
+
+Blockly.JavaScript['operator_not'] = function(block) {
+  var order = Blockly.JavaScript.ORDER_LOGICAL_NOT;
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'OPERAND', order) ||
+      'false';
+  return ['!' + argument0, order];
+};
+
+Blockly.JavaScript['operator_join'] = function(block) {
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'STRING1',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var argument1 = Blockly.JavaScript.valueToCode(block, 'STRING2',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var code = 'String(' + argument0 + ') + String(' + argument1 + ')';
+  return [code, Blockly.JavaScript.ORDER_ADDITION];
+};
+
+Blockly.JavaScript['operator_letter_of'] = function(block) {
+  // Letters are counted from one.
+  var letter = Blockly.JavaScript.valueToCode(block, 'LETTER',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  var text = Blockly.JavaScript.valueToCode(block, 'STRING',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var code = 'String(' + text + ').charAt(' +
+      Blockly.JavaScript.toNumber(letter) + ' - 1)';
+  return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['operator_length'] = function(block) {
+  var text = Blockly.JavaScript.valueToCode(block, 'STRING',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return ['String(' + text + ').length', Blockly.JavaScript.ORDER_MEMBER];
+};
+
+Blockly.JavaScript['operator_mod'] = function(block) {
+  // Scratch's modulo takes the sign of the divisor.
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'NUM1',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var argument1 = Blockly.JavaScript.valueToCode(block, 'NUM2',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var functionName = Blockly.JavaScript.provideFunction_(
+      'mod',
+      ['function ' + Blockly.JavaScript.FUNCTION_NAME_PLACEHOLDER_ +
+          '(n, modulus) {',
+       '  var result = n % modulus;',
+       '  if (result / modulus < 0) {',
+       '    result += modulus;',
+       '  }',
+       '  return result;',
+       '}']);
+  var code = functionName + '(' + Blockly.JavaScript.toNumber(argument0) +
+      ', ' + Blockly.JavaScript.toNumber(argument1) + ')';
+  return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['operator_round'] = function(block) {
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'NUM',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var code = 'Math.round(' + Blockly.JavaScript.toNumber(argument0) + ')';
+  return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['operator_mathop'] = function(block) {
+  // Scratch's trigonometry works in degrees.
+  var operator = block.getFieldValue('OPERATOR');
+  var arg = Blockly.JavaScript.toNumber(Blockly.JavaScript.valueToCode(block,
+      'NUM', Blockly.JavaScript.ORDER_NONE) || '0');
+  var code;
+  switch (operator) {
+    case 'abs':
+      code = 'Math.abs(' + arg + ')';
+      break;
+    case 'floor':
+      code = 'Math.floor(' + arg + ')';
+      break;
+    case 'ceiling':
+      code = 'Math.ceil(' + arg + ')';
+      break;
+    case 'sqrt':
+      code = 'Math.sqrt(' + arg + ')';
+      break;
+    case 'sin':
+      code = 'Math.sin(' + arg + ' / 180 * Math.PI)';
+      break;
+    case 'cos':
+      code = 'Math.cos(' + arg + ' / 180 * Math.PI)';
+      break;
+    case 'tan':
+      code = 'Math.tan(' + arg + ' / 180 * Math.PI)';
+      break;
+    case 'asin':
+      return ['Math.asin(' + arg + ') / Math.PI * 180',
+          Blockly.JavaScript.ORDER_MULTIPLICATION];
+    case 'acos':
+      return ['Math.acos(' + arg + ') / Math.PI * 180',
+          Blockly.JavaScript.ORDER_MULTIPLICATION];
+    case 'atan':
+      return ['Math.atan(' + arg + ') / Math.PI * 180',
+          Blockly.JavaScript.ORDER_MULTIPLICATION];
+    case 'ln':
+      code = 'Math.log(' + arg + ')';
+      break;
+    case 'log':
+      return ['Math.log(' + arg + ') / Math.LN10',
+          Blockly.JavaScript.ORDER_DIVISION];
+    case 'e ^':
+      code = 'Math.exp(' + arg + ')';
+      break;
+    case '10 ^':
+      code = 'Math.pow(10, ' + arg + ')';
+      break;
+    default:
+      throw 'Unknown math operator: ' + operator;
+  }
+  return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
@@ -0,0 +1,94 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for pen blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.pen');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['pen_clear'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('clearPen', []) + ';\n';
+};
+
+Blockly.JavaScript['pen_stamp'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('stamp', []) + ';\n';
+};
+
+Blockly.JavaScript['pen_pendown'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('penDown', []) + ';\n';
+};
+
+Blockly.JavaScript['pen_penup'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('penUp', []) + ';\n';
+};
+
+Blockly.JavaScript['pen_setpencolortocolor'] = function(block) {
+  var colour = Blockly.JavaScript.valueToCode(block, 'COLOR',
+      Blockly.JavaScript.ORDER_NONE) || '\'#000000\'';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('setPenColorToColor', [colour]) + ';\n';
+};
+
+Blockly.JavaScript['pen_changepencolorby'] = function(block) {
+  var colour = Blockly.JavaScript.valueToCode(block, 'COLOR',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('changePenColorBy', [colour]) + ';\n';
+};
+
+Blockly.JavaScript['pen_setpencolortonum'] = function(block) {
+  var colour = Blockly.JavaScript.valueToCode(block, 'COLOR',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('setPenColorToNum', [colour]) + ';\n';
+};
+
+Blockly.JavaScript['pen_changepenshadeby'] = function(block) {
+  var shade = Blockly.JavaScript.valueToCode(block, 'SHADE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('changePenShadeBy', [shade]) + ';\n';
+};
+
+Blockly.JavaScript['pen_setpenshadeto'] = function(block) {
+  var shade = Blockly.JavaScript.valueToCode(block, 'SHADE',
+      Blockly.JavaScript.ORDER_NONE) || '50';
+  return 'await ' + Blockly.JavaScript.runtimeCall('setPenShadeTo', [shade]) +
+      ';\n';
+};
+
+Blockly.JavaScript['pen_changepensizeby'] = function(block) {
+  var size = Blockly.JavaScript.valueToCode(block, 'SIZE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('changePenSizeBy', [size]) +
+      ';\n';
+};
+
+Blockly.JavaScript['pen_setpensizeto'] = function(block) {
+  var size = Blockly.JavaScript.valueToCode(block, 'SIZE',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  return 'await ' + Blockly.JavaScript.runtimeCall('setPenSizeTo', [size]) +
+      ';\n';
+};
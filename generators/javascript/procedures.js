@@ -0,0 +1,72 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for procedures blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.procedures');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['procedures_defnoreturn'] = function(block) {
+  // Define a procedure as an async function.  The script below the
+  // definition is the function's body.
+  var funcName = Blockly.JavaScript.variableDB_.getName(block._procCode,
+      Blockly.Procedures.NAME_TYPE);
+  var branch = Blockly.JavaScript.blockToCode(block.getNextBlock());
+  if (branch) {
+    branch = Blockly.JavaScript.prefixLines(branch, Blockly.JavaScript.INDENT);
+  }
+  var args = [];
+  for (var i = 0; i < block._argumentNames.length; i++) {
+    args[i] = Blockly.JavaScript.variableDB_.getName(block._argumentNames[i],
+        Blockly.Variables.NAME_TYPE);
+  }
+  var code = 'async function ' + funcName + '(' + args.join(', ') + ') {\n' +
+      branch + '}';
+  code = Blockly.JavaScript.scrub(block, code);
+  // Add % so as not to collide with helper functions in definitions list.
+  Blockly.JavaScript.definitions_['%' + funcName] = code;
+  return null;
+};
+
+Blockly.JavaScript['procedures_callnoreturn'] = function(block) {
+  // Call a procedure with no return value.
+  var funcName = Blockly.JavaScript.variableDB_.getName(block._procCode,
+      Blockly.Procedures.NAME_TYPE);
+  var args = [];
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    if (input.type == Blockly.INPUT_VALUE) {
+      args.push(Blockly.JavaScript.valueToCode(block, input.name,
+          Blockly.JavaScript.ORDER_NONE) || '\'\'');
+    }
+  }
+  return 'await ' + funcName + '(' + args.join(', ') + ');\n';
+};
+
+Blockly.JavaScript['procedures_param'] = function(block) {
+  // A procedure's argument, inside the procedure's definition.
+  var code = Blockly.JavaScript.variableDB_.getName(block._paramName,
+      Blockly.Variables.NAME_TYPE);
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
@@ -0,0 +1,208 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for sensing blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.sensing');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['sensing_touchingobject'] = function(block) {
+  var object = Blockly.JavaScript.valueToCode(block, 'TOUCHINGOBJECTMENU',
+      Blockly.JavaScript.ORDER_NONE) || '\'_mouse_\'';
+  var code = 'await ' +
+      Blockly.JavaScript.runtimeCall('touchingObject', [object]);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_touchingobjectmenu'] = function(block) {
+  var code =
+      Blockly.JavaScript.quote_(block.getFieldValue('TOUCHINGOBJECTMENU'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sensing_touchingcolor'] = function(block) {
+  var colour = Blockly.JavaScript.valueToCode(block, 'COLOR',
+      Blockly.JavaScript.ORDER_NONE) || '\'#000000\'';
+  var code = 'await ' +
+      Blockly.JavaScript.runtimeCall('touchingColor', [colour]);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_coloristouchingcolor'] = function(block) {
+  var colour = Blockly.JavaScript.valueToCode(block, 'COLOR',
+      Blockly.JavaScript.ORDER_NONE) || '\'#000000\'';
+  var colour2 = Blockly.JavaScript.valueToCode(block, 'COLOR2',
+      Blockly.JavaScript.ORDER_NONE) || '\'#000000\'';
+  var code = 'await ' +
+      Blockly.JavaScript.runtimeCall('colorIsTouchingColor', [colour, colour2]);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_distanceto'] = function(block) {
+  var object = Blockly.JavaScript.valueToCode(block, 'DISTANCETOMENU',
+      Blockly.JavaScript.ORDER_NONE) || '\'_mouse_\'';
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('distanceTo', [object]);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_distancetomenu'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('DISTANCETOMENU'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sensing_askandwait'] = function(block) {
+  var question = Blockly.JavaScript.valueToCode(block, 'QUESTION',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'await ' + Blockly.JavaScript.runtimeCall('askAndWait', [question]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sensing_answer'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('answer', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_keypressed'] = function(block) {
+  var key = Blockly.JavaScript.valueToCode(block, 'KEY_OPTION',
+      Blockly.JavaScript.ORDER_NONE) || '\'space\'';
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('keyPressed', [key]);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_keyoptions'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('KEY_OPTION'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sensing_mousedown'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('mouseDown', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_mousex'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('mouseX', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_mousey'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('mouseY', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_loudness'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('loudness', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_videoon'] = function(block) {
+  var attribute = Blockly.JavaScript.valueToCode(block, 'VIDEOONMENU1',
+      Blockly.JavaScript.ORDER_NONE) || '\'MOTION\'';
+  var subject = Blockly.JavaScript.valueToCode(block, 'VIDEOONMENU2',
+      Blockly.JavaScript.ORDER_NONE) || '\'STAGE\'';
+  var code = 'await ' +
+      Blockly.JavaScript.runtimeCall('videoOn', [attribute, subject]);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_videoonmenuone'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('VIDEOONMENU1'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sensing_videoonmenutwo'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('VIDEOONMENU2'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sensing_videotoggle'] = function(block) {
+  var state = Blockly.JavaScript.valueToCode(block, 'VIDEOTOGGLEMENU',
+      Blockly.JavaScript.ORDER_NONE) || '\'ON\'';
+  return 'await ' + Blockly.JavaScript.runtimeCall('videoToggle', [state]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sensing_videotogglemenu'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('VIDEOTOGGLEMENU'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sensing_setvideotransparency'] = function(block) {
+  var transparency = Blockly.JavaScript.valueToCode(block, 'TRANSPARENCY',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('setVideoTransparency', [transparency]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sensing_timer'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('timer', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_resettimer'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('resetTimer', []) + ';\n';
+};
+
+Blockly.JavaScript['sensing_of_property_menu'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('PROPERTY'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sensing_of_object_menu'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('OBJECT'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sensing_of'] = function(block) {
+  var property = Blockly.JavaScript.valueToCode(block, 'PROPERTY',
+      Blockly.JavaScript.ORDER_NONE) || '\'x position\'';
+  var object = Blockly.JavaScript.valueToCode(block, 'OBJECT',
+      Blockly.JavaScript.ORDER_NONE) || '\'_stage_\'';
+  var code = 'await ' +
+      Blockly.JavaScript.runtimeCall('propertyOf', [property, object]);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_current'] = function(block) {
+  var unit = Blockly.JavaScript.valueToCode(block, 'CURRENTMENU',
+      Blockly.JavaScript.ORDER_NONE) || '\'YEAR\'';
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('current', [unit]);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_currentmenu'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('CURRENTMENU'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sensing_dayssince2000'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('daysSince2000', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sensing_username'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('username', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
@@ -0,0 +1,158 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for sound blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.sound');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['sound_sounds_menu'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('SOUND_MENU'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sound_play'] = function(block) {
+  var sound = Blockly.JavaScript.valueToCode(block, 'SOUND_MENU',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'await ' + Blockly.JavaScript.runtimeCall('playSound', [sound]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_playuntildone'] = function(block) {
+  var sound = Blockly.JavaScript.valueToCode(block, 'SOUND_MENU',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('playSoundUntilDone', [sound]) + ';\n';
+};
+
+Blockly.JavaScript['sound_stopallsounds'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('stopAllSounds', []) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_drums_menu'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('DRUM'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sound_playdrumforbeats'] = function(block) {
+  var drum = Blockly.JavaScript.valueToCode(block, 'DRUM',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  var beats = Blockly.JavaScript.valueToCode(block, 'BEATS',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('playDrumForBeats', [drum, beats]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_restforbeats'] = function(block) {
+  var beats = Blockly.JavaScript.valueToCode(block, 'BEATS',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('restForBeats', [beats]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_playnoteforbeats'] = function(block) {
+  var note = Blockly.JavaScript.valueToCode(block, 'NOTE',
+      Blockly.JavaScript.ORDER_NONE) || '60';
+  var beats = Blockly.JavaScript.valueToCode(block, 'BEATS',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('playNoteForBeats', [note, beats]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_seteffectto'] = function(block) {
+  var effect = Blockly.JavaScript.quote_(block.getFieldValue('EFFECT'));
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('setSoundEffectTo', [effect, value]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_changeeffectby'] = function(block) {
+  var effect = Blockly.JavaScript.quote_(block.getFieldValue('EFFECT'));
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('changeSoundEffectBy', [effect, value]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_cleareffects'] = function() {
+  return 'await ' + Blockly.JavaScript.runtimeCall('clearSoundEffects', []) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_instruments_menu'] = function(block) {
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('INSTRUMENT'));
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['sound_setinstrumentto'] = function(block) {
+  var instrument = Blockly.JavaScript.valueToCode(block, 'INSTRUMENT',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('setInstrumentTo', [instrument]) + ';\n';
+};
+
+Blockly.JavaScript['sound_changevolumeby'] = function(block) {
+  var volume = Blockly.JavaScript.valueToCode(block, 'VOLUME',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('changeVolumeBy', [volume]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_setvolumeto'] = function(block) {
+  var volume = Blockly.JavaScript.valueToCode(block, 'VOLUME',
+      Blockly.JavaScript.ORDER_NONE) || '100';
+  return 'await ' + Blockly.JavaScript.runtimeCall('setVolumeTo', [volume]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_volume'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('volume', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
+
+Blockly.JavaScript['sound_changetempoby'] = function(block) {
+  var tempo = Blockly.JavaScript.valueToCode(block, 'TEMPO',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' + Blockly.JavaScript.runtimeCall('changeTempoBy', [tempo]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_settempotobpm'] = function(block) {
+  var tempo = Blockly.JavaScript.valueToCode(block, 'TEMPO',
+      Blockly.JavaScript.ORDER_NONE) || '60';
+  return 'await ' + Blockly.JavaScript.runtimeCall('setTempoTo', [tempo]) +
+      ';\n';
+};
+
+Blockly.JavaScript['sound_tempo'] = function() {
+  var code = 'await ' + Blockly.JavaScript.runtimeCall('tempo', []);
+  return [code, Blockly.JavaScript.ORDER_AWAIT];
+};
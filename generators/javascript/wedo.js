@@ -0,0 +1,81 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for WeDo blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.wedo');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['wedo_setcolor'] = function(block) {
+  var colour = Blockly.JavaScript.valueToCode(block, 'CHOICE',
+      Blockly.JavaScript.ORDER_NONE) || '\'mystery\'';
+  return 'await ' + Blockly.JavaScript.runtimeCall('wedoSetColor', [colour]) +
+      ';\n';
+};
+
+Blockly.JavaScript['wedo_motorclockwise'] = function(block) {
+  var duration = Blockly.JavaScript.valueToCode(block, 'DURATION',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('wedoMotorClockwise', [duration]) + ';\n';
+};
+
+Blockly.JavaScript['wedo_motorcounterclockwise'] = function(block) {
+  var duration = Blockly.JavaScript.valueToCode(block, 'DURATION',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return 'await ' +
+      Blockly.JavaScript.runtimeCall('wedoMotorCounterClockwise', [duration]) +
+      ';\n';
+};
+
+Blockly.JavaScript['wedo_motorspeed'] = function(block) {
+  var speed = Blockly.JavaScript.valueToCode(block, 'CHOICE',
+      Blockly.JavaScript.ORDER_NONE) || '\'slow\'';
+  return 'await ' + Blockly.JavaScript.runtimeCall('wedoMotorSpeed', [speed]) +
+      ';\n';
+};
+
+Blockly.JavaScript['wedo_whentilt'] = function(block) {
+  var direction = Blockly.JavaScript.valueToCode(block, 'CHOICE',
+      Blockly.JavaScript.ORDER_NONE) || '\'any\'';
+  return Blockly.JavaScript.hatToCode(block, 'whenWedoTilted', [direction]);
+};
+
+Blockly.JavaScript['wedo_whendistanceclose'] = function(block) {
+  return Blockly.JavaScript.hatToCode(block, 'whenWedoDistanceClose', []);
+};
+
+Blockly.JavaScript['dropdown_wedo_setcolor'] = function(block) {
+  // Icon menus whose first item is a placeholder, like the tilt menu, start
+  // with no value.
+  var code = Blockly.JavaScript.quote_(block.getFieldValue('CHOICE') || '');
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['dropdown_wedo_motorspeed'] =
+    Blockly.JavaScript['dropdown_wedo_setcolor'];
+
+Blockly.JavaScript['dropdown_wedo_whentilt'] =
+    Blockly.JavaScript['dropdown_wedo_setcolor'];
@@ -84,6 +84,27 @@ Blockly.Python.addReservedWords(
     'sum,super,tuple,type,unichr,unicode,vars,xrange,zip'
 );
 
+/**
+ * Name of the runtime interface object that generated code runs against.
+ * Every block that acts on the stage, a sprite or a sound is generated as a
+ * method call on this object, e.g. 'runtime.move_steps(10)'.
+ * @type {string}
+ */
+Blockly.Python.RUNTIME_NAME = 'runtime';
+
+/**
+ * Name of the event dispatcher that scripts are registered with.  Each hat
+ * block becomes a function decorated with one of its methods, e.g.
+ * '@events.when_flag_clicked()'.  The host supplies both objects when it
+ * runs the code:
+ * exec(code, {'runtime': my_runtime, 'events': my_dispatcher})
+ * @type {string}
+ */
+Blockly.Python.EVENTS_NAME = 'events';
+
+Blockly.Python.addReservedWords(
+    Blockly.Python.RUNTIME_NAME + ',' + Blockly.Python.EVENTS_NAME);
+
 /**
  * Order of operation ENUMs.
  * http://docs.python.org/reference/expressions.html#summary
@@ -160,11 +181,14 @@ Blockly.Python.init = function(workspace) {
     Blockly.Python.variableDB_.reset();
   }
 
+  // Scratch variables start at zero and lists start empty.
   var defvars = [];
   var variables = workspace.variableList;
   for (var i = 0; i < variables.length; i++) {
+    var isList = workspace.getVariableType(variables[i]) ==
+        Blockly.LIST_VARIABLE_TYPE;
     defvars[i] = Blockly.Python.variableDB_.getName(variables[i],
-        Blockly.Variables.NAME_TYPE) + ' = None';
+        Blockly.Variables.NAME_TYPE) + (isList ? ' = []' : ' = 0');
   }
   Blockly.Python.definitions_['variables'] = defvars.join('\n');
 };
@@ -238,6 +262,10 @@ Blockly.Python.quote_ = function(string) {
  * @protected
  */
 Blockly.Python.scrub = function(block, code) {
+  if (block.previousConnection && !block.getParent()) {
+    // Scripts without a hat block never run, so they generate no code.
+    return '';
+  }
   var commentCode = '';
   // Only collect comments for blocks that aren't inline.
   if (!block.outputConnection || !block.outputConnection.targetConnection) {
@@ -266,11 +294,119 @@ Blockly.Python.scrub = function(block, code) {
       }
     }
   }
+  if (Blockly.Python.isHat(block)) {
+    // The hat's generator already used the rest of the stack as its body.
+    return commentCode + code;
+  }
   var nextBlock = block.nextConnection && block.nextConnection.targetBlock();
   var nextCode = Blockly.Python.blockToCode(nextBlock);
   return commentCode + code + nextCode;
 };
 
+/**
+ * Is this block a hat, i.e. a block that starts a script?
+ * @param {!Blockly.Block} block The block to check.
+ * @return {boolean} True if nothing can be attached above the block.
+ */
+Blockly.Python.isHat = function(block) {
+  return !block.previousConnection && !block.outputConnection;
+};
+
+/**
+ * Generate a call to a method of the runtime interface object.
+ * @param {string} method Name of the runtime method.
+ * @param {!Array.<string>} args Code for each argument.
+ * @return {string} Python code.
+ */
+Blockly.Python.runtimeCall = function(method, args) {
+  return Blockly.Python.RUNTIME_NAME + '.' + method + '(' +
+      args.join(', ') + ')';
+};
+
+/**
+ * Generate the 'global' statement a function needs to assign to the
+ * workspace's variables.
+ * @param {!Blockly.Workspace} workspace The workspace owning the variables.
+ * @param {Array.<string>=} opt_exclude Names that are local to the function.
+ * @return {string} Python code, or '' if there are no variables.
+ */
+Blockly.Python.globalsToCode = function(workspace, opt_exclude) {
+  var exclude = opt_exclude || [];
+  var globals = [];
+  var variables = workspace.variableList;
+  for (var i = 0; i < variables.length; i++) {
+    if (exclude.indexOf(variables[i]) == -1) {
+      globals.push(Blockly.Python.variableDB_.getName(variables[i],
+          Blockly.Variables.NAME_TYPE));
+    }
+  }
+  return globals.length ? 'global ' + globals.join(', ') + '\n' : '';
+};
+
+/**
+ * Generate the code for a hat block.  The script below the hat becomes a
+ * function that is registered with the event dispatcher by a decorator, e.g.
+ * '@events.when_flag_clicked()'.
+ * @param {!Blockly.Block} block The hat block.
+ * @param {string} event Name of the dispatcher's registration method.
+ * @param {!Array.<string>} args Code for the registration method's arguments.
+ * @return {string} Python code.
+ */
+Blockly.Python.hatToCode = function(block, event, args) {
+  var funcName = Blockly.Python.variableDB_.getDistinctName(event,
+      Blockly.Procedures.NAME_TYPE);
+  var branch = Blockly.Python.globalsToCode(block.workspace) +
+      Blockly.Python.blockToCode(block.getNextBlock());
+  branch = branch ?
+      Blockly.Python.prefixLines(branch, Blockly.Python.INDENT) :
+      Blockly.Python.PASS;
+  return '@' + Blockly.Python.EVENTS_NAME + '.' + event + '(' +
+      args.join(', ') + ')\n' +
+      'def ' + funcName + '():\n' + branch;
+};
+
+/**
+ * Cast a value to a number the way Scratch does: anything that isn't a
+ * number counts as zero.
+ * @param {string} code Code for the value.
+ * @return {string} Code for the numeric value.
+ */
+Blockly.Python.toNumber = function(code) {
+  if (Blockly.isNumber(code)) {
+    return code;
+  }
+  var functionName = Blockly.Python.provideFunction_(
+      'to_number',
+      ['def ' + Blockly.Python.FUNCTION_NAME_PLACEHOLDER_ + '(value):',
+       '  try:',
+       '    n = float(value)',
+       '  except (TypeError, ValueError):',
+       '    return 0',
+       '  return int(n) if n.is_integer() else n']);
+  return functionName + '(' + code + ')';
+};
+
+/**
+ * Compare two values the way Scratch does: numerically if both are numbers,
+ * otherwise as case-insensitive text.
+ * @param {string} code1 Code for the first value.
+ * @param {string} code2 Code for the second value.
+ * @return {string} Code for a negative number, zero or a positive number.
+ */
+Blockly.Python.compare = function(code1, code2) {
+  var functionName = Blockly.Python.provideFunction_(
+      'compare',
+      ['def ' + Blockly.Python.FUNCTION_NAME_PLACEHOLDER_ + '(a, b):',
+       '  try:',
+       '    n1 = float(a)',
+       '    n2 = float(b)',
+       '  except (TypeError, ValueError):',
+       '    n1 = str(a).lower()',
+       '    n2 = str(b).lower()',
+       '  return (n1 > n2) - (n1 < n2)']);
+  return functionName + '(' + code1 + ', ' + code2 + ')';
+};
+
 /**
  * Gets a property and adjusts the value, taking into account indexing, and
  * casts to an integer.
@@ -0,0 +1,133 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for control blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.control');
+
+goog.require('Blockly.Python');
+
+
+/**
+ * Generate the body of a loop.  Scratch lets other scripts run after every
+ * pass through a loop, so the body ends by waiting for the next frame.
+ * @param {!Blockly.Block} block The loop block.
+ * @param {?string} name Name of the statement input holding the body, or null
+ *     for a loop without one.
+ * @return {string} Indented Python code for the loop body.
+ * @private
+ */
+Blockly.Python.control.loopBranch_ = function(block, name) {
+  var branch = name ? Blockly.Python.statementToCode(block, name) : '';
+  branch = Blockly.Python.addLoopTrap(branch, block.id);
+  return branch + Blockly.Python.INDENT +
+      Blockly.Python.runtimeCall('next_frame', []) + '\n';
+};
+
+Blockly.Python['control_forever'] = function(block) {
+  var branch = Blockly.Python.control.loopBranch_(block, 'SUBSTACK');
+  return 'while True:\n' + branch;
+};
+
+Blockly.Python['control_repeat'] = function(block) {
+  var repeats = Blockly.Python.valueToCode(block, 'TIMES',
+      Blockly.Python.ORDER_NONE) || '0';
+  if (Blockly.isNumber(repeats)) {
+    repeats = String(Math.round(parseFloat(repeats)));
+  } else {
+    repeats = 'round(' + Blockly.Python.toNumber(repeats) + ')';
+  }
+  var branch = Blockly.Python.control.loopBranch_(block, 'SUBSTACK');
+  var loopVar = Blockly.Python.variableDB_.getDistinctName(
+      'count', Blockly.Variables.NAME_TYPE);
+  return 'for ' + loopVar + ' in range(' + repeats + '):\n' + branch;
+};
+
+Blockly.Python['control_if'] = function(block) {
+  var condition = Blockly.Python.valueToCode(block, 'CONDITION',
+      Blockly.Python.ORDER_NONE) || 'False';
+  var branch = Blockly.Python.statementToCode(block, 'SUBSTACK') ||
+      Blockly.Python.PASS;
+  return 'if ' + condition + ':\n' + branch;
+};
+
+Blockly.Python['control_if_else'] = function(block) {
+  var condition = Blockly.Python.valueToCode(block, 'CONDITION',
+      Blockly.Python.ORDER_NONE) || 'False';
+  var branch = Blockly.Python.statementToCode(block, 'SUBSTACK') ||
+      Blockly.Python.PASS;
+  var elseBranch = Blockly.Python.statementToCode(block, 'SUBSTACK2') ||
+      Blockly.Python.PASS;
+  return 'if ' + condition + ':\n' + branch + 'else:\n' + elseBranch;
+};
+
+Blockly.Python['control_stop'] = function(block) {
+  switch (block.getFieldValue('STOP_OPTION')) {
+    case 'all':
+      return Blockly.Python.runtimeCall('stop_all', []) + '\nreturn\n';
+    case 'this script':
+      return 'return\n';
+    case 'other scripts in sprite':
+      return Blockly.Python.runtimeCall('stop_other_scripts', []) + '\n';
+  }
+  throw 'Unknown stop option.';
+};
+
+Blockly.Python['control_wait'] = function(block) {
+  var duration = Blockly.Python.valueToCode(block, 'DURATION',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('wait', [duration]) + '\n';
+};
+
+Blockly.Python['control_wait_until'] = function(block) {
+  var condition = Blockly.Python.valueToCode(block, 'CONDITION',
+      Blockly.Python.ORDER_LOGICAL_NOT) || 'False';
+  var branch = Blockly.Python.control.loopBranch_(block, null);
+  return 'while not ' + condition + ':\n' + branch;
+};
+
+Blockly.Python['control_repeat_until'] = function(block) {
+  var condition = Blockly.Python.valueToCode(block, 'CONDITION',
+      Blockly.Python.ORDER_LOGICAL_NOT) || 'False';
+  var branch = Blockly.Python.control.loopBranch_(block, 'SUBSTACK');
+  return 'while not ' + condition + ':\n' + branch;
+};
+
+Blockly.Python['control_start_as_clone'] = function(block) {
+  return Blockly.Python.hatToCode(block, 'when_start_as_clone', []);
+};
+
+Blockly.Python['control_create_clone_of_menu'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('CLONE_OPTION'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['control_create_clone_of'] = function(block) {
+  var target = Blockly.Python.valueToCode(block, 'CLONE_OPTION',
+      Blockly.Python.ORDER_NONE) || '\'_myself_\'';
+  return Blockly.Python.runtimeCall('create_clone_of', [target]) + '\n';
+};
+
+Blockly.Python['control_delete_this_clone'] = function() {
+  return Blockly.Python.runtimeCall('delete_this_clone', []) + '\nreturn\n';
+};
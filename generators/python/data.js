@@ -0,0 +1,242 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for data blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.data');
+
+goog.require('Blockly.Python');
+
+
+/**
+ * Find the generated name of the variable chosen in a block's VARIABLE menu.
+ * @param {!Blockly.Block} block The block with a VARIABLE input.
+ * @return {?string} The variable's name in the generated code, or null if no
+ *     variable is chosen.
+ * @private
+ */
+Blockly.Python.data.variableName_ = function(block) {
+  var menu = block.getInputTargetBlock('VARIABLE');
+  var name = menu && menu.getFieldValue('VARIABLE');
+  if (!name) {
+    return null;
+  }
+  return Blockly.Python.variableDB_.getName(name,
+      Blockly.Variables.NAME_TYPE);
+};
+
+/**
+ * Find the generated name of the list chosen in a block's LIST field.
+ * @param {!Blockly.Block} block The block with a LIST field.
+ * @return {string} The list's name in the generated code.
+ * @private
+ */
+Blockly.Python.data.listName_ = function(block) {
+  return Blockly.Python.variableDB_.getName(block.getFieldValue('LIST'),
+      Blockly.Variables.NAME_TYPE);
+};
+
+/**
+ * Provide the function converting a Scratch list index (counted from one, or
+ * 'last' or 'random') to a Python list index.
+ * @return {string} Name of the generated function.  It returns -1 for an
+ *     index outside the list.
+ * @private
+ */
+Blockly.Python.data.listIndex_ = function() {
+  Blockly.Python.definitions_['import_random'] = 'import random';
+  return Blockly.Python.provideFunction_(
+      'list_index',
+      ['def ' + Blockly.Python.FUNCTION_NAME_PLACEHOLDER_ +
+          '(index, length):',
+       '  if index == \'last\':',
+       '    return length - 1',
+       '  if index == \'random\':',
+       '    return random.randrange(length) if length else -1',
+       '  try:',
+       '    i = int(float(index)) - 1',
+       '  except (TypeError, ValueError):',
+       '    return -1',
+       '  return i if 0 <= i < length else -1']);
+};
+
+Blockly.Python['data_variablemenu'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('VARIABLE'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['data_variable'] = function(block) {
+  var code = Blockly.Python.variableDB_.getName(
+      block.getFieldValue('VARIABLE'), Blockly.Variables.NAME_TYPE);
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['data_setvariableto'] = function(block) {
+  var varName = Blockly.Python.data.variableName_(block);
+  if (!varName) {
+    return '';
+  }
+  var value = Blockly.Python.valueToCode(block, 'VALUE',
+      Blockly.Python.ORDER_NONE) || '0';
+  return varName + ' = ' + value + '\n';
+};
+
+Blockly.Python['data_changevariableby'] = function(block) {
+  var varName = Blockly.Python.data.variableName_(block);
+  if (!varName) {
+    return '';
+  }
+  var value = Blockly.Python.valueToCode(block, 'VALUE',
+      Blockly.Python.ORDER_NONE) || '0';
+  return varName + ' = ' + Blockly.Python.toNumber(varName) + ' + ' +
+      Blockly.Python.toNumber(value) + '\n';
+};
+
+Blockly.Python['data_showvariable'] = function(block) {
+  var name = Blockly.Python.valueToCode(block, 'VARIABLE',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return Blockly.Python.runtimeCall('show_variable', [name]) + '\n';
+};
+
+Blockly.Python['data_hidevariable'] = function(block) {
+  var name = Blockly.Python.valueToCode(block, 'VARIABLE',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return Blockly.Python.runtimeCall('hide_variable', [name]) + '\n';
+};
+
+Blockly.Python['data_listcontents'] = function(block) {
+  var list = Blockly.Python.data.listName_(block);
+  return ['\' \'.join(map(str, ' + list + '))',
+      Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['data_listindexall'] = function(block) {
+  var index = block.getFieldValue('INDEX');
+  if (Blockly.isNumber(index)) {
+    return [String(parseFloat(index)), Blockly.Python.ORDER_ATOMIC];
+  }
+  return [Blockly.Python.quote_(index), Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['data_listindexrandom'] = Blockly.Python['data_listindexall'];
+
+Blockly.Python['data_addtolist'] = function(block) {
+  var item = Blockly.Python.valueToCode(block, 'ITEM',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  var list = Blockly.Python.data.listName_(block);
+  return list + '.append(' + item + ')\n';
+};
+
+Blockly.Python['data_deleteoflist'] = function(block) {
+  var index = Blockly.Python.valueToCode(block, 'INDEX',
+      Blockly.Python.ORDER_NONE) || '1';
+  var list = Blockly.Python.data.listName_(block);
+  var listIndex = Blockly.Python.data.listIndex_();
+  var functionName = Blockly.Python.provideFunction_(
+      'list_delete',
+      ['def ' + Blockly.Python.FUNCTION_NAME_PLACEHOLDER_ + '(items, index):',
+       '  if index == \'all\':',
+       '    del items[:]',
+       '    return',
+       '  i = ' + listIndex + '(index, len(items))',
+       '  if i != -1:',
+       '    del items[i]']);
+  return functionName + '(' + list + ', ' + index + ')\n';
+};
+
+Blockly.Python['data_insertatlist'] = function(block) {
+  // An item may also be inserted just after the last one.
+  var item = Blockly.Python.valueToCode(block, 'ITEM',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  var index = Blockly.Python.valueToCode(block, 'INDEX',
+      Blockly.Python.ORDER_NONE) || '1';
+  var list = Blockly.Python.data.listName_(block);
+  var listIndex = Blockly.Python.data.listIndex_();
+  var functionName = Blockly.Python.provideFunction_(
+      'list_insert',
+      ['def ' + Blockly.Python.FUNCTION_NAME_PLACEHOLDER_ +
+          '(items, index, item):',
+       '  i = ' + listIndex + '(index, len(items) + 1)',
+       '  if i != -1:',
+       '    items.insert(i, item)']);
+  return functionName + '(' + list + ', ' + index + ', ' + item + ')\n';
+};
+
+Blockly.Python['data_replaceitemoflist'] = function(block) {
+  var index = Blockly.Python.valueToCode(block, 'INDEX',
+      Blockly.Python.ORDER_NONE) || '1';
+  var item = Blockly.Python.valueToCode(block, 'ITEM',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  var list = Blockly.Python.data.listName_(block);
+  var listIndex = Blockly.Python.data.listIndex_();
+  var functionName = Blockly.Python.provideFunction_(
+      'list_replace',
+      ['def ' + Blockly.Python.FUNCTION_NAME_PLACEHOLDER_ +
+          '(items, index, item):',
+       '  i = ' + listIndex + '(index, len(items))',
+       '  if i != -1:',
+       '    items[i] = item']);
+  return functionName + '(' + list + ', ' + index + ', ' + item + ')\n';
+};
+
+Blockly.Python['data_itemoflist'] = function(block) {
+  var index = Blockly.Python.valueToCode(block, 'INDEX',
+      Blockly.Python.ORDER_NONE) || '1';
+  var list = Blockly.Python.data.listName_(block);
+  var listIndex = Blockly.Python.data.listIndex_();
+  var functionName = Blockly.Python.provideFunction_(
+      'list_item',
+      ['def ' + Blockly.Python.FUNCTION_NAME_PLACEHOLDER_ + '(items, index):',
+       '  i = ' + listIndex + '(index, len(items))',
+       '  return \'\' if i == -1 else items[i]']);
+  var code = functionName + '(' + list + ', ' + index + ')';
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['data_lengthoflist'] = function(block) {
+  var list = Blockly.Python.data.listName_(block);
+  return ['len(' + list + ')', Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['data_listcontainsitem'] = function(block) {
+  var item = Blockly.Python.valueToCode(block, 'ITEM',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  var list = Blockly.Python.data.listName_(block);
+  var compare = Blockly.Python.compare('x', 'item');
+  var functionName = Blockly.Python.provideFunction_(
+      'list_contains',
+      ['def ' + Blockly.Python.FUNCTION_NAME_PLACEHOLDER_ + '(items, item):',
+       '  return any(' + compare + ' == 0 for x in items)']);
+  var code = functionName + '(' + list + ', ' + item + ')';
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['data_showlist'] = function(block) {
+  var name = Blockly.Python.quote_(block.getFieldValue('LIST'));
+  return Blockly.Python.runtimeCall('show_list', [name]) + '\n';
+};
+
+Blockly.Python['data_hidelist'] = function(block) {
+  var name = Blockly.Python.quote_(block.getFieldValue('LIST'));
+  return Blockly.Python.runtimeCall('hide_list', [name]) + '\n';
+};
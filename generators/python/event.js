@@ -0,0 +1,81 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for event blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.event');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['event_whenflagclicked'] = function(block) {
+  return Blockly.Python.hatToCode(block, 'when_flag_clicked', []);
+};
+
+Blockly.Python['event_whenthisspriteclicked'] = function(block) {
+  return Blockly.Python.hatToCode(block, 'when_this_sprite_clicked', []);
+};
+
+Blockly.Python['event_whenbroadcastreceived'] = function(block) {
+  var message = Blockly.Python.quote_(block.getFieldValue('BROADCAST_OPTION'));
+  return Blockly.Python.hatToCode(block, 'when_broadcast_received',
+      [message]);
+};
+
+Blockly.Python['event_whenbackdropswitchesto'] = function(block) {
+  var backdrop = Blockly.Python.quote_(block.getFieldValue('BACKDROP'));
+  return Blockly.Python.hatToCode(block, 'when_backdrop_switches_to',
+      [backdrop]);
+};
+
+Blockly.Python['event_whengreaterthan'] = function(block) {
+  // The threshold is passed as a function so the dispatcher can re-evaluate
+  // it each time it checks the sensor.
+  var menu = Blockly.Python.quote_(block.getFieldValue('WHENGREATERTHANMENU'));
+  var value = Blockly.Python.valueToCode(block, 'VALUE',
+      Blockly.Python.ORDER_LAMBDA) || '0';
+  return Blockly.Python.hatToCode(block, 'when_greater_than',
+      [menu, 'lambda: ' + value]);
+};
+
+Blockly.Python['event_whenkeypressed'] = function(block) {
+  var key = Blockly.Python.quote_(block.getFieldValue('KEY_OPTION'));
+  return Blockly.Python.hatToCode(block, 'when_key_pressed', [key]);
+};
+
+Blockly.Python['event_broadcast_menu'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('BROADCAST_OPTION'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['event_broadcast'] = function(block) {
+  var message = Blockly.Python.valueToCode(block, 'BROADCAST_OPTION',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return Blockly.Python.runtimeCall('broadcast', [message]) + '\n';
+};
+
+Blockly.Python['event_broadcastandwait'] = function(block) {
+  var message = Blockly.Python.valueToCode(block, 'BROADCAST_OPTION',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return Blockly.Python.runtimeCall('broadcast_and_wait', [message]) + '\n';
+};
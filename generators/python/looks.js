@@ -0,0 +1,163 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for looks blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.looks');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['looks_sayforsecs'] = function(block) {
+  var message = Blockly.Python.valueToCode(block, 'MESSAGE',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  var secs = Blockly.Python.valueToCode(block, 'SECS',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('say_for_secs', [message, secs]) + '\n';
+};
+
+Blockly.Python['looks_say'] = function(block) {
+  var message = Blockly.Python.valueToCode(block, 'MESSAGE',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return Blockly.Python.runtimeCall('say', [message]) + '\n';
+};
+
+Blockly.Python['looks_thinkforsecs'] = function(block) {
+  var message = Blockly.Python.valueToCode(block, 'MESSAGE',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  var secs = Blockly.Python.valueToCode(block, 'SECS',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('think_for_secs', [message, secs]) + '\n';
+};
+
+Blockly.Python['looks_think'] = function(block) {
+  var message = Blockly.Python.valueToCode(block, 'MESSAGE',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return Blockly.Python.runtimeCall('think', [message]) + '\n';
+};
+
+Blockly.Python['looks_show'] = function() {
+  return Blockly.Python.runtimeCall('show', []) + '\n';
+};
+
+Blockly.Python['looks_hide'] = function() {
+  return Blockly.Python.runtimeCall('hide', []) + '\n';
+};
+
+Blockly.Python['looks_changeeffectby'] = function(block) {
+  var effect = Blockly.Python.quote_(block.getFieldValue('EFFECT'));
+  var change = Blockly.Python.valueToCode(block, 'CHANGE',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('change_effect_by', [effect, change]) +
+      '\n';
+};
+
+Blockly.Python['looks_seteffectto'] = function(block) {
+  var effect = Blockly.Python.quote_(block.getFieldValue('EFFECT'));
+  var value = Blockly.Python.valueToCode(block, 'VALUE',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('set_effect_to', [effect, value]) + '\n';
+};
+
+Blockly.Python['looks_cleargraphiceffects'] = function() {
+  return Blockly.Python.runtimeCall('clear_graphic_effects', []) + '\n';
+};
+
+Blockly.Python['looks_changesizeby'] = function(block) {
+  var change = Blockly.Python.valueToCode(block, 'CHANGE',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('change_size_by', [change]) + '\n';
+};
+
+Blockly.Python['looks_setsizeto'] = function(block) {
+  var size = Blockly.Python.valueToCode(block, 'SIZE',
+      Blockly.Python.ORDER_NONE) || '100';
+  return Blockly.Python.runtimeCall('set_size_to', [size]) + '\n';
+};
+
+Blockly.Python['looks_size'] = function() {
+  var code = Blockly.Python.runtimeCall('size', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['looks_costume'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('COSTUME'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['looks_switchcostumeto'] = function(block) {
+  var costume = Blockly.Python.valueToCode(block, 'COSTUME',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return Blockly.Python.runtimeCall('switch_costume_to', [costume]) + '\n';
+};
+
+Blockly.Python['looks_nextcostume'] = function() {
+  return Blockly.Python.runtimeCall('next_costume', []) + '\n';
+};
+
+Blockly.Python['looks_switchbackdropto'] = function(block) {
+  var backdrop = Blockly.Python.valueToCode(block, 'BACKDROP',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return Blockly.Python.runtimeCall('switch_backdrop_to', [backdrop]) + '\n';
+};
+
+Blockly.Python['looks_backdrops'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('BACKDROP'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['looks_gotofront'] = function() {
+  return Blockly.Python.runtimeCall('go_to_front', []) + '\n';
+};
+
+Blockly.Python['looks_gobacklayers'] = function(block) {
+  var num = Blockly.Python.valueToCode(block, 'NUM',
+      Blockly.Python.ORDER_NONE) || '1';
+  return Blockly.Python.runtimeCall('go_back_layers', [num]) + '\n';
+};
+
+Blockly.Python['looks_backdropname'] = function() {
+  var code = Blockly.Python.runtimeCall('backdrop_name', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['looks_costumeorder'] = function() {
+  var code = Blockly.Python.runtimeCall('costume_number', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['looks_backdroporder'] = function() {
+  var code = Blockly.Python.runtimeCall('backdrop_number', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['looks_switchbackdroptoandwait'] = function(block) {
+  var backdrop = Blockly.Python.valueToCode(block, 'BACKDROP',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return Blockly.Python.runtimeCall('switch_backdrop_to_and_wait', [backdrop]) +
+      '\n';
+};
+
+Blockly.Python['looks_nextbackdrop'] = function() {
+  return Blockly.Python.runtimeCall('next_backdrop', []) + '\n';
+};
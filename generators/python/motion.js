@@ -0,0 +1,141 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for motion blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.motion');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['motion_movesteps'] = function(block) {
+  var steps = Blockly.Python.valueToCode(block, 'STEPS',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('move_steps', [steps]) + '\n';
+};
+
+Blockly.Python['motion_turnright'] = function(block) {
+  var degrees = Blockly.Python.valueToCode(block, 'DEGREES',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('turn_right', [degrees]) + '\n';
+};
+
+Blockly.Python['motion_turnleft'] = function(block) {
+  var degrees = Blockly.Python.valueToCode(block, 'DEGREES',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('turn_left', [degrees]) + '\n';
+};
+
+Blockly.Python['motion_pointindirection'] = function(block) {
+  var direction = Blockly.Python.valueToCode(block, 'DIRECTION',
+      Blockly.Python.ORDER_NONE) || '90';
+  return Blockly.Python.runtimeCall('point_in_direction', [direction]) + '\n';
+};
+
+Blockly.Python['motion_pointtowards_menu'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('TOWARDS'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['motion_pointtowards'] = function(block) {
+  var towards = Blockly.Python.valueToCode(block, 'TOWARDS',
+      Blockly.Python.ORDER_NONE) || '\'_mouse_\'';
+  return Blockly.Python.runtimeCall('point_towards', [towards]) + '\n';
+};
+
+Blockly.Python['motion_goto_menu'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('TO'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['motion_gotoxy'] = function(block) {
+  var x = Blockly.Python.valueToCode(block, 'X',
+      Blockly.Python.ORDER_NONE) || '0';
+  var y = Blockly.Python.valueToCode(block, 'Y',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('go_to_xy', [x, y]) + '\n';
+};
+
+Blockly.Python['motion_goto'] = function(block) {
+  var to = Blockly.Python.valueToCode(block, 'TO',
+      Blockly.Python.ORDER_NONE) || '\'_random_\'';
+  return Blockly.Python.runtimeCall('go_to', [to]) + '\n';
+};
+
+Blockly.Python['motion_glidesecstoxy'] = function(block) {
+  var secs = Blockly.Python.valueToCode(block, 'SECS',
+      Blockly.Python.ORDER_NONE) || '0';
+  var x = Blockly.Python.valueToCode(block, 'X',
+      Blockly.Python.ORDER_NONE) || '0';
+  var y = Blockly.Python.valueToCode(block, 'Y',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('glide_secs_to_xy', [secs, x, y]) + '\n';
+};
+
+Blockly.Python['motion_changexby'] = function(block) {
+  var dx = Blockly.Python.valueToCode(block, 'DX',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('change_x_by', [dx]) + '\n';
+};
+
+Blockly.Python['motion_setx'] = function(block) {
+  var x = Blockly.Python.valueToCode(block, 'X',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('set_x', [x]) + '\n';
+};
+
+Blockly.Python['motion_changeyby'] = function(block) {
+  var dy = Blockly.Python.valueToCode(block, 'DY',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('change_y_by', [dy]) + '\n';
+};
+
+Blockly.Python['motion_sety'] = function(block) {
+  var y = Blockly.Python.valueToCode(block, 'Y',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('set_y', [y]) + '\n';
+};
+
+Blockly.Python['motion_ifonedgebounce'] = function() {
+  return Blockly.Python.runtimeCall('if_on_edge_bounce', []) + '\n';
+};
+
+Blockly.Python['motion_setrotationstyle'] = function(block) {
+  var style = Blockly.Python.quote_(block.getFieldValue('STYLE'));
+  return Blockly.Python.runtimeCall('set_rotation_style', [style]) + '\n';
+};
+
+Blockly.Python['motion_xposition'] = function() {
+  var code = Blockly.Python.runtimeCall('x_position', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['motion_yposition'] = function() {
+  var code = Blockly.Python.runtimeCall('y_position', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['motion_direction'] = function() {
+  var code = Blockly.Python.runtimeCall('direction', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
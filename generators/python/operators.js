@@ -0,0 +1,240 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for operators blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.operators');
+
+goog.require('Blockly.Python');
+
+
+/**
+ * Generate code for a block combining two numeric inputs with an operator.
+ * @param {!Blockly.Block} block The operator block.
+ * @param {string} operator The Python operator.
+ * @param {number} order Precedence of the operator.
+ * @return {!Array} Python code and its operator order.
+ * @private
+ */
+Blockly.Python.operators.arithmetic_ = function(block, operator, order) {
+  var argument0 = Blockly.Python.toNumber(Blockly.Python.valueToCode(
+      block, 'NUM1', Blockly.Python.ORDER_NONE) || '0');
+  var argument1 = Blockly.Python.toNumber(Blockly.Python.valueToCode(
+      block, 'NUM2', Blockly.Python.ORDER_NONE) || '0');
+  return [argument0 + operator + argument1, order];
+};
+
+Blockly.Python['operator_add'] = function(block) {
+  return Blockly.Python.operators.arithmetic_(block, ' + ',
+      Blockly.Python.ORDER_ADDITIVE);
+};
+
+Blockly.Python['operator_subtract'] = function(block) {
+  return Blockly.Python.operators.arithmetic_(block, ' - ',
+      Blockly.Python.ORDER_ADDITIVE);
+};
+
+Blockly.Python['operator_multiply'] = function(block) {
+  return Blockly.Python.operators.arithmetic_(block, ' * ',
+      Blockly.Python.ORDER_MULTIPLICATIVE);
+};
+
+Blockly.Python['operator_divide'] = function(block) {
+  return Blockly.Python.operators.arithmetic_(block, ' / ',
+      Blockly.Python.ORDER_MULTIPLICATIVE);
+};
+
+Blockly.Python['operator_random'] = function(block) {
+  // Two whole numbers pick a whole number, otherwise any number in between.
+  Blockly.Python.definitions_['import_random'] = 'import random';
+  var from = Blockly.Python.valueToCode(block, 'FROM',
+      Blockly.Python.ORDER_NONE) || '0';
+  var to = Blockly.Python.valueToCode(block, 'TO',
+      Blockly.Python.ORDER_NONE) || '0';
+  var functionName = Blockly.Python.provideFunction_(
+      'random_between',
+      ['def ' + Blockly.Python.FUNCTION_NAME_PLACEHOLDER_ + '(a, b):',
+       '  low = min(a, b)',
+       '  high = max(a, b)',
+       '  if low % 1 == 0 and high % 1 == 0:',
+       '    return random.randint(int(low), int(high))',
+       '  return random.uniform(low, high)']);
+  var code = functionName + '(' + Blockly.Python.toNumber(from) + ', ' +
+      Blockly.Python.toNumber(to) + ')';
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+/**
+ * Generate code for a block comparing its two operands.
+ * @param {!Blockly.Block} block The comparison block.
+ * @param {string} operator The Python operator to compare against zero.
+ * @return {!Array} Python code and its operator order.
+ * @private
+ */
+Blockly.Python.operators.compare_ = function(block, operator) {
+  var argument0 = Blockly.Python.valueToCode(block, 'OPERAND1',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  var argument1 = Blockly.Python.valueToCode(block, 'OPERAND2',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  var code = Blockly.Python.compare(argument0, argument1) + operator + '0';
+  return [code, Blockly.Python.ORDER_RELATIONAL];
+};
+
+Blockly.Python['operator_lt'] = function(block) {
+  return Blockly.Python.operators.compare_(block, ' < ');
+};
+
+Blockly.Python['operator_equals'] = function(block) {
+  return Blockly.Python.operators.compare_(block, ' == ');
+};
+
+Blockly.Python['operator_gt'] = function(block) {
+  return Blockly.Python.operators.compare_(block, ' > ');
+};
+
+Blockly.Python['operator_and'] = function(block) {
+  var order = Blockly.Python.ORDER_LOGICAL_AND;
+  var argument0 = Blockly.Python.valueToCode(block, 'OPERAND1', order) ||
+      'False';
+  var argument1 = Blockly.Python.valueToCode(block, 'OPERAND2', order) ||
+      'False';
+  return [argument0 + ' and ' + argument1, order];
+};
+
+Blockly.Python['operator_or'] = function(block) {
+  var order = Blockly.Python.ORDER_LOGICAL_OR;
+  var argument0 = Blockly.Python.valueToCode(block, 'OPERAND1', order) ||
+      'False';
+  var argument1 = Blockly.Python.valueToCode(block, 'OPERAND2', order) ||
+      'False';
+  return [argument0 + ' or ' + argument1, order];
+};
+
+Blockly.Python['operator_not'] = function(block) {
+  var order = Blockly.Python.ORDER_LOGICAL_NOT;
+  var argument0 = Blockly.Python.valueToCode(block, 'OPERAND', order) ||
+      'False';
+  return ['not ' + argument0, order];
+};
+
+Blockly.Python['operator_join'] = function(block) {
+  var argument0 = Blockly.Python.valueToCode(block, 'STRING1',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  var argument1 = Blockly.Python.valueToCode(block, 'STRING2',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  var code = 'str(' + argument0 + ') + str(' + argument1 + ')';
+  return [code, Blockly.Python.ORDER_ADDITIVE];
+};
+
+Blockly.Python['operator_letter_of'] = function(block) {
+  // Letters are counted from one.  Out of range letters are empty.
+  var letter = Blockly.Python.valueToCode(block, 'LETTER',
+      Blockly.Python.ORDER_NONE) || '1';
+  var text = Blockly.Python.valueToCode(block, 'STRING',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  var functionName = Blockly.Python.provideFunction_(
+      'letter_of',
+      ['def ' + Blockly.Python.FUNCTION_NAME_PLACEHOLDER_ + '(index, text):',
+       '  text = str(text)',
+       '  index = int(index) - 1',
+       '  return text[index] if 0 <= index < len(text) else \'\'']);
+  var code = functionName + '(' + Blockly.Python.toNumber(letter) + ', ' +
+      text + ')';
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['operator_length'] = function(block) {
+  var text = Blockly.Python.valueToCode(block, 'STRING',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return ['len(str(' + text + '))', Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['operator_mod'] = function(block) {
+  // Python's modulo already takes the sign of the divisor, like Scratch's.
+  return Blockly.Python.operators.arithmetic_(block, ' % ',
+      Blockly.Python.ORDER_MULTIPLICATIVE);
+};
+
+Blockly.Python['operator_round'] = function(block) {
+  // Python's round() rounds halves to even, Scratch rounds them up.
+  Blockly.Python.definitions_['import_math'] = 'import math';
+  var argument0 = Blockly.Python.valueToCode(block, 'NUM',
+      Blockly.Python.ORDER_NONE) || '0';
+  var code = 'math.floor(' + Blockly.Python.toNumber(argument0) + ' + 0.5)';
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['operator_mathop'] = function(block) {
+  // Scratch's trigonometry works in degrees.
+  Blockly.Python.definitions_['import_math'] = 'import math';
+  var operator = block.getFieldValue('OPERATOR');
+  var arg = Blockly.Python.toNumber(Blockly.Python.valueToCode(block,
+      'NUM', Blockly.Python.ORDER_NONE) || '0');
+  var code;
+  switch (operator) {
+    case 'abs':
+      code = 'abs(' + arg + ')';
+      break;
+    case 'floor':
+      code = 'math.floor(' + arg + ')';
+      break;
+    case 'ceiling':
+      code = 'math.ceil(' + arg + ')';
+      break;
+    case 'sqrt':
+      code = 'math.sqrt(' + arg + ')';
+      break;
+    case 'sin':
+      code = 'math.sin(math.radians(' + arg + '))';
+      break;
+    case 'cos':
+      code = 'math.cos(math.radians(' + arg + '))';
+      break;
+    case 'tan':
+      code = 'math.tan(math.radians(' + arg + '))';
+      break;
+    case 'asin':
+      code = 'math.degrees(math.asin(' + arg + '))';
+      break;
+    case 'acos':
+      code = 'math.degrees(math.acos(' + arg + '))';
+      break;
+    case 'atan':
+      code = 'math.degrees(math.atan(' + arg + '))';
+      break;
+    case 'ln':
+      code = 'math.log(' + arg + ')';
+      break;
+    case 'log':
+      code = 'math.log10(' + arg + ')';
+      break;
+    case 'e ^':
+      code = 'math.exp(' + arg + ')';
+      break;
+    case '10 ^':
+      return ['10 ** ' + arg, Blockly.Python.ORDER_EXPONENTIATION];
+    default:
+      throw 'Unknown math operator: ' + operator;
+  }
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
@@ -0,0 +1,87 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for pen blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.pen');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['pen_clear'] = function() {
+  return Blockly.Python.runtimeCall('clear_pen', []) + '\n';
+};
+
+Blockly.Python['pen_stamp'] = function() {
+  return Blockly.Python.runtimeCall('stamp', []) + '\n';
+};
+
+Blockly.Python['pen_pendown'] = function() {
+  return Blockly.Python.runtimeCall('pen_down', []) + '\n';
+};
+
+Blockly.Python['pen_penup'] = function() {
+  return Blockly.Python.runtimeCall('pen_up', []) + '\n';
+};
+
+Blockly.Python['pen_setpencolortocolor'] = function(block) {
+  var colour = Blockly.Python.valueToCode(block, 'COLOR',
+      Blockly.Python.ORDER_NONE) || '\'#000000\'';
+  return Blockly.Python.runtimeCall('set_pen_color_to_color', [colour]) + '\n';
+};
+
+Blockly.Python['pen_changepencolorby'] = function(block) {
+  var colour = Blockly.Python.valueToCode(block, 'COLOR',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('change_pen_color_by', [colour]) + '\n';
+};
+
+Blockly.Python['pen_setpencolortonum'] = function(block) {
+  var colour = Blockly.Python.valueToCode(block, 'COLOR',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('set_pen_color_to_num', [colour]) + '\n';
+};
+
+Blockly.Python['pen_changepenshadeby'] = function(block) {
+  var shade = Blockly.Python.valueToCode(block, 'SHADE',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('change_pen_shade_by', [shade]) + '\n';
+};
+
+Blockly.Python['pen_setpenshadeto'] = function(block) {
+  var shade = Blockly.Python.valueToCode(block, 'SHADE',
+      Blockly.Python.ORDER_NONE) || '50';
+  return Blockly.Python.runtimeCall('set_pen_shade_to', [shade]) + '\n';
+};
+
+Blockly.Python['pen_changepensizeby'] = function(block) {
+  var size = Blockly.Python.valueToCode(block, 'SIZE',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('change_pen_size_by', [size]) + '\n';
+};
+
+Blockly.Python['pen_setpensizeto'] = function(block) {
+  var size = Blockly.Python.valueToCode(block, 'SIZE',
+      Blockly.Python.ORDER_NONE) || '1';
+  return Blockly.Python.runtimeCall('set_pen_size_to', [size]) + '\n';
+};
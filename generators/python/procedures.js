@@ -0,0 +1,73 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for procedures blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.procedures');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['procedures_defnoreturn'] = function(block) {
+  // Define a procedure as a function.  The script below the definition is
+  // the function's body.
+  var funcName = Blockly.Python.variableDB_.getName(block._procCode,
+      Blockly.Procedures.NAME_TYPE);
+  var branch = Blockly.Python.globalsToCode(block.workspace,
+      block._argumentNames) +
+      Blockly.Python.blockToCode(block.getNextBlock());
+  branch = branch ?
+      Blockly.Python.prefixLines(branch, Blockly.Python.INDENT) :
+      Blockly.Python.PASS;
+  var args = [];
+  for (var i = 0; i < block._argumentNames.length; i++) {
+    args[i] = Blockly.Python.variableDB_.getName(block._argumentNames[i],
+        Blockly.Variables.NAME_TYPE);
+  }
+  var code = 'def ' + funcName + '(' + args.join(', ') + '):\n' + branch;
+  code = Blockly.Python.scrub(block, code);
+  // Add % so as not to collide with helper functions in definitions list.
+  Blockly.Python.definitions_['%' + funcName] = code;
+  return null;
+};
+
+Blockly.Python['procedures_callnoreturn'] = function(block) {
+  // Call a procedure with no return value.
+  var funcName = Blockly.Python.variableDB_.getName(block._procCode,
+      Blockly.Procedures.NAME_TYPE);
+  var args = [];
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    if (input.type == Blockly.INPUT_VALUE) {
+      args.push(Blockly.Python.valueToCode(block, input.name,
+          Blockly.Python.ORDER_NONE) || '\'\'');
+    }
+  }
+  return funcName + '(' + args.join(', ') + ')\n';
+};
+
+Blockly.Python['procedures_param'] = function(block) {
+  // A procedure's argument, inside the procedure's definition.
+  var code = Blockly.Python.variableDB_.getName(block._paramName,
+      Blockly.Variables.NAME_TYPE);
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
@@ -0,0 +1,201 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for sensing blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.sensing');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['sensing_touchingobject'] = function(block) {
+  var object = Blockly.Python.valueToCode(block, 'TOUCHINGOBJECTMENU',
+      Blockly.Python.ORDER_NONE) || '\'_mouse_\'';
+  var code = Blockly.Python.runtimeCall('touching_object', [object]);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_touchingobjectmenu'] = function(block) {
+  var code =
+      Blockly.Python.quote_(block.getFieldValue('TOUCHINGOBJECTMENU'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['sensing_touchingcolor'] = function(block) {
+  var colour = Blockly.Python.valueToCode(block, 'COLOR',
+      Blockly.Python.ORDER_NONE) || '\'#000000\'';
+  var code = Blockly.Python.runtimeCall('touching_color', [colour]);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_coloristouchingcolor'] = function(block) {
+  var colour = Blockly.Python.valueToCode(block, 'COLOR',
+      Blockly.Python.ORDER_NONE) || '\'#000000\'';
+  var colour2 = Blockly.Python.valueToCode(block, 'COLOR2',
+      Blockly.Python.ORDER_NONE) || '\'#000000\'';
+  var code = Blockly.Python.runtimeCall('color_is_touching_color',
+      [colour, colour2]);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_distanceto'] = function(block) {
+  var object = Blockly.Python.valueToCode(block, 'DISTANCETOMENU',
+      Blockly.Python.ORDER_NONE) || '\'_mouse_\'';
+  var code = Blockly.Python.runtimeCall('distance_to', [object]);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_distancetomenu'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('DISTANCETOMENU'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['sensing_askandwait'] = function(block) {
+  var question = Blockly.Python.valueToCode(block, 'QUESTION',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return Blockly.Python.runtimeCall('ask_and_wait', [question]) + '\n';
+};
+
+Blockly.Python['sensing_answer'] = function() {
+  var code = Blockly.Python.runtimeCall('answer', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_keypressed'] = function(block) {
+  var key = Blockly.Python.valueToCode(block, 'KEY_OPTION',
+      Blockly.Python.ORDER_NONE) || '\'space\'';
+  var code = Blockly.Python.runtimeCall('key_pressed', [key]);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_keyoptions'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('KEY_OPTION'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['sensing_mousedown'] = function() {
+  var code = Blockly.Python.runtimeCall('mouse_down', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_mousex'] = function() {
+  var code = Blockly.Python.runtimeCall('mouse_x', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_mousey'] = function() {
+  var code = Blockly.Python.runtimeCall('mouse_y', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_loudness'] = function() {
+  var code = Blockly.Python.runtimeCall('loudness', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_videoon'] = function(block) {
+  var attribute = Blockly.Python.valueToCode(block, 'VIDEOONMENU1',
+      Blockly.Python.ORDER_NONE) || '\'MOTION\'';
+  var subject = Blockly.Python.valueToCode(block, 'VIDEOONMENU2',
+      Blockly.Python.ORDER_NONE) || '\'STAGE\'';
+  var code = Blockly.Python.runtimeCall('video_on', [attribute, subject]);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_videoonmenuone'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('VIDEOONMENU1'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['sensing_videoonmenutwo'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('VIDEOONMENU2'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['sensing_videotoggle'] = function(block) {
+  var state = Blockly.Python.valueToCode(block, 'VIDEOTOGGLEMENU',
+      Blockly.Python.ORDER_NONE) || '\'ON\'';
+  return Blockly.Python.runtimeCall('video_toggle', [state]) + '\n';
+};
+
+Blockly.Python['sensing_videotogglemenu'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('VIDEOTOGGLEMENU'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['sensing_setvideotransparency'] = function(block) {
+  var transparency = Blockly.Python.valueToCode(block, 'TRANSPARENCY',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('set_video_transparency', [transparency]) +
+      '\n';
+};
+
+Blockly.Python['sensing_timer'] = function() {
+  var code = Blockly.Python.runtimeCall('timer', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_resettimer'] = function() {
+  return Blockly.Python.runtimeCall('reset_timer', []) + '\n';
+};
+
+Blockly.Python['sensing_of_property_menu'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('PROPERTY'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['sensing_of_object_menu'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('OBJECT'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['sensing_of'] = function(block) {
+  var property = Blockly.Python.valueToCode(block, 'PROPERTY',
+      Blockly.Python.ORDER_NONE) || '\'x position\'';
+  var object = Blockly.Python.valueToCode(block, 'OBJECT',
+      Blockly.Python.ORDER_NONE) || '\'_stage_\'';
+  var code = Blockly.Python.runtimeCall('property_of', [property, object]);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_current'] = function(block) {
+  var unit = Blockly.Python.valueToCode(block, 'CURRENTMENU',
+      Blockly.Python.ORDER_NONE) || '\'YEAR\'';
+  var code = Blockly.Python.runtimeCall('current', [unit]);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_currentmenu'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('CURRENTMENU'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['sensing_dayssince2000'] = function() {
+  var code = Blockly.Python.runtimeCall('days_since_2000', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sensing_username'] = function() {
+  var code = Blockly.Python.runtimeCall('username', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
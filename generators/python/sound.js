@@ -0,0 +1,144 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for sound blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.sound');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['sound_sounds_menu'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('SOUND_MENU'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['sound_play'] = function(block) {
+  var sound = Blockly.Python.valueToCode(block, 'SOUND_MENU',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return Blockly.Python.runtimeCall('play_sound', [sound]) + '\n';
+};
+
+Blockly.Python['sound_playuntildone'] = function(block) {
+  var sound = Blockly.Python.valueToCode(block, 'SOUND_MENU',
+      Blockly.Python.ORDER_NONE) || '\'\'';
+  return Blockly.Python.runtimeCall('play_sound_until_done', [sound]) + '\n';
+};
+
+Blockly.Python['sound_stopallsounds'] = function() {
+  return Blockly.Python.runtimeCall('stop_all_sounds', []) + '\n';
+};
+
+Blockly.Python['sound_drums_menu'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('DRUM'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['sound_playdrumforbeats'] = function(block) {
+  var drum = Blockly.Python.valueToCode(block, 'DRUM',
+      Blockly.Python.ORDER_NONE) || '1';
+  var beats = Blockly.Python.valueToCode(block, 'BEATS',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('play_drum_for_beats', [drum, beats]) +
+      '\n';
+};
+
+Blockly.Python['sound_restforbeats'] = function(block) {
+  var beats = Blockly.Python.valueToCode(block, 'BEATS',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('rest_for_beats', [beats]) + '\n';
+};
+
+Blockly.Python['sound_playnoteforbeats'] = function(block) {
+  var note = Blockly.Python.valueToCode(block, 'NOTE',
+      Blockly.Python.ORDER_NONE) || '60';
+  var beats = Blockly.Python.valueToCode(block, 'BEATS',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('play_note_for_beats', [note, beats]) +
+      '\n';
+};
+
+Blockly.Python['sound_seteffectto'] = function(block) {
+  var effect = Blockly.Python.quote_(block.getFieldValue('EFFECT'));
+  var value = Blockly.Python.valueToCode(block, 'VALUE',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('set_sound_effect_to', [effect, value]) +
+      '\n';
+};
+
+Blockly.Python['sound_changeeffectby'] = function(block) {
+  var effect = Blockly.Python.quote_(block.getFieldValue('EFFECT'));
+  var value = Blockly.Python.valueToCode(block, 'VALUE',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('change_sound_effect_by', [effect, value]) +
+      '\n';
+};
+
+Blockly.Python['sound_cleareffects'] = function() {
+  return Blockly.Python.runtimeCall('clear_sound_effects', []) + '\n';
+};
+
+Blockly.Python['sound_instruments_menu'] = function(block) {
+  var code = Blockly.Python.quote_(block.getFieldValue('INSTRUMENT'));
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['sound_setinstrumentto'] = function(block) {
+  var instrument = Blockly.Python.valueToCode(block, 'INSTRUMENT',
+      Blockly.Python.ORDER_NONE) || '1';
+  return Blockly.Python.runtimeCall('set_instrument_to', [instrument]) + '\n';
+};
+
+Blockly.Python['sound_changevolumeby'] = function(block) {
+  var volume = Blockly.Python.valueToCode(block, 'VOLUME',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('change_volume_by', [volume]) + '\n';
+};
+
+Blockly.Python['sound_setvolumeto'] = function(block) {
+  var volume = Blockly.Python.valueToCode(block, 'VOLUME',
+      Blockly.Python.ORDER_NONE) || '100';
+  return Blockly.Python.runtimeCall('set_volume_to', [volume]) + '\n';
+};
+
+Blockly.Python['sound_volume'] = function() {
+  var code = Blockly.Python.runtimeCall('volume', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
+
+Blockly.Python['sound_changetempoby'] = function(block) {
+  var tempo = Blockly.Python.valueToCode(block, 'TEMPO',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('change_tempo_by', [tempo]) + '\n';
+};
+
+Blockly.Python['sound_settempotobpm'] = function(block) {
+  var tempo = Blockly.Python.valueToCode(block, 'TEMPO',
+      Blockly.Python.ORDER_NONE) || '60';
+  return Blockly.Python.runtimeCall('set_tempo_to', [tempo]) + '\n';
+};
+
+Blockly.Python['sound_tempo'] = function() {
+  var code = Blockly.Python.runtimeCall('tempo', []);
+  return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+};
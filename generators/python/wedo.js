@@ -0,0 +1,77 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating Python for WeDo blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Python.wedo');
+
+goog.require('Blockly.Python');
+
+
+Blockly.Python['wedo_setcolor'] = function(block) {
+  var colour = Blockly.Python.valueToCode(block, 'CHOICE',
+      Blockly.Python.ORDER_NONE) || '\'mystery\'';
+  return Blockly.Python.runtimeCall('wedo_set_color', [colour]) + '\n';
+};
+
+Blockly.Python['wedo_motorclockwise'] = function(block) {
+  var duration = Blockly.Python.valueToCode(block, 'DURATION',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('wedo_motor_clockwise', [duration]) + '\n';
+};
+
+Blockly.Python['wedo_motorcounterclockwise'] = function(block) {
+  var duration = Blockly.Python.valueToCode(block, 'DURATION',
+      Blockly.Python.ORDER_NONE) || '0';
+  return Blockly.Python.runtimeCall('wedo_motor_counter_clockwise',
+      [duration]) + '\n';
+};
+
+Blockly.Python['wedo_motorspeed'] = function(block) {
+  var speed = Blockly.Python.valueToCode(block, 'CHOICE',
+      Blockly.Python.ORDER_NONE) || '\'slow\'';
+  return Blockly.Python.runtimeCall('wedo_motor_speed', [speed]) + '\n';
+};
+
+Blockly.Python['wedo_whentilt'] = function(block) {
+  var direction = Blockly.Python.valueToCode(block, 'CHOICE',
+      Blockly.Python.ORDER_NONE) || '\'any\'';
+  return Blockly.Python.hatToCode(block, 'when_wedo_tilted', [direction]);
+};
+
+Blockly.Python['wedo_whendistanceclose'] = function(block) {
+  return Blockly.Python.hatToCode(block, 'when_wedo_distance_close', []);
+};
+
+Blockly.Python['dropdown_wedo_setcolor'] = function(block) {
+  // Icon menus whose first item is a placeholder, like the tilt menu, start
+  // with no value.
+  var code = Blockly.Python.quote_(block.getFieldValue('CHOICE') || '');
+  return [code, Blockly.Python.ORDER_ATOMIC];
+};
+
+Blockly.Python['dropdown_wedo_motorspeed'] =
+    Blockly.Python['dropdown_wedo_setcolor'];
+
+Blockly.Python['dropdown_wedo_whentilt'] =
+    Blockly.Python['dropdown_wedo_setcolor'];
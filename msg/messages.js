@@ -103,12 +103,46 @@ Blockly.Msg.EXPAND_ALL = 'Expand Blocks';
 Blockly.Msg.DISABLE_BLOCK = 'Disable Block';
 /// context menu - Make the selected block have effect (after having been disabled earlier).
 Blockly.Msg.ENABLE_BLOCK = 'Enable Block';
+/// context menu - Make the debugger pause before running the selected block.  A breakpoint is a point where a program pauses for debugging.
+Blockly.Msg.ADD_BREAKPOINT = 'Add Breakpoint';
+/// context menu - Stop the debugger from pausing before running the selected block.
+Blockly.Msg.REMOVE_BREAKPOINT = 'Remove Breakpoint';
+/// context menu - Show every block in the workspace that uses the same procedure, variable, broadcast message or kind of block as the selected block.
+Blockly.Msg.FIND_ALL_USES = 'Find All Uses';
+/// context menu - Save a picture of the script that the block is in, e.g. to print it on a worksheet.
+Blockly.Msg.SAVE_PICTURE_OF_SCRIPT = 'Save picture of script';
+/// context menu - Open a search bar for finding blocks in the workspace.
+Blockly.Msg.FIND_BLOCKS = 'Find Blocks';
+/// placeholder - Shown in the empty search bar, before the user types what blocks to find.
+Blockly.Msg.SEARCH_PLACEHOLDER = 'Search blocks';
+/// search bar - Which of the blocks found the user is looking at.\n\nParameters:\n* %1 - the number of the block being looked at, starting from 1.\n* %2 - the number of blocks found.
+Blockly.Msg.SEARCH_RESULTS = '%1 of %2';
+/// search bar - Shown when no block matches what the user typed.
+Blockly.Msg.SEARCH_NO_RESULTS = 'No results';
 /// context menu - Provide helpful information about the selected block.\n{{Identical|Help}}
 Blockly.Msg.HELP = 'Help';
 /// context menu - Undo the previous action.\n{{Identical|Undo}}
 Blockly.Msg.UNDO = 'Undo';
 /// context menu - Undo the previous undo action.\n{{Identical|Redo}}
 Blockly.Msg.REDO = 'Redo';
+/// undo history - Describes adding blocks to the workspace.
+Blockly.Msg.HISTORY_CREATE = 'Add block';
+/// undo history - Describes deleting blocks.
+Blockly.Msg.HISTORY_DELETE = 'Delete block';
+/// undo history - Describes changing a block, e.g. editing the value of one of its fields.
+Blockly.Msg.HISTORY_CHANGE = 'Edit block';
+/// undo history - Describes moving blocks, e.g. dragging them around or connecting them.
+Blockly.Msg.HISTORY_MOVE = 'Move block';
+/// undo history - Describes adding a comment to the workspace.
+Blockly.Msg.HISTORY_COMMENT_CREATE = 'Add comment';
+/// undo history - Describes deleting a comment.
+Blockly.Msg.HISTORY_COMMENT_DELETE = 'Delete comment';
+/// undo history - Describes editing the text of a comment or resizing it.
+Blockly.Msg.HISTORY_COMMENT_CHANGE = 'Edit comment';
+/// undo history - Describes moving a comment.
+Blockly.Msg.HISTORY_COMMENT_MOVE = 'Move comment';
+/// undo history - Describes any other change to the workspace.
+Blockly.Msg.HISTORY_OTHER = 'Change';
 
 // Variable renaming.
 /// prompt - This message is only seen in the Opera browser.  With most browsers, users can edit numeric values in blocks by just clicking and typing.  Opera does not allows this, so we have to open a new window and prompt users with this message to chanage a value.
@@ -117,6 +151,10 @@ Blockly.Msg.CHANGE_VALUE_TITLE = 'Change value:';
 Blockly.Msg.RENAME_VARIABLE = 'Rename variable...';
 /// prompt - Prompts the user to enter the new name for the selected variable.  See [https://github.com/google/blockly/wiki/Variables#dropdown-menu https://github.com/google/blockly/wiki/Variables#dropdown-menu].\n\nParameters:\n* %1 - the name of the variable to be renamed.
 Blockly.Msg.RENAME_VARIABLE_TITLE = 'Rename all "%1" variables to:';
+/// dropdown choice - When the user clicks on a list's dropdown, this is one of the menu choices.  It is used to rename the current list.
+Blockly.Msg.RENAME_LIST = 'Rename list...';
+/// prompt - Prompts the user to enter the new name for the selected list.\n\nParameters:\n* %1 - the name of the list to be renamed.
+Blockly.Msg.RENAME_LIST_TITLE = 'Rename all "%1" lists to:';
 
 // Variable creation
 /// button text - Text on the button used to launch the variable creation dialogue.
@@ -125,6 +163,12 @@ Blockly.Msg.NEW_VARIABLE = 'Create variable...';
 Blockly.Msg.NEW_VARIABLE_TITLE = 'New variable name:';
 /// alert - Tells the user that the name they entered is already in use.
 Blockly.Msg.VARIABLE_ALREADY_EXISTS = 'A variable named "%1" already exists.'
+/// button text - Text on the button used to launch the list creation dialogue.
+Blockly.Msg.NEW_LIST = 'Make a List';
+/// prompt - Prompts the user to enter the name for a new list.
+Blockly.Msg.NEW_LIST_TITLE = 'New list name:';
+/// alert - Tells the user that the name they entered is already used by a list.
+Blockly.Msg.LIST_ALREADY_EXISTS = 'A list named "%1" already exists.';
 
 // Variable deletion.
 /// confirm -  Ask the user to confirm their deletion of multiple uses of a variable.
@@ -133,6 +177,45 @@ Blockly.Msg.DELETE_VARIABLE_CONFIRMATION = 'Delete %1 uses of the "%2" variable?
 Blockly.Msg.CANNOT_DELETE_VARIABLE_PROCEDURE = 'Can\'t delete the variable "%1" because it is part of the definition of the procedure "%2"';
 /// dropdown choice - Delete the currently selected variable.
 Blockly.Msg.DELETE_VARIABLE = 'Delete the "%1" variable';
+/// dropdown choice - Delete the currently selected list.
+Blockly.Msg.DELETE_LIST = 'Delete the "%1" list';
+
+// Broadcast messages.
+/// default broadcast message name - The name of the message that broadcast blocks start with when there are no other messages.
+Blockly.Msg.DEFAULT_BROADCAST_MESSAGE = 'message1';
+/// dropdown choice - When the user clicks on a broadcast message's dropdown, this is one of the menu choices.  It is used to create a new message.
+Blockly.Msg.NEW_BROADCAST_MESSAGE = 'New message';
+/// prompt - Prompts the user to enter the name for a new broadcast message.
+Blockly.Msg.NEW_BROADCAST_MESSAGE_TITLE = 'New message name:';
+/// dropdown choice - When the user clicks on a broadcast message's dropdown, this is one of the menu choices.  It is used to rename the current message.
+Blockly.Msg.RENAME_BROADCAST_MESSAGE = 'Rename message...';
+/// prompt - Prompts the user to enter the new name for the selected broadcast message.\n\nParameters:\n* %1 - the name of the message to be renamed.
+Blockly.Msg.RENAME_BROADCAST_MESSAGE_TITLE = 'Rename all "%1" messages to:';
+
+// Lint warnings.
+/// warning - Shown on the first block of a script that doesn't start with a hat block, such as "when green flag clicked", so it never runs.
+Blockly.Msg.LINT_NO_HAT = 'This script never runs because it doesn\'t start with a hat block.';
+/// warning - Shown on a broadcast block when no script receives its message.\n\nParameters:\n* %1 - the name of the message.
+Blockly.Msg.LINT_NO_RECEIVER = 'No script receives the message "%1".';
+/// warning - Shown on a call to a custom block that has no definition.\n\nParameters:\n* %1 - the custom block's name.
+Blockly.Msg.LINT_NO_DEFINITION = 'The custom block "%1" has no definition.';
+/// warning - Shown on an "if" block with no blocks inside it.
+Blockly.Msg.LINT_EMPTY_IF = 'This "if" block has nothing inside it.';
+/// warning - Shown on the blocks that set a variable that no block reads.\n\nParameters:\n* %1 - the name of the variable.
+Blockly.Msg.LINT_UNUSED_VARIABLE = 'The variable "%1" is set but never used.';
+/// warning - Shown on a block that never runs because a "forever" loop before it never ends.
+Blockly.Msg.LINT_UNREACHABLE = 'This block never runs because the loop before it never ends.';
+
+/// tooltip - Shown while dragging a block over an input it doesn't fit into.\n\nParameters:\n* %1 - the kind of value the block gives, e.g. "a number".\n* %2 - the kind of value the input needs, e.g. "true or false".
+Blockly.Msg.TYPE_MISMATCH = 'This block doesn\'t fit here: it gives %1, but this input needs %2.';
+/// type name - The kind of value of text blocks, as used in the tooltip shown when a block doesn't fit into an input.
+Blockly.Msg.TYPE_STRING = 'text';
+/// type name - The kind of value of number blocks, as used in the tooltip shown when a block doesn't fit into an input.
+Blockly.Msg.TYPE_NUMBER = 'a number';
+/// type name - The kind of value of condition blocks, as used in the tooltip shown when a block doesn't fit into an input.
+Blockly.Msg.TYPE_BOOLEAN = 'true or false';
+/// type name - The kind of value of colour blocks, as used in the tooltip shown when a block doesn't fit into an input.
+Blockly.Msg.TYPE_COLOUR = 'a colour';
 
 // Colour Blocks.
 /// url - Information about colour.
@@ -1159,3 +1242,35 @@ Blockly.Msg.PROCEDURES_IFRETURN_TOOLTIP = 'If a value is true, then return a sec
 Blockly.Msg.PROCEDURES_IFRETURN_HELPURL = 'http://c2.com/cgi/wiki?GuardClause';
 /// warning - This appears if the user tries to use this block outside of a function definition.
 Blockly.Msg.PROCEDURES_IFRETURN_WARNING = 'Warning: This block may be used only within a function definition.';
+
+// Custom blocks (procedures).
+/// button text - Text on the button used to launch the dialog for making a custom block (procedure).  Also the title of that dialog.
+Blockly.Msg.PROCEDURES_MAKE_BLOCK = 'Make a Block';
+/// context menu - Opens the custom block dialog on the definition of a custom block (procedure).\n{{Identical|Edit}}
+Blockly.Msg.PROCEDURES_EDIT = 'Edit';
+/// default name - The label of a new custom block (procedure) until the user changes it.
+Blockly.Msg.PROCEDURES_DEFAULT_NAME = 'block name';
+/// alert - Tells the user that a custom block (procedure) with the same labels and inputs already exists.\n\nParameters:\n* %1 - the custom block's labels and inputs.
+Blockly.Msg.PROCEDURE_ALREADY_EXISTS = 'A block named "%1" already exists.';
+/// button text - In the custom block dialog, adds a number input to the block.
+Blockly.Msg.PROCEDURES_EDITOR_ADD_NUMBER = 'Add a number input';
+/// button text - In the custom block dialog, adds a boolean (true/false) input to the block.
+Blockly.Msg.PROCEDURES_EDITOR_ADD_BOOLEAN = 'Add a boolean input';
+/// button text - In the custom block dialog, adds a text input to the block.
+Blockly.Msg.PROCEDURES_EDITOR_ADD_TEXT = 'Add a text input';
+/// button text - In the custom block dialog, adds a piece of text to the block.
+Blockly.Msg.PROCEDURES_EDITOR_ADD_LABEL = 'Add a label';
+/// default name - The name of a new number input of a custom block.
+Blockly.Msg.PROCEDURES_EDITOR_NUMBER = 'number';
+/// default name - The name of a new boolean input of a custom block.
+Blockly.Msg.PROCEDURES_EDITOR_BOOLEAN = 'boolean';
+/// default name - The name of a new text input of a custom block.
+Blockly.Msg.PROCEDURES_EDITOR_TEXT = 'text';
+/// default text - The text of a new label of a custom block.
+Blockly.Msg.PROCEDURES_EDITOR_LABEL = 'label text';
+/// checkbox label - In the custom block dialog, makes the block run all at once instead of redrawing the stage between steps.
+Blockly.Msg.PROCEDURES_EDITOR_WARP = 'Run without screen refresh';
+/// button text - Accepts the changes made in the custom block dialog.\n{{Identical|OK}}
+Blockly.Msg.PROCEDURES_EDITOR_OK = 'OK';
+/// button text - Closes the custom block dialog without making changes.\n{{Identical|Cancel}}
+Blockly.Msg.PROCEDURES_EDITOR_CANCEL = 'Cancel';
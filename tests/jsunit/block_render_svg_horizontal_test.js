@@ -0,0 +1,136 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var horizontalRenderTest_workspace;
+
+function horizontalRenderTest_setUp() {
+  horizontalRenderTest_workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox'), media: '../../media/'});
+}
+
+function horizontalRenderTest_tearDown() {
+  horizontalRenderTest_workspace.dispose();
+  horizontalRenderTest_workspace = null;
+}
+
+/**
+ * Create and render a block from XML.  Must be called after
+ * horizontalRenderTest_setUp().
+ * @param {string} text XML of the block.
+ * @return {!Blockly.BlockSvg} The new block.
+ */
+function horizontalRenderTest_newBlock(text) {
+  return Blockly.Xml.domToBlock(Blockly.Xml.textToDom('<xml>' + text +
+      '</xml>').firstChild, horizontalRenderTest_workspace);
+}
+
+function test_horizontalRender_reporter() {
+  horizontalRenderTest_setUp();
+  try {
+    var add = horizontalRenderTest_newBlock(
+        '<block type="operator_add"></block>');
+    var plusWidth = add.inputList[1].fieldRow[0].getSize().width;
+    // Padding, empty input, "+", empty input, padding.
+    assertEquals(2 * Blockly.BlockSvg.SEP_SPACE_X +
+        2 * Blockly.BlockSvg.INPUT_SHAPE_WIDTH + plusWidth +
+        2 * Blockly.BlockSvg.INPUT_SEP_X, add.width);
+    assertEquals(Blockly.BlockSvg.INPUT_SHAPE_HEIGHT +
+        2 * Blockly.BlockSvg.REPORTER_PADDING_Y, add.height);
+    // Reporters hold their inputs inside them.
+    assertEquals(add.height, add.getHeightWidth().height);
+
+    var shadowed = horizontalRenderTest_newBlock(
+        '<block type="operator_add">' +
+        '  <value name="NUM1">' +
+        '    <shadow type="math_number"><field name="NUM">1</field></shadow>' +
+        '  </value>' +
+        '</block>');
+    var shadow = shadowed.getInputTargetBlock('NUM1');
+    assertEquals(Blockly.BlockSvg.FIELD_WIDTH, shadow.width);
+    assertEquals(Blockly.BlockSvg.FIELD_HEIGHT, shadow.height);
+    assertEquals('Wider by the shadow.', add.width +
+        Blockly.BlockSvg.FIELD_WIDTH - Blockly.BlockSvg.INPUT_SHAPE_WIDTH,
+        shadowed.width);
+    assertEquals(Math.max(Blockly.BlockSvg.FIELD_HEIGHT,
+        Blockly.BlockSvg.FIELD_HEIGHT + 2 * Blockly.BlockSvg.REPORTER_PADDING_Y),
+        shadowed.height);
+  } finally {
+    horizontalRenderTest_tearDown();
+  }
+}
+
+function test_horizontalRender_ifElseBays() {
+  horizontalRenderTest_setUp();
+  try {
+    var ifElse = horizontalRenderTest_newBlock(
+        '<block type="control_if_else"></block>');
+    var emptyBay = Blockly.BlockSvg.MIN_BLOCK_X - Blockly.BlockSvg.NOTCH_WIDTH;
+    var bays = ifElse.renderingMetrics_.bays;
+    assertEquals(2, bays.length);
+    assertEquals(emptyBay, bays[0].width);
+    assertEquals(emptyBay, bays[1].width);
+    assertEquals(Blockly.BlockSvg.MIN_BLOCK_Y +
+        Blockly.BlockSvg.STATEMENT_BLOCK_SPACE, ifElse.height);
+
+    var filled = horizontalRenderTest_newBlock(
+        '<block type="control_if_else">' +
+        '  <statement name="SUBSTACK">' +
+        '    <block type="control_wait">' +
+        '      <next><block type="control_wait"></block></next>' +
+        '    </block>' +
+        '  </statement>' +
+        '</block>');
+    var stack = filled.getInputTargetBlock('SUBSTACK').getHeightWidth(true);
+    bays = filled.renderingMetrics_.bays;
+    // The stack ends with a free next connection, so the bay has a notch.
+    assertTrue(bays[0].notchAtRight);
+    assertEquals(stack.width - Blockly.BlockSvg.NOTCH_WIDTH, bays[0].width);
+    assertEquals(emptyBay, bays[1].width);
+    assertEquals('Wider by the stack.', ifElse.width + bays[0].width - emptyBay,
+        filled.width);
+  } finally {
+    horizontalRenderTest_tearDown();
+  }
+}
+
+function test_horizontalRender_getHeightWidth() {
+  horizontalRenderTest_setUp();
+  try {
+    var repeat = horizontalRenderTest_newBlock(
+        '<block type="control_repeat">' +
+        '  <next><block type="control_wait"></block></next>' +
+        '</block>');
+    var wait = repeat.getNextBlock();
+    // The value inputs hang below the blocks.
+    var inputsHeight = Blockly.BlockSvg.FIELD_Y_OFFSET +
+        Blockly.BlockSvg.INPUT_SHAPE_HEIGHT;
+    assertEquals(wait.height + inputsHeight, wait.getHeightWidth().height);
+    assertEquals(wait.height, wait.getHeightWidth(true).height);
+
+    var size = repeat.getHeightWidth();
+    assertEquals(Math.max(repeat.height, wait.height) + inputsHeight,
+        size.height);
+    assertEquals('Stacked, sharing a notch.',
+        repeat.width + wait.width - Blockly.BlockSvg.NOTCH_WIDTH, size.width);
+  } finally {
+    horizontalRenderTest_tearDown();
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function test_verticalRender_glowBlock() {
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox'), media: '../../media/'});
+  try {
+    var block = Blockly.Xml.domToBlock(Blockly.Xml.textToDom(
+        '<xml><block type="control_wait" id="wait"></block></xml>').firstChild,
+        workspace);
+    var path = block.svgPath_;
+    assertEquals(block.getColour(), path.getAttribute('fill'));
+    // The VM glows running blocks with their secondary colour.
+    workspace.glowBlock('wait', true);
+    assertEquals(block.getColourSecondary(), path.getAttribute('fill'));
+    workspace.glowBlock('wait', false);
+    assertEquals(block.getColour(), path.getAttribute('fill'));
+  } finally {
+    workspace.dispose();
+  }
+}
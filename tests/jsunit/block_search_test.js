@@ -0,0 +1,126 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var SEARCH_XML =
+    '<xml>' +
+    '  <block type="data_setvariableto" id="set" x="0" y="0">' +
+    '    <value name="VARIABLE">' +
+    '      <shadow type="data_variablemenu" id="setMenu">' +
+    '        <field name="VARIABLE">score</field>' +
+    '      </shadow>' +
+    '    </value>' +
+    '    <value name="VALUE">' +
+    '      <shadow type="math_number" id="setValue">' +
+    '        <field name="NUM">10</field>' +
+    '      </shadow>' +
+    '    </value>' +
+    '    <next>' +
+    '      <block type="event_broadcast" id="broadcast">' +
+    '        <value name="BROADCAST_OPTION">' +
+    '          <shadow type="event_broadcast_menu" id="broadcastMenu">' +
+    '            <field name="BROADCAST_OPTION">message1</field>' +
+    '          </shadow>' +
+    '        </value>' +
+    '      </block>' +
+    '    </next>' +
+    '  </block>' +
+    '  <block type="event_whenbroadcastreceived" id="hat" x="0" y="200">' +
+    '    <field name="BROADCAST_OPTION">message1</field>' +
+    '  </block>' +
+    '  <block type="data_variable" id="get" x="0" y="300">' +
+    '    <field name="VARIABLE">Score</field>' +
+    '  </block>' +
+    '  <block type="math_number" id="number" x="0" y="400">' +
+    '    <field name="NUM">100</field>' +
+    '  </block>' +
+    '</xml>';
+
+function searchTest_ids(blocks) {
+  return blocks.map(function(block) {
+    return block.id;
+  }).join();
+}
+
+function test_findBlocks() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(SEARCH_XML), workspace);
+    assertEquals('By type.', 'number',
+        searchTest_ids(workspace.findBlocks({type: 'math_number'})));
+    assertEquals('Variable, any case, in shadows too.', 'set,get',
+        searchTest_ids(workspace.findBlocks({variable: 'SCORE'})));
+    assertEquals('Broadcast.', 'broadcast,hat',
+        searchTest_ids(workspace.findBlocks({broadcast: 'message1'})));
+    assertEquals('Broadcast, any case.', 'broadcast,hat',
+        searchTest_ids(workspace.findBlocks({broadcast: 'MESSAGE1'})));
+    assertEquals('Text, in labels and shadows.', 'set,number',
+        searchTest_ids(workspace.findBlocks({text: '10'})));
+    assertEquals('Label text.', 'set',
+        searchTest_ids(workspace.findBlocks({text: 'SET'})));
+    assertEquals('Every criterion.', 'number', searchTest_ids(
+        workspace.findBlocks({text: '10', type: 'math_number'})));
+    assertEquals('No match.', '',
+        searchTest_ids(workspace.findBlocks({broadcast: 'message2'})));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_findBlocks_procedure() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+        '<xml>' +
+        '  <block type="procedures_defnoreturn" id="definition" x="0" y="0">' +
+        '    <mutation proccode="jump" argumentids="[]" argumentnames="[]"' +
+        '        argumentdefaults="[]" warp="false"></mutation>' +
+        '  </block>' +
+        '  <block type="procedures_callnoreturn" id="call" x="0" y="100">' +
+        '    <mutation proccode="jump" argumentids="[]"></mutation>' +
+        '  </block>' +
+        '  <block type="procedures_callnoreturn" id="other" x="0" y="200">' +
+        '    <mutation proccode="run" argumentids="[]"></mutation>' +
+        '  </block>' +
+        '</xml>'), workspace);
+    assertEquals('definition,call',
+        searchTest_ids(workspace.findBlocks({procedure: 'jump'})));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_blockSearch_queryForBlock() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(SEARCH_XML), workspace);
+    var queryFor = function(id) {
+      return JSON.stringify(
+          Blockly.BlockSearch.queryForBlock(workspace.getBlockById(id)));
+    };
+    assertEquals('{"variable":"score"}', queryFor('set'));
+    assertEquals('{"variable":"Score"}', queryFor('get'));
+    assertEquals('{"broadcast":"message1"}', queryFor('broadcast'));
+    assertEquals('{"broadcast":"message1"}', queryFor('hat'));
+    assertEquals('{"type":"math_number"}', queryFor('number'));
+  } finally {
+    workspace.dispose();
+  }
+}
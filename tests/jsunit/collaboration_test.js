@@ -0,0 +1,165 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var collaborationTest_workspaces = [];
+var collaborationTest_collaborations = [];
+
+function collaborationTest_setUp() {
+  var transportA = new Blockly.MemoryTransport();
+  var transportB = new Blockly.MemoryTransport(transportA);
+  collaborationTest_workspaces = [new Blockly.Workspace(),
+      new Blockly.Workspace()];
+  collaborationTest_collaborations = [
+    new Blockly.Collaboration(collaborationTest_workspaces[0], transportA,
+        {clientId: 'a', name: 'Ann', colour: '#ff0000'}),
+    new Blockly.Collaboration(collaborationTest_workspaces[1], transportB,
+        {clientId: 'b', name: 'Ben', colour: '#0000ff'})
+  ];
+}
+
+function collaborationTest_tearDown() {
+  for (var i = 0; i < collaborationTest_workspaces.length; i++) {
+    collaborationTest_collaborations[i].dispose();
+    collaborationTest_workspaces[i].dispose();
+  }
+  collaborationTest_workspaces = [];
+  collaborationTest_collaborations = [];
+}
+
+function collaborationTest_newBlock(workspace, id) {
+  // Fire the create event now, rather than after a timeout.
+  Blockly.Events.disable();
+  var block = workspace.newBlock('math_number', id);
+  Blockly.Events.enable();
+  workspace.fireChangeListener(new Blockly.Events.Create(block));
+  return block;
+}
+
+function collaborationTest_deleteBlock(block) {
+  var workspace = block.workspace;
+  var event = new Blockly.Events.Delete(block);
+  Blockly.Events.disable();
+  block.dispose();
+  Blockly.Events.enable();
+  workspace.fireChangeListener(event);
+}
+
+function test_collaboration_events() {
+  collaborationTest_setUp();
+  try {
+    var local = collaborationTest_workspaces[0];
+    var remote = collaborationTest_workspaces[1];
+    var remoteEvents = [];
+    remote.addChangeListener(function(event) {
+      remoteEvents.push(event);
+    });
+    var echoes = 0;
+    collaborationTest_collaborations[0].transport_.addMessageListener(
+        function(message) {
+          if (message['clientId'] == 'b') {
+            echoes++;
+          }
+        });
+    var block = collaborationTest_newBlock(local, 'number');
+    var copy = remote.getBlockById('number');
+    assertNotNull('Created.', copy);
+
+    Blockly.Events.disable();
+    block.setFieldValue('7', 'NUM');
+    Blockly.Events.enable();
+    local.fireChangeListener(
+        new Blockly.Events.Change(block, 'field', 'NUM', '0', '7'));
+    assertEquals('Changed.', '7', copy.getFieldValue('NUM'));
+
+    collaborationTest_deleteBlock(block);
+    assertNull('Deleted.', remote.getBlockById('number'));
+    Blockly.Events.fireNow_();
+    assertEquals('Not undoable.', 0, remote.undoStack.length);
+    // Other listeners hear about the changes, which aren't sent back.
+    assertEquals([Blockly.Events.CREATE, Blockly.Events.CHANGE,
+      Blockly.Events.DELETE].join(), remoteEvents.map(function(event) {
+        return event.type;
+      }).join());
+    assertTrue(remoteEvents[0].remote);
+    assertEquals('Not sent back.', 0, echoes);
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_deleteDraggedBlock() {
+  collaborationTest_setUp();
+  var dragMode = Blockly.dragMode;
+  try {
+    var workspaceA = collaborationTest_workspaces[0];
+    var workspaceB = collaborationTest_workspaces[1];
+    var block = collaborationTest_newBlock(workspaceA, 'number');
+    collaborationTest_newBlock(workspaceA, 'other');
+
+    // B drags the block while A deletes it, then A creates another block.
+    var dragged = workspaceB.getBlockById('number');
+    Blockly.selected = dragged;
+    Blockly.dragMode = Blockly.DRAG_FREE;
+    collaborationTest_deleteBlock(block);
+    collaborationTest_newBlock(workspaceA, 'new');
+    assertEquals('Held during the drag.', dragged,
+        workspaceB.getBlockById('number'));
+    assertNull('Order kept.', workspaceB.getBlockById('new'));
+
+    // B drops the block.
+    Blockly.dragMode = Blockly.DRAG_NONE;
+    Blockly.selected = null;
+    var event = new Blockly.Events.Move(dragged);
+    event.newCoordinate = new goog.math.Coordinate(10, 20);
+    workspaceB.fireChangeListener(event);
+    assertNull('Deleted after the drag.', workspaceB.getBlockById('number'));
+    assertNotNull(workspaceB.getBlockById('new'));
+    assertEquals(['other', 'new'].join(), workspaceA.getAllBlocks()
+        .map(function(block) {return block.id;}).join());
+  } finally {
+    Blockly.dragMode = dragMode;
+    Blockly.selected = null;
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_remoteSelections() {
+  collaborationTest_setUp();
+  try {
+    var workspaceA = collaborationTest_workspaces[0];
+    collaborationTest_newBlock(workspaceA, 'number');
+    var event = new Blockly.Events.Ui(null, 'selected', null, 'number');
+    event.workspaceId = workspaceA.id;
+    workspaceA.fireChangeListener(event);
+    var selections = collaborationTest_collaborations[1].getRemoteSelections();
+    assertEquals(1, selections.length);
+    assertEquals('a', selections[0].clientId);
+    assertEquals('Ann', selections[0].name);
+    assertEquals('#ff0000', selections[0].colour);
+    assertEquals('number', selections[0].blockId);
+
+    collaborationTest_collaborations[0].dispose();
+    assertEquals('Left.', 0,
+        collaborationTest_collaborations[1].getRemoteSelections().length);
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
@@ -343,3 +343,24 @@ function testCheckConnection_Okay() {
 
   connectionTest_tearDown();
 }
+
+function testCheckType_Subtypes() {
+  connectionTest_setUp();
+  try {
+    input.setCheck('String');
+    output.setCheck('Number');
+    assertTrue('Number into String.', output.checkType(input));
+    assertTrue('Either way round.', input.checkType(output));
+
+    input.setCheck('Number');
+    output.setCheck('String');
+    assertFalse('String into Number.', output.checkType(input));
+    assertFalse('Either way round.', input.checkType(output));
+
+    input.setCheck(['Boolean', 'Number']);
+    output.setCheck(null);
+    assertTrue('Output gives anything.', output.checkType(input));
+  } finally {
+    connectionTest_tearDown();
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function test_debugger_breakpoints() {
+  var workspace = new Blockly.Workspace();
+  try {
+    workspace.newBlock('math_number', 'a');
+    workspace.newBlock('math_number', 'b');
+    var blockDebugger = workspace.getDebugger();
+    assertEquals('Same debugger.', blockDebugger, workspace.getDebugger());
+    assertFalse(blockDebugger.hasBreakpoint('a'));
+
+    blockDebugger.setBreakpoint('b', true);
+    blockDebugger.setBreakpoint('a', true);
+    blockDebugger.setBreakpoint('a', true);
+    assertTrue(blockDebugger.hasBreakpoint('a'));
+    assertEquals(['b', 'a'].join(), blockDebugger.getBreakpoints().join());
+
+    blockDebugger.setBreakpoint('b', false);
+    assertEquals('a', blockDebugger.getBreakpoints().join());
+    workspace.getBlockById('a').dispose();
+    assertEquals('Deleted block.', 0, blockDebugger.getBreakpoints().length);
+    try {
+      blockDebugger.setBreakpoint('nothing', true);
+      fail('No such block.');
+    } catch (e) {
+      // Expected.
+    }
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_debugger_threads() {
+  var workspace = new Blockly.Workspace();
+  try {
+    workspace.newBlock('math_number', 'a');
+    var blockDebugger = workspace.getDebugger();
+    assertNull(blockDebugger.getThreadColour('thread1'));
+    blockDebugger.setThreadBlock('thread1', 'a');
+    blockDebugger.setThreadBlock('thread2', 'a', true);
+    blockDebugger.setThreadBlock('thread1', null);
+    var colour1 = blockDebugger.getThreadColour('thread1');
+    var colour2 = blockDebugger.getThreadColour('thread2');
+    assertEquals(Blockly.Debugger.THREAD_COLOURS[0], colour1);
+    assertEquals(Blockly.Debugger.THREAD_COLOURS[1], colour2);
+    blockDebugger.clear();
+    assertNull('Colours cleared.', blockDebugger.getThreadColour('thread2'));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_debugger_badges() {
+  var workspace = new Blockly.Workspace();
+  try {
+    workspace.newBlock('math_number', 'a');
+    workspace.newBlock('math_number', 'b');
+    var blockDebugger = workspace.getDebugger();
+    blockDebugger.setBreakpoint('a', true);
+    blockDebugger.countHit('a', 5);
+    blockDebugger.countHit('a', 2);
+    blockDebugger.setLastValue('b', 42);
+    assertEquals(2, blockDebugger.getStats('a').hits);
+    assertEquals(7, blockDebugger.getStats('a').time);
+    assertEquals('2', blockDebugger.getBadge('a'));
+    assertEquals('42', blockDebugger.getBadge('b'));
+
+    blockDebugger.setBadge('b', null);
+    assertNull(blockDebugger.getBadge('b'));
+    blockDebugger.clear();
+    assertEquals(0, blockDebugger.getStats('a').hits);
+    assertNull(blockDebugger.getBadge('a'));
+    assertTrue('Breakpoints kept.', blockDebugger.hasBreakpoint('a'));
+  } finally {
+    workspace.dispose();
+  }
+}
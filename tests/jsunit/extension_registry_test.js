@@ -0,0 +1,136 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function extensionRegistryTest_descriptor() {
+  return {
+    id: 'test',
+    name: 'Test',
+    colour: '#0FBD8C',
+    colourSecondary: '#0DA57A',
+    colourTertiary: '#0B8E69',
+    blocks: [{
+      type: 'test_button',
+      message0: 'when %1 pressed',
+      args0: [{type: 'field_dropdown', name: 'BTN', menu: 'buttons'}],
+      nextStatement: null
+    }, {
+      type: 'test_port',
+      message0: 'port %1',
+      args0: [{type: 'field_dropdown', name: 'PORT', menu: 'ports'}],
+      colour: '#FF0000',
+      output: null
+    }],
+    menus: {
+      buttons: [['A', 'A'], ['B', 'B']],
+      ports: function() {
+        return [['USB', 'usb']];
+      }
+    }
+  };
+}
+
+function test_extensionRegistry_load() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.ExtensionRegistry.load(workspace,
+        extensionRegistryTest_descriptor());
+    assertTrue(Blockly.ExtensionRegistry.isLoaded('test'));
+    assertEquals('test', Blockly.ExtensionRegistry.getLoadedIds()[0]);
+
+    var button = workspace.newBlock('test_button');
+    assertEquals('#0FBD8C', button.getColour());
+    assertEquals('#0B8E69', button.getColourTertiary());
+    assertEquals('A', button.getFieldValue('BTN'));
+    assertEquals(2, button.getField('BTN').getOptions().length);
+
+    var port = workspace.newBlock('test_port');
+    assertEquals('Blocks keep their own colour.', '#FF0000',
+        port.getColour());
+    assertEquals('usb', port.getFieldValue('PORT'));
+    assertEquals('test.ports', port.getField('PORT').getMenuType());
+
+    try {
+      Blockly.ExtensionRegistry.load(workspace,
+          extensionRegistryTest_descriptor());
+      fail('Loading an extension twice should fail.');
+    } catch (e) {
+      // Expected.
+    }
+    workspace.clear();
+  } finally {
+    Blockly.ExtensionRegistry.unload('test');
+    workspace.dispose();
+  }
+}
+
+function test_extensionRegistry_unload() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.ExtensionRegistry.load(workspace,
+        extensionRegistryTest_descriptor());
+    var block = workspace.newBlock('test_button');
+    assertFalse('Blocks are in use.', Blockly.ExtensionRegistry.unload('test'));
+    assertTrue(Blockly.ExtensionRegistry.isLoaded('test'));
+
+    block.dispose();
+    assertTrue(Blockly.ExtensionRegistry.unload('test'));
+    assertFalse(Blockly.ExtensionRegistry.isLoaded('test'));
+    assertUndefined(Blockly.Blocks['test_button']);
+    assertUndefined(Blockly.Blocks['test_port']);
+    assertNull(workspace.getMenuCallback('test.ports'));
+    assertFalse('Not loaded.', Blockly.ExtensionRegistry.unload('test'));
+
+    // The extension can be loaded again.
+    Blockly.ExtensionRegistry.load(workspace,
+        extensionRegistryTest_descriptor());
+    assertTrue(Blockly.ExtensionRegistry.unload('test'));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_extensionRegistry_invalid() {
+  var workspace = new Blockly.Workspace();
+  try {
+    var descriptor = extensionRegistryTest_descriptor();
+    descriptor.blocks[1].args0[0].menu = 'missing';
+    try {
+      Blockly.ExtensionRegistry.load(workspace, descriptor);
+      fail('Unknown menus should fail.');
+    } catch (e) {
+      // Expected.
+    }
+    assertFalse(Blockly.ExtensionRegistry.isLoaded('test'));
+    assertUndefined('Nothing was defined.', Blockly.Blocks['test_button']);
+
+    descriptor = extensionRegistryTest_descriptor();
+    descriptor.blocks[0].type = 'math_number';
+    try {
+      Blockly.ExtensionRegistry.load(workspace, descriptor);
+      fail('Redefining blocks should fail.');
+    } catch (e) {
+      // Expected.
+    }
+    assertFalse(Blockly.ExtensionRegistry.isLoaded('test'));
+  } finally {
+    workspace.dispose();
+  }
+}
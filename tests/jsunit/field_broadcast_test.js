@@ -0,0 +1,184 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function fieldBroadcastTest_select(field, index) {
+  var items = field.getOptions().map(function(option) {
+    return {
+      getValue: function() {
+        return option[1];
+      }
+    };
+  });
+  var menu = {
+    getChildAt: function(i) {
+      return items[i];
+    }
+  };
+  field.onItemSelected(menu, items[index]);
+}
+
+function test_fieldBroadcast_default() {
+  var workspace = new Blockly.Workspace();
+  try {
+    var field = workspace.newBlock('event_whenbroadcastreceived')
+        .getField('BROADCAST_OPTION');
+    assertEquals(Blockly.Msg.DEFAULT_BROADCAST_MESSAGE, field.getValue());
+    assertArrayEquals('Not created until chosen.', [],
+        workspace.getBroadcastMessages());
+
+    workspace.createBroadcastMessage('go');
+    field = workspace.newBlock('event_broadcast_menu')
+        .getField('BROADCAST_OPTION');
+    assertEquals('First message.', 'go', field.getValue());
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_fieldBroadcast_menu() {
+  var workspace = new Blockly.Workspace();
+  // The menu options close any open menus on the main workspace.
+  var mainWorkspace = Blockly.mainWorkspace;
+  Blockly.mainWorkspace = workspace;
+  var prompt = Blockly.prompt;
+  var answer = null;
+  Blockly.prompt = function(message, defaultValue, callback) {
+    callback(answer);
+  };
+  try {
+    workspace.createBroadcastMessage('stop');
+    workspace.createBroadcastMessage('Go');
+    var field = workspace.newBlock('event_whenbroadcastreceived')
+        .getField('BROADCAST_OPTION');
+    field.setValue('jump');
+    assertArrayEquals('Sorted, with new and rename options.',
+        ['Go', 'jump', 'stop', Blockly.Msg.NEW_BROADCAST_MESSAGE,
+         Blockly.Msg.RENAME_BROADCAST_MESSAGE],
+        field.getOptions().map(function(option) {
+          return option[1];
+        }));
+
+    fieldBroadcastTest_select(field, 0);
+    assertEquals('Chosen.', 'Go', field.getValue());
+
+    // New message.
+    answer = '  start   now ';
+    fieldBroadcastTest_select(field, 3);
+    assertEquals('Created.', 'start now', field.getValue());
+    answer = 'GO';
+    fieldBroadcastTest_select(field, 4);
+    assertEquals('Existing message.', 'Go', field.getValue());
+    answer = null;
+    fieldBroadcastTest_select(field, 4);
+    assertEquals('Cancelled.', 'Go', field.getValue());
+
+    // Rename message.
+    answer = 'start';
+    fieldBroadcastTest_select(field, 5);
+    assertEquals('Renamed.', 'start', field.getValue());
+    assertArrayEquals(['stop', 'start', 'jump', 'start now'],
+        workspace.getBroadcastMessages());
+  } finally {
+    Blockly.prompt = prompt;
+    Blockly.mainWorkspace = mainWorkspace;
+    workspace.dispose();
+  }
+}
+
+var BROADCAST_XML =
+    '<xml>' +
+    '  <block type="event_whenbroadcastreceived" id="hat" x="0" y="0">' +
+    '    <field name="BROADCAST_OPTION">go</field>' +
+    '  </block>' +
+    '  <block type="event_broadcast" id="broadcast" x="0" y="100">' +
+    '    <value name="BROADCAST_OPTION">' +
+    '      <shadow type="event_broadcast_menu" id="menu">' +
+    '        <field name="BROADCAST_OPTION">Go</field>' +
+    '      </shadow>' +
+    '    </value>' +
+    '  </block>' +
+    '  <block type="event_whenbroadcastreceived" id="stop" x="0" y="200">' +
+    '    <field name="BROADCAST_OPTION">stop</field>' +
+    '  </block>' +
+    '</xml>';
+
+function test_broadcastMessages() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(BROADCAST_XML),
+        workspace);
+    assertArrayEquals('Loaded, any case.', ['go', 'stop'],
+        workspace.getBroadcastMessages());
+    assertEquals('Existing name.', 'stop',
+        workspace.createBroadcastMessage('STOP'));
+    assertEquals('New name.', 'jump', workspace.createBroadcastMessage('jump'));
+    assertArrayEquals('Uses, any case.', ['hat', 'menu'],
+        workspace.getBroadcastMessageUses('GO').map(function(block) {
+          return block.id;
+        }));
+
+    // Saving leaves the messages alone; unused ones are deleted on request.
+    Blockly.Xml.workspaceToDom(workspace);
+    assertArrayEquals('Saved as XML.', ['go', 'stop', 'jump'],
+        workspace.getBroadcastMessages());
+    Blockly.Json.workspaceToJson(workspace);
+    assertArrayEquals('Saved as JSON.', ['go', 'stop', 'jump'],
+        workspace.getBroadcastMessages());
+    assertArrayEquals('Unused.', ['jump'],
+        workspace.deleteUnusedBroadcastMessages());
+    assertArrayEquals('Garbage collected.', ['go', 'stop'],
+        workspace.getBroadcastMessages());
+
+    workspace.deleteBroadcastMessage('stop');
+    assertArrayEquals('Deleted.', ['go'], workspace.getBroadcastMessages());
+    assertEquals('Uses switched.', 'go',
+        workspace.getBlockById('stop').getFieldValue('BROADCAST_OPTION'));
+
+    workspace.clear();
+    assertArrayEquals('Cleared.', [], workspace.getBroadcastMessages());
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_renameBroadcastMessage() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(BROADCAST_XML),
+        workspace);
+    var messageOf = function(id) {
+      return workspace.getBlockById(id).getFieldValue('BROADCAST_OPTION');
+    };
+    workspace.renameBroadcastMessage('GO', 'start');
+    assertArrayEquals('Renamed.', ['start', 'stop'],
+        workspace.getBroadcastMessages());
+    assertEquals('Receiver renamed.', 'start', messageOf('hat'));
+    assertEquals('Sender renamed.', 'start', messageOf('menu'));
+
+    // Renaming onto another message merges the two.
+    workspace.renameBroadcastMessage('stop', 'Start');
+    assertArrayEquals('Merged.', ['Start'], workspace.getBroadcastMessages());
+    assertEquals('Start', messageOf('hat'));
+    assertEquals('Start', messageOf('stop'));
+  } finally {
+    workspace.dispose();
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function fieldDropdownTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    "type": "field_dropdown_costume",
+    "message0": "%1",
+    "args0": [
+      {
+        "type": "field_dropdown",
+        "name": "COSTUME",
+        "options": Blockly.FieldDropdown.hostMenu(Blockly.MENU_COSTUMES, [
+          ['costume1', 'COSTUME1']
+        ], null, [
+          ['next costume', '_next_']
+        ])
+      }
+    ]
+  }]);
+  return new Blockly.Workspace();
+}
+
+function fieldDropdownTest_tearDown(workspace) {
+  workspace.dispose();
+  delete Blockly.Blocks['field_dropdown_costume'];
+}
+
+function test_fieldDropdown_hostMenuPlaceholders() {
+  var workspace = fieldDropdownTest_setUp();
+  try {
+    var field = workspace.newBlock('field_dropdown_costume')
+        .getField('COSTUME');
+    assertEquals(Blockly.MENU_COSTUMES, field.getMenuType());
+    assertEquals(2, field.getOptions().length);
+    assertEquals('COSTUME1', field.getValue());
+    assertEquals('_next_', field.getOptions()[1][1]);
+  } finally {
+    fieldDropdownTest_tearDown(workspace);
+  }
+}
+
+function test_fieldDropdown_hostMenuCallback() {
+  var workspace = fieldDropdownTest_setUp();
+  try {
+    var costumes = [['cat', 'cat'], ['dog', 'dog']];
+    workspace.registerMenuCallback(Blockly.MENU_COSTUMES, function(ws) {
+      assertEquals(workspace, ws);
+      return costumes;
+    });
+    var field = workspace.newBlock('field_dropdown_costume')
+        .getField('COSTUME');
+    assertEquals(3, field.getOptions().length);
+    assertEquals('New blocks start on the host\'s first option.', 'cat',
+        field.getValue());
+
+    // The menu lists whatever the host lists when it opens.
+    costumes.push(['bird', 'bird']);
+    assertEquals('bird', field.getOptions()[2][1]);
+
+    workspace.removeMenuCallback(Blockly.MENU_COSTUMES);
+    assertNull(workspace.getMenuCallback(Blockly.MENU_COSTUMES));
+    assertEquals('COSTUME1', field.getOptions()[0][1]);
+  } finally {
+    fieldDropdownTest_tearDown(workspace);
+  }
+}
+
+function test_fieldDropdown_hostMenuRenameDelete() {
+  var workspace = fieldDropdownTest_setUp();
+  try {
+    var costumes = [['cat', 'cat'], ['dog', 'dog']];
+    workspace.registerMenuCallback(Blockly.MENU_COSTUMES, function() {
+      return costumes;
+    });
+    var first = workspace.newBlock('field_dropdown_costume')
+        .getField('COSTUME');
+    var second = workspace.newBlock('field_dropdown_costume')
+        .getField('COSTUME');
+    second.setValue('dog');
+
+    costumes[1] = ['puppy', 'puppy'];
+    workspace.renameMenuOption(Blockly.MENU_COSTUMES, 'dog', 'puppy');
+    assertEquals('cat', first.getValue());
+    assertEquals('puppy', second.getValue());
+
+    costumes.shift();
+    workspace.deleteMenuOption(Blockly.MENU_COSTUMES, 'cat');
+    assertEquals('puppy', first.getValue());
+    assertEquals('puppy', second.getValue());
+  } finally {
+    fieldDropdownTest_tearDown(workspace);
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var GRAMMAR_HORIZONTAL_XML =
+    '<xml>' +
+    '  <block type="event_whenbroadcastreceived" id="hat" x="10" y="20">' +
+    '    <value name="CHOICE">' +
+    '      <shadow type="dropdown_whenbroadcast" id="hatMenu">' +
+    '        <field name="CHOICE">green</field>' +
+    '      </shadow>' +
+    '    </value>' +
+    '    <next>' +
+    '      <block type="control_repeat" id="repeat">' +
+    '        <value name="TIMES">' +
+    '          <shadow type="math_whole_number" id="times">' +
+    '            <field name="NUM">4</field>' +
+    '          </shadow>' +
+    '        </value>' +
+    '        <statement name="SUBSTACK">' +
+    '          <block type="event_broadcast" id="broadcast">' +
+    '            <value name="CHOICE">' +
+    '              <shadow type="dropdown_broadcast" id="broadcastMenu">' +
+    '                <field name="CHOICE">blue</field>' +
+    '              </shadow>' +
+    '            </value>' +
+    '          </block>' +
+    '        </statement>' +
+    '        <next>' +
+    '          <block type="control_stop" id="stop"></block>' +
+    '        </next>' +
+    '      </block>' +
+    '    </next>' +
+    '  </block>' +
+    '</xml>';
+
+function grammarTest_find(xml, id) {
+  var elements = xml.getElementsByTagName('*');
+  for (var i = 0, element; element = elements[i]; i++) {
+    if (element.getAttribute('id') == id) {
+      return element;
+    }
+  }
+  return null;
+}
+
+function grammarTest_firstBlock(xml) {
+  for (var i = 0, child; child = xml.childNodes[i]; i++) {
+    if (child.nodeName.toLowerCase() == 'block') {
+      return child;
+    }
+  }
+  return null;
+}
+
+function grammarTest_field(block, name) {
+  for (var i = 0, child; child = block.childNodes[i]; i++) {
+    if (child.nodeName.toLowerCase() == 'field' &&
+        child.getAttribute('name') == name) {
+      return child.textContent;
+    }
+  }
+  return null;
+}
+
+function test_grammarConverter_toVertical() {
+  var original = Blockly.Xml.textToDom(GRAMMAR_HORIZONTAL_XML);
+  var result = Blockly.GrammarConverter.toVertical(original);
+  assertEquals(0, result.unconverted.length);
+  assertNotNull('Original untouched.', grammarTest_find(original, 'hatMenu'));
+
+  var hat = grammarTest_find(result.xml, 'hat');
+  assertEquals('green', grammarTest_field(hat, 'BROADCAST_OPTION'));
+  assertNull(grammarTest_find(result.xml, 'hatMenu'));
+
+  var broadcast = grammarTest_find(result.xml, 'broadcast');
+  assertEquals('BROADCAST_OPTION',
+      broadcast.getElementsByTagName('value')[0].getAttribute('name'));
+  var menu = grammarTest_find(result.xml, 'broadcastMenu');
+  assertEquals('event_broadcast_menu', menu.getAttribute('type'));
+  assertEquals('blue', grammarTest_field(menu, 'BROADCAST_OPTION'));
+
+  var stop = grammarTest_find(result.xml, 'stop');
+  assertEquals('all', grammarTest_field(stop, 'STOP_OPTION'));
+  assertEquals('false',
+      stop.getElementsByTagName('mutation')[0].getAttribute('hasnext'));
+  assertEquals('control_repeat',
+      grammarTest_find(result.xml, 'repeat').getAttribute('type'));
+}
+
+function test_grammarConverter_roundTrip() {
+  var horizontal = Blockly.Xml.textToDom(GRAMMAR_HORIZONTAL_XML);
+  var original = Blockly.GrammarConverter.toVertical(horizontal).xml;
+  var result = Blockly.GrammarConverter.toHorizontal(original);
+  assertEquals(0, result.unconverted.length);
+  var vertical = Blockly.GrammarConverter.toVertical(result.xml);
+  assertEquals(0, vertical.unconverted.length);
+  assertEquals(Blockly.Xml.domToText(original),
+      Blockly.Xml.domToText(vertical.xml));
+}
+
+function test_grammarConverter_unconverted() {
+  var xml = Blockly.Xml.textToDom(
+      '<xml>' +
+      '  <block type="looks_say" id="say" x="5" y="6">' +
+      '    <value name="MESSAGE">' +
+      '      <shadow type="text" id="message">' +
+      '        <field name="TEXT">Hello</field>' +
+      '      </shadow>' +
+      '      <block type="operator_add" id="add"></block>' +
+      '    </value>' +
+      '    <next>' +
+      '      <block type="control_stop" id="stop">' +
+      '        <mutation hasnext="false"></mutation>' +
+      '        <field name="STOP_OPTION">this script</field>' +
+      '        <next>' +
+      '          <block type="control_wait" id="wait"></block>' +
+      '        </next>' +
+      '      </block>' +
+      '    </next>' +
+      '  </block>' +
+      '  <block type="wedo_motorclockwise" id="motor"></block>' +
+      '  <block type="wedo_explode" id="explode"></block>' +
+      '</xml>');
+  var result = Blockly.GrammarConverter.toHorizontal(xml);
+  // Only the WeDo blocks that are defined are kept.
+  var expected = ['looks_say:say', 'operator_add:add', 'control_stop:stop',
+    'wedo_explode:explode'];
+  assertEquals(expected.join(), result.unconverted.map(function(block) {
+    return block.type + ':' + block.id;
+  }).join());
+  // The rest of the stack takes the left out blocks' place.
+  var wait = grammarTest_firstBlock(result.xml);
+  assertEquals('wait', wait.getAttribute('id'));
+  assertEquals('5', wait.getAttribute('x'));
+  assertEquals('6', wait.getAttribute('y'));
+  assertEquals(2, result.xml.getElementsByTagName('block').length);
+  assertNotNull(grammarTest_find(result.xml, 'motor'));
+}
+
+function test_grammarConverter_broadcastMessage() {
+  var xml = Blockly.Xml.textToDom(
+      '<xml>' +
+      '  <block type="event_whenbroadcastreceived" id="hat">' +
+      '    <field name="BROADCAST_OPTION">message1</field>' +
+      '  </block>' +
+      '  <block type="event_whenbroadcastreceived" id="coral">' +
+      '    <field name="BROADCAST_OPTION">coral</field>' +
+      '  </block>' +
+      '</xml>');
+  var result = Blockly.GrammarConverter.toHorizontal(xml);
+  assertEquals(1, result.unconverted.length);
+  assertEquals('hat', result.unconverted[0].id);
+  assertEquals('coral',
+      grammarTest_firstBlock(result.xml).getAttribute('id'));
+}
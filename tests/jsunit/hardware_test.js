@@ -0,0 +1,171 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function hardwareTest_descriptor() {
+  return {
+    id: 'robot',
+    name: 'Robot',
+    colours: Blockly.Colours.pen,
+    blocks: [{
+      opcode: 'move',
+      blockType: Blockly.Hardware.BlockType.COMMAND,
+      text: 'move [STEPS] steps on [PORT]',
+      arguments: [
+        {name: 'STEPS', type: Blockly.Hardware.ArgumentType.NUMBER,
+          defaultValue: 10},
+        {name: 'PORT', type: Blockly.Hardware.ArgumentType.MENU,
+          menu: 'ports'}
+      ]
+    }, {
+      opcode: 'distance',
+      blockType: Blockly.Hardware.BlockType.REPORTER,
+      text: 'distance'
+    }, {
+      opcode: 'touching',
+      blockType: Blockly.Hardware.BlockType.BOOLEAN,
+      text: 'touching?',
+      colours: Blockly.Colours.sensing
+    }, {
+      opcode: 'whenbumped',
+      blockType: Blockly.Hardware.BlockType.HAT,
+      text: 'when bumped',
+      icon: 'icons/bumped.svg'
+    }],
+    menus: {
+      ports: [['port A', 'A'], ['port B', 'B']]
+    }
+  };
+}
+
+function hardwareTest_firstToolboxBlock(workspace) {
+  var xml = Blockly.Xml.textToDom('<xml>' +
+      Blockly.Hardware.toolboxXml(hardwareTest_descriptor()) + '</xml>');
+  return Blockly.Xml.domToBlock(xml.firstChild, workspace);
+}
+
+function test_hardware_blockDefinitions() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Hardware.load(workspace, hardwareTest_descriptor());
+    var move = hardwareTest_firstToolboxBlock(workspace);
+    assertEquals('Toolbox shadows.', 'move 10 steps on port A',
+        move.toString());
+    assertEquals(['STEPS', 'PORT'].join(), move.inputList.slice(0, 2)
+        .map(function(input) {return input.name;}).join());
+    assertEquals('Number', move.getInput('STEPS').connection.check_[0]);
+    assertNotNull(move.previousConnection);
+    assertNotNull(move.nextConnection);
+    assertEquals(Blockly.Colours.pen.primary, move.getColour());
+    assertEquals('robot', move.getCategory());
+
+    var distance = workspace.newBlock('robot_distance');
+    assertNotNull(distance.outputConnection);
+    assertEquals(Blockly.OUTPUT_SHAPE_ROUND, distance.getOutputShape());
+
+    var touching = workspace.newBlock('robot_touching');
+    assertEquals('Boolean', touching.outputConnection.check_[0]);
+    assertEquals(Blockly.Colours.sensing.primary, touching.getColour());
+
+    var hat = workspace.newBlock('robot_whenbumped');
+    assertNull(hat.previousConnection);
+    assertNotNull(hat.nextConnection);
+    assertEquals('bumped.svg', hat.inputList[0].fieldRow[0].getValue()
+        .split('/').pop());
+
+    var menu = workspace.newBlock('dropdown_robot_ports');
+    assertEquals('A', menu.getFieldValue('CHOICE'));
+    workspace.clear();
+  } finally {
+    Blockly.Hardware.unload('robot');
+    workspace.dispose();
+  }
+}
+
+function test_hardware_run() {
+  var workspace = new Blockly.Workspace();
+  var adapter = new Blockly.MockHardwareAdapter();
+  try {
+    Blockly.Hardware.load(workspace, hardwareTest_descriptor(), adapter);
+    assertEquals(adapter, Blockly.Hardware.getAdapter('robot'));
+    var move = hardwareTest_firstToolboxBlock(workspace);
+    try {
+      Blockly.Hardware.run(move);
+      fail('The device is not connected.');
+    } catch (e) {
+      // Expected.
+    }
+
+    adapter.connect();
+    Blockly.Hardware.run(move);
+    assertEquals(1, adapter.sent.length);
+    assertEquals('move', adapter.sent[0].opcode);
+    assertEquals(10, adapter.sent[0].args['STEPS']);
+    assertEquals('A', adapter.sent[0].args['PORT']);
+
+    adapter.setValue('distance', 42);
+    var distance = workspace.newBlock('robot_distance');
+    assertEquals(42, Blockly.Hardware.run(distance));
+    workspace.clear();
+  } finally {
+    Blockly.Hardware.unload('robot');
+    workspace.dispose();
+  }
+}
+
+function test_hardware_mockAdapterStatus() {
+  var adapter = new Blockly.MockHardwareAdapter();
+  var statuses = [];
+  var listener = adapter.addStatusListener(function(status) {
+    statuses.push(status);
+  });
+  assertEquals(Blockly.HardwareAdapter.Status.DISCONNECTED,
+      adapter.getStatus());
+  adapter.connect();
+  assertTrue(adapter.isConnected());
+  adapter.connect();
+  adapter.disconnect();
+  adapter.removeStatusListener(listener);
+  adapter.connect();
+  assertEquals([Blockly.HardwareAdapter.Status.CONNECTED,
+      Blockly.HardwareAdapter.Status.DISCONNECTED].join(), statuses.join());
+}
+
+function test_hardware_wedoBlocks() {
+  var workspace = new Blockly.Workspace();
+  var mainWorkspace = Blockly.mainWorkspace;
+  // The blocks find their icons through the main workspace.
+  Blockly.mainWorkspace = workspace;
+  try {
+    // The WeDo's blocks are defined for both grammars.  Vertical blocks show
+    // their text as well as their icon.
+    var xml = Blockly.Xml.textToDom('<xml>' +
+        Blockly.Hardware.toolboxXml(Blockly.HardwareWeDo.DESCRIPTOR) +
+        '</xml>');
+    var block = Blockly.Xml.domToBlock(xml.childNodes[1], workspace);
+    assertEquals('wedo_motorclockwise', block.type);
+    // The icon's alt text, then the text with the argument's shadow.
+    assertEquals('turn motor clockwise turn motor clockwise 1',
+        block.toString());
+  } finally {
+    Blockly.mainWorkspace = mainWorkspace;
+    workspace.dispose();
+  }
+}
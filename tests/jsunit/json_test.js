@@ -258,3 +258,180 @@ function test_json_dropdown_image() {
   }
 }
 
+
+var JSON_TEST_XML =
+    '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '<variables>' +
+    '<variable type="">score</variable>' +
+    '<variable type="list" islocal="true">things</variable>' +
+    '</variables>' +
+    '<block type="json_test_statement" id="first" collapsed="true" x="10" ' +
+    'y="20">' +
+    '<mutation label="jump"></mutation>' +
+    '<comment>Jumps.</comment>' +
+    '<next>' +
+    '<block type="json_test_statement" id="second" disabled="true">' +
+    '<mutation label="land"></mutation>' +
+    '<value name="a">' +
+    '<shadow type="json_test_number" id="shadow">' +
+    '<field name="NUM">10</field>' +
+    '</shadow>' +
+    '<block type="json_test_number" id="number">' +
+    '<field name="NUM">42</field>' +
+    '</block>' +
+    '</value>' +
+    '</block>' +
+    '</next>' +
+    '</block>' +
+    '</xml>';
+
+/**
+ * Define the blocks used by the serialization tests, and load the XML used by
+ * the tests into a new workspace.
+ * @return {!Blockly.Workspace} The workspace.
+ */
+function jsonTest_workspace() {
+  Blockly.Blocks['json_test_statement'] = {
+    init: function() {
+      this.jsonInit({
+        "message0": "%1",
+        "args0": [{"type": "input_value", "name": "a"}],
+        "previousStatement": null,
+        "nextStatement": null
+      });
+      this.label_ = '';
+    },
+    mutationToDom: function() {
+      var container = document.createElement('mutation');
+      container.setAttribute('label', this.label_);
+      return container;
+    },
+    domToMutation: function(xmlElement) {
+      this.label_ = xmlElement.getAttribute('label');
+    }
+  };
+  Blockly.defineBlocksWithJsonArray([{
+    "type": "json_test_number",
+    "message0": "%1",
+    "args0": [{"type": "field_input", "name": "NUM", "text": "0"}],
+    "output": null
+  }]);
+  var workspace = new Blockly.Workspace();
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(JSON_TEST_XML), workspace);
+  return workspace;
+}
+
+/**
+ * Delete the blocks used by the serialization tests.
+ */
+function jsonTest_tearDown() {
+  delete Blockly.Blocks['json_test_statement'];
+  delete Blockly.Blocks['json_test_number'];
+}
+
+/** Ensure workspaceToJson writes the same data as workspaceToDom. */
+function test_workspaceToJson() {
+  var workspace = jsonTest_workspace();
+  try {
+    var json = Blockly.Json.workspaceToJson(workspace);
+    assertEquals(Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(workspace)),
+        Blockly.Xml.domToText(Blockly.Json.jsonToDom(json)));
+
+    assertEquals(2, json['variables'].length);
+    assertTrue(json['variables'][1]['isLocal']);
+    var first = json['blocks'][0];
+    assertEquals('json_test_statement', first['type']);
+    assertEquals(10, first['x']);
+    assertEquals(20, first['y']);
+    assertTrue(first['collapsed']);
+    assertEquals('jump', first['mutation']['attributes']['label']);
+    assertEquals('Jumps.', first['comment']['text']);
+    var second = first['next']['block'];
+    assertTrue(second['disabled']);
+    var input = second['inputs'][0];
+    assertEquals('a', input['name']);
+    assertEquals('value', input['type']);
+    assertTrue(input['shadow']['shadow']);
+    assertEquals('10', input['shadow']['fields'][0]['value']);
+    assertEquals('42', input['block']['fields'][0]['value']);
+  } finally {
+    workspace.dispose();
+    jsonTest_tearDown();
+  }
+}
+
+/** Ensure a workspace loaded from JSON matches one loaded from XML. */
+function test_jsonToWorkspace() {
+  var workspace = jsonTest_workspace();
+  var jsonWorkspace = new Blockly.Workspace();
+  try {
+    Blockly.Json.jsonToWorkspace(
+        JSON.parse(JSON.stringify(Blockly.Json.workspaceToJson(workspace))),
+        jsonWorkspace);
+    assertEquals(Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(workspace)),
+        Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(jsonWorkspace)));
+    assertTrue(jsonWorkspace.getVariable('things').isLocal);
+
+    // The shadow comes back when the block covering it is removed.
+    jsonWorkspace.getBlockById('number').dispose();
+    var shadow = jsonWorkspace.getBlockById('second').getInput('a').connection
+        .targetBlock();
+    assertTrue(shadow.isShadow());
+    assertEquals('10', shadow.getFieldValue('NUM'));
+  } finally {
+    workspace.dispose();
+    jsonWorkspace.dispose();
+    jsonTest_tearDown();
+  }
+}
+
+/** Ensure JSON is read from and written to the workspace without XML. */
+function test_json_withoutXml() {
+  var workspace = jsonTest_workspace();
+  var jsonWorkspace = new Blockly.Workspace();
+  var saved = {};
+  var names = ['workspaceToDom', 'blockToDom', 'domToWorkspace', 'domToBlock'];
+  var usedXml = function() {
+    throw 'Went through Blockly.Xml.';
+  };
+  // Creating blocks fires events, which record the blocks as XML.
+  Blockly.Events.disable();
+  try {
+    for (var i = 0; i < names.length; i++) {
+      saved[names[i]] = Blockly.Xml[names[i]];
+      Blockly.Xml[names[i]] = usedXml;
+    }
+    Blockly.Json.jsonToWorkspace(Blockly.Json.workspaceToJson(workspace),
+        jsonWorkspace);
+  } finally {
+    for (var name in saved) {
+      Blockly.Xml[name] = saved[name];
+    }
+    Blockly.Events.enable();
+  }
+  try {
+    assertEquals(Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(workspace)),
+        Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(jsonWorkspace)));
+  } finally {
+    workspace.dispose();
+    jsonWorkspace.dispose();
+    jsonTest_tearDown();
+  }
+}
+
+/** Ensure a single block survives a round trip through JSON. */
+function test_blockToJson() {
+  var workspace = jsonTest_workspace();
+  try {
+    var json = Blockly.Json.blockToJson(workspace.getBlockById('second'), true);
+    assertUndefined(json['id']);
+    var block = Blockly.Json.jsonToBlock(json, workspace);
+    assertEquals('json_test_statement', block.type);
+    assertEquals('land', block.mutationToDom().getAttribute('label'));
+    assertEquals('42',
+        block.getInput('a').connection.targetBlock().getFieldValue('NUM'));
+  } finally {
+    workspace.dispose();
+    jsonTest_tearDown();
+  }
+}
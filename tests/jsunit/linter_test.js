@@ -0,0 +1,164 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var LINT_XML =
+    '<xml>' +
+    '  <block type="event_whenflagclicked" id="flag" x="0" y="0">' +
+    '    <next>' +
+    '      <block type="event_broadcast" id="send">' +
+    '        <value name="BROADCAST_OPTION">' +
+    '          <shadow type="event_broadcast_menu">' +
+    '            <field name="BROADCAST_OPTION">go</field>' +
+    '          </shadow>' +
+    '        </value>' +
+    '        <next>' +
+    '          <block type="control_if" id="if">' +
+    '            <next>' +
+    '              <block type="data_setvariableto" id="set">' +
+    '                <value name="VARIABLE">' +
+    '                  <shadow type="data_variablemenu">' +
+    '                    <field name="VARIABLE">unused</field>' +
+    '                  </shadow>' +
+    '                </value>' +
+    '                <next>' +
+    '                  <block type="control_if_else" id="ifElse">' +
+    '                    <statement name="SUBSTACK">' +
+    '                      <block type="control_forever"></block>' +
+    '                    </statement>' +
+    '                    <statement name="SUBSTACK2">' +
+    '                      <block type="control_forever"></block>' +
+    '                    </statement>' +
+    '                    <next>' +
+    '                      <block type="procedures_callnoreturn" id="call">' +
+    '                        <mutation proccode="jump" argumentids="[]">' +
+    '                        </mutation>' +
+    '                      </block>' +
+    '                    </next>' +
+    '                  </block>' +
+    '                </next>' +
+    '              </block>' +
+    '            </next>' +
+    '          </block>' +
+    '        </next>' +
+    '      </block>' +
+    '    </next>' +
+    '  </block>' +
+    '  <block type="event_whenbroadcastreceived" id="receive" x="0" y="300">' +
+    '    <field name="BROADCAST_OPTION">READY</field>' +
+    '    <next>' +
+    '      <block type="event_broadcast" id="sendReady">' +
+    '        <value name="BROADCAST_OPTION">' +
+    '          <shadow type="event_broadcast_menu">' +
+    '            <field name="BROADCAST_OPTION">ready</field>' +
+    '          </shadow>' +
+    '        </value>' +
+    '        <next>' +
+    '          <block type="data_changevariableby" id="change">' +
+    '            <value name="VARIABLE">' +
+    '              <shadow type="data_variablemenu">' +
+    '                <field name="VARIABLE">score</field>' +
+    '              </shadow>' +
+    '            </value>' +
+    '          </block>' +
+    '        </next>' +
+    '      </block>' +
+    '    </next>' +
+    '  </block>' +
+    '  <block type="data_variable" id="get" x="0" y="400">' +
+    '    <field name="VARIABLE">score</field>' +
+    '  </block>' +
+    '  <block type="control_wait" id="loose" x="0" y="500"></block>' +
+    '</xml>';
+
+function lintTest_problems(problems) {
+  return problems.map(function(problem) {
+    return problem.rule + ':' + problem.block.id;
+  }).join();
+}
+
+function lintTest_withWorkspace(func) {
+  var workspace = new Blockly.Workspace();
+  // Control blocks read their media path from the main workspace.
+  var mainWorkspace = Blockly.mainWorkspace;
+  Blockly.mainWorkspace = workspace;
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(LINT_XML), workspace);
+    func(workspace);
+  } finally {
+    Blockly.mainWorkspace = mainWorkspace;
+    workspace.dispose();
+  }
+}
+
+function test_linter_rules() {
+  lintTest_withWorkspace(function(workspace) {
+    var problems = workspace.getLinter().lint();
+    assertEquals('no_hat:loose,no_receiver:send,no_definition:call,' +
+        'empty_if:if,unused_variable:set,unreachable:call',
+        lintTest_problems(problems));
+    assertEquals(Blockly.Msg.LINT_NO_RECEIVER.replace('%1', 'go'),
+        problems[1].text);
+
+    workspace.getBlockById('loose').dispose();
+    workspace.getBlockById('ifElse').dispose(true);
+    assertEquals('no_receiver:send,no_definition:call,empty_if:if,' +
+        'unused_variable:set', lintTest_problems(workspace.getLinter().lint()));
+  });
+}
+
+function test_linter_customRule() {
+  lintTest_withWorkspace(function(workspace) {
+    var linter = workspace.getLinter();
+    Blockly.Linter.registerRule('test_wait', function(ruleWorkspace) {
+      assertEquals(workspace, ruleWorkspace);
+      return ruleWorkspace.getAllBlocks().filter(function(block) {
+        return block.type == 'control_wait';
+      }).map(function(block) {
+        return {block: block, text: 'Waiting'};
+      });
+    });
+    try {
+      linter.setRuleEnabled('no_hat', false);
+      assertFalse(linter.isRuleEnabled('no_hat'));
+      assertTrue(linter.isRuleEnabled('test_wait'));
+      assertEquals('test_wait:loose', lintTest_problems(
+          linter.lint().filter(function(problem) {
+            return problem.block.id == 'loose';
+          })));
+      try {
+        Blockly.Linter.registerRule('test_wait', function() {
+          return [];
+        });
+        fail('Rules can only be registered once.');
+      } catch (e) {
+        // Expected.
+      }
+    } finally {
+      Blockly.Linter.unregisterRule('test_wait');
+    }
+    assertFalse(linter.isRuleEnabled('test_wait'));
+    linter.setRuleEnabled('no_hat', true);
+    assertEquals('no_hat:loose', lintTest_problems(
+        linter.lint().filter(function(problem) {
+          return problem.block.id == 'loose';
+        })));
+  });
+}
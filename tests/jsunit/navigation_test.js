@@ -0,0 +1,216 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var NAVIGATION_XML =
+    '<xml>' +
+    '  <block type="navigation_statement" id="a" x="0" y="0">' +
+    '    <field name="NAME">first</field>' +
+    '    <value name="VALUE">' +
+    '      <shadow type="math_number" id="number">' +
+    '        <field name="NUM">1</field>' +
+    '      </shadow>' +
+    '      <block type="navigation_reporter" id="reporter"></block>' +
+    '    </value>' +
+    '    <next>' +
+    '      <block type="navigation_statement" id="b">' +
+    '        <field name="NAME">second</field>' +
+    '      </block>' +
+    '    </next>' +
+    '  </block>' +
+    '  <block type="navigation_statement" id="c" x="0" y="200">' +
+    '    <field name="NAME">third</field>' +
+    '  </block>' +
+    '</xml>';
+
+function navigationTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    "type": "navigation_statement",
+    "message0": "%1 %2",
+    "args0": [
+      {"type": "field_input", "name": "NAME", "text": ""},
+      {"type": "input_value", "name": "VALUE"}
+    ],
+    "previousStatement": null,
+    "nextStatement": null
+  }, {
+    "type": "navigation_reporter",
+    "message0": "reporter",
+    "output": null
+  }]);
+  var workspace = new Blockly.Workspace();
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(NAVIGATION_XML),
+      workspace);
+  return workspace;
+}
+
+function navigationTest_tearDown(workspace) {
+  Blockly.Navigation.setCursor(null);
+  Blockly.Navigation.setMarked(null);
+  workspace.dispose();
+  delete Blockly.Blocks['navigation_statement'];
+  delete Blockly.Blocks['navigation_reporter'];
+}
+
+function test_navigation_stackLocations() {
+  var workspace = navigationTest_setUp();
+  try {
+    var a = workspace.getBlockById('a');
+    var b = workspace.getBlockById('b');
+    var reporter = workspace.getBlockById('reporter');
+    var locations = Blockly.Navigation.getStackLocations_(a);
+    var expected = [
+      a.previousConnection,
+      a.getField('NAME'),
+      reporter.outputConnection,
+      b.previousConnection,
+      b.getField('NAME'),
+      b.getInput('VALUE').connection,
+      b.nextConnection
+    ];
+    assertEquals(expected.length, locations.length);
+    for (var i = 0; i < expected.length; i++) {
+      assertEquals('Location ' + i, expected[i], locations[i]);
+    }
+  } finally {
+    navigationTest_tearDown(workspace);
+  }
+}
+
+function test_navigation_moveCursor() {
+  var workspace = navigationTest_setUp();
+  try {
+    var a = workspace.getBlockById('a');
+    var c = workspace.getBlockById('c');
+    // The first move puts the cursor on the first location.
+    Blockly.Navigation.moveCursor(workspace, 1);
+    assertEquals(a.previousConnection, Blockly.Navigation.getCursor());
+    // The cursor doesn't move past the ends.
+    Blockly.Navigation.moveCursor(workspace, -1);
+    assertEquals(a.previousConnection, Blockly.Navigation.getCursor());
+    Blockly.Navigation.moveCursor(workspace, 1);
+    assertEquals(a.getField('NAME'), Blockly.Navigation.getCursor());
+
+    Blockly.Navigation.moveStack(workspace, 1);
+    assertEquals(c.previousConnection, Blockly.Navigation.getCursor());
+    Blockly.Navigation.moveStack(workspace, 1);
+    assertEquals(c.previousConnection, Blockly.Navigation.getCursor());
+    // Moving back from the start of a stack goes to the end of the last one.
+    Blockly.Navigation.moveCursor(workspace, -1);
+    assertEquals(workspace.getBlockById('b').nextConnection,
+        Blockly.Navigation.getCursor());
+  } finally {
+    navigationTest_tearDown(workspace);
+  }
+}
+
+function test_navigation_connect() {
+  var workspace = navigationTest_setUp();
+  try {
+    var a = workspace.getBlockById('a');
+    var b = workspace.getBlockById('b');
+    var c = workspace.getBlockById('c');
+    var reporter = workspace.getBlockById('reporter');
+    assertFalse('Wrong type.', Blockly.Navigation.connect(
+        c.previousConnection, a.getInput('VALUE').connection));
+    assertFalse('Inside itself.', Blockly.Navigation.connect(
+        a.previousConnection, b.nextConnection));
+
+    assertTrue(Blockly.Navigation.connect(b.nextConnection,
+        c.previousConnection));
+    assertEquals(b, c.getParent());
+    assertTrue(Blockly.Navigation.connect(reporter.outputConnection,
+        c.getInput('VALUE').connection));
+    assertEquals(c, reporter.getParent());
+    // The shadow came back where the reporter was.
+    assertTrue(a.getInputTargetBlock('VALUE').isShadow());
+  } finally {
+    navigationTest_tearDown(workspace);
+  }
+}
+
+function test_navigation_disconnect() {
+  var workspace = navigationTest_setUp();
+  try {
+    var a = workspace.getBlockById('a');
+    var b = workspace.getBlockById('b');
+    assertFalse('Top block.', Blockly.Navigation.disconnect(a.previousConnection));
+    assertFalse('Shadow block.', Blockly.Navigation.disconnect(
+        b.getInput('VALUE').connection));
+    assertTrue(Blockly.Navigation.disconnect(a.nextConnection));
+    assertNull(b.getParent());
+    assertEquals(3, workspace.getTopBlocks(false).length);
+  } finally {
+    navigationTest_tearDown(workspace);
+  }
+}
+
+function test_navigation_deleteBlock() {
+  var workspace = navigationTest_setUp();
+  try {
+    var a = workspace.getBlockById('a');
+    var b = workspace.getBlockById('b');
+    Blockly.Navigation.setCursor(b.getField('NAME'));
+    Blockly.Navigation.setMarked(b.nextConnection);
+    Blockly.Navigation.deleteBlock(b);
+    assertNull(workspace.getBlockById('b'));
+    assertEquals(a.nextConnection, Blockly.Navigation.getCursor());
+    assertNull(Blockly.Navigation.getMarked());
+  } finally {
+    navigationTest_tearDown(workspace);
+  }
+}
+
+function test_navigation_onKeyDown_optIn() {
+  var savedWorkspace = Blockly.mainWorkspace;
+  // A rendered workspace that wasn't injected with the 'keyboardNav' option.
+  Blockly.mainWorkspace = {rendered: true, options: {keyboardNav: false}};
+  try {
+    var keys = [13, 37, 38, 39, 40, 84, 88];
+    for (var i = 0; i < keys.length; i++) {
+      assertFalse('Key ' + keys[i], Blockly.Navigation.onKeyDown(
+          {keyCode: keys[i], altKey: false, ctrlKey: false, metaKey: false}));
+    }
+    assertNull(Blockly.Navigation.getCursor());
+  } finally {
+    Blockly.mainWorkspace = savedWorkspace;
+  }
+}
+
+function test_navigation_deleteKey_optIn() {
+  var workspace = navigationTest_setUp();
+  var savedWorkspace = Blockly.mainWorkspace;
+  var savedSelected = Blockly.selected;
+  Blockly.mainWorkspace = workspace;
+  try {
+    Blockly.selected = workspace.getBlockById('b');
+    var e = {keyCode: 46, altKey: false, ctrlKey: false, metaKey: false,
+      target: document.body, preventDefault: function() {}};
+    Blockly.onKeyDown(e);
+    assertNotNull('Kept without keyboardNav.', workspace.getBlockById('b'));
+    workspace.options.keyboardNav = true;
+    Blockly.onKeyDown(e);
+    assertNull('Deleted with keyboardNav.', workspace.getBlockById('b'));
+  } finally {
+    Blockly.mainWorkspace = savedWorkspace;
+    Blockly.selected = savedSelected;
+    navigationTest_tearDown(workspace);
+  }
+}
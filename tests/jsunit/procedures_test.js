@@ -0,0 +1,368 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var PROCEDURES_XML =
+    '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '  <block type="procedures_defnoreturn" id="def" x="0" y="0">' +
+    '    <mutation proccode="jump %n high %b" argumentids=\'["a","b"]\'' +
+    '        argumentnames=\'["height","fast"]\'' +
+    '        argumentdefaults=\'["10","false"]\' warp="false"></mutation>' +
+    '    <next>' +
+    '      <block type="procedures_callnoreturn" id="inner">' +
+    '        <mutation proccode="jump %n high %b" argumentids=\'["a","b"]\'' +
+    '            warp="false"></mutation>' +
+    '        <value name="a">' +
+    '          <block type="procedures_param" id="param">' +
+    '            <mutation paramname="height" shape="s"></mutation>' +
+    '          </block>' +
+    '        </value>' +
+    '      </block>' +
+    '    </next>' +
+    '  </block>' +
+    '  <block type="procedures_callnoreturn" id="caller" x="0" y="100">' +
+    '    <mutation proccode="jump %n high %b" argumentids=\'["a","b"]\'' +
+    '        warp="false"></mutation>' +
+    '    <value name="a">' +
+    '      <block type="math_number" id="number">' +
+    '        <field name="NUM">42</field>' +
+    '      </block>' +
+    '    </value>' +
+    '  </block>' +
+    '</xml>';
+
+/**
+ * Parse a procedure definition's mutation.
+ * @param {string} text The mutation's XML text.
+ * @return {!Element} The mutation element.
+ */
+function procedureTest_mutation(text) {
+  return Blockly.Xml.textToDom('<xml>' + text + '</xml>').firstChild;
+}
+
+/**
+ * Describe a caller's inputs and the blocks plugged into them.
+ * @param {!Blockly.Block} block A procedures_callnoreturn block.
+ * @return {string} Input names and block types, e.g. 'a:math_number'.
+ */
+function procedureTest_inputs(block) {
+  var inputs = [];
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    if (input.type == Blockly.INPUT_VALUE) {
+      var target = input.connection.targetBlock();
+      inputs.push(input.name + ':' + (target ? target.type : ''));
+    }
+  }
+  return inputs.join(' ');
+}
+
+function test_parseProcCode() {
+  assertArrayEquals(['say', '%s', 'for', '%n', 'seconds'],
+      Blockly.Procedures.parseProcCode('say %s for %n seconds'));
+  assertArrayEquals(['%b', 'or', '%b'],
+      Blockly.Procedures.parseProcCode('%b or %b'));
+  assertArrayEquals(['100\\% sure', '%s'],
+      Blockly.Procedures.parseProcCode('100\\% sure %s'));
+  assertArrayEquals([], Blockly.Procedures.parseProcCode(''));
+}
+
+function test_positionalArgumentIds() {
+  assertArrayEquals(['input0', 'input1'],
+      Blockly.Procedures.positionalArgumentIds('say %s for %n seconds'));
+}
+
+function test_getCallersAndDefinition() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(PROCEDURES_XML),
+        workspace);
+    var definition =
+        Blockly.Procedures.getDefinition('jump %n high %b', workspace);
+    assertEquals('def', definition.id);
+    assertNull(Blockly.Procedures.getDefinition('fall %n', workspace));
+    var callers = Blockly.Procedures.getCallers('jump %n high %b', workspace);
+    assertEquals(2, callers.length);
+    assertFalse(Blockly.Procedures.isLegalName('jump %n high %b', workspace));
+    assertTrue(Blockly.Procedures.isLegalName('jump %n high %b', workspace,
+        definition));
+    assertTrue(Blockly.Procedures.isLegalName('fall %n', workspace));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_updateDefinition() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(PROCEDURES_XML),
+        workspace);
+    var caller = workspace.getBlockById('caller');
+    assertEquals('a:math_number b:', procedureTest_inputs(caller));
+
+    // Rename the procedure and its first argument, and add a text argument.
+    Blockly.Procedures.updateDefinition(workspace.getBlockById('def'),
+        procedureTest_mutation(
+        '<mutation proccode="leap %s to %n" argumentids=\'["c","a"]\'' +
+        ' argumentnames=\'["where","distance"]\'' +
+        ' argumentdefaults=\'["moon","10"]\' warp="true"></mutation>'));
+
+    assertEquals('leap %s to %n', caller.getProcedureCall());
+    assertEquals('c:text a:math_number', procedureTest_inputs(caller));
+    assertEquals(workspace.getBlockById('number'),
+        caller.getInput('a').connection.targetBlock());
+    assertEquals('moon',
+        caller.getInput('c').connection.targetBlock().getFieldValue('TEXT'));
+    assertEquals('leap %s to %n',
+        workspace.getBlockById('inner').getProcedureCall());
+    assertEquals('distance',
+        workspace.getBlockById('param').getFieldValue('paramName'));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_updateDefinition_undo() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(PROCEDURES_XML),
+        workspace);
+    Blockly.Events.fireNow_();
+    workspace.clearUndo();
+    var caller = workspace.getBlockById('caller');
+
+    // Remove the first argument, which has a block plugged into it.
+    Blockly.Procedures.updateDefinition(workspace.getBlockById('def'),
+        procedureTest_mutation(
+        '<mutation proccode="jump %b" argumentids=\'["b"]\'' +
+        ' argumentnames=\'["fast"]\' argumentdefaults=\'["false"]\'' +
+        ' warp="false"></mutation>'));
+    Blockly.Events.fireNow_();
+    assertEquals('b:', procedureTest_inputs(caller));
+    assertNull(workspace.getBlockById('number').getParent());
+
+    workspace.undo(false);
+    assertEquals('jump %n high %b', caller.getProcedureCall());
+    assertEquals('a:math_number b:', procedureTest_inputs(caller));
+    assertEquals(workspace.getBlockById('number'),
+        caller.getInput('a').connection.targetBlock());
+
+    workspace.undo(true);
+    assertEquals('jump %b', caller.getProcedureCall());
+    assertEquals('b:', procedureTest_inputs(caller));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_updateDefinition_events() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(PROCEDURES_XML),
+        workspace);
+    Blockly.Events.fireNow_();
+    var events = [];
+    workspace.addChangeListener(function(e) {
+      events.push(e);
+    });
+
+    // Remove the first argument, which has a block plugged into it.
+    Blockly.Procedures.updateDefinition(workspace.getBlockById('def'),
+        procedureTest_mutation(
+        '<mutation proccode="jump %b" argumentids=\'["b"]\'' +
+        ' argumentnames=\'["fast"]\' argumentdefaults=\'["false"]\'' +
+        ' warp="false"></mutation>'));
+    Blockly.Events.fireNow_();
+    var change = events.filter(function(e) {
+      return e.type == Blockly.Events.CHANGE && e.blockId == 'def';
+    })[0];
+    var move = events.filter(function(e) {
+      return e.type == Blockly.Events.MOVE && e.blockId == 'number';
+    })[0];
+    assertNotUndefined('Change event.', change);
+    assertNotUndefined('Move event.', move);
+    assertEquals('caller', move.oldParentId);
+    assertTrue('Grouped.', !!change.group);
+    assertEquals(change.group, move.group);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_mutateCallers_events() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(PROCEDURES_XML),
+        workspace);
+    Blockly.Events.disable();
+    workspace.getBlockById('def').domToMutation(procedureTest_mutation(
+        '<mutation proccode="jump %b" argumentids=\'["b"]\'' +
+        ' argumentnames=\'["fast"]\' argumentdefaults=\'["false"]\'' +
+        ' warp="false"></mutation>'));
+    Blockly.Events.enable();
+    Blockly.Events.fireNow_();
+    var events = [];
+    workspace.addChangeListener(function(e) {
+      events.push(e);
+    });
+
+    Blockly.Procedures.mutateCallers(workspace.getBlockById('def'),
+        'jump %n high %b');
+    Blockly.Events.fireNow_();
+    var move = events.filter(function(e) {
+      return e.type == Blockly.Events.MOVE && e.blockId == 'number';
+    })[0];
+    assertNotUndefined('Unplugged with an event.', move);
+    assertTrue('Grouped.', !!move.group);
+    assertNull(workspace.getBlockById('number').getParent());
+    assertEquals('b:', procedureTest_inputs(workspace.getBlockById('caller')));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+var PROCEDURE_XML_TEXT = ['<xml xmlns="http://www.w3.org/1999/xhtml">',
+  '  <block type="procedures_defnoreturn" id="def" x="10" y="10">',
+  '    <mutation version="1" proccode="jump %n high %b"',
+  '        argumentids="[&quot;a&quot;,&quot;b&quot;]"',
+  '        argumentnames="[&quot;height&quot;,&quot;fast&quot;]"',
+  '        argumentdefaults="[&quot;10&quot;,&quot;false&quot;]"',
+  '        warp="true"></mutation>',
+  '  </block>',
+  '  <block type="procedures_callnoreturn" id="caller" x="10" y="100">',
+  '    <mutation version="1" proccode="jump %n high %b"',
+  '        argumentids="[&quot;a&quot;,&quot;b&quot;]"',
+  '        argumentdefaults="[&quot;10&quot;,&quot;false&quot;]"',
+  '        warp="true"></mutation>',
+  '    <value name="a">',
+  '      <shadow type="math_number" id="number">',
+  '        <field name="NUM">10</field>',
+  '      </shadow>',
+  '      <block type="procedures_param" id="param">',
+  '        <mutation version="1" paramname="height" shape="s"></mutation>',
+  '      </block>',
+  '    </value>',
+  '  </block>',
+  '</xml>'].join('\n');
+
+function test_procedureMutation_roundTrip() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(PROCEDURE_XML_TEXT),
+        workspace);
+    var text = Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(workspace));
+    assertEquals('Round trip', PROCEDURE_XML_TEXT.replace(/\s+/g, ''),
+        text.replace(/\s+/g, ''));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_procedureMutation_legacyChildElements() {
+  var workspace = new Blockly.Workspace();
+  try {
+    // The format once written by procedures_defnoreturn.
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+        '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+        '  <block type="procedures_defnoreturn" id="def">' +
+        '    <mutation>' +
+        '      <proccode value="say %s twice"></proccode>' +
+        '      <argumentnames value="[&quot;message&quot;]"></argumentnames>' +
+        '      <argumentdefaults value="[&quot;hi&quot;]"></argumentdefaults>' +
+        '      <warp value="false"></warp>' +
+        '    </mutation>' +
+        '  </block>' +
+        '</xml>'), workspace);
+    var block = workspace.getBlockById('def');
+    assertEquals('say %s twice', block.getProcedureDef()[0]);
+    assertArrayEquals(['message'], block.getProcedureDef()[1]);
+    assertEquals(
+        '<mutation xmlns="http://www.w3.org/1999/xhtml" version="1" ' +
+        'proccode="say %s twice" argumentids="[&quot;input0&quot;]" ' +
+        'argumentnames="[&quot;message&quot;]" ' +
+        'argumentdefaults="[&quot;hi&quot;]" warp="false"></mutation>',
+        Blockly.Xml.domToText(block.mutationToDom()));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_procedureMutation_legacyAttributes() {
+  var workspace = new Blockly.Workspace();
+  try {
+    // Unversioned attributes, without argument IDs.  Callers named their
+    // inputs after the arguments' positions.
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+        '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+        '  <block type="procedures_defnoreturn" id="def">' +
+        '    <mutation proccode="go %n %s" ' +
+        '        argumentnames="[&quot;x&quot;,&quot;y&quot;]" ' +
+        '        argumentvalues="[&quot;1&quot;,&quot;a&quot;]" ' +
+        '        warp="true"></mutation>' +
+        '  </block>' +
+        '  <block type="procedures_callnoreturn" id="caller">' +
+        '    <mutation proccode="go %n %s"></mutation>' +
+        '    <value name="input1">' +
+        '      <block type="text" id="text">' +
+        '        <field name="TEXT">b</field>' +
+        '      </block>' +
+        '    </value>' +
+        '  </block>' +
+        '  <block type="procedures_param" id="param">' +
+        '    <mutation paramname="x" shape="s"></mutation>' +
+        '  </block>' +
+        '</xml>'), workspace);
+    var data = Blockly.Procedures.parseMutation(
+        workspace.getBlockById('def').mutationToDom());
+    assertArrayEquals(['input0', 'input1'], data.argumentIds);
+    assertArrayEquals(['1', 'a'], data.argumentDefaults);
+    assertTrue(data.warp);
+    var caller = workspace.getBlockById('caller');
+    assertEquals(workspace.getBlockById('text'),
+        caller.getInput('input1').connection.targetBlock());
+    assertEquals('math_number',
+        caller.getInput('input0').connection.targetBlock().type);
+    assertEquals('x', workspace.getBlockById('param').getFieldValue(
+        'paramName'));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_procedureMutation_parse() {
+  var data = Blockly.Procedures.parseMutation(Blockly.Procedures.createMutation({
+    procCode: 'jump %n',
+    argumentIds: ['a'],
+    argumentNames: ['height'],
+    argumentDefaults: ['10'],
+    warp: false
+  }));
+  assertEquals('jump %n', data.procCode);
+  assertArrayEquals(['a'], data.argumentIds);
+  assertArrayEquals(['height'], data.argumentNames);
+  assertArrayEquals(['10'], data.argumentDefaults);
+  assertFalse(data.warp);
+  assertUndefined(data.paramName);
+
+  data = Blockly.Procedures.parseMutation(
+      Blockly.Procedures.createMutation({paramName: 'height', shape: 'b'}));
+  assertEquals('height', data.paramName);
+  assertEquals('b', data.shape);
+  assertUndefined(data.procCode);
+}
@@ -80,3 +80,133 @@ function svgTest_newTwoFieldBlock() {
   block.render(false);
   return block;
 }
+
+/**
+ * Draw as an SVG image, and parse the image.
+ * @param {!Blockly.WorkspaceSvg|!Blockly.BlockSvg} source What to draw.
+ * @return {!Element} The image's SVG element.
+ */
+function svgTest_toSvg(source) {
+  var svgText = null;
+  source.toSvg(function(text) {
+    svgText = text;
+  });
+  // The test blocks have no images to wait for.
+  assertNotNull(svgText);
+  return new DOMParser().parseFromString(svgText, 'image/svg+xml')
+      .documentElement;
+}
+
+function test_workspaceToSvg() {
+  svgTest_setUp();
+  try {
+    var block = svgTest_newOneFieldBlock();
+    block.setFieldValue('hello', 'FIELD');
+    block.moveBy(30, 40);
+    svgTest_newTwoFieldBlock();
+    var svg = svgTest_toSvg(svgTest_workspace);
+    var box = svgTest_workspace.getBlocksBoundingBox();
+    assertEquals('Cropped.', [box.x, box.y, box.width, box.height].join(' '),
+        svg.getAttribute('viewBox'));
+    assertEquals(String(box.width), svg.getAttribute('width'));
+    assertEquals(2, svg.getElementsByClassName('blocklyBlockBackground').length);
+    var css = svg.getElementsByTagName('style')[0].textContent;
+    assertTrue('CSS.', css.indexOf('.blocklyText {') != -1);
+    var texts = svg.getElementsByTagName('text');
+    assertTrue(texts.length > 0);
+    for (var i = 0; i < texts.length; i++) {
+      assertTrue('Fonts.', !!texts[i].style.getPropertyValue('font-family'));
+    }
+  } finally {
+    svgTest_tearDown();
+  }
+}
+
+function test_blockToSvg() {
+  svgTest_setUp();
+  try {
+    var block = svgTest_newOneFieldBlock();
+    block.moveBy(30, 40);
+    svgTest_newTwoFieldBlock();
+    var svg = svgTest_toSvg(block);
+    var rect = block.getBoundingRectangle();
+    assertEquals('Cropped to the block.',
+        [rect.topLeft.x, rect.topLeft.y, rect.bottomRight.x - rect.topLeft.x,
+          rect.bottomRight.y - rect.topLeft.y].join(' '),
+        svg.getAttribute('viewBox'));
+    assertEquals(1, svg.getElementsByClassName('blocklyBlockBackground').length);
+  } finally {
+    svgTest_tearDown();
+  }
+}
+
+function test_workspaceToSvg_webFonts() {
+  svgTest_setUp();
+  var fonts = goog.dom.createDom('style', {},
+      '@font-face { font-family: "Helvetica Neue"; ' +
+      'src: url("data:font/woff2;base64,AAAA"); }\n' +
+      '@font-face { font-family: "Unused Font"; ' +
+      'src: url("data:font/woff2;base64,BBBB"); }');
+  document.head.appendChild(fonts);
+  try {
+    svgTest_newOneFieldBlock();
+    var svg = svgTest_toSvg(svgTest_workspace);
+    var css = svg.getElementsByTagName('style')[0].textContent;
+    assertTrue('Font used by the text.', css.indexOf('AAAA') != -1);
+    assertEquals('Font not used.', -1, css.indexOf('BBBB'));
+  } finally {
+    goog.dom.removeNode(fonts);
+    svgTest_tearDown();
+  }
+}
+
+function test_renderStatic() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'svg_test_reporter',
+    'message0': '%1',
+    'args0': [{'type': 'field_input', 'name': 'TEXT'}],
+    'output': null
+  }, {
+    'type': 'svg_test_statement',
+    'message0': 'say %1',
+    'args0': [{'type': 'input_value', 'name': 'VALUE'}],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  var mainWorkspace = Blockly.mainWorkspace;
+  Blockly.mainWorkspace = null;
+  try {
+    var svg = Blockly.renderStatic(
+        '<xml>' +
+        '  <block type="svg_test_reporter" x="10" y="20">' +
+        '    <field name="TEXT">5</field>' +
+        '  </block>' +
+        '  <block type="svg_test_statement" x="10" y="100">' +
+        '    <value name="VALUE">' +
+        '      <shadow type="svg_test_reporter">' +
+        '        <field name="TEXT">go</field>' +
+        '      </shadow>' +
+        '    </value>' +
+        '  </block>' +
+        '</xml>', {'scale': 0.5});
+    assertNull('Main workspace restored.', Blockly.mainWorkspace);
+    var viewBox = svg.getAttribute('viewBox').split(' ');
+    assertEquals('Cropped.', '10 20', viewBox.slice(0, 2).join(' '));
+    assertEquals('Scaled.', String(viewBox[2] / 2), svg.getAttribute('width'));
+    assertEquals(3, svg.getElementsByClassName('blocklyBlockBackground').length);
+
+    svg = Blockly.renderStatic(Blockly.Xml.textToDom(
+        '<xml><block type="svg_test_reporter"></block></xml>').firstChild);
+    assertEquals('Single block.', 1,
+        svg.getElementsByClassName('blocklyBlockBackground').length);
+    // Both pictures were drawn by the same hidden workspace, which keeps none
+    // of the blocks.
+    var workspace = Blockly.renderStatic.getWorkspace_(false);
+    assertEquals(1, Object.keys(Blockly.renderStatic.workspaces_).length);
+    assertEquals(0, workspace.getAllBlocks().length);
+  } finally {
+    Blockly.mainWorkspace = mainWorkspace;
+    delete Blockly.Blocks['svg_test_reporter'];
+    delete Blockly.Blocks['svg_test_statement'];
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var TOOLBOX_SEARCH_XML =
+    '<xml>' +
+    '  <category name="Events">' +
+    '    <block type="event_whenbroadcastreceived" id="hat"></block>' +
+    '    <block type="event_broadcast" id="broadcast">' +
+    '      <value name="BROADCAST_OPTION">' +
+    '        <shadow type="event_broadcast_menu">' +
+    '          <field name="BROADCAST_OPTION">message1</field>' +
+    '        </shadow>' +
+    '      </value>' +
+    '    </block>' +
+    '  </category>' +
+    '  <category name="Variables" custom="VARIABLE"></category>' +
+    '  <category name="Operators">' +
+    '    <label text="Numbers"></label>' +
+    '    <block type="math_number" id="number">' +
+    '      <field name="NUM">10</field>' +
+    '    </block>' +
+    '  </category>' +
+    '</xml>';
+
+function toolboxSearchTest_ids(xmlList) {
+  return xmlList.map(function(xml) {
+    return xml.getAttribute('id');
+  }).join();
+}
+
+function test_toolboxSearch() {
+  var workspace = new Blockly.Workspace();
+  var search = new Blockly.ToolboxSearch(workspace);
+  try {
+    search.setTree(Blockly.Xml.textToDom(TOOLBOX_SEARCH_XML));
+    assertEquals('Label.', 'hat', toolboxSearchTest_ids(search.search('when')));
+    assertEquals('Any case, in toolbox order.', 'hat,broadcast',
+        toolboxSearchTest_ids(search.search('MESSAGE1')));
+    assertEquals('Every word, with shadow values.', 'broadcast',
+        toolboxSearchTest_ids(search.search('message1  broadcast')));
+    assertEquals('Field value.', 'number',
+        toolboxSearchTest_ids(search.search('10')));
+    assertEquals('Not toolbox labels.', '',
+        toolboxSearchTest_ids(search.search('Numbers')));
+    assertEquals('No text.', '', toolboxSearchTest_ids(search.search('  ')));
+
+    search.setTree(null);
+    assertEquals('No toolbox.', '',
+        toolboxSearchTest_ids(search.search('broadcast')));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_toolboxSearch_unknownBlock() {
+  var workspace = new Blockly.Workspace();
+  var search = new Blockly.ToolboxSearch(workspace);
+  var warn = console.warn;
+  var warnings = 0;
+  console.warn = function() {
+    warnings++;
+  };
+  try {
+    search.setTree(Blockly.Xml.textToDom(
+        '<xml>' +
+        '  <category name="Operators">' +
+        '    <block type="no_such_block" id="unknown"></block>' +
+        '    <block type="math_number" id="number"></block>' +
+        '  </category>' +
+        '</xml>'));
+    assertEquals('number', toolboxSearchTest_ids(search.search('0')));
+    assertEquals(1, warnings);
+    // Labels are read once.
+    search.search('1');
+    assertEquals(1, warnings);
+  } finally {
+    console.warn = warn;
+    workspace.dispose();
+  }
+}
+
+function test_toolboxSearch_customCategory() {
+  var workspace = new Blockly.Workspace();
+  var search = new Blockly.ToolboxSearch(workspace);
+  var names = ['score'];
+  workspace.getToolboxCategoryCallback = function(name) {
+    assertEquals('VARIABLE', name);
+    return function(callbackWorkspace) {
+      assertEquals(workspace, callbackWorkspace);
+      return names.map(function(name) {
+        return Blockly.Xml.textToDom(
+            '<xml><block type="math_number" id="' + name + '">' +
+            '<field name="NUM">' + name + '</field></block></xml>').firstChild;
+      });
+    };
+  };
+  try {
+    search.setTree(Blockly.Xml.textToDom(TOOLBOX_SEARCH_XML));
+    assertEquals('', toolboxSearchTest_ids(search.search('speed')));
+    // Custom categories are read again at each search.
+    names.push('speed');
+    assertEquals('speed', toolboxSearchTest_ids(search.search('speed')));
+  } finally {
+    workspace.dispose();
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function test_types_builtIn() {
+  assertTrue(Blockly.Types.isSubtype('Number', 'Number'));
+  assertTrue(Blockly.Types.isSubtype('Number', 'String'));
+  assertFalse(Blockly.Types.isSubtype('String', 'Number'));
+  assertFalse(Blockly.Types.isSubtype('Boolean', 'Number'));
+  assertTrue('Unregistered types fit into themselves.',
+      Blockly.Types.isSubtype('Sprite', 'Sprite'));
+
+  assertTrue(Blockly.Types.isCompatible(['Number'], ['Boolean', 'String']));
+  assertFalse(Blockly.Types.isCompatible(['String'], ['Boolean', 'Number']));
+  assertTrue(Blockly.Types.isCompatible(null, ['Boolean']));
+  assertTrue(Blockly.Types.isCompatible(['String'], null));
+
+  assertEquals('a number', Blockly.Types.getLabel('Number'));
+  assertEquals('Sprite', Blockly.Types.getLabel('Sprite'));
+  assertEquals(
+      'This block doesn\'t fit here: it gives text, but this input needs ' +
+      'true or false, a number.',
+      Blockly.Types.getMismatchText(['String'], ['Boolean', 'Number']));
+}
+
+function test_types_register() {
+  try {
+    Blockly.Types.register('Integer', ['Number'], 'a whole number');
+    Blockly.Types.register('Count', ['Integer']);
+    assertTrue(Blockly.Types.isRegistered('Count'));
+    assertTrue('Transitive.', Blockly.Types.isSubtype('Count', 'String'));
+    assertFalse(Blockly.Types.isSubtype('Number', 'Integer'));
+    assertEquals('Count', Blockly.Types.getLabel('Count'));
+    try {
+      Blockly.Types.register('Integer');
+      fail('Registered a type twice.');
+    } catch (e) {
+      // Expected.
+    }
+  } finally {
+    delete Blockly.Types.REGISTRY_['Integer'];
+    delete Blockly.Types.REGISTRY_['Count'];
+  }
+  assertFalse(Blockly.Types.isRegistered('Integer'));
+}
@@ -0,0 +1,41 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function test_variablesFlyoutCategory_lists() {
+  var workspace = Blockly.inject('blocklyDiv', {toolbox:
+      '<xml><category name="Data" custom="VARIABLE"></category></xml>'});
+  try {
+    workspace.createVariable('things', Blockly.LIST_VARIABLE_TYPE);
+    var toolbox = workspace.toolbox_;
+    toolbox.setSelectedItem(toolbox.categoryMenu_.categories_[0]);
+    var blocks = toolbox.flyout_.getWorkspace().getTopBlocks(true);
+    var types = blocks.map(function(block) {
+      return block.type;
+    });
+    assertTrue('List reporter.', types.indexOf('data_listcontents') != -1);
+    var deleteBlock = blocks[types.indexOf('data_deleteoflist')];
+    assertEquals('Index menu.', 'data_listindexall',
+        deleteBlock.getInputTargetBlock('INDEX').type);
+    assertEquals('things', deleteBlock.getField('LIST').getText());
+  } finally {
+    workspace.dispose();
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function test_workspaceComment_model() {
+  var workspace = new Blockly.Workspace();
+  try {
+    var comment = workspace.newComment('note', 100, 80, 'c1');
+    assertEquals(comment, workspace.getCommentById('c1'));
+    assertEquals(1, workspace.getTopComments().length);
+    assertEquals('note', comment.getText());
+
+    comment.moveBy(10, 20);
+    comment.moveBy(5, 5);
+    assertEquals(15, comment.getXY().x);
+    assertEquals(25, comment.getXY().y);
+
+    comment.setSize(10, 300);
+    assertEquals('Width is clamped.', Blockly.WorkspaceComment.MIN_SIZE,
+        comment.getSize().width);
+    assertEquals(300, comment.getSize().height);
+
+    // A second comment can't take an ID that is in use.
+    var other = workspace.newComment('', 100, 100, 'c1');
+    assertFalse(other.id == 'c1');
+
+    comment.dispose();
+    assertNull(workspace.getCommentById('c1'));
+    workspace.clear();
+    assertEquals(0, workspace.getTopComments().length);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_workspaceComment_xml() {
+  var workspace = new Blockly.Workspace();
+  try {
+    var comment = workspace.newComment('a < b', 120, 90, 'c1');
+    comment.moveBy(12, 34);
+    comment.setMinimized(true);
+    var xml = Blockly.Xml.workspaceToDom(workspace);
+    assertEquals('<xml xmlns="http://www.w3.org/1999/xhtml">' +
+        '<comment id="c1" x="12" y="34" w="120" h="90" minimized="true">' +
+        'a &lt; b</comment></xml>', Blockly.Xml.domToText(xml));
+
+    workspace.clear();
+    Blockly.Xml.domToWorkspace(xml, workspace);
+    comment = workspace.getCommentById('c1');
+    assertEquals('a < b', comment.getText());
+    assertEquals(12, comment.getXY().x);
+    assertEquals(34, comment.getXY().y);
+    assertEquals(120, comment.getSize().width);
+    assertEquals(90, comment.getSize().height);
+    assertTrue(comment.isMinimized());
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_workspaceComment_json() {
+  var workspace = new Blockly.Workspace();
+  try {
+    var comment = workspace.newComment('hello', 150, 60, 'c1');
+    comment.moveBy(-5, 7);
+    var json = Blockly.Json.workspaceToJson(workspace);
+    assertEquals(1, json['comments'].length);
+    assertEquals('hello', json['comments'][0]['text']);
+    assertEquals(-5, json['comments'][0]['x']);
+
+    workspace.clear();
+    Blockly.Json.jsonToWorkspace(json, workspace);
+    comment = workspace.getCommentById('c1');
+    assertEquals('hello', comment.getText());
+    assertEquals(7, comment.getXY().y);
+    assertEquals(60, comment.getSize().height);
+    assertFalse(comment.isMinimized());
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_workspaceComment_undo() {
+  var workspace = new Blockly.Workspace();
+  try {
+    var comment = workspace.newComment('first', 100, 100, 'c1');
+    Blockly.Events.fireNow_();
+    comment.moveBy(30, 40);
+    Blockly.Events.fireNow_();
+    comment.setText('second');
+    Blockly.Events.fireNow_();
+    comment.setSize(150, 50);
+    Blockly.Events.fireNow_();
+    comment.dispose();
+    Blockly.Events.fireNow_();
+    assertNull(workspace.getCommentById('c1'));
+
+    // Undo the delete.
+    workspace.undo(false);
+    comment = workspace.getCommentById('c1');
+    assertEquals('second', comment.getText());
+    assertEquals(30, comment.getXY().x);
+    assertEquals(150, comment.getSize().width);
+
+    // Undo the resize, the text change and the move.
+    workspace.undo(false);
+    assertEquals(100, comment.getSize().width);
+    workspace.undo(false);
+    assertEquals('first', comment.getText());
+    workspace.undo(false);
+    assertEquals(0, comment.getXY().x);
+    assertEquals(0, comment.getXY().y);
+
+    // Undo the create.
+    workspace.undo(false);
+    assertNull(workspace.getCommentById('c1'));
+
+    // Redo everything.
+    for (var i = 0; i < 5; i++) {
+      workspace.undo(true);
+    }
+    assertNull(workspace.getCommentById('c1'));
+    workspace.undo(false);
+    comment = workspace.getCommentById('c1');
+    assertEquals('second', comment.getText());
+    assertEquals(40, comment.getXY().y);
+    assertEquals(50, comment.getSize().height);
+  } finally {
+    workspace.dispose();
+  }
+}
@@ -102,3 +102,172 @@ function test_getBlockById() {
     workspace.dispose();
   }
 }
+
+function test_variableTypes() {
+  var workspace = new Blockly.Workspace();
+  try {
+    workspace.createVariable('score');
+    workspace.createVariable('things', Blockly.LIST_VARIABLE_TYPE);
+    assertEquals('Scalar type.', Blockly.SCALAR_VARIABLE_TYPE,
+        workspace.getVariableType('score'));
+    assertEquals('List type, any case.', Blockly.LIST_VARIABLE_TYPE,
+        workspace.getVariableType('THINGS'));
+    assertNull('No such variable.', workspace.getVariableType('nothing'));
+    assertArrayEquals('Lists.', ['things'],
+        workspace.getVariablesOfType(Blockly.LIST_VARIABLE_TYPE));
+    assertArrayEquals('Scalars.', ['score'],
+        workspace.getVariablesOfType(Blockly.SCALAR_VARIABLE_TYPE));
+
+    // An existing name keeps its type.
+    workspace.createVariable('Score', Blockly.LIST_VARIABLE_TYPE);
+    assertEquals('Type kept.', Blockly.SCALAR_VARIABLE_TYPE,
+        workspace.getVariableType('score'));
+
+    workspace.renameVariable('things', 'stuff');
+    assertArrayEquals('Renamed list.', ['stuff'],
+        workspace.getVariablesOfType(Blockly.LIST_VARIABLE_TYPE));
+
+    workspace.deleteVariable('stuff');
+    assertNull('Deleted list.', workspace.getVariableType('stuff'));
+    workspace.clear();
+    assertArrayEquals('Cleared.', [],
+        workspace.getVariablesOfType(Blockly.SCALAR_VARIABLE_TYPE));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_variableScopes() {
+  var workspace = new Blockly.Workspace();
+  try {
+    workspace.createVariable('score');
+    workspace.createVariable('speed', Blockly.SCALAR_VARIABLE_TYPE, true);
+    assertFalse('Global by default.', workspace.getVariable('score').isLocal);
+    assertTrue('Local.', workspace.getVariable('SPEED').isLocal);
+    assertNull('No such variable.', workspace.getVariable('nothing'));
+
+    // An existing name keeps its scope.
+    workspace.createVariable('score', Blockly.SCALAR_VARIABLE_TYPE, true);
+    assertFalse('Scope kept.', workspace.getVariable('score').isLocal);
+
+    workspace.renameVariable('speed', 'velocity');
+    var model = workspace.getVariable('velocity');
+    assertEquals('Renamed.', 'velocity', model.name);
+    assertTrue('Renamed local.', model.isLocal);
+
+    // Merging into another variable takes that variable's scope.
+    workspace.renameVariable('velocity', 'Score');
+    assertFalse('Merged.', workspace.getVariable('score').isLocal);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function undoTest_setUp(opt_options) {
+  Blockly.defineBlocksWithJsonArray([{
+    "type": "undo_test_block",
+    "message0": "block"
+  }]);
+  return new Blockly.Workspace(opt_options);
+}
+
+function undoTest_tearDown(workspace) {
+  workspace.dispose();
+  delete Blockly.Blocks['undo_test_block'];
+}
+
+function undoTest_addBlock(workspace, opt_group) {
+  // Fire the create event now, rather than after a timeout.
+  Blockly.Events.disable();
+  var block = workspace.newBlock('undo_test_block');
+  Blockly.Events.enable();
+  var event = new Blockly.Events.Create(block);
+  event.group = opt_group || '';
+  workspace.fireChangeListener(event);
+  return block;
+}
+
+function undoTest_steps(workspace) {
+  return workspace.getUndoHistory().map(function(step) {
+    return step.description + (step.undone ? ' (undone)' : '') +
+        (step.checkpoints.length ? ' [' + step.checkpoints.join() + ']' : '');
+  }).join(', ');
+}
+
+function test_undoHistory() {
+  var workspace = undoTest_setUp();
+  try {
+    undoTest_addBlock(workspace);
+    undoTest_addBlock(workspace, 'group');
+    undoTest_addBlock(workspace, 'group');
+    assertEquals('Add block, Add block', undoTest_steps(workspace));
+    assertEquals(2, workspace.getUndoPosition());
+
+    workspace.setUndoPosition(0);
+    assertEquals(0, workspace.getAllBlocks().length);
+    assertEquals('Add block (undone), Add block (undone)',
+        undoTest_steps(workspace));
+    workspace.setUndoPosition(1);
+    assertEquals(1, workspace.getAllBlocks().length);
+    workspace.setUndoPosition(5);
+    assertEquals(3, workspace.getAllBlocks().length);
+    assertEquals(2, workspace.getUndoPosition());
+  } finally {
+    undoTest_tearDown(workspace);
+  }
+}
+
+function test_undoCheckpoints() {
+  var workspace = undoTest_setUp();
+  try {
+    workspace.addCheckpoint('start');
+    undoTest_addBlock(workspace);
+    workspace.addCheckpoint('one');
+    undoTest_addBlock(workspace);
+    workspace.addCheckpoint('two');
+    assertEquals('Add block [one], Add block [two]',
+        undoTest_steps(workspace));
+
+    workspace.jumpToCheckpoint('start');
+    assertEquals(0, workspace.getAllBlocks().length);
+    workspace.jumpToCheckpoint('two');
+    assertEquals(2, workspace.getAllBlocks().length);
+    workspace.jumpToCheckpoint('one');
+    assertEquals(1, workspace.getAllBlocks().length);
+
+    // A new change drops the steps that were undone, and their checkpoints.
+    undoTest_addBlock(workspace);
+    assertEquals(['start', 'one'].join(), workspace.getCheckpoints().join());
+    try {
+      workspace.jumpToCheckpoint('two');
+      fail('Checkpoint was dropped.');
+    } catch (e) {
+      // Expected.
+    }
+    workspace.clearUndo();
+    assertEquals(0, workspace.getCheckpoints().length);
+  } finally {
+    undoTest_tearDown(workspace);
+  }
+}
+
+function test_undoLimit() {
+  var workspace = undoTest_setUp({maxUndo: 2});
+  try {
+    workspace.addCheckpoint('start');
+    undoTest_addBlock(workspace, 'group');
+    undoTest_addBlock(workspace, 'group');
+    workspace.addCheckpoint('group');
+    undoTest_addBlock(workspace);
+    // The whole group is dropped, not just its oldest event.
+    assertEquals('Add block', undoTest_steps(workspace));
+    assertEquals(0, workspace.getCheckpoints().length);
+
+    workspace.setMaxUndo(0);
+    assertEquals(0, workspace.getUndoHistory().length);
+    undoTest_addBlock(workspace);
+    assertEquals(0, workspace.getUndoHistory().length);
+  } finally {
+    undoTest_tearDown(workspace);
+  }
+}
@@ -90,3 +90,123 @@ function test_domToPrettyText() {
   assertEquals('Round trip', XML_TEXT.replace(/\s+/g, ''),
       text.replace(/\s+/g, ''));
 }
+
+function test_variablesToDom() {
+  var workspace = new Blockly.Workspace();
+  try {
+    workspace.createVariable('score');
+    workspace.createVariable('things', Blockly.LIST_VARIABLE_TYPE);
+    var text = Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(workspace));
+    assertEquals('<xml xmlns="http://www.w3.org/1999/xhtml"><variables>' +
+        '<variable type="">score</variable>' +
+        '<variable type="list">things</variable>' +
+        '</variables></xml>', text);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_domToVariables() {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+        '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+        '  <variables>' +
+        '    <variable type="list">things</variable>' +
+        '    <variable>score</variable>' +
+        '  </variables>' +
+        '</xml>'), workspace);
+    assertArrayEquals(['things', 'score'], workspace.variableList);
+    assertEquals(Blockly.LIST_VARIABLE_TYPE,
+        workspace.getVariableType('things'));
+    assertEquals(Blockly.SCALAR_VARIABLE_TYPE,
+        workspace.getVariableType('score'));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_variablesToDom_local() {
+  var workspace = new Blockly.Workspace();
+  try {
+    workspace.createVariable('score');
+    workspace.createVariable('speed', Blockly.SCALAR_VARIABLE_TYPE, true);
+    var xml = Blockly.Xml.workspaceToDom(workspace);
+    assertEquals('<xml xmlns="http://www.w3.org/1999/xhtml"><variables>' +
+        '<variable type="">score</variable>' +
+        '<variable type="" islocal="true">speed</variable>' +
+        '</variables></xml>', Blockly.Xml.domToText(xml));
+
+    workspace.clear();
+    Blockly.Xml.domToWorkspace(xml, workspace);
+    assertFalse(workspace.getVariable('score').isLocal);
+    assertTrue(workspace.getVariable('speed').isLocal);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_domToVariables_merge() {
+  var workspace = new Blockly.Workspace();
+  try {
+    workspace.createVariable('score');
+    workspace.createVariable('speed', Blockly.SCALAR_VARIABLE_TYPE, true);
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+        '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+        '  <variables>' +
+        '    <variable type="list" islocal="true">score</variable>' +
+        '    <variable type="">speed</variable>' +
+        '  </variables>' +
+        '</xml>'), workspace);
+    var score = workspace.getVariable('score');
+    assertEquals('Type kept.', Blockly.SCALAR_VARIABLE_TYPE, score.type);
+    assertFalse('Global wins over local.', score.isLocal);
+    assertFalse('Local made global.', workspace.getVariable('speed').isLocal);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_clearWorkspaceAndLoadFromXml() {
+  var workspace = new Blockly.Workspace();
+  try {
+    workspace.createVariable('score');
+    workspace.createVariable('speed', Blockly.SCALAR_VARIABLE_TYPE, true);
+    Blockly.Xml.clearWorkspaceAndLoadFromXml(Blockly.Xml.textToDom(
+        '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+        '  <variables>' +
+        '    <variable type="list" islocal="true">costumes</variable>' +
+        '  </variables>' +
+        '</xml>'), workspace);
+    assertArrayEquals(['score', 'costumes'], workspace.variableList);
+    assertFalse(workspace.getVariable('score').isLocal);
+    assertTrue(workspace.getVariable('costumes').isLocal);
+    assertNull(workspace.getVariable('speed'));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_setParser() {
+  Blockly.defineBlocksWithJsonArray([{
+    "type": "xml_test_block",
+    "message0": "%1",
+    "args0": [{"type": "field_input", "name": "NAME", "text": ""}]
+  }]);
+  var workspace = new Blockly.Workspace();
+  try {
+    // An XML implementation's elements serialize without the XHTML namespace.
+    Blockly.Xml.setParser(DOMParser, XMLSerializer);
+    var text = '<xml><block type="xml_test_block" id="block" x="0" y="0">' +
+        '<field name="NAME">3</field></block></xml>';
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(text), workspace);
+    assertEquals(text,
+        Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(workspace)));
+  } finally {
+    Blockly.Xml.setParser(null, null);
+    workspace.dispose();
+    delete Blockly.Blocks['xml_test_block'];
+  }
+  assertEquals('<xml xmlns="http://www.w3.org/1999/xhtml"></xml>',
+      Blockly.Xml.domToText(Blockly.Xml.createElement('xml')));
+}
@@ -0,0 +1,108 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for the Node entry point, run with plain Node:
+ *   npm run test:node
+ */
+/* eslint-env node */
+'use strict';
+
+var assert = require('assert');
+var xmldom = require('@xmldom/xmldom');
+var blockly = require('../../blockly_node.js');
+var runTests = require('./run_tests.js');
+
+blockly.setParser(xmldom.DOMParser, xmldom.XMLSerializer);
+
+var PROJECT_XML =
+    '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '  <block type="event_whenflagclicked" id="hat" x="0" y="0">' +
+    '    <next>' +
+    '      <block type="control_wait" id="wait">' +
+    '        <value name="DURATION">' +
+    '          <shadow type="math_positive_number">' +
+    '            <field name="NUM">1</field>' +
+    '          </shadow>' +
+    '        </value>' +
+    '      </block>' +
+    '    </next>' +
+    '  </block>' +
+    '</xml>';
+
+var tests = {
+  generateCode: function() {
+    var result = blockly.generateCode(PROJECT_XML, 'JavaScript');
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.code,
+        'runtime.whenFlagClicked(async function() {\n' +
+        '  await runtime.wait(1);\n' +
+        '});\n');
+    result = blockly.generateCode(PROJECT_XML, 'Python');
+    assert.deepEqual(result.errors, []);
+    assert.ok(/runtime\.wait\(1\)/.test(result.code), result.code);
+  },
+
+  wedo: function() {
+    var xml =
+        '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+        '  <block type="wedo_whentilt" x="0" y="0">' +
+        '    <value name="CHOICE">' +
+        '      <shadow type="dropdown_wedo_whentilt">' +
+        '        <field name="CHOICE">left</field>' +
+        '      </shadow>' +
+        '    </value>' +
+        '    <next>' +
+        '      <block type="wedo_motorclockwise">' +
+        '        <value name="DURATION">' +
+        '          <shadow type="math_number">' +
+        '            <field name="NUM">2</field>' +
+        '          </shadow>' +
+        '        </value>' +
+        '      </block>' +
+        '    </next>' +
+        '  </block>' +
+        '</xml>';
+    var result = blockly.generateCode(xml, 'JavaScript');
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.code,
+        'runtime.whenWedoTilted(\'left\', async function() {\n' +
+        '  await runtime.wedoMotorClockwise(2);\n' +
+        '});\n');
+    result = blockly.generateCode(xml, 'Python');
+    assert.deepEqual(result.errors, []);
+    assert.ok(/@events\.when_wedo_tilted\('left'\)/.test(result.code),
+        result.code);
+    assert.ok(/runtime\.wedo_motor_clockwise\(2\)/.test(result.code),
+        result.code);
+  },
+
+  validate: function() {
+    assert.deepEqual(blockly.validate(PROJECT_XML), []);
+    var errors = blockly.validate(
+        '<xml><block type="no_such_block" id="bad"></block></xml>');
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].blockId, 'bad');
+    assert.equal(errors[0].blockType, 'no_such_block');
+    assert.equal(blockly.validate('<notxml></notxml>').length, 1);
+  }
+};
+
+runTests(tests);
@@ -0,0 +1,127 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for the JavaScript generator, run with plain Node:
+ *   npm run test:node
+ */
+/* eslint-env node, es6 */
+'use strict';
+
+var assert = require('assert');
+var xmldom = require('@xmldom/xmldom');
+var blockly = require('../../blockly_node.js');
+var projects = require('./projects.js');
+var runTests = require('./run_tests.js');
+
+blockly.setParser(xmldom.DOMParser, xmldom.XMLSerializer);
+
+/**
+ * Generate a project's JavaScript, failing if there are errors.
+ * @param {string} xml The project's XML text.
+ * @return {string} The generated code.
+ */
+function generate(xml) {
+  var result = blockly.generateCode(xml, 'JavaScript');
+  assert.deepEqual(result.errors, []);
+  return result.code;
+}
+
+/**
+ * Make a runtime that records the calls made to it.  Hat methods record the
+ * handlers they are given.
+ * @return {!Object} The runtime, with 'calls' and 'handlers' arrays.
+ */
+function recordingRuntime() {
+  var runtime = {calls: [], handlers: []};
+  ['changeYBy', 'moveSteps', 'yield'].forEach(function(method) {
+    runtime[method] = function() {
+      runtime.calls.push(method + '(' +
+          Array.prototype.slice.call(arguments).join(', ') + ')');
+    };
+  });
+  ['whenFlagClicked', 'whenKeyPressed'].forEach(function(method) {
+    runtime[method] = function() {
+      runtime.handlers.push(arguments[arguments.length - 1]);
+    };
+  });
+  return runtime;
+}
+
+var tests = {
+  project: function() {
+    assert.equal(generate(projects.PROJECT_XML),
+        'var score = 0, things = [];\n' +
+        '\n' +
+        'function toNumber(value) {\n' +
+        '  var n = Number(value);\n' +
+        '  return isNaN(n) ? 0 : n;\n' +
+        '}\n' +
+        '\n' +
+        'async function jump__25n(height) {\n' +
+        '  await runtime.changeYBy(height);\n' +
+        '}\n' +
+        '\n' +
+        '\n' +
+        'runtime.whenFlagClicked(async function() {\n' +
+        '  score = \'0\';\n' +
+        '  for (var count = 0; count < 3; count++) {\n' +
+        '    score = toNumber(score) + 1;\n' +
+        '    things.push(\'thing\');\n' +
+        '    await runtime.yield();\n' +
+        '  }\n' +
+        '  await jump__25n(score);\n' +
+        '});\n');
+  },
+
+  runProject: function() {
+    var runtime = recordingRuntime();
+    new Function('runtime', generate(projects.PROJECT_XML))(runtime);
+    assert.equal(runtime.handlers.length, 1);
+    return runtime.handlers[0]().then(function() {
+      assert.deepEqual(runtime.calls,
+          ['yield()', 'yield()', 'yield()', 'changeYBy(3)']);
+    });
+  },
+
+  scriptsWithoutHat: function() {
+    var code = generate(projects.NO_HAT_XML);
+    assert.equal(code.trim(), '');
+  },
+
+  hats: function() {
+    var code = generate(projects.HATS_XML);
+    assert.equal(code.trim(),
+        'runtime.whenKeyPressed(\'space\', async function() {\n' +
+        '  await runtime.moveSteps(10);\n' +
+        '});\n' +
+        '\n' +
+        'runtime.whenFlagClicked(async function() {\n' +
+        '});');
+    var runtime = recordingRuntime();
+    new Function('runtime', code)(runtime);
+    assert.equal(runtime.handlers.length, 2);
+    return runtime.handlers[0]().then(function() {
+      assert.deepEqual(runtime.calls, ['moveSteps(10)']);
+    });
+  }
+};
+
+runTests(tests);
@@ -0,0 +1,154 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Projects shared by the Node tests.
+ */
+/* eslint-env node */
+'use strict';
+
+/**
+ * A project with a variable, a list, a loop and a procedure, and a script
+ * with no hat block.
+ * @type {string}
+ */
+exports.PROJECT_XML =
+    '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '  <variables>' +
+    '    <variable type="" id="score">score</variable>' +
+    '    <variable type="list" id="things">things</variable>' +
+    '  </variables>' +
+    '  <block type="event_whenflagclicked" x="0" y="0">' +
+    '    <next>' +
+    '      <block type="data_setvariableto">' +
+    '        <value name="VARIABLE">' +
+    '          <shadow type="data_variablemenu">' +
+    '            <field name="VARIABLE" variabletype="">score</field>' +
+    '          </shadow>' +
+    '        </value>' +
+    '        <value name="VALUE">' +
+    '          <shadow type="text"><field name="TEXT">0</field></shadow>' +
+    '        </value>' +
+    '        <next>' +
+    '          <block type="control_repeat">' +
+    '            <value name="TIMES">' +
+    '              <shadow type="math_whole_number">' +
+    '                <field name="NUM">3</field>' +
+    '              </shadow>' +
+    '            </value>' +
+    '            <statement name="SUBSTACK">' +
+    '              <block type="data_changevariableby">' +
+    '                <value name="VARIABLE">' +
+    '                  <shadow type="data_variablemenu">' +
+    '                    <field name="VARIABLE" variabletype="">score</field>' +
+    '                  </shadow>' +
+    '                </value>' +
+    '                <value name="VALUE">' +
+    '                  <shadow type="math_number">' +
+    '                    <field name="NUM">1</field>' +
+    '                  </shadow>' +
+    '                </value>' +
+    '                <next>' +
+    '                  <block type="data_addtolist">' +
+    '                    <field name="LIST" variabletype="list">things</field>' +
+    '                    <value name="ITEM">' +
+    '                      <shadow type="text">' +
+    '                        <field name="TEXT">thing</field>' +
+    '                      </shadow>' +
+    '                    </value>' +
+    '                  </block>' +
+    '                </next>' +
+    '              </block>' +
+    '            </statement>' +
+    '            <next>' +
+    '              <block type="procedures_callnoreturn">' +
+    '                <mutation proccode="jump %n"' +
+    '                    argumentids="[&quot;a&quot;]"' +
+    '                    argumentdefaults="[&quot;0&quot;]"' +
+    '                    warp="false"></mutation>' +
+    '                <value name="a">' +
+    '                  <shadow type="math_number">' +
+    '                    <field name="NUM">10</field>' +
+    '                  </shadow>' +
+    '                  <block type="data_variable">' +
+    '                    <field name="VARIABLE" variabletype="">score</field>' +
+    '                  </block>' +
+    '                </value>' +
+    '              </block>' +
+    '            </next>' +
+    '          </block>' +
+    '        </next>' +
+    '      </block>' +
+    '    </next>' +
+    '  </block>' +
+    '  <block type="procedures_defnoreturn" x="0" y="300">' +
+    '    <mutation proccode="jump %n" argumentids="[&quot;a&quot;]"' +
+    '        argumentnames="[&quot;height&quot;]"' +
+    '        argumentdefaults="[&quot;0&quot;]" warp="false"></mutation>' +
+    '    <next>' +
+    '      <block type="motion_changeyby">' +
+    '        <value name="DY">' +
+    '          <block type="procedures_param">' +
+    '            <mutation paramname="height" shape="s"></mutation>' +
+    '          </block>' +
+    '        </value>' +
+    '      </block>' +
+    '    </next>' +
+    '  </block>' +
+    '  <block type="motion_movesteps" x="0" y="500">' +
+    '    <value name="STEPS">' +
+    '      <shadow type="math_number"><field name="NUM">10</field></shadow>' +
+    '    </value>' +
+    '  </block>' +
+    '</xml>';
+
+/**
+ * Two scripts with hats, one of them empty.
+ * @type {string}
+ */
+exports.HATS_XML =
+    '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '  <block type="event_whenkeypressed" x="0" y="0">' +
+    '    <field name="KEY_OPTION">space</field>' +
+    '    <next>' +
+    '      <block type="motion_movesteps">' +
+    '        <value name="STEPS">' +
+    '          <shadow type="math_number">' +
+    '            <field name="NUM">10</field>' +
+    '          </shadow>' +
+    '        </value>' +
+    '      </block>' +
+    '    </next>' +
+    '  </block>' +
+    '  <block type="event_whenflagclicked" x="0" y="200"></block>' +
+    '</xml>';
+
+/**
+ * A script with no hat block.
+ * @type {string}
+ */
+exports.NO_HAT_XML =
+    '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '  <block type="motion_movesteps" x="0" y="0">' +
+    '    <value name="STEPS">' +
+    '      <shadow type="math_number"><field name="NUM">10</field></shadow>' +
+    '    </value>' +
+    '  </block>' +
+    '</xml>';
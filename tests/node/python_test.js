@@ -0,0 +1,108 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tests for the Python generator, run with plain Node:
+ *   npm run test:node
+ */
+/* eslint-env node */
+'use strict';
+
+var assert = require('assert');
+var xmldom = require('@xmldom/xmldom');
+var blockly = require('../../blockly_node.js');
+var projects = require('./projects.js');
+var runTests = require('./run_tests.js');
+
+blockly.setParser(xmldom.DOMParser, xmldom.XMLSerializer);
+
+/**
+ * Generate a project's Python, failing if there are errors.
+ * @param {string} xml The project's XML text.
+ * @return {string} The generated code.
+ */
+function generate(xml) {
+  var result = blockly.generateCode(xml, 'Python');
+  assert.deepEqual(result.errors, []);
+  return result.code;
+}
+
+var tests = {
+  project: function() {
+    assert.equal(generate(projects.PROJECT_XML),
+        'score = 0\n' +
+        'things = []\n' +
+        '\n' +
+        'def to_number(value):\n' +
+        '  try:\n' +
+        '    n = float(value)\n' +
+        '  except (TypeError, ValueError):\n' +
+        '    return 0\n' +
+        '  return int(n) if n.is_integer() else n\n' +
+        '\n' +
+        'def jump__25n(height):\n' +
+        '  global score, things\n' +
+        '  runtime.change_y_by(height)\n' +
+        '\n' +
+        '\n' +
+        '@events.when_flag_clicked()\n' +
+        'def when_flag_clicked():\n' +
+        '  global score, things\n' +
+        '  score = \'0\'\n' +
+        '  for count in range(3):\n' +
+        '    score = to_number(score) + 1\n' +
+        '    things.append(\'thing\')\n' +
+        '    runtime.next_frame()\n' +
+        '  jump__25n(score)\n');
+  },
+
+  scriptsWithoutHat: function() {
+    assert.equal(generate(projects.NO_HAT_XML).trim(), '');
+  },
+
+  hats: function() {
+    assert.equal(generate(projects.HATS_XML),
+        '@events.when_key_pressed(\'space\')\n' +
+        'def when_key_pressed():\n' +
+        '  runtime.move_steps(10)\n' +
+        '\n' +
+        '@events.when_flag_clicked()\n' +
+        'def when_flag_clicked():\n' +
+        '  pass\n');
+  },
+
+  hatNames: function() {
+    var code = generate(
+        '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+        '  <block type="event_whenflagclicked" x="0" y="0"></block>' +
+        '  <block type="event_whenflagclicked" x="0" y="200"></block>' +
+        '</xml>');
+    assert.equal(code,
+        '@events.when_flag_clicked()\n' +
+        'def when_flag_clicked():\n' +
+        '  pass\n' +
+        '\n' +
+        '@events.when_flag_clicked()\n' +
+        'def when_flag_clicked2():\n' +
+        '  pass\n');
+  }
+};
+
+runTests(tests);
@@ -0,0 +1,49 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Massachusetts Institute of Technology
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Runs the Node tests of one file.  Each test is a function that
+ * throws, or returns a promise that is rejected, if it fails.
+ */
+/* eslint-env node, es6 */
+'use strict';
+
+/**
+ * Run tests one after another, print whether each passed, and set the exit
+ * code if any failed.
+ * @param {!Object.<string, function()>} tests The tests, keyed by name.
+ */
+module.exports = function(tests) {
+  var failures = 0;
+  Object.keys(tests).reduce(function(previous, name) {
+    return previous.then(function() {
+      return tests[name]();
+    }).then(function() {
+      console.log('PASS ' + name);
+    }, function(e) {
+      failures++;
+      console.log('FAIL ' + name + ': ' + (e.stack || e));
+    });
+  }, Promise.resolve()).then(function() {
+    if (failures) {
+      process.exitCode = 1;
+    }
+  });
+};